@@ -0,0 +1,48 @@
+import { readFileSync } from "node:fs";
+import { fileURLToPath } from "node:url";
+import { validateChangelog } from "../src/content/schema.js";
+import { buildAtomFeed, FEED_PATH } from "../src/utils/changelog.js";
+
+const CHANGELOG_FILE = fileURLToPath(
+  new URL("../src/content/changelog.json", import.meta.url),
+);
+
+const loadChangelog = () => {
+  const notes = JSON.parse(readFileSync(CHANGELOG_FILE, "utf8"));
+  const errors = validateChangelog(notes);
+  if (errors.length) {
+    throw new Error(`changelog.json is invalid:\n  ${errors.join("\n  ")}`);
+  }
+  return notes;
+};
+
+/**
+ * Publishes src/content/changelog.json as an Atom feed at /changelog.xml,
+ * so it never needs editing by hand.
+ */
+const changelog = () => {
+  let ssr = false;
+
+  return {
+    name: "safe-web:changelog",
+    configResolved(config) {
+      ssr = Boolean(config.build.ssr);
+    },
+    configureServer(server) {
+      server.middlewares.use(FEED_PATH, (req, res) => {
+        res.setHeader("Content-Type", "application/atom+xml; charset=utf-8");
+        res.end(buildAtomFeed(loadChangelog()));
+      });
+    },
+    generateBundle() {
+      if (ssr) return;
+      this.emitFile({
+        type: "asset",
+        fileName: FEED_PATH.slice(1),
+        source: buildAtomFeed(loadChangelog()),
+      });
+    },
+  };
+};
+
+export default changelog;
@@ -0,0 +1,39 @@
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { COLLECTIONS } from "../src/content/schema.js";
+
+const CONTENT_DIR = fileURLToPath(new URL("../src/content", import.meta.url));
+
+/**
+ * Validates src/content/*.json collections against src/content/schema.js
+ * whenever they are imported. Runs before Vite's JSON plugin so the raw
+ * file is available and errors point at the content file itself.
+ */
+const contentCollections = () => ({
+  name: "safe-web:content-collections",
+  enforce: "pre",
+  transform(code, id) {
+    const file = id.split("?")[0];
+    if (path.dirname(file) !== CONTENT_DIR) return null;
+
+    const validate = COLLECTIONS[path.basename(file)];
+    if (!validate) return null;
+
+    let entries;
+    try {
+      entries = JSON.parse(code);
+    } catch (error) {
+      this.error(`${path.basename(file)} is not valid JSON: ${error.message}`);
+    }
+
+    const errors = validate(entries);
+    if (errors.length) {
+      this.error(
+        `Invalid content in src/content/${path.basename(file)}:\n  - ${errors.join("\n  - ")}`,
+      );
+    }
+    return null;
+  },
+});
+
+export default contentCollections;
@@ -0,0 +1,280 @@
+import { readdirSync, readFileSync } from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { Marked } from "marked";
+import { validateDocs } from "../src/content/schema.js";
+import {
+  buildSearchIndex,
+  SEARCH_INDEX_PATH,
+} from "../src/utils/docsSearch.js";
+
+const DOCS_DIR = fileURLToPath(new URL("../src/content/docs", import.meta.url));
+const VIRTUAL_ID = "virtual:docs";
+const RESOLVED_ID = `\0${VIRTUAL_ID}`;
+// One module per page, `virtual:docs/<slug>`, holding its headings and blocks.
+const PAGE_PREFIX = `${VIRTUAL_ID}/`;
+
+const FRONT_MATTER = /^---\r?\n([\s\S]*?)\r?\n---\r?\n/;
+// Headings listed in a page's table of contents.
+const TOC_DEPTHS = [2, 3];
+
+/**
+ * @typedef {object} DocHeading
+ * @property {string} id
+ * @property {string} text
+ * @property {number} depth
+ *
+ * @typedef {{ type: "html", html: string } | { type: "code", lang: string, code: string }} DocBlock
+ *   Top-level code blocks are kept apart so the page can give them a copy
+ *   button; code nested in a list stays in the surrounding HTML.
+ *
+ * @typedef {object} DocContent What `virtual:docs/<slug>` exports.
+ * @property {DocHeading[]} headings
+ * @property {DocBlock[]} blocks
+ *
+ * @typedef {object} Doc What `virtual:docs` exports, in `order`.
+ * @property {string} slug File name without ".md".
+ * @property {string} title
+ * @property {string} description
+ * @property {string} section Sidebar group.
+ * @property {number} order
+ * @property {() => Promise<{ default: DocContent }>} load Imports the
+ *   page's content, which is a chunk of its own so the sidebar and routes
+ *   do not carry every page's HTML.
+ */
+
+// Front matter is flat `key: value` lines; numbers are read as numbers and
+// surrounding quotes are dropped.
+const parseFrontMatter = (source, file) => {
+  const found = FRONT_MATTER.exec(source);
+  if (!found) throw new Error(`${file} has no front matter.`);
+
+  const data = {};
+  for (const line of found[1].split(/\r?\n/)) {
+    if (!line.trim()) continue;
+    const pair = /^([A-Za-z]\w*):\s*(.*)$/.exec(line);
+    if (!pair) throw new Error(`${file}: cannot read front matter "${line}".`);
+    const value = pair[2].trim().replace(/^(["'])(.*)\1$/, "$2");
+    data[pair[1]] = /^-?\d+(\.\d+)?$/.test(value) ? Number(value) : value;
+  }
+  return { data, body: source.slice(found[0].length) };
+};
+
+const slugify = (text) =>
+  text
+    .toLowerCase()
+    .replace(/<[^>]+>/g, "")
+    .replace(/[^\p{L}\p{N}]+/gu, "-")
+    .replace(/^-|-$/g, "");
+
+const escapeHtml = (value) =>
+  value
+    .replace(/&/g, "&amp;")
+    .replace(/"/g, "&quot;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+
+const ENTITIES = { amp: "&", quot: '"', lt: "<", gt: ">", "#39": "'" };
+
+// Inline tags are dropped and block tags become spaces, so "<code>a</code>,"
+// reads "a," and table cells do not run together.
+const toPlainText = (html) =>
+  html
+    .replace(/<\/?(a|code|em|kbd|strong)\b[^>]*>/g, "")
+    .replace(/<[^>]+>/g, " ")
+    .replace(/&(amp|quot|lt|gt|#39);/g, (_, name) => ENTITIES[name])
+    .replace(/\s+/g, " ")
+    .trim();
+
+// `other-doc.md#anchor` becomes `/docs/other-doc#anchor`; a link to a doc
+// that does not exist fails the build.
+const resolveLink = (href, slugs, file) => {
+  const local = /^([\w-]+)\.md(#.*)?$/.exec(href);
+  if (!local) return href;
+  if (!slugs.has(local[1])) {
+    throw new Error(`${file} links to ${href}, which does not exist.`);
+  }
+  return `/docs/${local[1]}${local[2] ?? ""}`;
+};
+
+const renderDoc = (body, { file, slugs }) => {
+  const headings = [];
+  const ids = new Map();
+
+  const marked = new Marked({
+    renderer: {
+      heading({ tokens, depth }) {
+        const html = this.parser.parseInline(tokens);
+        const base = slugify(html) || "section";
+        const count = ids.get(base) ?? 0;
+        ids.set(base, count + 1);
+        const id = count ? `${base}-${count}` : base;
+        if (TOC_DEPTHS.includes(depth)) {
+          headings.push({ id, text: toPlainText(html), depth });
+        }
+        return `<h${depth} id="${id}">${html}</h${depth}>\n`;
+      },
+      link({ href, title, tokens }) {
+        const target = resolveLink(href, slugs, file);
+        const external = /^https?:\/\//.test(target);
+        return `<a href="${escapeHtml(target)}"${
+          title ? ` title="${escapeHtml(title)}"` : ""
+        }${
+          external ? ' target="_blank" rel="noopener noreferrer"' : ""
+        }>${this.parser.parseInline(tokens)}</a>`;
+      },
+    },
+  });
+
+  const tokens = marked.lexer(body);
+  const blocks = [];
+  const sections = [{ anchor: "", heading: "", html: "" }];
+  let pending = [];
+
+  const flush = () => {
+    if (pending.length === 0) return;
+    pending.links = tokens.links;
+    const html = marked.parser(pending);
+    blocks.push({ type: "html", html });
+    sections.at(-1).html += html;
+    pending = [];
+  };
+
+  for (const token of tokens) {
+    if (token.type === "code") {
+      flush();
+      blocks.push({ type: "code", lang: token.lang ?? "", code: token.text });
+      sections.at(-1).html += escapeHtml(token.text);
+    } else if (token.type === "heading" && TOC_DEPTHS.includes(token.depth)) {
+      flush();
+      const html = marked.parser([token]);
+      blocks.push({ type: "html", html });
+      const heading = headings.at(-1);
+      sections.push({ anchor: heading.id, heading: heading.text, html: "" });
+    } else {
+      pending.push(token);
+    }
+  }
+  flush();
+
+  return {
+    headings,
+    blocks,
+    sections: sections
+      .map(({ anchor, heading, html }) => ({
+        anchor,
+        heading,
+        text: toPlainText(html),
+      }))
+      .filter(({ heading, text }) => heading || text),
+  };
+};
+
+const loadDocs = () => {
+  const files = readdirSync(DOCS_DIR).filter((name) => name.endsWith(".md"));
+  const slugs = new Set(files.map((name) => name.slice(0, -3)));
+
+  const parsed = files.map((name) => {
+    const file = path.join(DOCS_DIR, name);
+    const { data, body } = parseFrontMatter(readFileSync(file, "utf8"), name);
+    return { file, entry: { id: name.slice(0, -3), ...data }, body };
+  });
+
+  const errors = validateDocs(parsed.map(({ entry }) => entry));
+  if (errors.length) {
+    throw new Error(
+      `Invalid front matter in src/content/docs:\n  - ${errors.join("\n  - ")}`,
+    );
+  }
+
+  return parsed
+    .map(({ file, entry: { id, ...meta }, body }) => ({
+      file,
+      slug: id,
+      ...meta,
+      ...renderDoc(body, { file: path.basename(file), slugs }),
+    }))
+    .sort((a, b) => a.order - b.order || a.slug.localeCompare(b.slug));
+};
+
+const searchIndex = (docs) =>
+  JSON.stringify(
+    buildSearchIndex(
+      docs.flatMap(({ slug, title, sections }) =>
+        sections.map((section) => ({ slug, title, ...section })),
+      ),
+    ),
+  );
+
+/**
+ * Turns the markdown files in src/content/docs into the `virtual:docs`
+ * module the /docs routes are built from, and publishes their search index
+ * at /docs-search.json. Front matter is checked against
+ * src/content/schema.js, so a bad page fails the build like any other
+ * content.
+ */
+const docs = () => {
+  let ssr = false;
+
+  return {
+    name: "safe-web:docs",
+    configResolved(config) {
+      ssr = Boolean(config.build.ssr);
+    },
+    resolveId(id) {
+      return id === VIRTUAL_ID || id.startsWith(PAGE_PREFIX) ? `\0${id}` : null;
+    },
+    load(id) {
+      if (id.startsWith(`\0${PAGE_PREFIX}`)) {
+        const slug = id.slice(PAGE_PREFIX.length + 1);
+        const doc = loadDocs().find((page) => page.slug === slug);
+        if (!doc) throw new Error(`There is no src/content/docs/${slug}.md.`);
+        this.addWatchFile(doc.file);
+        const { headings, blocks } = doc;
+        return `export default ${JSON.stringify({ headings, blocks })};`;
+      }
+      if (id !== RESOLVED_ID) return null;
+      const pages = loadDocs().map((doc) => {
+        this.addWatchFile(doc.file);
+        const { slug, title, description, section, order } = doc;
+        const meta = JSON.stringify({
+          slug,
+          title,
+          description,
+          section,
+          order,
+        });
+        const page = JSON.stringify(`${PAGE_PREFIX}${slug}`);
+        return `{ ...${meta}, load: () => import(${page}) }`;
+      });
+      return `export default [\n  ${pages.join(",\n  ")},\n];`;
+    },
+    configureServer(server) {
+      // New and deleted pages change the route list, so reload.
+      const reload = (file) => {
+        if (path.dirname(file) !== DOCS_DIR) return;
+        const module = server.moduleGraph.getModuleById(RESOLVED_ID);
+        if (module) server.moduleGraph.invalidateModule(module);
+        server.ws.send({ type: "full-reload" });
+      };
+      server.watcher.add(DOCS_DIR);
+      server.watcher.on("add", reload);
+      server.watcher.on("unlink", reload);
+
+      server.middlewares.use(SEARCH_INDEX_PATH, (req, res) => {
+        res.setHeader("Content-Type", "application/json; charset=utf-8");
+        res.end(searchIndex(loadDocs()));
+      });
+    },
+    generateBundle() {
+      if (ssr) return;
+      this.emitFile({
+        type: "asset",
+        fileName: SEARCH_INDEX_PATH.slice(1),
+        source: searchIndex(loadDocs()),
+      });
+    },
+  };
+};
+
+export default docs;
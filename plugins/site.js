@@ -0,0 +1,356 @@
+import { existsSync, readFileSync } from "node:fs";
+import { fileURLToPath } from "node:url";
+import { SITE } from "../src/site.js";
+import { THEME_COLORS } from "../src/theme/themes.js";
+import { DEFAULT_LOCALE, getLocale } from "../src/i18n/locales.js";
+import { isValidEmail } from "../src/utils/detection/validators.js";
+import {
+  CHANGELOG_PATH,
+  FEED_PATH,
+  sortReleaseNotes,
+} from "../src/utils/changelog.js";
+
+const HEAD_MARKER = /^([ \t]*)<!-- site head -->\n/m;
+const MANIFEST_PATH = "/manifest.json";
+
+const readJson = (path) =>
+  JSON.parse(readFileSync(new URL(path, import.meta.url), "utf8"));
+
+const publicFile = (path) =>
+  fileURLToPath(new URL(`../public${path}`, import.meta.url));
+
+// Width and height from a PNG's IHDR chunk, so previews never claim a size
+// the image does not have.
+const pngSize = (path) => {
+  const header = readFileSync(publicFile(path)).subarray(0, 24);
+  if (header.toString("latin1", 12, 16) !== "IHDR") {
+    throw new Error(`public${path} is not a PNG.`);
+  }
+  return { width: header.readUInt32BE(16), height: header.readUInt32BE(20) };
+};
+
+const PLACEHOLDER =
+  /lorem ipsum|\b(todo|tbd|fixme|placeholder|changeme|xxx)\b|example\.(com|org|net)/i;
+
+// Ratings and reviews need a real, citable source such as a store listing.
+// The site has none, so any in the structured data were made up.
+const INVENTED_FIELDS = ["aggregateRating", "review", "reviewRating"];
+
+const isHexColor = (value) => /^#[0-9a-f]{6}$/i.test(value);
+
+const isHttpsUrl = (value) => {
+  try {
+    return new URL(value).protocol === "https:";
+  } catch {
+    return false;
+  }
+};
+
+// Every string in a value, with its dotted path.
+const strings = (value, path = "") => {
+  if (typeof value === "string") return [[path, value]];
+  if (value && typeof value === "object") {
+    return Object.entries(value).flatMap(([key, child]) =>
+      strings(child, path ? `${path}.${key}` : key),
+    );
+  }
+  return [];
+};
+
+const placeholderErrors = (value) =>
+  strings(value)
+    .filter(([, text]) => PLACEHOLDER.test(text))
+    .map(([path, text]) => `${path} looks like a placeholder: "${text}"`);
+
+/**
+ * Checks src/site.js. Returns a list of problems; empty means valid.
+ *
+ * @param {import("../src/site.js").SiteConfig} site
+ * @returns {string[]}
+ */
+export const validateSite = (site) => {
+  const errors = placeholderErrors(site);
+  const text = (key) => {
+    if (typeof site[key] !== "string" || !site[key].trim()) {
+      errors.push(`${key} is required`);
+    }
+  };
+  const url = (value, key) => {
+    if (!isHttpsUrl(value)) {
+      errors.push(`${key} must be an https:// URL`);
+    }
+  };
+  const asset = (path, key) => {
+    if (typeof path !== "string" || !path.startsWith("/")) {
+      errors.push(`${key} must be a path under public/, e.g. "/logo.png"`);
+    } else if (!existsSync(publicFile(path))) {
+      errors.push(`${key}: public${path} does not exist`);
+    }
+  };
+
+  ["name", "title", "description", "applicationCategory"].forEach(text);
+  url(site.url, "url");
+  if (isHttpsUrl(site.url) && site.url !== new URL(site.url).origin) {
+    errors.push("url must be an origin with no path or trailing slash");
+  }
+  for (const key of ["keywords", "categories"]) {
+    if (
+      !Array.isArray(site[key]) ||
+      site[key].some((item) => typeof item !== "string" || !item.trim())
+    ) {
+      errors.push(`${key} must be a list of words`);
+    }
+  }
+  asset(site.image, "image");
+  asset(site.icon, "icon");
+  if (!isHexColor(site.accentColor)) {
+    errors.push('accentColor must be a hex colour like "#0891b2"');
+  }
+  if (typeof site.author?.name !== "string" || !site.author.name.trim()) {
+    errors.push("author.name is required");
+  }
+  url(site.author?.url, "author.url");
+  if (typeof site.email !== "string" || !isValidEmail(site.email)) {
+    errors.push("email must be an email address");
+  }
+  url(site.repository, "repository");
+  url(site.social?.github, "social.github");
+  url(site.social?.linkedin, "social.linkedin");
+  if (!/^@\w{1,15}$/.test(site.social?.twitter ?? "")) {
+    errors.push('social.twitter must be a handle like "@IntellWe"');
+  }
+
+  return errors;
+};
+
+/**
+ * Checks the JSON-LD block before it is written into the page.
+ *
+ * @param {object} data
+ * @returns {string[]}
+ */
+export const validateStructuredData = (data) => {
+  const errors = placeholderErrors(data);
+  const visit = (value, path) => {
+    if (!value || typeof value !== "object") return;
+    for (const [key, child] of Object.entries(value)) {
+      const childPath = path ? `${path}.${key}` : key;
+      if (INVENTED_FIELDS.includes(key)) {
+        errors.push(
+          `${childPath} is not allowed: ratings and reviews need a real source`,
+        );
+      }
+      if (/url$|^screenshot$/i.test(key) && typeof child === "string") {
+        if (!isHttpsUrl(child)) {
+          errors.push(`${childPath} must be an absolute https:// URL`);
+        }
+      }
+      visit(child, childPath);
+    }
+  };
+  visit(data, "");
+  return errors;
+};
+
+/**
+ * schema.org SoftwareApplication for the home page. The version, dates and
+ * browsers come from the release notes, so it only states what has shipped.
+ *
+ * @param {import("../src/site.js").SiteConfig} site
+ * @param {{ notes: object[], browsers: Array<{ id: string, name: string }> }} content
+ */
+export const buildStructuredData = (site, { notes, browsers }) => {
+  const releases = sortReleaseNotes(notes);
+  const latest = releases[0];
+  const first = releases.at(-1);
+  const shippedTo = new Set(releases.flatMap((note) => note.browsers));
+  const browserNames = browsers
+    .filter((browser) => shippedTo.has(browser.id))
+    .map((browser) => browser.name);
+
+  return {
+    "@context": "https://schema.org",
+    "@type": "SoftwareApplication",
+    name: site.name,
+    description: site.description,
+    url: `${site.url}/`,
+    author: {
+      "@type": "Organization",
+      name: site.author.name,
+      url: site.author.url,
+    },
+    applicationCategory: site.applicationCategory,
+    operatingSystem: "Any",
+    offers: { "@type": "Offer", price: "0", priceCurrency: "USD" },
+    screenshot: `${site.url}${site.image}`,
+    ...(latest && {
+      softwareVersion: latest.id,
+      datePublished: first.date,
+      dateModified: latest.date,
+      releaseNotes: `${site.url}${CHANGELOG_PATH}`,
+    }),
+    downloadUrl: `${site.url}/download`,
+    ...(browserNames.length && {
+      browserRequirements: browserNames.join(", "),
+    }),
+  };
+};
+
+const escapeAttribute = (value) =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/"/g, "&quot;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+
+const meta = (attribute, key, value) =>
+  `<meta ${attribute}="${key}" content="${escapeAttribute(value)}" />`;
+
+// Title, description and social copy default to the English catalog;
+// scripts/prerender.js and DocumentHead replace them per page and language.
+const headTags = (site, { copy, structuredData }) => {
+  const image = pngSize(site.image);
+  const imageUrl = `${site.url}${site.image}`;
+  const locale = getLocale(DEFAULT_LOCALE);
+
+  return [
+    `<link rel="icon" type="image/png" href="${site.icon}" />`,
+    `<title>${escapeAttribute(copy.title)}</title>`,
+    meta("name", "title", copy.title),
+    meta("name", "description", copy.description),
+    meta("name", "keywords", site.keywords.join(", ")),
+    meta("name", "author", site.author.name),
+    meta("name", "robots", "index, follow"),
+    meta("name", "language", locale.englishName),
+    meta("property", "og:type", "website"),
+    meta("property", "og:url", `${site.url}/`),
+    meta("property", "og:title", copy.ogTitle),
+    meta("property", "og:description", copy.ogDescription),
+    meta("property", "og:image", imageUrl),
+    meta("property", "og:image:width", image.width),
+    meta("property", "og:image:height", image.height),
+    meta("property", "og:site_name", site.name),
+    meta("property", "og:locale", locale.ogLocale),
+    meta("property", "twitter:card", "summary_large_image"),
+    meta("property", "twitter:url", `${site.url}/`),
+    meta("property", "twitter:title", copy.ogTitle),
+    meta("property", "twitter:description", copy.ogDescription),
+    meta("property", "twitter:image", imageUrl),
+    meta("property", "twitter:creator", site.social.twitter),
+    meta("property", "twitter:site", site.social.twitter),
+    meta("name", "theme-color", THEME_COLORS.dark),
+    meta("name", "msapplication-TileColor", site.accentColor),
+    meta("name", "msapplication-navbutton-color", site.accentColor),
+    meta("name", "apple-mobile-web-app-status-bar-style", "black-translucent"),
+    meta("name", "apple-mobile-web-app-capable", "yes"),
+    `<link rel="canonical" href="${site.url}/" />`,
+    `<link rel="alternate" type="application/atom+xml" title="${escapeAttribute(`${site.name} release notes`)}" href="${FEED_PATH}" />`,
+    `<link rel="manifest" href="${MANIFEST_PATH}" />`,
+    `<script type="application/ld+json">${JSON.stringify(structuredData).replace(/</g, "\\u003c")}</script>`,
+  ];
+};
+
+/**
+ * Web app manifest. The icon entries keep the sizes install prompts look
+ * for; the browser scales the one file.
+ *
+ * @param {import("../src/site.js").SiteConfig} site
+ */
+export const buildManifest = (site) => {
+  const screenshot = pngSize(site.image);
+  return {
+    name: site.title,
+    short_name: site.name,
+    description: site.description,
+    start_url: "/",
+    display: "standalone",
+    background_color: THEME_COLORS.dark,
+    theme_color: THEME_COLORS.dark,
+    orientation: "portrait-primary",
+    scope: "/",
+    lang: DEFAULT_LOCALE,
+    categories: site.categories,
+    icons: ["192x192", "512x512"].map((sizes) => ({
+      src: site.icon,
+      sizes,
+      type: "image/png",
+      purpose: "any maskable",
+    })),
+    screenshots: [
+      {
+        src: site.image,
+        sizes: `${screenshot.width}x${screenshot.height}`,
+        type: "image/png",
+        form_factor: "wide",
+      },
+    ],
+  };
+};
+
+const loadSite = () => {
+  const errors = validateSite(SITE);
+  if (errors.length) {
+    throw new Error(`src/site.js is invalid:\n  - ${errors.join("\n  - ")}`);
+  }
+  return SITE;
+};
+
+const loadStructuredData = (site) => {
+  const data = buildStructuredData(site, {
+    notes: readJson("../src/content/changelog.json"),
+    browsers: readJson("../src/content/browsers.json"),
+  });
+  const errors = validateStructuredData(data);
+  if (errors.length) {
+    throw new Error(
+      `The structured data built from src/site.js is invalid:\n  - ${errors.join("\n  - ")}`,
+    );
+  }
+  return data;
+};
+
+/**
+ * Builds the head of index.html and manifest.json from src/site.js, so
+ * product facts are written down once. index.html marks where the tags go
+ * with `<!-- site head -->`.
+ */
+const site = () => {
+  let ssr = false;
+
+  return {
+    name: "safe-web:site",
+    configResolved(config) {
+      ssr = Boolean(config.build.ssr);
+    },
+    configureServer(server) {
+      server.middlewares.use(MANIFEST_PATH, (req, res) => {
+        res.setHeader("Content-Type", "application/manifest+json");
+        res.end(JSON.stringify(buildManifest(loadSite()), null, 2));
+      });
+    },
+    transformIndexHtml(html) {
+      const match = html.match(HEAD_MARKER);
+      if (!match) {
+        throw new Error("index.html needs a <!-- site head --> comment.");
+      }
+      const config = loadSite();
+      const tags = headTags(config, {
+        copy: readJson("../src/i18n/messages/en.json").meta,
+        structuredData: loadStructuredData(config),
+      });
+      return html.replace(HEAD_MARKER, () =>
+        tags.map((tag) => `${match[1]}${tag}\n`).join(""),
+      );
+    },
+    generateBundle() {
+      if (ssr) return;
+      this.emitFile({
+        type: "asset",
+        fileName: MANIFEST_PATH.slice(1),
+        source: `${JSON.stringify(buildManifest(loadSite()), null, 2)}\n`,
+      });
+    },
+  };
+};
+
+export default site;
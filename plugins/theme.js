@@ -0,0 +1,32 @@
+import { THEME_COLORS, themeBootScript } from "../src/theme/themes.js";
+
+const THEME_COLOR_META = /[ \t]*<meta name="theme-color"[^>]*>\n/;
+
+// One theme-color per colour scheme for visitors without JavaScript, then
+// the boot script, which needs those tags parsed before it runs.
+const themeHead = (indent) =>
+  [
+    `<meta name="theme-color" content="${THEME_COLORS.dark}" media="(prefers-color-scheme: dark)" />`,
+    `<meta name="theme-color" content="${THEME_COLORS.light}" media="(prefers-color-scheme: light)" />`,
+    `<script>${themeBootScript()}</script>`,
+  ]
+    .map((line) => `${indent}${line}\n`)
+    .join("");
+
+/**
+ * Applies the visitor's stored light/dark choice before the first paint, so
+ * prerendered pages never flash the wrong theme, and gives each theme its
+ * own theme-color. See src/theme/themes.js.
+ */
+const theme = () => ({
+  name: "safe-web:theme",
+  transformIndexHtml(html) {
+    const match = html.match(THEME_COLOR_META);
+    if (!match) {
+      throw new Error('index.html needs a <meta name="theme-color"> tag.');
+    }
+    return html.replace(THEME_COLOR_META, themeHead(match[0].match(/^\s*/)[0]));
+  },
+});
+
+export default theme;
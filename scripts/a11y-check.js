@@ -0,0 +1,74 @@
+// Audits every prerendered page in dist/ with axe-core and fails when any
+// WCAG 2.1 A/AA or best-practice rule is violated. Run after `npm run build`:
+//
+//   npm run a11y
+//
+// Pages are loaded into jsdom without running the app, so this checks the
+// markup every visitor gets first. jsdom has no layout, so colour contrast
+// is left to the dev-server check (src/utils/axe.js), which runs in a real
+// browser.
+import { readdir, readFile } from "node:fs/promises";
+import { createRequire } from "node:module";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { JSDOM } from "jsdom";
+import { SITE } from "../src/site.js";
+import { axeRunOptions, formatViolations } from "../src/utils/axe.js";
+
+const DIST_DIR = fileURLToPath(new URL("../dist", import.meta.url));
+const AXE_SOURCE = await readFile(
+  createRequire(import.meta.url).resolve("axe-core/axe.min.js"),
+  "utf8",
+);
+const OPTIONS = axeRunOptions({ disableRules: ["color-contrast"] });
+
+const findPages = async (dir) => {
+  const entries = await readdir(dir, { withFileTypes: true });
+  const nested = await Promise.all(
+    entries.map((entry) => {
+      const file = path.join(dir, entry.name);
+      if (entry.isDirectory()) return findPages(file);
+      return entry.name.endsWith(".html") ? [file] : [];
+    }),
+  );
+  return nested.flat();
+};
+
+const auditPage = async (file) => {
+  const dom = new JSDOM(await readFile(file, "utf8"), {
+    runScripts: "outside-only",
+    url: `${SITE.url}/`,
+  });
+  try {
+    dom.window.eval(AXE_SOURCE);
+    const { violations } = await dom.window.axe.run(
+      dom.window.document,
+      OPTIONS,
+    );
+    return formatViolations(violations);
+  } finally {
+    dom.window.close();
+  }
+};
+
+let pages;
+try {
+  pages = (await findPages(DIST_DIR)).sort();
+} catch {
+  console.error("dist/ not found; run `npm run build` first.");
+  process.exit(1);
+}
+
+let failures = 0;
+for (const file of pages) {
+  const name = path.relative(DIST_DIR, file);
+  const problems = await auditPage(file);
+  failures += problems.length;
+  console.log(`${problems.length ? "FAIL" : "ok  "}  ${name}`);
+  for (const line of problems) console.log(`      ${line}`);
+}
+
+console.log(
+  `\n${pages.length} page(s) checked, ${failures} violation(s) found.`,
+);
+if (failures > 0) process.exit(1);
@@ -0,0 +1,88 @@
+// Local collector for the site's first-party analytics, for development and
+// for anyone self-hosting. Accepts event batches at POST /events and serves
+// totals at GET /summary for the /analytics dashboard. Stores only what the
+// events contain: no IP addresses, user agents or request logs.
+//
+//   npm run analytics:collector [-- --port 8788 --site http://localhost:5173 --out events.jsonl]
+//
+// With --out, events are appended to a JSON Lines file and reloaded on start;
+// otherwise they live in memory.
+import { appendFile, readFile } from "node:fs/promises";
+import { createServer } from "node:http";
+import { parseArgs } from "node:util";
+import {
+  isValidEvent,
+  MAX_BATCH_SIZE,
+  summarizeEvents,
+} from "../src/utils/analytics/events.js";
+import { allowSite, readBody, sendJson } from "./lib/http.js";
+
+const { values: args } = parseArgs({
+  options: {
+    port: { type: "string", default: "8788" },
+    site: { type: "string", default: "http://localhost:5173" },
+    out: { type: "string" },
+  },
+});
+
+const MAX_BODY_BYTES = 64 * 1024;
+
+/** @type {import("../src/utils/analytics/events.js").AnalyticsEvent[]} */
+const events = [];
+
+if (args.out) {
+  try {
+    const lines = (await readFile(args.out, "utf8")).split("\n");
+    events.push(...lines.filter(Boolean).map((line) => JSON.parse(line)));
+    console.log(`loaded ${events.length} event(s) from ${args.out}`);
+  } catch (error) {
+    if (error.code !== "ENOENT") throw error;
+  }
+}
+
+// Beacons arrive as text/plain so browsers skip the CORS preflight; the body
+// is still a JSON array of events.
+const receive = async (req, res) => {
+  let batch;
+  try {
+    batch = JSON.parse(await readBody(req, MAX_BODY_BYTES));
+  } catch {
+    sendJson(res, 400, { error: "invalid-body" });
+    return;
+  }
+  if (!Array.isArray(batch) || batch.length > MAX_BATCH_SIZE) {
+    sendJson(res, 400, { error: "invalid-batch" });
+    return;
+  }
+
+  const accepted = batch
+    .filter(isValidEvent)
+    .map(({ type, path, name, day }) =>
+      name === undefined ? { type, path, day } : { type, path, name, day },
+    );
+  events.push(...accepted);
+  if (args.out && accepted.length) {
+    await appendFile(
+      args.out,
+      accepted.map((event) => `${JSON.stringify(event)}\n`).join(""),
+    );
+  }
+  sendJson(res, 204);
+};
+
+const server = createServer(async (req, res) => {
+  if (allowSite(req, res, args.site)) return;
+
+  const { pathname } = new URL(req.url, "http://x");
+  if (req.method === "POST" && pathname === "/events") {
+    await receive(req, res);
+  } else if (req.method === "GET" && pathname === "/summary") {
+    sendJson(res, 200, summarizeEvents(events));
+  } else {
+    sendJson(res, 404, { error: "not-found" });
+  }
+});
+
+server.listen(Number(args.port), () => {
+  console.log(`analytics collector listening on http://localhost:${args.port}`);
+});
@@ -0,0 +1,73 @@
+// Checks the gzipped size of every JavaScript and CSS chunk in dist/assets
+// against BUDGETS and prints a report. Runs right after the client build in
+// `npm run build`, so a change that bloats a chunk fails the build instead
+// of slowing the site down unnoticed. Raise a budget only on purpose, and
+// note why in the commit.
+import { readdir, readFile } from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { gzipSync } from "node:zlib";
+
+const ASSETS_DIR = fileURLToPath(new URL("../dist/assets", import.meta.url));
+
+const KB = 1024;
+
+// Gzipped bytes per chunk, by its name without the content hash. `index.js`
+// is everything the first paint waits for; chunks loaded later fall back to
+// DEFAULT_BUDGET.
+const BUDGETS = {
+  "index.js": 155 * KB,
+  "index.css": 12 * KB,
+  "motionFeatures.js": 22 * KB,
+};
+const DEFAULT_BUDGET = 20 * KB;
+
+// "FeaturesSection-BzFnOQck.js" -> "FeaturesSection.js"
+const chunkName = (file) => file.replace(/-[\w-]{8}(\.\w+)$/, "$1");
+
+const formatSize = (bytes) => `${(bytes / KB).toFixed(1)} kB`;
+
+const files = (await readdir(ASSETS_DIR)).filter((file) =>
+  /\.(js|css)$/.test(file),
+);
+
+const rows = await Promise.all(
+  files.map(async (file) => {
+    const source = await readFile(path.join(ASSETS_DIR, file));
+    const name = chunkName(file);
+    return {
+      name,
+      raw: source.length,
+      gzip: gzipSync(source, { level: 9 }).length,
+      budget: BUDGETS[name] ?? DEFAULT_BUDGET,
+    };
+  }),
+);
+rows.sort((a, b) => b.gzip - a.gzip);
+
+const width = Math.max(...rows.map((row) => row.name.length));
+console.log(
+  `${"chunk".padEnd(width)}  ${"size".padStart(9)}  ${"gzip".padStart(9)}  budget`,
+);
+for (const row of rows) {
+  const over = row.gzip > row.budget;
+  console.log(
+    `${row.name.padEnd(width)}  ${formatSize(row.raw).padStart(9)}  ${formatSize(row.gzip).padStart(9)}  ${formatSize(row.budget)}${over ? "  OVER BUDGET" : ""}`,
+  );
+}
+
+const total = rows.reduce((sum, row) => sum + row.gzip, 0);
+console.log(`${rows.length} chunks, ${formatSize(total)} gzipped in total`);
+
+const over = rows.filter((row) => row.gzip > row.budget);
+if (over.length) {
+  console.error(
+    `\n${over.length} chunk(s) over budget: ${over
+      .map(
+        (row) =>
+          `${row.name} is ${formatSize(row.gzip)} (budget ${formatSize(row.budget)})`,
+      )
+      .join(", ")}. Shrink them or raise BUDGETS in scripts/bundle-budget.js.`,
+  );
+  process.exitCode = 1;
+}
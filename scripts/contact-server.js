@@ -0,0 +1,132 @@
+// Local stand-in for the contact service, for trying the contact form in
+// development. Runs the same validation and spam checks a real backend
+// should, rate-limits each address, and "delivers" messages by printing
+// them instead of emailing the support inbox.
+//
+// The form asks for a signed token when it appears (POST /tokens) and sends
+// it back with the message, so the time-to-submit check is measured here
+// rather than trusted from the client.
+//
+//   npm run contact:server [-- --port 8790 --site http://localhost:5173 --limit 5]
+//
+// --fail answers every message with a 503, for trying the form's email
+// fallback.
+import { createHmac, randomBytes, timingSafeEqual } from "node:crypto";
+import { parseArgs } from "node:util";
+import { detectSpam, validateMessage } from "../src/utils/contact/validate.js";
+import { createJsonServer } from "./lib/http.js";
+
+const { values: args } = parseArgs({
+  options: {
+    port: { type: "string", default: "8790" },
+    site: { type: "string", default: "http://localhost:5173" },
+    limit: { type: "string", default: "5" },
+    fail: { type: "boolean", default: false },
+  },
+});
+
+// At most --limit messages per client address in this window.
+const RATE_WINDOW_MS = 60 * 60 * 1000;
+const MAX_BODY_BYTES = 16 * 1024;
+const TOKEN_TTL_MS = 24 * 60 * 60 * 1000;
+// Signs form tokens; a new one on every start invalidates older tokens.
+const TOKEN_KEY = randomBytes(32);
+
+/** @type {Map<string, number[]>} Send times per client address. */
+const sent = new Map();
+/** @type {object[]} */
+const inbox = [];
+/** @type {Set<string>} Tokens already used for a message. */
+const usedTokens = new Set();
+
+const sign = (issuedAt) =>
+  createHmac("sha256", TOKEN_KEY).update(issuedAt).digest("base64url");
+
+// "<issued at>.<signature>", so the server needs no storage to check it.
+const issueToken = () => {
+  const issuedAt = String(Date.now());
+  return `${issuedAt}.${sign(issuedAt)}`;
+};
+
+// Milliseconds since the token was issued, or null when it is not one of
+// ours, has expired or was already used.
+const tokenAge = (token) => {
+  if (typeof token !== "string" || usedTokens.has(token)) return null;
+  const [issuedAt, signature = ""] = token.split(".");
+  const expected = Buffer.from(sign(issuedAt));
+  const actual = Buffer.from(signature);
+  if (actual.length !== expected.length || !timingSafeEqual(actual, expected)) {
+    return null;
+  }
+  const age = Date.now() - Number(issuedAt);
+  return age >= 0 && age <= TOKEN_TTL_MS ? age : null;
+};
+
+// Returns the seconds until the address may send again, or 0 if it may now.
+const rateLimit = (address) => {
+  const now = Date.now();
+  const recent = (sent.get(address) ?? []).filter(
+    (time) => time > now - RATE_WINDOW_MS,
+  );
+  sent.set(address, recent);
+  if (recent.length < Number(args.limit)) {
+    recent.push(now);
+    return 0;
+  }
+  return Math.ceil((recent[0] + RATE_WINDOW_MS - now) / 1000);
+};
+
+const routes = {
+  "POST /tokens": async () => [201, { token: issueToken() }],
+
+  "POST /messages": async (body, req) => {
+    const retryAfter = rateLimit(req.socket.remoteAddress);
+    if (retryAfter) {
+      return [
+        429,
+        { error: "rate-limited" },
+        { "Retry-After": String(retryAfter) },
+      ];
+    }
+    if (args.fail) return [503, { error: "unavailable" }];
+
+    const errors = validateMessage(body);
+    if (Object.keys(errors).length) {
+      return [400, { error: "invalid-message", fields: errors }];
+    }
+
+    // Answer spam like a delivered message so bots learn nothing.
+    const spam = detectSpam(body, tokenAge(body.token));
+    if (spam !== "invalid-token") usedTokens.add(body.token);
+    if (spam) {
+      console.log(`dropped message from ${body.email} (${spam})`);
+      return [202, { status: "sent" }];
+    }
+
+    const entry = {
+      topic: body.topic,
+      name: body.name || null,
+      email: body.email,
+      message: body.message,
+      receivedAt: new Date().toISOString(),
+    };
+    inbox.push(entry);
+    console.log(
+      `[${entry.topic}] from ${entry.name ? `${entry.name} ` : ""}<${entry.email}>\n${entry.message}\n`,
+    );
+    return [202, { status: "sent" }];
+  },
+
+  // Development only: inspect what has been delivered.
+  "GET /messages": async () => [200, inbox],
+};
+
+const server = createJsonServer({
+  site: args.site,
+  maxBodyBytes: MAX_BODY_BYTES,
+  routes,
+});
+
+server.listen(Number(args.port), () => {
+  console.log(`contact stand-in listening on http://localhost:${args.port}`);
+});
@@ -0,0 +1,71 @@
+// Measures the detection engine against the labelled corpus and prints
+// per-type recall plus the false-positive count. Exits non-zero on any miss.
+import { detectSensitiveData } from "../src/utils/detection/index.js";
+import {
+  NEGATIVE_SAMPLES,
+  POSITIVE_SAMPLES,
+} from "../src/utils/detection/corpus.js";
+
+const stats = {};
+const failures = [];
+
+const bump = (type, key) => {
+  stats[type] ??= { expected: 0, found: 0, spurious: 0 };
+  stats[type][key] += 1;
+};
+
+for (const sample of POSITIVE_SAMPLES) {
+  const matches = detectSensitiveData(sample.text);
+
+  for (const [type, value] of sample.expected) {
+    bump(type, "expected");
+    if (matches.some((m) => m.type === type && m.value === value)) {
+      bump(type, "found");
+    } else {
+      failures.push(`missed ${type} "${value}" in "${sample.text}"`);
+    }
+  }
+
+  for (const match of matches) {
+    const wanted = sample.expected.some(
+      ([type, value]) => match.type === type && match.value === value,
+    );
+    if (!wanted) {
+      bump(match.type, "spurious");
+      failures.push(
+        `unexpected ${match.type} "${match.value}" in "${sample.text}"`,
+      );
+    }
+  }
+}
+
+let falsePositives = 0;
+for (const text of NEGATIVE_SAMPLES) {
+  for (const match of detectSensitiveData(text)) {
+    falsePositives += 1;
+    bump(match.type, "spurious");
+    failures.push(`false positive ${match.type} "${match.value}" in "${text}"`);
+  }
+}
+
+console.table(
+  Object.fromEntries(
+    Object.entries(stats).map(([type, { expected, found, spurious }]) => [
+      type,
+      {
+        expected,
+        found,
+        spurious,
+        recall: expected ? (found / expected).toFixed(2) : "-",
+      },
+    ]),
+  ),
+);
+console.log(
+  `False positives: ${falsePositives} across ${NEGATIVE_SAMPLES.length} negative samples`,
+);
+
+if (failures.length) {
+  console.error(`\n${failures.join("\n")}`);
+  process.exitCode = 1;
+}
@@ -0,0 +1,91 @@
+// Plumbing shared by the local stand-in servers (waitlist, contact and
+// analytics): CORS for the development site, size-limited request bodies
+// and JSON replies.
+import { createServer } from "node:http";
+
+/**
+ * @param {import("node:http").ServerResponse} res
+ * @param {number} status
+ * @param {unknown} [body] Sent as JSON; omit for an empty reply.
+ * @param {Record<string, string>} [headers]
+ */
+export const sendJson = (res, status, body, headers = {}) => {
+  res.writeHead(status, { "Content-Type": "application/json", ...headers });
+  res.end(body === undefined ? "" : JSON.stringify(body));
+};
+
+/**
+ * Reads a request body as text, giving up past `maxBytes`.
+ *
+ * @param {import("node:http").IncomingMessage} req
+ * @param {number} maxBytes
+ * @returns {Promise<string>}
+ */
+export const readBody = (req, maxBytes) =>
+  new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > maxBytes) {
+        reject(new Error("body too large"));
+        req.destroy();
+      } else {
+        chunks.push(chunk);
+      }
+    });
+    req.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+    req.on("error", reject);
+  });
+
+/**
+ * Lets pages from `site` call the server, and answers CORS preflights.
+ *
+ * @param {import("node:http").IncomingMessage} req
+ * @param {import("node:http").ServerResponse} res
+ * @param {string} site Origin of the site, e.g. "http://localhost:5173".
+ * @returns {boolean} true when the request was a preflight and is answered.
+ */
+export const allowSite = (req, res, site) => {
+  res.setHeader("Access-Control-Allow-Origin", site);
+  res.setHeader("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+  if (req.method !== "OPTIONS") return false;
+  res.writeHead(204).end();
+  return true;
+};
+
+/**
+ * A JSON API server. Routes are keyed "METHOD /path" and get the parsed
+ * JSON body ({} for GET, an empty body or null) and the request; they return
+ * `[status, body, headers?]`. Unparseable or oversized bodies get a 400.
+ *
+ * @param {{
+ *   site: string,
+ *   maxBodyBytes: number,
+ *   routes: Record<string, (body: any, req: import("node:http").IncomingMessage) => Promise<[number, unknown, Record<string, string>?]>>,
+ * }} options
+ */
+export const createJsonServer = ({ site, maxBodyBytes, routes }) =>
+  createServer(async (req, res) => {
+    if (allowSite(req, res, site)) return;
+
+    const route =
+      routes[`${req.method} ${new URL(req.url, "http://x").pathname}`];
+    if (!route) {
+      sendJson(res, 404, { error: "not-found" });
+      return;
+    }
+
+    try {
+      const text =
+        req.method === "POST" ? await readBody(req, maxBodyBytes) : "";
+      const [status, payload, headers] = await route(
+        JSON.parse(text || "null") ?? {},
+        req,
+      );
+      sendJson(res, status, payload, headers);
+    } catch {
+      sendJson(res, 400, { error: "invalid-request" });
+    }
+  });
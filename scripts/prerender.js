@@ -0,0 +1,102 @@
+// Renders every static route of the built site to HTML so crawlers and link
+// previews see real content, then writes sitemap.xml and robots.txt from the
+// same route list. Runs after the client and SSR builds (see `npm run build`).
+import { mkdir, readFile, rm, writeFile } from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath, pathToFileURL } from "node:url";
+import { absoluteUrl, headMetaTags } from "../src/utils/pageMeta.js";
+
+const DIST_DIR = fileURLToPath(new URL("../dist", import.meta.url));
+const SERVER_DIR = path.join(DIST_DIR, "server");
+// Static hosts serve this for unknown paths; the client router then renders
+// the catch-all route, matching the prerendered markup.
+const NOT_FOUND_PATH = "/404";
+
+const escapeHtml = (value) =>
+  value
+    .replace(/&/g, "&amp;")
+    .replace(/"/g, "&quot;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+
+// Takes a replacer function so `$` sequences in rendered content are never
+// read as replacement patterns.
+const replaceOnce = (html, pattern, replacer, label) => {
+  const found =
+    typeof pattern === "string" ? html.includes(pattern) : pattern.test(html);
+  if (!found) throw new Error(`index.html has no ${label} to fill in.`);
+  return html.replace(pattern, replacer);
+};
+
+const applyHead = (template, head) => {
+  let html = replaceOnce(
+    template,
+    /<title>[\s\S]*?<\/title>/,
+    () => `<title>${escapeHtml(head.title)}</title>`,
+    "<title>",
+  );
+
+  for (const [attribute, key, value] of headMetaTags(head)) {
+    html = replaceOnce(
+      html,
+      new RegExp(`(<meta\\s+${attribute}="${key}"\\s+content=")[^"]*(")`),
+      (_, start, end) => `${start}${escapeHtml(value)}${end}`,
+      `${key} meta tag`,
+    );
+  }
+
+  return replaceOnce(
+    html,
+    /(<link\s+rel="canonical"\s+href=")[^"]*(")/,
+    (_, start, end) => `${start}${escapeHtml(head.canonical)}${end}`,
+    "canonical link",
+  );
+};
+
+const outputFile = (pathname) =>
+  pathname === NOT_FOUND_PATH
+    ? path.join(DIST_DIR, "404.html")
+    : path.join(DIST_DIR, pathname, "index.html");
+
+const sitemap = (pathnames) =>
+  `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${pathnames.map((pathname) => `  <url><loc>${absoluteUrl(pathname)}</loc></url>`).join("\n")}
+</urlset>
+`;
+
+const robots = () => `User-agent: *
+Allow: /
+
+Sitemap: ${absoluteUrl("/sitemap.xml")}
+`;
+
+const { paths, render } = await import(
+  pathToFileURL(path.join(SERVER_DIR, "entry-server.js")).href
+);
+const template = await readFile(path.join(DIST_DIR, "index.html"), "utf8");
+
+const pages = [...paths.map(({ path: pathname }) => pathname), NOT_FOUND_PATH];
+for (const pathname of pages) {
+  const { html, head } = await render(pathname);
+  const page = replaceOnce(
+    applyHead(template, head),
+    '<div id="root"></div>',
+    () => `<div id="root">${html}</div>`,
+    "empty #root element",
+  );
+
+  const file = outputFile(pathname);
+  await mkdir(path.dirname(file), { recursive: true });
+  await writeFile(file, page);
+  console.log(`prerendered ${pathname} -> ${path.relative(DIST_DIR, file)}`);
+}
+
+const indexed = paths
+  .filter(({ meta }) => !meta.noindex)
+  .map(({ path: pathname }) => pathname);
+await writeFile(path.join(DIST_DIR, "sitemap.xml"), sitemap(indexed));
+await writeFile(path.join(DIST_DIR, "robots.txt"), robots());
+console.log(`sitemap.xml lists ${indexed.length} pages`);
+
+await rm(SERVER_DIR, { recursive: true, force: true });
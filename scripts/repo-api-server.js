@@ -0,0 +1,80 @@
+// Local stand-in for the parts of GitHub's REST API that
+// scripts/repo-snapshot.js reads, with fixed data, so the snapshot can be
+// refreshed and checked without network access or rate limits.
+//
+//   npm run repo:server [-- --port 8789 --no-release]
+//   npm run repo:snapshot -- --source http://localhost:8789 --out /tmp/repository.json
+//
+// Any owner/name is answered with the same repository. --no-release answers
+// /releases/latest with 404, like a repository that has not published one.
+// Pass --out to the snapshot script so the committed snapshot is not
+// replaced with this made-up data.
+import { createServer } from "node:http";
+import { parseArgs } from "node:util";
+
+const { values: args } = parseArgs({
+  options: {
+    port: { type: "string", default: "8789" },
+    "no-release": { type: "boolean", default: false },
+  },
+});
+
+const repository = (owner, name) => ({
+  full_name: `${owner}/${name}`,
+  html_url: `https://github.com/${owner}/${name}`,
+  description: "Stand-in repository served by scripts/repo-api-server.js.",
+  stargazers_count: 1234,
+  forks_count: 56,
+  license: { spdx_id: "MIT", name: "MIT License" },
+});
+
+const release = (owner, name) => ({
+  tag_name: "v1.2.0",
+  name: "Faster masking on long pages",
+  published_at: "2026-09-01T12:00:00Z",
+  html_url: `https://github.com/${owner}/${name}/releases/tag/v1.2.0`,
+});
+
+// Includes a bot, which the snapshot leaves out.
+const CONTRIBUTORS = [
+  { login: "maintainer", type: "User", contributions: 412 },
+  { login: "dependabot[bot]", type: "Bot", contributions: 97 },
+  { login: "translator", type: "User", contributions: 38 },
+  { login: "first-timer", type: "User", contributions: 1 },
+].map((contributor) => ({
+  ...contributor,
+  html_url: `https://github.com/${contributor.login.replace(/\[bot\]$/, "")}`,
+}));
+
+const send = (res, status, body) => {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+};
+
+const ROUTE = /^\/repos\/([^/]+)\/([^/]+)(\/releases\/latest|\/contributors)?$/;
+
+const server = createServer((req, res) => {
+  const { pathname } = new URL(req.url, "http://x");
+  const match = req.method === "GET" && ROUTE.exec(pathname);
+  if (!match) {
+    send(res, 404, { message: "Not Found" });
+    return;
+  }
+
+  const [, owner, name, resource] = match;
+  console.log(`GET ${pathname}`);
+  if (resource === "/contributors") {
+    send(res, 200, CONTRIBUTORS);
+  } else if (resource === "/releases/latest") {
+    if (args["no-release"]) send(res, 404, { message: "Not Found" });
+    else send(res, 200, release(owner, name));
+  } else {
+    send(res, 200, repository(owner, name));
+  }
+});
+
+server.listen(Number(args.port), () => {
+  console.log(
+    `repository API stand-in listening on http://localhost:${args.port}`,
+  );
+});
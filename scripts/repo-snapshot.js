@@ -0,0 +1,132 @@
+// Refreshes src/content/repository.json, the snapshot of repository data
+// (stars, forks, license, latest release and contributors) shown in the
+// home page's About section. The site build only reads the committed
+// snapshot, so it works offline; run this to update it and commit the
+// result.
+//
+//   npm run repo:snapshot [-- --source https://api.github.com --repo intellwe/safe-web]
+//
+// --source is any server with GitHub's REST API shape; `npm run repo:server`
+// starts a local stand-in with fixed data for trying this without network
+// access. Set GITHUB_TOKEN to raise GitHub's rate limit. Nothing is written
+// unless every request succeeds and the result passes validation.
+import { readFileSync, writeFileSync } from "node:fs";
+import { fileURLToPath } from "node:url";
+import { parseArgs } from "node:util";
+import { validateRepository } from "../src/content/schema.js";
+
+const SNAPSHOT_FILE = fileURLToPath(
+  new URL("../src/content/repository.json", import.meta.url),
+);
+
+// The About section shows the people with the most commits.
+const MAX_CONTRIBUTORS = 24;
+
+const current = JSON.parse(readFileSync(SNAPSHOT_FILE, "utf8"));
+
+const { values: args } = parseArgs({
+  options: {
+    source: {
+      type: "string",
+      default: process.env.REPO_API_URL || "https://api.github.com",
+    },
+    repo: {
+      type: "string",
+      default: process.env.REPO_SLUG || current.repository.fullName,
+    },
+    out: { type: "string", default: SNAPSHOT_FILE },
+  },
+});
+
+const source = args.source.replace(/\/+$/, "");
+
+const request = async (path, { optional = false } = {}) => {
+  const response = await fetch(`${source}/repos/${args.repo}${path}`, {
+    headers: {
+      Accept: "application/vnd.github+json",
+      "User-Agent": "safe-web-repo-snapshot",
+      ...(process.env.GITHUB_TOKEN && {
+        Authorization: `Bearer ${process.env.GITHUB_TOKEN}`,
+      }),
+    },
+  });
+  if (optional && response.status === 404) return null;
+  if (!response.ok) {
+    throw new Error(
+      `${source}/repos/${args.repo}${path} responded with ${response.status} ${response.statusText}`,
+    );
+  }
+  return response.json();
+};
+
+const toLicense = (license, repositoryUrl) =>
+  license?.spdx_id && license.spdx_id !== "NOASSERTION"
+    ? {
+        id: license.spdx_id,
+        name: license.name,
+        url: `${repositoryUrl}/blob/HEAD/LICENSE`,
+      }
+    : null;
+
+const toRelease = (release) =>
+  release && {
+    version: release.tag_name.replace(/^v/, ""),
+    name: release.name || null,
+    date: release.published_at.slice(0, 10),
+    url: release.html_url,
+  };
+
+// Bots (dependabot and the like) are left out.
+const toContributors = (contributors) =>
+  contributors
+    .filter((contributor) => contributor.type !== "Bot")
+    .sort((a, b) => b.contributions - a.contributions)
+    .slice(0, MAX_CONTRIBUTORS)
+    .map((contributor) => ({
+      login: contributor.login,
+      url: contributor.html_url,
+      contributions: contributor.contributions,
+    }));
+
+let snapshot;
+try {
+  const [repository, release, contributors] = await Promise.all([
+    request(""),
+    request("/releases/latest", { optional: true }),
+    request("/contributors?per_page=100"),
+  ]);
+  snapshot = {
+    fetchedAt: new Date().toISOString(),
+    source,
+    repository: {
+      fullName: repository.full_name,
+      url: repository.html_url,
+      description: repository.description || null,
+      stars: repository.stargazers_count,
+      forks: repository.forks_count,
+      license: toLicense(repository.license, repository.html_url),
+    },
+    latestRelease: toRelease(release),
+    contributors: toContributors(contributors),
+  };
+} catch (error) {
+  console.error(
+    `Could not fetch repository data, keeping the current snapshot: ${error.message}`,
+  );
+  process.exit(1);
+}
+
+const errors = validateRepository(snapshot);
+if (errors.length) {
+  console.error(
+    `The fetched data does not match src/content/schema.js, keeping the current snapshot:\n  - ${errors.join("\n  - ")}`,
+  );
+  process.exit(1);
+}
+
+writeFileSync(args.out, `${JSON.stringify(snapshot, null, 2)}\n`);
+const { stars, forks } = snapshot.repository;
+console.log(
+  `${snapshot.repository.fullName}: ${stars} stars, ${forks} forks, ${snapshot.contributors.length} contributors, latest release ${snapshot.latestRelease?.version ?? "none"}`,
+);
+console.log(`wrote ${args.out}`);
@@ -0,0 +1,267 @@
+// Builds the Content Security Policy and other security headers from the
+// prerendered pages, then publishes them twice: as dist/_headers (read by
+// Netlify and Cloudflare Pages) and as <meta> tags in every page for hosts
+// that cannot set headers. Runs after prerendering in `npm run build`.
+//
+// The build fails when a page contains an inline script that is not listed
+// in INLINE_SCRIPTS, an inline event handler or javascript: URL, or loads
+// anything from an origin the policy does not declare. Hashes for inline
+// style attributes (entrance-animation start states rendered by Framer
+// Motion) are collected automatically.
+import { createHash } from "node:crypto";
+import { readdir, readFile, writeFile } from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { JSDOM } from "jsdom";
+import { loadEnv } from "vite";
+import { SITE_URL } from "../src/utils/pageMeta.js";
+import { themeBootScript } from "../src/theme/themes.js";
+
+const ROOT_DIR = fileURLToPath(new URL("..", import.meta.url));
+const DIST_DIR = path.join(ROOT_DIR, "dist");
+
+// Every inline script the site is allowed to ship, by where it comes from.
+const INLINE_SCRIPTS = {
+  "theme boot script (plugins/theme.js)": themeBootScript(),
+};
+
+// Script types browsers do not execute, so CSP does not apply to them.
+const DATA_SCRIPT_TYPES = new Set(["application/ld+json", "application/json"]);
+
+// Endpoints the client talks to, configured at build time.
+const ENDPOINT_VARIABLES = [
+  "VITE_WAITLIST_ENDPOINT",
+  "VITE_CONTACT_ENDPOINT",
+  "VITE_ANALYTICS_ENDPOINT",
+];
+
+const baseDirectives = () => ({
+  "default-src": ["'self'"],
+  "script-src": ["'self'"],
+  "style-src": ["'self'"],
+  "style-src-attr": [],
+  "img-src": ["'self'", "data:"],
+  "font-src": ["'self'"],
+  "connect-src": ["'self'"],
+  "manifest-src": ["'self'"],
+  "worker-src": ["'self'"],
+  "object-src": ["'none'"],
+  "base-uri": ["'self'"],
+  "form-action": ["'self'"],
+  "frame-ancestors": ["'none'"],
+});
+
+// Directives browsers ignore in a <meta> policy.
+const HEADER_ONLY_DIRECTIVES = new Set(["frame-ancestors"]);
+
+const OTHER_HEADERS = {
+  "Referrer-Policy": "no-referrer",
+  "Permissions-Policy":
+    "camera=(), microphone=(), geolocation=(), payment=(), usb=(), browsing-topics=()",
+  "Strict-Transport-Security": "max-age=63072000; includeSubDomains",
+  "X-Content-Type-Options": "nosniff",
+  "X-Frame-Options": "DENY",
+  "Cross-Origin-Opener-Policy": "same-origin",
+};
+
+// Elements that fetch something, and the directive that governs them.
+const RESOURCE_SELECTORS = [
+  ["script[src]", "src", "script-src"],
+  ["img[src]", "src", "img-src"],
+  ["source[src]", "src", "img-src"],
+  ["iframe[src]", "src", "frame-src"],
+  ['link[rel~="stylesheet"]', "href", "style-src"],
+  ['link[rel~="icon"]', "href", "img-src"],
+  ['link[rel="apple-touch-icon"]', "href", "img-src"],
+  ['link[rel="manifest"]', "href", "manifest-src"],
+  ['link[rel="preconnect"]', "href", "default-src"],
+  ['link[rel="dns-prefetch"]', "href", "default-src"],
+  ['link[rel="preload"]', "href", "default-src"],
+  ['link[rel="modulepreload"]', "href", "script-src"],
+  ["form[action]", "action", "form-action"],
+];
+
+const sha256 = (value) =>
+  `'sha256-${createHash("sha256").update(value, "utf8").digest("base64")}'`;
+
+const findPages = async (dir) => {
+  const entries = await readdir(dir, { withFileTypes: true });
+  const nested = await Promise.all(
+    entries.map((entry) => {
+      const file = path.join(dir, entry.name);
+      if (entry.isDirectory()) return findPages(file);
+      return entry.name.endsWith(".html") ? [file] : [];
+    }),
+  );
+  return nested.flat();
+};
+
+const declaredOrigins = () => {
+  const env = loadEnv("production", ROOT_DIR, "VITE_");
+  return ENDPOINT_VARIABLES.filter((name) => env[name]).map(
+    (name) => new URL(env[name]).origin,
+  );
+};
+
+// `source` is 'self' or an origin; allowed if the directive (or default-src
+// when it is not set) lists it.
+const allows = (directives, directive, source) => {
+  const list = directives[directive] ?? directives["default-src"];
+  return list.includes(source);
+};
+
+const sourceFor = (url, siteOrigin) => {
+  if (url.protocol === "data:") return "data:";
+  return url.origin === siteOrigin ? "'self'" : url.origin;
+};
+
+const inspectPage = (html, name, { scriptHashes, directives, siteOrigin }) => {
+  const { document } = new JSDOM(html, { url: `${siteOrigin}/` }).window;
+  const errors = [];
+  const styleAttributes = new Set();
+
+  for (const script of document.querySelectorAll("script:not([src])")) {
+    const type = script.getAttribute("type")?.toLowerCase();
+    if (type && DATA_SCRIPT_TYPES.has(type)) continue;
+    if (!scriptHashes.has(sha256(script.textContent))) {
+      errors.push(
+        `${name}: inline script is not in INLINE_SCRIPTS: ${script.textContent.trim().slice(0, 60)}…`,
+      );
+    }
+  }
+
+  for (const element of document.querySelectorAll("*")) {
+    for (const { name: attribute, value } of element.attributes) {
+      if (attribute.startsWith("on")) {
+        errors.push(
+          `${name}: inline event handler ${attribute} on <${element.localName}>`,
+        );
+      } else if (/^\s*javascript:/i.test(value)) {
+        errors.push(`${name}: javascript: URL on <${element.localName}>`);
+      } else if (attribute === "style") {
+        styleAttributes.add(value);
+      }
+    }
+  }
+
+  for (const [selector, attribute, directive] of RESOURCE_SELECTORS) {
+    for (const element of document.querySelectorAll(selector)) {
+      const url = new URL(element.getAttribute(attribute), `${siteOrigin}/`);
+      const source = sourceFor(url, siteOrigin);
+      if (!allows(directives, directive, source)) {
+        errors.push(
+          `${name}: <${element.localName}> loads ${url.href}, but ${source} is not declared in ${directive}`,
+        );
+      }
+    }
+  }
+
+  if (document.querySelector("style")) {
+    errors.push(`${name}: inline <style> elements are not allowed`);
+  }
+
+  return { errors, styleAttributes };
+};
+
+const inspectStylesheets = async (directives, siteOrigin) => {
+  const assetsDir = path.join(DIST_DIR, "assets");
+  const files = (await readdir(assetsDir)).filter((file) =>
+    file.endsWith(".css"),
+  );
+  const errors = [];
+  for (const file of files) {
+    const css = await readFile(path.join(assetsDir, file), "utf8");
+    for (const [, raw] of css.matchAll(/url\(\s*['"]?([^'")]+)['"]?\s*\)/g)) {
+      const source = sourceFor(new URL(raw, `${siteOrigin}/`), siteOrigin);
+      if (
+        !allows(directives, "img-src", source) &&
+        !allows(directives, "font-src", source)
+      ) {
+        errors.push(
+          `assets/${file}: url(${raw}) is not declared in img-src or font-src`,
+        );
+      }
+    }
+  }
+  return errors;
+};
+
+const serialize = (directives, { meta = false } = {}) =>
+  Object.entries(directives)
+    .filter(([, sources]) => sources.length > 0)
+    .filter(([name]) => !(meta && HEADER_ONLY_DIRECTIVES.has(name)))
+    .map(([name, sources]) => `${name} ${sources.join(" ")}`)
+    .join("; ");
+
+const escapeAttribute = (value) =>
+  value.replace(/&/g, "&amp;").replace(/"/g, "&quot;");
+
+const metaTags = (directives) =>
+  [
+    `<meta http-equiv="Content-Security-Policy" content="${escapeAttribute(serialize(directives, { meta: true }))}" />`,
+    `<meta name="referrer" content="${OTHER_HEADERS["Referrer-Policy"]}" />`,
+  ].join("\n    ");
+
+// Goes straight after <meta charset>, ahead of every script on the page.
+const CHARSET_META = /<meta charset="[^"]*"\s*\/?>/i;
+
+const headersFile = (directives) =>
+  [
+    "/*",
+    `  Content-Security-Policy: ${serialize(directives)}`,
+    ...Object.entries(OTHER_HEADERS).map(
+      ([name, value]) => `  ${name}: ${value}`,
+    ),
+    "",
+  ].join("\n");
+
+const siteOrigin = new URL(SITE_URL).origin;
+const directives = baseDirectives();
+directives["connect-src"].push(...declaredOrigins());
+
+const scriptHashes = new Set(Object.values(INLINE_SCRIPTS).map(sha256));
+directives["script-src"].push(...scriptHashes);
+
+const pages = (await findPages(DIST_DIR)).sort();
+const contents = new Map();
+const styleAttributes = new Set();
+const errors = await inspectStylesheets(directives, siteOrigin);
+
+for (const file of pages) {
+  const html = await readFile(file, "utf8");
+  contents.set(file, html);
+  const result = inspectPage(html, path.relative(DIST_DIR, file), {
+    scriptHashes,
+    directives,
+    siteOrigin,
+  });
+  errors.push(...result.errors);
+  for (const value of result.styleAttributes) styleAttributes.add(value);
+}
+
+if (errors.length) {
+  console.error(`Security policy check failed:\n  ${errors.join("\n  ")}`);
+  process.exit(1);
+}
+
+if (styleAttributes.size) {
+  directives["style-src-attr"].push(
+    "'unsafe-hashes'",
+    ...[...styleAttributes].sort().map(sha256),
+  );
+}
+
+for (const [file, html] of contents) {
+  if (!CHARSET_META.test(html)) {
+    throw new Error(`${path.relative(DIST_DIR, file)} has no <meta charset>.`);
+  }
+  await writeFile(
+    file,
+    html.replace(CHARSET_META, (tag) => `${tag}\n    ${metaTags(directives)}`),
+  );
+}
+await writeFile(path.join(DIST_DIR, "_headers"), headersFile(directives));
+
+console.log(
+  `security headers: ${pages.length} page(s), ${scriptHashes.size} inline script hash(es), ${styleAttributes.size} style attribute hash(es)`,
+);
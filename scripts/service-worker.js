@@ -0,0 +1,84 @@
+// Generates dist/sw.js from src/service-worker.js: lists the built assets
+// and prerendered pages to precache and derives the cache version from their
+// contents, so every deploy that changes a file gets a fresh cache. Runs
+// last in `npm run build`, after the pages have their final markup.
+import { createHash } from "node:crypto";
+import { readdir, readFile, writeFile } from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const ROOT_DIR = fileURLToPath(new URL("..", import.meta.url));
+const DIST_DIR = path.join(ROOT_DIR, "dist");
+const TEMPLATE = path.join(ROOT_DIR, "src", "service-worker.js");
+const OUTPUT = path.join(DIST_DIR, "sw.js");
+const OFFLINE_PAGE = "/offline";
+
+// Host and crawler files, the 404 page (served by the host for unknown
+// paths) and large images only used by link previews.
+const EXCLUDED = new Set([
+  "sw.js",
+  "_headers",
+  "robots.txt",
+  "sitemap.xml",
+  "404.html",
+  "og-image.png",
+  "vite.svg",
+]);
+
+const findFiles = async (dir) => {
+  const entries = await readdir(dir, { withFileTypes: true });
+  const nested = await Promise.all(
+    entries.map((entry) => {
+      const file = path.join(dir, entry.name);
+      return entry.isDirectory() ? findFiles(file) : [file];
+    }),
+  );
+  return nested.flat();
+};
+
+// dist/about/index.html is served as /about, dist/index.html as /.
+const urlFor = (relative) => {
+  const url = `/${relative.split(path.sep).join("/")}`;
+  if (url === "/index.html") return "/";
+  return url.endsWith("/index.html")
+    ? url.slice(0, -"/index.html".length)
+    : url;
+};
+
+const files = (await findFiles(DIST_DIR))
+  .map((file) => path.relative(DIST_DIR, file))
+  .filter((relative) => !EXCLUDED.has(relative))
+  .sort();
+
+const hash = createHash("sha256");
+const precache = [];
+for (const relative of files) {
+  const url = urlFor(relative);
+  hash.update(url).update(await readFile(path.join(DIST_DIR, relative)));
+  precache.push(url);
+}
+
+if (!precache.includes(OFFLINE_PAGE)) {
+  throw new Error(`The offline page ${OFFLINE_PAGE} was not prerendered.`);
+}
+
+const manifest = {
+  version: hash.digest("hex").slice(0, 12),
+  precache,
+  offlinePage: OFFLINE_PAGE,
+};
+const template = await readFile(TEMPLATE, "utf8");
+await writeFile(
+  OUTPUT,
+  `self.__SW_MANIFEST = ${JSON.stringify(manifest)};\n\n${template}`,
+);
+
+// The worker script must be revalidated on every visit or browsers keep
+// checking a stale copy for updates.
+const headers = path.join(DIST_DIR, "_headers");
+const existing = await readFile(headers, "utf8");
+await writeFile(headers, `${existing}\n/sw.js\n  Cache-Control: no-cache\n`);
+
+console.log(
+  `sw.js precaches ${precache.length} files (version ${manifest.version})`,
+);
@@ -0,0 +1,96 @@
+// Local stand-in for the waitlist service, for trying the signup and
+// double opt-in flow in development. Keeps signups in memory and prints the
+// confirmation link instead of emailing it.
+//
+//   npm run waitlist:server [-- --port 8787 --site http://localhost:5173]
+import { randomUUID } from "node:crypto";
+import { readFileSync } from "node:fs";
+import { parseArgs } from "node:util";
+import { validateSignup } from "../src/utils/waitlist/validate.js";
+import { createJsonServer } from "./lib/http.js";
+
+const { values: args } = parseArgs({
+  options: {
+    port: { type: "string", default: "8787" },
+    site: { type: "string", default: "http://localhost:5173" },
+  },
+});
+
+const readContent = (file) =>
+  JSON.parse(
+    readFileSync(new URL(`../src/content/${file}`, import.meta.url), "utf8"),
+  );
+const LISTS = {
+  browserIds: readContent("browsers.json").map((browser) => browser.id),
+  featureIds: readContent("features.json").map((feature) => feature.id),
+};
+
+const TOKEN_TTL_MS = 48 * 60 * 60 * 1000;
+const MAX_BODY_BYTES = 16 * 1024;
+
+/** @type {Map<string, { email: string, browsers: string[], features: string[], locale: string, createdAt: string, confirmedAt: string | null }>} */
+const signups = new Map();
+/** @type {Map<string, { email: string, expiresAt: number }>} */
+const tokens = new Map();
+
+const routes = {
+  "POST /signups": async (body) => {
+    const errors = validateSignup(body, LISTS);
+    if (Object.keys(errors).length) {
+      return [400, { error: "invalid-signup", fields: errors }];
+    }
+
+    const email = body.email.trim().toLowerCase();
+    const existing = signups.get(email);
+    signups.set(email, {
+      email,
+      browsers: body.browsers,
+      features: body.features,
+      locale: body.locale ?? "en",
+      createdAt: existing?.createdAt ?? new Date().toISOString(),
+      confirmedAt: existing?.confirmedAt ?? null,
+    });
+
+    // Answer the same way whether or not the address is already confirmed,
+    // so the endpoint cannot be used to look up who signed up.
+    if (!existing?.confirmedAt) {
+      const token = randomUUID();
+      tokens.set(token, { email, expiresAt: Date.now() + TOKEN_TTL_MS });
+      console.log(
+        `confirmation email for ${email}: ${args.site}/waitlist/confirm?token=${token}`,
+      );
+    }
+    return [202, { status: "pending" }];
+  },
+
+  "POST /confirm": async (body) => {
+    const entry = tokens.get(body.token);
+    if (!entry) return [404, { error: "invalid-token" }];
+    if (entry.expiresAt < Date.now()) {
+      tokens.delete(body.token);
+      return [410, { error: "expired-token" }];
+    }
+
+    // A used token keeps answering "confirmed" until it expires, so opening
+    // the link twice, or a page that asks twice, does not report a failure.
+    const signup = signups.get(entry.email);
+    if (!signup.confirmedAt) {
+      signup.confirmedAt = new Date().toISOString();
+      console.log(`confirmed ${entry.email}`);
+    }
+    return [200, { status: "confirmed" }];
+  },
+
+  // Development only: inspect what has been stored.
+  "GET /signups": async () => [200, [...signups.values()]],
+};
+
+const server = createJsonServer({
+  site: args.site,
+  maxBodyBytes: MAX_BODY_BYTES,
+  routes,
+});
+
+server.listen(Number(args.port), () => {
+  console.log(`waitlist stand-in listening on http://localhost:${args.port}`);
+});
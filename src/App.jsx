@@ -1,18 +1,48 @@
+import { lazy, Suspense } from "react";
+import { Outlet } from "react-router";
+import { LazyMotion, MotionConfig } from "framer-motion";
 import Header from "./components/Header";
-import HeroSection from "./components/HeroSection";
-import FeaturesSection from "./components/FeaturesSection";
-import BrowserSection from "./components/BrowserSection";
-import Footer from "./components/Footer";
+import ScrollManager from "./components/ScrollManager";
+import DocumentHead from "./components/DocumentHead";
+import SkipLink from "./components/SkipLink";
+import PwaToasts from "./components/PwaToasts";
 
+// Below the fold on every page, so it is not part of the first download.
+const Footer = lazy(() => import("./components/Footer"));
+
+const MAIN_ID = "main-content";
+
+const loadMotionFeatures = () =>
+  import("./utils/motionFeatures.js").then((module) => module.default);
+
+// reducedMotion="user" drops transform and layout animations (entrances,
+// hover scaling) for visitors who ask for reduced motion, keeping fades;
+// CSS transitions are handled in index.css. Components use the `m` elements,
+// which render straight away and start animating once LazyMotion has loaded
+// the animation features; `strict` catches a stray full `motion` import.
 function App() {
   return (
-    <div className="min-h-screen bg-gray-900">
-      <Header />
-      <HeroSection />
-      <FeaturesSection />
-      <BrowserSection />
-      <Footer />
-    </div>
+    <LazyMotion features={loadMotionFeatures} strict>
+      <MotionConfig reducedMotion="user">
+        <div className="min-h-screen bg-gray-900">
+          <SkipLink target={MAIN_ID} />
+          <ScrollManager />
+          <DocumentHead />
+          <Header />
+          <main id={MAIN_ID} tabIndex={-1} className="focus:outline-none">
+            {/* Lazy pages (see routes.jsx) keep their prerendered markup
+                until their chunk arrives, while the header hydrates. */}
+            <Suspense fallback={null}>
+              <Outlet />
+            </Suspense>
+          </main>
+          <Suspense fallback={null}>
+            <Footer />
+          </Suspense>
+          <PwaToasts />
+        </div>
+      </MotionConfig>
+    </LazyMotion>
   );
 }
 
@@ -0,0 +1,223 @@
+import { Link } from "react-router";
+import { m } from "framer-motion";
+import {
+  FiArrowRight,
+  FiFileText,
+  FiGitBranch,
+  FiGithub,
+  FiStar,
+  FiTag,
+} from "react-icons/fi";
+import snapshot from "../content/repository.json";
+import changelog from "../content/changelog.json";
+import useI18n from "../i18n/useI18n";
+import { trackSection } from "../utils/analytics";
+import {
+  CHANGELOG_PATH,
+  latestReleaseNote,
+  releaseAnchor,
+} from "../utils/changelog";
+
+const { repository, contributors } = snapshot;
+
+// The snapshot's GitHub release when there is one, otherwise the newest
+// entry in the site's own release notes.
+const latestRelease = (() => {
+  if (snapshot.latestRelease) {
+    const { version, date, url } = snapshot.latestRelease;
+    return { version, date, href: url };
+  }
+  const note = latestReleaseNote(changelog);
+  return (
+    note && {
+      version: note.id,
+      date: note.date,
+      to: `${CHANGELOG_PATH}#${releaseAnchor(note)}`,
+    }
+  );
+})();
+
+const statClassName =
+  "bg-gray-800/50 backdrop-blur-sm border border-gray-700 rounded-xl p-6 flex items-start gap-4";
+
+const StatLink = ({ href, to, children }) =>
+  to ? (
+    <Link
+      to={to}
+      className="hover:text-cyan-400 transition-colors duration-200"
+    >
+      {children}
+    </Link>
+  ) : (
+    <a
+      href={href}
+      target="_blank"
+      rel="noopener noreferrer"
+      className="hover:text-cyan-400 transition-colors duration-200"
+    >
+      {children}
+    </a>
+  );
+
+const Stat = ({ icon, label, children }) => {
+  const IconComponent = icon;
+  return (
+    <li className={statClassName}>
+      <div className="w-10 h-10 shrink-0 bg-gradient-to-r from-cyan-500 to-blue-600 rounded-lg flex items-center justify-center">
+        <IconComponent className="w-5 h-5 text-on-accent" aria-hidden="true" />
+      </div>
+      <div>
+        <p className="text-sm text-gray-400">{label}</p>
+        <p className="text-xl font-semibold text-white">{children}</p>
+      </div>
+    </li>
+  );
+};
+
+const AboutSection = () => {
+  const { t, formatDate, formatNumber } = useI18n();
+  const formatCount = (count) =>
+    formatNumber(count, { notation: "compact", maximumFractionDigits: 1 });
+
+  return (
+    <section id="about" className="bg-gray-900 py-20">
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+        <m.header
+          initial={{ y: 50, opacity: 0 }}
+          whileInView={{ y: 0, opacity: 1 }}
+          onViewportEnter={() => trackSection("about")}
+          transition={{ duration: 0.8 }}
+          viewport={{ once: true }}
+          className="text-center mb-16"
+        >
+          <h2 className="text-4xl md:text-5xl font-bold text-white mb-6">
+            {t("about.title")}{" "}
+            <span className="bg-gradient-to-r from-cyan-400 to-blue-500 bg-clip-text text-transparent">
+              {t("about.titleHighlight")}
+            </span>
+          </h2>
+          <p className="text-xl text-gray-300 max-w-3xl mx-auto">
+            {t("about.mission")}
+          </p>
+        </m.header>
+
+        <m.ul
+          initial={{ y: 50, opacity: 0 }}
+          whileInView={{ y: 0, opacity: 1 }}
+          transition={{ duration: 0.8, delay: 0.1 }}
+          viewport={{ once: true }}
+          className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-6 mb-12"
+        >
+          {repository.stars !== null && (
+            <Stat icon={FiStar} label={t("about.stars")}>
+              <StatLink href={`${repository.url}/stargazers`}>
+                {formatCount(repository.stars)}
+              </StatLink>
+            </Stat>
+          )}
+          {repository.forks !== null && (
+            <Stat icon={FiGitBranch} label={t("about.forks")}>
+              <StatLink href={`${repository.url}/forks`}>
+                {formatCount(repository.forks)}
+              </StatLink>
+            </Stat>
+          )}
+          {repository.license && (
+            <Stat icon={FiFileText} label={t("about.license")}>
+              <StatLink href={repository.license.url}>
+                {repository.license.id}
+              </StatLink>
+            </Stat>
+          )}
+          {latestRelease && (
+            <Stat icon={FiTag} label={t("about.latestRelease")}>
+              <StatLink href={latestRelease.href} to={latestRelease.to}>
+                v{latestRelease.version}
+              </StatLink>
+              <span className="block text-sm font-normal text-gray-400">
+                {formatDate(new Date(latestRelease.date), {
+                  dateStyle: "medium",
+                  timeZone: "UTC",
+                })}
+              </span>
+            </Stat>
+          )}
+        </m.ul>
+
+        <m.div
+          initial={{ y: 50, opacity: 0 }}
+          whileInView={{ y: 0, opacity: 1 }}
+          transition={{ duration: 0.8, delay: 0.2 }}
+          viewport={{ once: true }}
+          className="text-center"
+        >
+          <h3 className="text-2xl font-semibold text-white mb-6">
+            {t("about.contributors")}
+          </h3>
+          {contributors.length > 0 ? (
+            <ul className="flex flex-wrap justify-center gap-3 mb-8">
+              {contributors.map((contributor) => (
+                <li key={contributor.login}>
+                  <a
+                    href={contributor.url}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    title={t("about.contributions", {
+                      count: contributor.contributions,
+                    })}
+                    className="flex items-center gap-2 rounded-full border border-gray-700 bg-gray-800/50 py-1 ps-1 pe-4 text-gray-300 hover:border-cyan-500/50 hover:text-cyan-400 transition-colors duration-200"
+                  >
+                    <span
+                      className="w-8 h-8 rounded-full bg-gradient-to-r from-cyan-500 to-blue-600 text-on-accent text-sm font-semibold flex items-center justify-center uppercase"
+                      aria-hidden="true"
+                    >
+                      {contributor.login[0]}
+                    </span>
+                    <span>{contributor.login}</span>
+                  </a>
+                </li>
+              ))}
+            </ul>
+          ) : (
+            <p className="text-gray-400 mb-8">{t("about.contributorsEmpty")}</p>
+          )}
+
+          <div className="flex flex-col sm:flex-row items-center justify-center gap-4">
+            <a
+              href={`${repository.url}/graphs/contributors`}
+              data-cta="github:about"
+              target="_blank"
+              rel="noopener noreferrer"
+              className="inline-flex items-center space-x-2 border border-gray-600 text-gray-300 px-6 py-3 rounded-lg hover:border-cyan-500/50 hover:text-cyan-400 transition-colors duration-200"
+            >
+              <FiGithub className="w-5 h-5" aria-hidden="true" />
+              <span>{t("about.github")}</span>
+            </a>
+            <Link
+              to="/about"
+              className="inline-flex items-center space-x-1 text-cyan-400 hover:text-cyan-300 transition-colors duration-200"
+            >
+              <span>{t("about.more")}</span>
+              <FiArrowRight
+                className="w-4 h-4 rtl:rotate-180"
+                aria-hidden="true"
+              />
+            </Link>
+          </div>
+
+          {snapshot.fetchedAt && (
+            <p className="text-sm text-gray-500 mt-8">
+              {t("about.asOf", {
+                date: formatDate(new Date(snapshot.fetchedAt), {
+                  dateStyle: "long",
+                }),
+              })}
+            </p>
+          )}
+        </m.div>
+      </div>
+    </section>
+  );
+};
+
+export default AboutSection;
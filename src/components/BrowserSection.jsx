@@ -1,50 +1,64 @@
-import { motion } from "framer-motion";
+import { m } from "framer-motion";
 import { FiGlobe } from "react-icons/fi";
-import { SiGooglechrome, SiFirefox } from "react-icons/si";
+import { ChromeIcon, FirefoxIcon } from "./BrandIcons";
+import StatusBadge from "./StatusBadge";
+import useI18n from "../i18n/useI18n";
+import { trackSection } from "../utils/analytics";
+import useDownloadOffer from "../hooks/useDownloadOffer";
+
+const ICONS = {
+  chrome: ChromeIcon,
+  firefox: FirefoxIcon,
+  globe: FiGlobe,
+};
+
+const ACCENTS = {
+  blue: {
+    color: "text-blue-500",
+    bgColor: "bg-blue-500/10",
+    borderColor: "border-blue-500/30",
+  },
+  cyan: {
+    color: "text-cyan-500",
+    bgColor: "bg-cyan-500/10",
+    borderColor: "border-cyan-500/30",
+  },
+  green: {
+    color: "text-green-500",
+    bgColor: "bg-green-500/10",
+    borderColor: "border-green-500/30",
+  },
+  indigo: {
+    color: "text-indigo-500",
+    bgColor: "bg-indigo-500/10",
+    borderColor: "border-indigo-500/30",
+  },
+  orange: {
+    color: "text-orange-500",
+    bgColor: "bg-orange-500/10",
+    borderColor: "border-orange-500/30",
+  },
+  purple: {
+    color: "text-purple-500",
+    bgColor: "bg-purple-500/10",
+    borderColor: "border-purple-500/30",
+  },
+  red: {
+    color: "text-red-500",
+    bgColor: "bg-red-500/10",
+    borderColor: "border-red-500/30",
+  },
+  yellow: {
+    color: "text-yellow-500",
+    bgColor: "bg-yellow-500/10",
+    borderColor: "border-yellow-500/30",
+  },
+};
 
 const BrowserSection = () => {
-  const browsers = [
-    {
-      name: "Chrome",
-      icon: SiGooglechrome,
-      status: "in-development",
-      color: "text-blue-500",
-      bgColor: "bg-blue-500/10",
-      borderColor: "border-blue-500/30",
-    },
-    {
-      name: "Firefox",
-      icon: SiFirefox,
-      status: "planned",
-      color: "text-orange-500",
-      bgColor: "bg-orange-500/10",
-      borderColor: "border-orange-500/30",
-    },
-    {
-      name: "Edge",
-      icon: FiGlobe,
-      status: "planned",
-      color: "text-green-500",
-      bgColor: "bg-green-500/10",
-      borderColor: "border-green-500/30",
-    },
-    {
-      name: "Safari",
-      icon: FiGlobe,
-      status: "planned",
-      color: "text-cyan-500",
-      bgColor: "bg-cyan-500/10",
-      borderColor: "border-cyan-500/30",
-    },
-    {
-      name: "Opera",
-      icon: FiGlobe,
-      status: "planned",
-      color: "text-red-500",
-      bgColor: "bg-red-500/10",
-      borderColor: "border-red-500/30",
-    },
-  ];
+  const { t } = useI18n();
+  const { browsers, detected, offer } = useDownloadOffer();
+  const visitorBrowser = detected && !detected.mobile ? detected.id : null;
 
   const containerVariants = {
     hidden: { opacity: 0 },
@@ -70,77 +84,95 @@ const BrowserSection = () => {
   return (
     <section id="browsers" className="bg-gray-800 py-20">
       <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
-        <motion.header
+        <m.header
           initial={{ y: 50, opacity: 0 }}
           whileInView={{ y: 0, opacity: 1 }}
+          onViewportEnter={() => trackSection("browsers")}
           transition={{ duration: 0.8 }}
           viewport={{ once: true }}
           className="text-center mb-16"
         >
           <h2 className="text-4xl md:text-5xl font-bold text-white mb-6">
-            Browser{" "}
+            {t("browsers.title")}{" "}
             <span className="bg-gradient-to-r from-cyan-400 to-blue-500 bg-clip-text text-transparent">
-              Compatibility
+              {t("browsers.titleHighlight")}
             </span>
           </h2>
           <p className="text-xl text-gray-300 max-w-3xl mx-auto">
-            Safe-Web browser extension will be available across all major web
-            browsers including Chrome, Firefox, Edge, Safari, and Opera to
-            ensure maximum accessibility and user convenience.
+            {t("browsers.description")}
           </p>
-        </motion.header>
+        </m.header>
 
-        <motion.div
+        <m.div
           variants={containerVariants}
           initial="hidden"
           whileInView="visible"
           viewport={{ once: true }}
           className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-5 gap-6"
         >
-          {browsers.map((browser, index) => {
-            const IconComponent = browser.icon;
+          {browsers.map((browser) => {
+            const IconComponent = ICONS[browser.icon];
+            const accent = ACCENTS[browser.accent];
+            const isVisitors = browser.id === visitorBrowser;
             return (
-              <motion.div
-                key={browser.name}
+              <m.div
+                key={browser.id}
                 variants={itemVariants}
                 whileHover={{ scale: 1.05, y: -5 }}
-                className={`${browser.bgColor} ${browser.borderColor} border rounded-xl p-6 text-center backdrop-blur-sm hover:shadow-lg transition-all duration-300`}
+                aria-current={isVisitors ? "true" : undefined}
+                className={`${accent.bgColor} ${accent.borderColor} border rounded-xl p-6 text-center backdrop-blur-sm hover:shadow-lg transition-all duration-300 relative ${
+                  isVisitors
+                    ? "ring-2 ring-cyan-400 shadow-lg shadow-cyan-500/20"
+                    : ""
+                }`}
               >
+                {isVisitors && (
+                  <span className="absolute -top-3 start-1/2 -translate-x-1/2 rtl:translate-x-1/2 whitespace-nowrap px-2 py-0.5 rounded-full bg-cyan-500 text-gray-900 text-xs font-semibold">
+                    {t("download.yourBrowser")}
+                  </span>
+                )}
                 <div className="flex flex-col items-center">
                   <IconComponent
-                    className={`w-16 h-16 ${browser.color} mb-4`}
+                    className={`w-16 h-16 ${accent.color} mb-4`}
+                    aria-hidden="true"
                   />
                   <h3 className="text-lg font-semibold text-white mb-2">
                     {browser.name}
                   </h3>
 
-                  {browser.status === "in-development" ? (
-                    <span className="bg-cyan-500/20 text-cyan-400 px-3 py-1 rounded-full text-sm font-semibold border border-cyan-500/30">
-                      Available
-                    </span>
-                  ) : (
-                    <span className="bg-gray-600/20 text-gray-400 px-3 py-1 rounded-full text-sm font-semibold border border-gray-600/30">
-                      Coming Soon
-                    </span>
+                  <StatusBadge status={browser.status} />
+
+                  {browser.targetVersion && browser.status !== "available" && (
+                    <p className="text-gray-400 text-sm mt-3">
+                      {t("browsers.targeting", {
+                        version: browser.targetVersion,
+                      })}
+                    </p>
+                  )}
+
+                  {isVisitors && offer.kind === "outdated" && (
+                    <p className="text-orange-400 text-sm mt-3">
+                      {t("download.requires", {
+                        browser: browser.name,
+                        version: offer.minVersion,
+                      })}
+                    </p>
                   )}
                 </div>
-              </motion.div>
+              </m.div>
             );
           })}
-        </motion.div>
+        </m.div>
 
-        <motion.div
+        <m.div
           initial={{ y: 30, opacity: 0 }}
           whileInView={{ y: 0, opacity: 1 }}
           transition={{ duration: 0.8, delay: 0.3 }}
           viewport={{ once: true }}
           className="text-center mt-12"
         >
-          <p className="text-gray-400 text-lg">
-            Chrome extension is currently in development. Other browsers will
-            follow soon after.
-          </p>
-        </motion.div>
+          <p className="text-gray-400 text-lg">{t("browsers.note")}</p>
+        </m.div>
       </div>
     </section>
   );
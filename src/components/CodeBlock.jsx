@@ -0,0 +1,51 @@
+import { useEffect, useState } from "react";
+import { FiCheck, FiCopy } from "react-icons/fi";
+
+const COPIED_RESET_MS = 2000;
+
+const CodeBlock = ({ code, lang }) => {
+  const [copied, setCopied] = useState(false);
+
+  useEffect(() => {
+    if (!copied) return undefined;
+    const timer = window.setTimeout(() => setCopied(false), COPIED_RESET_MS);
+    return () => window.clearTimeout(timer);
+  }, [copied]);
+
+  const copy = async () => {
+    try {
+      await navigator.clipboard.writeText(code);
+      setCopied(true);
+    } catch {
+      // Clipboard access can be denied; the code can still be selected.
+    }
+  };
+
+  return (
+    <div className="relative mb-4 rounded-lg border border-gray-700 bg-gray-800/60">
+      <div className="flex items-center justify-between px-4 py-2 border-b border-gray-700 text-sm text-gray-400">
+        <span>{lang || "text"}</span>
+        <button
+          type="button"
+          onClick={copy}
+          className="flex items-center space-x-1 hover:text-cyan-400 transition-colors duration-200"
+        >
+          {copied ? (
+            <FiCheck className="w-4 h-4" aria-hidden="true" />
+          ) : (
+            <FiCopy className="w-4 h-4" aria-hidden="true" />
+          )}
+          <span aria-live="polite">{copied ? "Copied" : "Copy"}</span>
+        </button>
+      </div>
+      <pre
+        tabIndex={0}
+        className="overflow-x-auto p-4 text-sm leading-relaxed focus:outline-none focus-visible:ring-2 focus-visible:ring-cyan-500"
+      >
+        <code className="!bg-transparent !p-0 !text-gray-200">{code}</code>
+      </pre>
+    </div>
+  );
+};
+
+export default CodeBlock;
@@ -0,0 +1,302 @@
+import { useEffect, useRef, useState } from "react";
+import { Link } from "react-router";
+import { FiAlertTriangle, FiCheckCircle, FiSend } from "react-icons/fi";
+import {
+  MAX_MESSAGE_LENGTH,
+  mailtoUrl,
+  sendMessage,
+  startMessage,
+  SUPPORT_ADDRESS,
+  validateMessage,
+} from "../utils/contact";
+
+const TOPIC_OPTIONS = [
+  {
+    id: "bug",
+    label: "Bug report",
+    hint: "Include your browser and version, the page you were on, and what you expected to happen.",
+  },
+  {
+    id: "feature",
+    label: "Feature request",
+    hint: "Tell us what you are trying to do and where Safe-Web gets in the way.",
+  },
+  {
+    id: "privacy",
+    label: "Privacy question",
+    hint: "Ask about what Safe-Web stores or sends, or request that we delete your data.",
+  },
+];
+
+const inputClassName =
+  "w-full bg-gray-900/60 border border-gray-700 rounded-lg px-3 py-2 text-white placeholder-gray-500 focus:outline-none focus:border-cyan-500";
+
+const cardClassName =
+  "bg-gray-800/50 backdrop-blur-sm border border-gray-700 rounded-xl p-6";
+
+const EMPTY_FORM = {
+  topic: "",
+  name: "",
+  email: "",
+  message: "",
+  website: "",
+};
+
+const FieldError = ({ id, message }) =>
+  message ? (
+    <p id={id} className="mt-2 text-sm text-red-400">
+      {message}
+    </p>
+  ) : null;
+
+const ContactForm = () => {
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [errors, setErrors] = useState({});
+  const [attempted, setAttempted] = useState(false);
+  const [status, setStatus] = useState("idle");
+  const [failure, setFailure] = useState(null);
+  const session = useRef(null);
+  const sentHeading = useRef(null);
+
+  // Fetched after hydration; the server times the message from this token.
+  const start = () => {
+    session.current = null;
+    startMessage().then((started) => {
+      session.current ??= started;
+    });
+  };
+
+  useEffect(start, []);
+
+  useEffect(() => {
+    if (status === "sent") sentHeading.current?.focus();
+  }, [status]);
+
+  const update = (changes) => {
+    const next = { ...form, ...changes };
+    setForm(next);
+    if (attempted) setErrors(validateMessage(next));
+  };
+
+  const onSubmit = async (event) => {
+    event.preventDefault();
+    setAttempted(true);
+    const found = validateMessage(form);
+    setErrors(found);
+    if (Object.keys(found).length) return;
+
+    setStatus("submitting");
+    setFailure(null);
+    try {
+      await sendMessage(form, session.current);
+      setStatus("sent");
+    } catch (error) {
+      if (error.code === "invalid-message") setErrors(error.fields);
+      setFailure(error);
+      setStatus("idle");
+    }
+  };
+
+  if (status === "sent") {
+    return (
+      <div className={`${cardClassName} text-center space-y-3`} role="status">
+        <FiCheckCircle
+          className="w-10 h-10 text-green-400 mx-auto"
+          aria-hidden="true"
+        />
+        <h2
+          ref={sentHeading}
+          tabIndex={-1}
+          className="text-xl font-semibold text-white focus:outline-none"
+        >
+          Message sent
+        </h2>
+        <p className="text-gray-300">
+          Thanks for getting in touch. We will reply to{" "}
+          <strong className="text-white">{form.email.trim()}</strong>, usually
+          within a few working days.
+        </p>
+        <button
+          type="button"
+          onClick={() => {
+            setForm(EMPTY_FORM);
+            setAttempted(false);
+            setStatus("idle");
+            start();
+          }}
+          className="text-cyan-400 hover:text-cyan-300 transition-colors duration-200"
+        >
+          Send another message
+        </button>
+      </div>
+    );
+  }
+
+  const topic = TOPIC_OPTIONS.find((option) => option.id === form.topic);
+
+  return (
+    <form
+      onSubmit={onSubmit}
+      noValidate
+      className={`${cardClassName} space-y-6`}
+    >
+      <fieldset
+        aria-describedby={
+          errors.topic ? "topic-error" : topic ? "topic-hint" : undefined
+        }
+      >
+        <legend className="text-sm text-gray-300 mb-2">
+          What is your message about?
+        </legend>
+        <div className="grid grid-cols-1 sm:grid-cols-3 gap-2">
+          {TOPIC_OPTIONS.map(({ id, label }) => (
+            <label
+              key={id}
+              className={`flex items-center gap-2 px-3 py-2 rounded-lg border text-sm cursor-pointer transition-colors duration-200 ${
+                form.topic === id
+                  ? "border-cyan-500/50 bg-cyan-500/10 text-white"
+                  : "border-gray-700 text-gray-300 hover:border-gray-600"
+              }`}
+            >
+              <input
+                type="radio"
+                name="topic"
+                value={id}
+                checked={form.topic === id}
+                onChange={() => update({ topic: id })}
+                className="accent-cyan-500"
+              />
+              <span>{label}</span>
+            </label>
+          ))}
+        </div>
+        {topic && (
+          <p id="topic-hint" className="mt-2 text-sm text-gray-400">
+            {topic.hint}
+          </p>
+        )}
+        <FieldError id="topic-error" message={errors.topic} />
+      </fieldset>
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-6">
+        <label className="block text-sm text-gray-300">
+          <span className="block mb-1">Name (optional)</span>
+          <input
+            type="text"
+            name="name"
+            autoComplete="name"
+            value={form.name}
+            onChange={(event) => update({ name: event.target.value })}
+            aria-invalid={Boolean(errors.name)}
+            aria-describedby={errors.name ? "name-error" : undefined}
+            className={inputClassName}
+          />
+          <FieldError id="name-error" message={errors.name} />
+        </label>
+
+        <label className="block text-sm text-gray-300">
+          <span className="block mb-1">Email address</span>
+          <input
+            type="email"
+            name="email"
+            autoComplete="email"
+            value={form.email}
+            onChange={(event) => update({ email: event.target.value })}
+            aria-invalid={Boolean(errors.email)}
+            aria-describedby={errors.email ? "email-error" : undefined}
+            placeholder="you@example.com"
+            className={inputClassName}
+          />
+          <FieldError id="email-error" message={errors.email} />
+        </label>
+      </div>
+
+      <label className="block text-sm text-gray-300">
+        <span className="block mb-1">Message</span>
+        <textarea
+          name="message"
+          rows={6}
+          maxLength={MAX_MESSAGE_LENGTH}
+          value={form.message}
+          onChange={(event) => update({ message: event.target.value })}
+          aria-invalid={Boolean(errors.message)}
+          aria-describedby={`message-count${errors.message ? " message-error" : ""}`}
+          className={`${inputClassName} resize-y`}
+        />
+        <span
+          id="message-count"
+          className="block mt-1 text-xs text-gray-500 text-end"
+        >
+          {form.message.length} / {MAX_MESSAGE_LENGTH}
+        </span>
+        <FieldError id="message-error" message={errors.message} />
+      </label>
+
+      {/* Honeypot: hidden from people and assistive technology, so only
+          bots fill it in. */}
+      <div className="hidden" aria-hidden="true">
+        <label>
+          Website
+          <input
+            type="text"
+            name="website"
+            tabIndex={-1}
+            autoComplete="off"
+            value={form.website}
+            onChange={(event) => update({ website: event.target.value })}
+          />
+        </label>
+      </div>
+
+      <p className="text-sm text-gray-400">
+        We use your email address and message only to reply to you. Details are
+        in the{" "}
+        <Link
+          to="/privacy#contact"
+          className="text-cyan-400 hover:text-cyan-300"
+        >
+          privacy policy
+        </Link>
+        .
+      </p>
+
+      {failure && (
+        <p
+          className="flex items-start gap-2 text-sm rounded-lg p-3 border bg-red-500/10 border-red-500/30 text-red-300"
+          role="alert"
+        >
+          <FiAlertTriangle
+            className="w-4 h-4 mt-0.5 shrink-0"
+            aria-hidden="true"
+          />
+          <span>
+            {failure.message}
+            {failure.code !== "invalid-message" && (
+              <>
+                {" "}
+                You can{" "}
+                <a href={mailtoUrl(form)} className="underline">
+                  send it by email
+                </a>{" "}
+                to {SUPPORT_ADDRESS} instead; what you wrote is filled in for
+                you.
+              </>
+            )}
+          </span>
+        </p>
+      )}
+
+      <button
+        type="submit"
+        data-cta="contact-submit"
+        disabled={status === "submitting"}
+        className="bg-gradient-to-r from-cyan-500 to-blue-600 text-on-accent px-6 py-3 rounded-lg font-semibold flex items-center justify-center space-x-2 hover:from-cyan-600 hover:to-blue-700 transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+      >
+        <FiSend className="w-4 h-4" aria-hidden="true" />
+        <span>{status === "submitting" ? "Sending…" : "Send message"}</span>
+      </button>
+    </form>
+  );
+};
+
+export default ContactForm;
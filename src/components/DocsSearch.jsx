@@ -0,0 +1,103 @@
+import { useEffect, useMemo, useState } from "react";
+import { Link } from "react-router";
+import { FiSearch } from "react-icons/fi";
+import { loadSearchIndex, searchDocs } from "../utils/docsSearch";
+
+const RESULTS_ID = "docs-search-results";
+
+const DocsSearch = () => {
+  const [query, setQuery] = useState("");
+  const [index, setIndex] = useState(null);
+  const [failed, setFailed] = useState(false);
+  const [wanted, setWanted] = useState(false);
+
+  // The index is only fetched once the visitor shows interest in searching,
+  // and fetched again after a failure when they type.
+  useEffect(() => {
+    if (!wanted || index || failed) return undefined;
+    let cancelled = false;
+    loadSearchIndex().then(
+      (loaded) => {
+        if (!cancelled) setIndex(loaded);
+      },
+      () => {
+        if (!cancelled) setFailed(true);
+      },
+    );
+    return () => {
+      cancelled = true;
+    };
+  }, [wanted, index, failed]);
+
+  const results = useMemo(
+    () => (index ? searchDocs(index, query) : []),
+    [index, query],
+  );
+  const searching = query.trim().length > 0;
+
+  let status = null;
+  if (searching && failed) {
+    status = "Search is not available right now.";
+  } else if (searching && !index) {
+    status = "Loading…";
+  } else if (searching && results.length === 0) {
+    status = `Nothing matches “${query.trim()}”.`;
+  }
+
+  return (
+    <div role="search">
+      <label className="relative block">
+        <span className="sr-only">Search the documentation</span>
+        <FiSearch
+          className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-gray-500"
+          aria-hidden="true"
+        />
+        <input
+          type="search"
+          value={query}
+          placeholder="Search docs"
+          aria-controls={RESULTS_ID}
+          onFocus={() => setWanted(true)}
+          onChange={(event) => {
+            setWanted(true);
+            setFailed(false);
+            setQuery(event.target.value);
+          }}
+          onKeyDown={(event) => {
+            if (event.key === "Escape") setQuery("");
+          }}
+          className="w-full bg-gray-900/60 border border-gray-700 rounded-lg pl-9 pr-3 py-2 text-white placeholder-gray-500 focus:outline-none focus:border-cyan-500"
+        />
+      </label>
+
+      <div id={RESULTS_ID} aria-live="polite">
+        {status && <p className="mt-3 text-sm text-gray-400">{status}</p>}
+        {searching && results.length > 0 && (
+          <ul className="mt-3 space-y-1">
+            {results.map((result) => (
+              <li key={result.path}>
+                <Link
+                  to={result.path}
+                  onClick={() => setQuery("")}
+                  className="block rounded-lg px-3 py-2 hover:bg-gray-800 transition-colors duration-200"
+                >
+                  <span className="block text-sm font-medium text-cyan-400">
+                    {result.title}
+                    {result.heading && (
+                      <span className="text-gray-400"> › {result.heading}</span>
+                    )}
+                  </span>
+                  <span className="block text-xs text-gray-400 mt-0.5">
+                    {result.snippet}
+                  </span>
+                </Link>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default DocsSearch;
@@ -0,0 +1,38 @@
+import { useEffect } from "react";
+import { useLocation, useMatches } from "react-router";
+import useI18n from "../i18n/useI18n";
+import { headMetaTags, metaFromMatches, resolveHead } from "../utils/pageMeta";
+
+// The prerendered HTML already carries the right tags for the first page;
+// this keeps them current on client-side navigation and language changes.
+const DocumentHead = () => {
+  const matches = useMatches();
+  const { pathname } = useLocation();
+  const { t } = useI18n();
+
+  useEffect(() => {
+    const head = resolveHead(metaFromMatches(matches), {
+      pathname,
+      defaults: {
+        title: t("meta.title"),
+        description: t("meta.description"),
+        ogTitle: t("meta.ogTitle"),
+        ogDescription: t("meta.ogDescription"),
+      },
+    });
+
+    document.title = head.title;
+    for (const [attribute, key, value] of headMetaTags(head)) {
+      document.head
+        .querySelector(`meta[${attribute}="${key}"]`)
+        ?.setAttribute("content", value);
+    }
+    document.head
+      .querySelector('link[rel="canonical"]')
+      ?.setAttribute("href", head.canonical);
+  }, [matches, pathname, t]);
+
+  return null;
+};
+
+export default DocumentHead;
@@ -0,0 +1,98 @@
+import { Link } from "react-router";
+import { m } from "framer-motion";
+import { FiBell, FiDownload, FiRefreshCw } from "react-icons/fi";
+import useI18n from "../i18n/useI18n";
+import useDownloadOffer from "../hooks/useDownloadOffer";
+
+const MotionLink = m.create(Link);
+
+const SIZES = {
+  compact: {
+    className:
+      "bg-gradient-to-r from-cyan-500 to-blue-600 text-on-accent px-3 py-2 rounded-lg flex items-center justify-center hover:from-cyan-600 hover:to-blue-700 transition-all duration-200 min-w-[40px]",
+    icon: "w-4 h-4",
+    label: "hidden sm:inline sm:ms-2",
+  },
+  large: {
+    className:
+      "bg-gradient-to-r from-cyan-500 to-blue-600 text-on-accent px-6 py-3 rounded-xl text-lg font-semibold flex items-center space-x-3 hover:from-cyan-600 hover:to-blue-700 transition-all duration-200 shadow-lg shadow-cyan-500/25",
+    icon: "w-5 h-5",
+    label: "",
+  },
+};
+
+const CTA_NAMES = {
+  store: "download-store",
+  outdated: "download-update",
+  notify: "download-waitlist",
+};
+
+// Store link for the visitor's browser when Safe-Web is listed there, an
+// "update first" link when their version is too old, otherwise the waitlist.
+// `placement` tells the buttons apart in analytics.
+const DownloadButton = ({ size = "large", placement }) => {
+  const { t } = useI18n();
+  const { offer } = useDownloadOffer();
+  const styles = SIZES[size];
+  const motionProps = {
+    whileHover: { scale: 1.05 },
+    whileTap: { scale: 0.95 },
+    "data-cta": placement
+      ? `${CTA_NAMES[offer.kind]}:${placement}`
+      : CTA_NAMES[offer.kind],
+  };
+
+  if (offer.kind === "store") {
+    const label = t("download.store", { browser: offer.browser.name });
+    return (
+      <m.a
+        href={offer.url}
+        target="_blank"
+        rel="noopener noreferrer"
+        aria-label={label}
+        {...motionProps}
+        className={styles.className}
+      >
+        <FiDownload className={styles.icon} aria-hidden="true" />
+        <span className={styles.label}>{label}</span>
+      </m.a>
+    );
+  }
+
+  if (offer.kind === "outdated") {
+    const label = t("download.outdated", { browser: offer.browser.name });
+    return (
+      <MotionLink
+        to="/download"
+        aria-label={label}
+        title={t("download.requires", {
+          browser: offer.browser.name,
+          version: offer.minVersion,
+        })}
+        {...motionProps}
+        className={styles.className}
+      >
+        <FiRefreshCw className={styles.icon} aria-hidden="true" />
+        <span className={styles.label}>{label}</span>
+      </MotionLink>
+    );
+  }
+
+  const title = offer.browser
+    ? t("download.notifyTitle", { browser: offer.browser.name })
+    : t("download.notifyTitleAny");
+  return (
+    <MotionLink
+      to={offer.browser ? `/waitlist?browser=${offer.browser.id}` : "/waitlist"}
+      aria-label={t("download.notify")}
+      title={title}
+      {...motionProps}
+      className={styles.className}
+    >
+      <FiBell className={styles.icon} aria-hidden="true" />
+      <span className={styles.label}>{t("download.notify")}</span>
+    </MotionLink>
+  );
+};
+
+export default DownloadButton;
@@ -0,0 +1,79 @@
+import { Link } from "react-router";
+import { FiAlertTriangle, FiCheckCircle } from "react-icons/fi";
+import useI18n from "../i18n/useI18n";
+import changelog from "../content/changelog.json";
+import { latestReleaseNote } from "../utils/changelog";
+import { checkCompatibility } from "../utils/extension";
+
+const LATEST_VERSION = latestReleaseNote(changelog)?.id ?? null;
+
+const SIZES = {
+  compact: {
+    className:
+      "flex items-center gap-2 border border-green-400/30 bg-green-500/10 text-green-400 px-3 py-2 rounded-lg text-sm",
+    icon: "w-4 h-4",
+    label: "sr-only sm:not-sr-only",
+  },
+  large: {
+    className:
+      "flex items-center gap-3 border border-green-400/30 bg-green-500/10 text-green-400 px-6 py-3 rounded-xl text-lg font-semibold",
+    icon: "w-5 h-5",
+    label: "",
+  },
+};
+
+const warningClassName =
+  "flex items-center gap-2 text-orange-300 hover:text-orange-200 transition-colors duration-200";
+
+// Shown instead of the download button once the extension has answered the
+// handshake: its version, whether masking is on, and a warning when it is
+// out of date or too old to report its status.
+const ExtensionStatus = ({ extension, size = "large", placement }) => {
+  const { t } = useI18n();
+  const styles = SIZES[size];
+  const compatibility = checkCompatibility(extension, LATEST_VERSION);
+
+  let masking = t("extension.maskingUnknown");
+  if (extension.maskingEnabled !== null) {
+    masking = extension.maskingEnabled
+      ? t("extension.maskingOn")
+      : t("extension.maskingOff");
+  }
+  const summary = t("extension.installed", {
+    version: extension.version,
+    masking,
+  });
+
+  const warnings = {
+    current: null,
+    outdated: t("extension.outdated", { version: LATEST_VERSION }),
+    protocol: t("extension.protocol"),
+  };
+  const warning = warnings[compatibility];
+
+  return (
+    <div
+      className={`flex items-center gap-4 ${size === "large" ? "flex-col" : ""}`}
+    >
+      <p className={styles.className} role="status" title={summary}>
+        <FiCheckCircle className={styles.icon} aria-hidden="true" />
+        <span className={styles.label}>{summary}</span>
+      </p>
+      {warning && (
+        <Link
+          to="/download"
+          data-cta={
+            placement ? `extension-update:${placement}` : "extension-update"
+          }
+          title={warning}
+          className={warningClassName}
+        >
+          <FiAlertTriangle className={styles.icon} aria-hidden="true" />
+          <span className={styles.label}>{warning}</span>
+        </Link>
+      )}
+    </div>
+  );
+};
+
+export default ExtensionStatus;
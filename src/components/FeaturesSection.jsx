@@ -1,4 +1,5 @@
-import { motion } from "framer-motion";
+import { Link } from "react-router";
+import { m } from "framer-motion";
 import {
   FiEyeOff,
   FiShield,
@@ -6,65 +7,45 @@ import {
   FiZap,
   FiUserX,
   FiSettings,
+  FiArrowRight,
 } from "react-icons/fi";
+import features from "../content/features.json";
+import StatusBadge from "./StatusBadge";
+import useI18n from "../i18n/useI18n";
+import { trackSection } from "../utils/analytics";
+
+const ICONS = {
+  "eye-off": FiEyeOff,
+  shield: FiShield,
+  lock: FiLock,
+  zap: FiZap,
+  "user-x": FiUserX,
+  settings: FiSettings,
+};
+
+const GRADIENTS = {
+  blue: "from-blue-500 to-indigo-600",
+  cyan: "from-cyan-500 to-blue-600",
+  green: "from-green-500 to-teal-600",
+  indigo: "from-indigo-500 to-purple-600",
+  orange: "from-orange-500 to-red-600",
+  purple: "from-purple-500 to-pink-600",
+  red: "from-red-500 to-pink-600",
+  yellow: "from-yellow-500 to-orange-600",
+};
+
+const upcomingCount = features.filter(
+  (feature) => feature.status !== "available",
+).length;
 
 const FeaturesSection = () => {
-  const features = [
-    {
-      id: 1,
-      title: "Sensitive Information Masking",
-      description:
-        "Blur, mask, or pixelate sensitive data like emails, names, and account numbers on any webpage with one-click toggle.",
-      icon: FiEyeOff,
-      status: "active",
-      gradient: "from-cyan-500 to-blue-600",
-    },
-    {
-      id: 2,
-      title: "Advanced Ad Blocker",
-      description:
-        "Block intrusive ads and trackers while maintaining website functionality and user experience.",
-      icon: FiShield,
-      status: "coming-soon",
-      gradient: "from-purple-500 to-pink-600",
-    },
-    {
-      id: 3,
-      title: "Password Security Monitor",
-      description:
-        "Monitor and alert users about weak passwords and potential data breaches in real-time.",
-      icon: FiLock,
-      status: "coming-soon",
-      gradient: "from-green-500 to-teal-600",
-    },
-    {
-      id: 4,
-      title: "Performance Optimizer",
-      description:
-        "Optimize page loading speeds by blocking unnecessary scripts and optimizing resource loading.",
-      icon: FiZap,
-      status: "coming-soon",
-      gradient: "from-yellow-500 to-orange-600",
-    },
-    {
-      id: 5,
-      title: "Anti-Fingerprinting",
-      description:
-        "Prevent websites from tracking your digital fingerprint and protect your browsing privacy.",
-      icon: FiUserX,
-      status: "coming-soon",
-      gradient: "from-red-500 to-pink-600",
-    },
-    {
-      id: 6,
-      title: "Custom Privacy Rules",
-      description:
-        "Create custom rules and filters to protect specific types of information on different websites.",
-      icon: FiSettings,
-      status: "coming-soon",
-      gradient: "from-indigo-500 to-purple-600",
-    },
-  ];
+  const { t, has } = useI18n();
+
+  // features.json holds the English copy; catalogs translate it per id.
+  const translate = (feature, field, fallback) => {
+    const key = `features.items.${feature.id}.${field}`;
+    return has(key) ? t(key) : fallback;
+  };
 
   const containerVariants = {
     hidden: { opacity: 0 },
@@ -90,27 +71,26 @@ const FeaturesSection = () => {
   return (
     <section id="features" className="bg-gray-900 py-20">
       <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
-        <motion.header
+        <m.header
           initial={{ y: 50, opacity: 0 }}
           whileInView={{ y: 0, opacity: 1 }}
+          onViewportEnter={() => trackSection("features")}
           transition={{ duration: 0.8 }}
           viewport={{ once: true }}
           className="text-center mb-16"
         >
           <h2 className="text-4xl md:text-5xl font-bold text-white mb-6">
-            Powerful{" "}
+            {t("features.title")}{" "}
             <span className="bg-gradient-to-r from-cyan-400 to-blue-500 bg-clip-text text-transparent">
-              Privacy Features
+              {t("features.titleHighlight")}
             </span>
           </h2>
           <p className="text-xl text-gray-300 max-w-3xl mx-auto">
-            Comprehensive privacy protection and security features designed to
-            keep you safe while browsing the web. Our browser extension offers
-            advanced data masking and privacy controls.
+            {t("features.description")}
           </p>
-        </motion.header>
+        </m.header>
 
-        <motion.div
+        <m.div
           variants={containerVariants}
           initial="hidden"
           whileInView="visible"
@@ -118,9 +98,10 @@ const FeaturesSection = () => {
           className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-8"
         >
           {features.map((feature) => {
-            const IconComponent = feature.icon;
+            const IconComponent = ICONS[feature.icon];
+            const gradient = GRADIENTS[feature.accent];
             return (
-              <motion.div
+              <m.div
                 key={feature.id}
                 variants={itemVariants}
                 whileHover={{ scale: 1.05 }}
@@ -129,50 +110,59 @@ const FeaturesSection = () => {
                 <div className="relative z-10">
                   <div className="flex items-center justify-between mb-4">
                     <div
-                      className={`w-12 h-12 bg-gradient-to-r ${feature.gradient} rounded-lg flex items-center justify-center`}
+                      className={`w-12 h-12 bg-gradient-to-r ${gradient} rounded-lg flex items-center justify-center`}
                     >
-                      <IconComponent className="w-6 h-6 text-white" />
+                      <IconComponent className="w-6 h-6 text-on-accent" />
                     </div>
 
-                    {feature.status === "active" ? (
-                      <span className="bg-green-500/20 text-green-400 px-3 py-1 rounded-full text-sm font-semibold border border-green-500/30">
-                        Active
-                      </span>
-                    ) : (
-                      <span className="bg-orange-500/20 text-orange-400 px-3 py-1 rounded-full text-sm font-semibold border border-orange-500/30">
-                        Coming Soon
-                      </span>
-                    )}
+                    <StatusBadge status={feature.status} />
                   </div>
 
                   <h3 className="text-xl font-semibold text-white mb-3">
-                    {feature.title}
+                    {translate(feature, "title", feature.title)}
                   </h3>
 
                   <p className="text-gray-400 leading-relaxed">
-                    {feature.description}
+                    {translate(feature, "description", feature.description)}
                   </p>
+
+                  {feature.link && (
+                    <Link
+                      to={feature.link.href}
+                      className="inline-flex items-center space-x-1 mt-4 text-cyan-400 hover:text-cyan-300 transition-colors duration-200"
+                    >
+                      <span>
+                        {translate(feature, "link", feature.link.label)}
+                      </span>
+                      <FiArrowRight
+                        className="w-4 h-4 rtl:rotate-180"
+                        aria-hidden="true"
+                      />
+                    </Link>
+                  )}
                 </div>
 
                 <div
-                  className={`absolute inset-0 bg-gradient-to-br ${feature.gradient} opacity-5`}
+                  className={`absolute inset-0 bg-gradient-to-br ${gradient} opacity-5`}
                 ></div>
-              </motion.div>
+              </m.div>
             );
           })}
-        </motion.div>
+        </m.div>
 
-        <motion.div
-          initial={{ y: 50, opacity: 0 }}
-          whileInView={{ y: 0, opacity: 1 }}
-          transition={{ duration: 0.8, delay: 0.3 }}
-          viewport={{ once: true }}
-          className="text-center mt-16"
-        >
-          <p className="text-gray-400 text-lg">
-            More features are in development. Stay tuned for updates!
-          </p>
-        </motion.div>
+        {upcomingCount > 0 && (
+          <m.div
+            initial={{ y: 50, opacity: 0 }}
+            whileInView={{ y: 0, opacity: 1 }}
+            transition={{ duration: 0.8, delay: 0.3 }}
+            viewport={{ once: true }}
+            className="text-center mt-16"
+          >
+            <p className="text-gray-400 text-lg">
+              {t("features.upcoming", { count: upcomingCount })}
+            </p>
+          </m.div>
+        )}
       </div>
     </section>
   );
@@ -1,4 +1,5 @@
-import { motion } from "framer-motion";
+import { Link } from "react-router";
+import { m } from "framer-motion";
 import {
   FiShield,
   FiGithub,
@@ -6,15 +7,52 @@ import {
   FiMail,
   FiHeart,
 } from "react-icons/fi";
+import useI18n from "../i18n/useI18n";
+import { SITE } from "../site";
+
+const PRODUCT_LINKS = [
+  { to: "/#features", key: "footer.features" },
+  { to: "/#browsers", key: "footer.browserSupport" },
+  { to: "/download", key: "footer.download" },
+  { to: "/docs", key: "footer.docs" },
+  { to: "/changelog", key: "footer.changelog" },
+];
+
+const SUPPORT_LINKS = [
+  { to: "/help", key: "footer.help" },
+  { to: "/privacy", key: "footer.privacy" },
+  { to: "/terms", key: "footer.terms" },
+  { to: "/contact", key: "footer.contact" },
+];
+
+const FooterLinks = ({ links }) => {
+  const { t } = useI18n();
+
+  return (
+    <ul className="space-y-2">
+      {links.map(({ to, key }) => (
+        <li key={to}>
+          <Link
+            to={to}
+            className="text-gray-400 hover:text-cyan-400 transition-colors duration-200"
+          >
+            {t(key)}
+          </Link>
+        </li>
+      ))}
+    </ul>
+  );
+};
 
 const Footer = () => {
-  const currentYear = new Date().getFullYear();
+  const { t, rich, formatDate } = useI18n();
+  const currentYear = formatDate(new Date(), { year: "numeric" });
 
   return (
     <footer className="bg-gray-900 border-t border-gray-800">
       <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-12">
         <div className="grid grid-cols-1 md:grid-cols-4 gap-8">
-          <motion.div
+          <m.div
             initial={{ y: 30, opacity: 0 }}
             whileInView={{ y: 0, opacity: 1 }}
             transition={{ duration: 0.6 }}
@@ -23,134 +61,77 @@ const Footer = () => {
           >
             <div className="flex items-center space-x-2 mb-4">
               <div className="w-8 h-8 bg-gradient-to-r from-cyan-400 to-blue-500 rounded-lg flex items-center justify-center">
-                <FiShield className="w-5 h-5 text-white" />
+                <FiShield
+                  className="w-5 h-5 text-on-accent"
+                  aria-hidden="true"
+                />
               </div>
-              <span className="text-xl font-bold text-white">Safe-Web</span>
+              <span className="text-xl font-bold text-white">{SITE.name}</span>
             </div>
             <p className="text-gray-400 text-lg mb-6 max-w-md">
-              A powerful browser extension designed to enhance your privacy and
-              protect sensitive information while browsing the web.
+              {t("footer.tagline")}
             </p>
             <div className="flex space-x-4">
-              <motion.a
-                href="https://github.com/intellwe"
+              <m.a
+                href={SITE.social.github}
+                aria-label={t("footer.github", { author: SITE.author.name })}
                 target="_blank"
                 rel="noopener noreferrer"
                 whileHover={{ scale: 1.1 }}
                 whileTap={{ scale: 0.95 }}
                 className="text-gray-400 hover:text-cyan-400 transition-colors duration-200"
               >
-                <FiGithub className="w-6 h-6" />
-              </motion.a>
-              <motion.a
-                href="https://linkedin.com/company/intellwe"
+                <FiGithub className="w-6 h-6" aria-hidden="true" />
+              </m.a>
+              <m.a
+                href={SITE.social.linkedin}
+                aria-label={t("footer.linkedin", { author: SITE.author.name })}
                 target="_blank"
                 rel="noopener noreferrer"
                 whileHover={{ scale: 1.1 }}
                 whileTap={{ scale: 0.95 }}
                 className="text-gray-400 hover:text-cyan-400 transition-colors duration-200"
               >
-                <FiLinkedin className="w-6 h-6" />
-              </motion.a>
-              <motion.a
-                href="mailto:support@intellwe.com"
+                <FiLinkedin className="w-6 h-6" aria-hidden="true" />
+              </m.a>
+              <m.a
+                href={`mailto:${SITE.email}`}
+                aria-label={t("footer.email")}
                 whileHover={{ scale: 1.1 }}
                 whileTap={{ scale: 0.95 }}
                 className="text-gray-400 hover:text-cyan-400 transition-colors duration-200"
               >
-                <FiMail className="w-6 h-6" />
-              </motion.a>
+                <FiMail className="w-6 h-6" aria-hidden="true" />
+              </m.a>
             </div>
-          </motion.div>
+          </m.div>
 
-          <motion.div
+          <m.div
             initial={{ y: 30, opacity: 0 }}
             whileInView={{ y: 0, opacity: 1 }}
             transition={{ duration: 0.6, delay: 0.1 }}
             viewport={{ once: true }}
           >
-            <h3 className="text-lg font-semibold text-white mb-4">Product</h3>
-            <ul className="space-y-2">
-              <li>
-                <a
-                  href="#features"
-                  className="text-gray-400 hover:text-cyan-400 transition-colors duration-200"
-                >
-                  Features
-                </a>
-              </li>
-              <li>
-                <a
-                  href="#browsers"
-                  className="text-gray-400 hover:text-cyan-400 transition-colors duration-200"
-                >
-                  Browser Support
-                </a>
-              </li>
-              <li>
-                <a
-                  href="#"
-                  className="text-gray-400 hover:text-cyan-400 transition-colors duration-200"
-                >
-                  Download
-                </a>
-              </li>
-              <li>
-                <a
-                  href="#"
-                  className="text-gray-400 hover:text-cyan-400 transition-colors duration-200"
-                >
-                  Documentation
-                </a>
-              </li>
-            </ul>
-          </motion.div>
+            <h2 className="text-lg font-semibold text-white mb-4">
+              {t("footer.product")}
+            </h2>
+            <FooterLinks links={PRODUCT_LINKS} />
+          </m.div>
 
-          <motion.div
+          <m.div
             initial={{ y: 30, opacity: 0 }}
             whileInView={{ y: 0, opacity: 1 }}
             transition={{ duration: 0.6, delay: 0.2 }}
             viewport={{ once: true }}
           >
-            <h3 className="text-lg font-semibold text-white mb-4">Support</h3>
-            <ul className="space-y-2">
-              <li>
-                <a
-                  href="#"
-                  className="text-gray-400 hover:text-cyan-400 transition-colors duration-200"
-                >
-                  Help Center
-                </a>
-              </li>
-              <li>
-                <a
-                  href="#"
-                  className="text-gray-400 hover:text-cyan-400 transition-colors duration-200"
-                >
-                  Privacy Policy
-                </a>
-              </li>
-              <li>
-                <a
-                  href="#"
-                  className="text-gray-400 hover:text-cyan-400 transition-colors duration-200"
-                >
-                  Terms of Service
-                </a>
-              </li>
-              <li>
-                <a
-                  href="#"
-                  className="text-gray-400 hover:text-cyan-400 transition-colors duration-200"
-                >
-                  Contact Us
-                </a>
-              </li>
-            </ul>
-          </motion.div>
+            <h2 className="text-lg font-semibold text-white mb-4">
+              {t("footer.support")}
+            </h2>
+            <FooterLinks links={SUPPORT_LINKS} />
+          </m.div>
         </div>
 
-        <motion.div
+        <m.div
           initial={{ y: 20, opacity: 0 }}
           whileInView={{ y: 0, opacity: 1 }}
           transition={{ duration: 0.6, delay: 0.3 }}
@@ -159,24 +140,30 @@ const Footer = () => {
         >
           <div className="flex flex-col md:flex-row justify-between items-center">
             <p className="text-gray-400 text-sm">
-              © {currentYear}{" "}
-              <a
-                href="https://intellwe.com"
-                target="_blank"
-                rel="noopener noreferrer"
-                className="text-cyan-400 hover:text-cyan-300 transition-colors duration-200"
-              >
-                IntellWe
-              </a>
-              . All rights reserved.
+              {rich(
+                "footer.copyright",
+                {
+                  link: (chunk) => (
+                    <a
+                      href={SITE.author.url}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      className="text-cyan-400 hover:text-cyan-300 transition-colors duration-200"
+                    >
+                      {chunk}
+                    </a>
+                  ),
+                },
+                { year: currentYear, author: SITE.author.name },
+              )}
             </p>
             <div className="flex items-center space-x-1 text-gray-400 text-sm mt-4 md:mt-0">
-              <span>Made with</span>
-              <FiHeart className="w-4 h-4 text-red-500" />
-              <span>for a safer web</span>
+              <span>{t("footer.madeWith")}</span>
+              <FiHeart className="w-4 h-4 text-red-500" aria-hidden="true" />
+              <span>{t("footer.saferWeb")}</span>
             </div>
           </div>
-        </motion.div>
+        </m.div>
       </div>
     </footer>
   );
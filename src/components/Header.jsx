@@ -1,74 +1,202 @@
-import { motion } from "framer-motion";
-import { FiShield, FiGithub, FiDownload } from "react-icons/fi";
+import { useCallback, useState } from "react";
+import { Link, useLocation } from "react-router";
+import { m } from "framer-motion";
+import {
+  FiShield,
+  FiGithub,
+  FiGlobe,
+  FiMenu,
+  FiMonitor,
+  FiMoon,
+  FiSun,
+} from "react-icons/fi";
+import useI18n from "../i18n/useI18n";
+import useTheme from "../theme/useTheme";
+import { THEME_MODES } from "../theme/themes";
+import useScrollSpy from "../hooks/useScrollSpy";
+import useExtension from "../hooks/useExtension";
+import DownloadButton from "./DownloadButton";
+import ExtensionStatus from "./ExtensionStatus";
+import MobileNav from "./MobileNav";
+import { LOCALES } from "../i18n/locales";
+import { SITE } from "../site";
+
+const LanguageSwitcher = () => {
+  const { locale, setLocale, t } = useI18n();
 
-const Header = () => {
   return (
-    <motion.header
-      initial={{ y: -50, opacity: 0 }}
-      animate={{ y: 0, opacity: 1 }}
-      transition={{ duration: 0.6 }}
-      className="bg-gray-900/95 backdrop-blur-sm border-b border-gray-800 sticky top-0 z-50"
-      role="banner"
+    <label className="relative flex items-center text-gray-300 hover:text-cyan-400 transition-colors duration-200">
+      <FiGlobe
+        className="w-5 h-5 absolute start-0 pointer-events-none"
+        aria-hidden="true"
+      />
+      <span className="sr-only">{t("header.language")}</span>
+      <select
+        value={locale}
+        onChange={(event) => setLocale(event.target.value)}
+        className="appearance-none bg-transparent ps-7 pe-1 py-1 text-sm cursor-pointer focus:text-cyan-400"
+      >
+        {LOCALES.map(({ code, name }) => (
+          <option key={code} value={code} lang={code} className="bg-gray-900">
+            {name}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+};
+
+const THEME_ICONS = { system: FiMonitor, light: FiSun, dark: FiMoon };
+
+// Cycles system -> light -> dark.
+const ThemeToggle = () => {
+  const { t } = useI18n();
+  const { mode, setMode } = useTheme();
+  const ModeIcon = THEME_ICONS[mode];
+  const next =
+    THEME_MODES[(THEME_MODES.indexOf(mode) + 1) % THEME_MODES.length];
+  const label = t("header.theme", { mode: t(`theme.${mode}`) });
+
+  return (
+    <button
+      type="button"
+      onClick={() => setMode(next)}
+      aria-label={label}
+      title={label}
+      className="text-gray-300 hover:text-cyan-400 transition-colors duration-200"
     >
-      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
-        <div className="flex justify-between items-center h-16">
-          <motion.div
-            className="flex items-center space-x-2"
-            whileHover={{ scale: 1.05 }}
-            transition={{ type: "spring", stiffness: 400 }}
-          >
-            <div className="w-8 h-8 bg-gradient-to-r from-cyan-400 to-blue-500 rounded-lg flex items-center justify-center">
-              <FiShield className="w-5 h-5 text-white" aria-hidden="true" />
-            </div>
-            <h1 className="text-xl font-bold text-white">Safe-Web</h1>
-          </motion.div>
+      <ModeIcon className="w-5 h-5" aria-hidden="true" />
+    </button>
+  );
+};
 
-          <nav
-            className="hidden md:flex items-center space-x-8"
-            role="navigation"
-            aria-label="Main navigation"
-          >
-            <a
-              href="#features"
-              className="text-gray-300 hover:text-cyan-400 transition-colors duration-200"
-            >
-              Features
-            </a>
-            <a
-              href="#browsers"
-              className="text-gray-300 hover:text-cyan-400 transition-colors duration-200"
-            >
-              Browsers
-            </a>
-            <a
-              href="#about"
-              className="text-gray-300 hover:text-cyan-400 transition-colors duration-200"
-            >
-              About
-            </a>
-          </nav>
+// `section` links point at home page sections and light up as they scroll
+// into view; the others are active on their own page.
+const NAV_LINKS = [
+  { to: "/#features", section: "features", label: "header.features" },
+  { to: "/#browsers", section: "browsers", label: "header.browsers" },
+  { to: "/#about", section: "about", label: "header.about" },
+];
 
-          <div className="flex items-center space-x-4">
-            <motion.a
-              href="https://github.com/intellwe/safe-web"
-              whileHover={{ scale: 1.1 }}
-              whileTap={{ scale: 0.95 }}
-              className="text-gray-300 hover:text-cyan-400 transition-colors duration-200"
-            >
-              <FiGithub className="w-5 h-5" />
-            </motion.a>
-            <motion.button
+const SECTION_IDS = NAV_LINKS.filter((link) => link.section).map(
+  (link) => link.section,
+);
+
+const navLinkClassName = (current) =>
+  `transition-colors duration-200 ${
+    current ? "text-cyan-400" : "text-gray-300 hover:text-cyan-400"
+  }`;
+
+const MOBILE_NAV_ID = "mobile-nav";
+
+const Header = () => {
+  const { t } = useI18n();
+  const { pathname } = useLocation();
+  const activeSection = useScrollSpy(SECTION_IDS, {
+    enabled: pathname === "/",
+  });
+  const { extension } = useExtension();
+  const [menuOpen, setMenuOpen] = useState(false);
+  const closeMenu = useCallback(() => setMenuOpen(false), []);
+
+  const links = NAV_LINKS.map((link) => {
+    let current;
+    if (link.section) {
+      current = link.section === activeSection ? "location" : undefined;
+    } else {
+      current = link.to === pathname ? "page" : undefined;
+    }
+    return { to: link.to, label: t(link.label), current };
+  });
+
+  return (
+    <>
+      <m.header
+        initial={{ y: -50, opacity: 0 }}
+        animate={{ y: 0, opacity: 1 }}
+        transition={{ duration: 0.6 }}
+        className="bg-gray-900/95 backdrop-blur-sm border-b border-gray-800 sticky top-0 z-50"
+        role="banner"
+      >
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+          <div className="flex justify-between items-center h-16">
+            <m.div
+              className="flex items-center space-x-2"
               whileHover={{ scale: 1.05 }}
-              whileTap={{ scale: 0.95 }}
-              className="bg-gradient-to-r from-cyan-500 to-blue-600 text-white px-3 py-2 rounded-lg flex items-center justify-center hover:from-cyan-600 hover:to-blue-700 transition-all duration-200 min-w-[40px]"
+              transition={{ type: "spring", stiffness: 400 }}
+            >
+              <div className="w-8 h-8 bg-gradient-to-r from-cyan-400 to-blue-500 rounded-lg flex items-center justify-center">
+                <FiShield
+                  className="w-5 h-5 text-on-accent"
+                  aria-hidden="true"
+                />
+              </div>
+              <Link to="/" className="text-xl font-bold text-white">
+                {SITE.name}
+              </Link>
+            </m.div>
+
+            <nav
+              className="hidden md:flex items-center space-x-8"
+              role="navigation"
+              aria-label={t("header.mainNav")}
             >
-              <FiDownload className="w-4 h-4" />
-              <span className="hidden sm:inline sm:ml-2">Coming Soon</span>
-            </motion.button>
+              {links.map((link) => (
+                <Link
+                  key={link.to}
+                  to={link.to}
+                  aria-current={link.current}
+                  className={navLinkClassName(link.current)}
+                >
+                  {link.label}
+                </Link>
+              ))}
+            </nav>
+
+            <div className="flex items-center space-x-4">
+              <LanguageSwitcher />
+              <ThemeToggle />
+              <m.a
+                href={SITE.repository}
+                data-cta="github:header"
+                aria-label={t("header.github")}
+                whileHover={{ scale: 1.1 }}
+                whileTap={{ scale: 0.95 }}
+                className="hidden sm:block text-gray-300 hover:text-cyan-400 transition-colors duration-200"
+              >
+                <FiGithub className="w-5 h-5" aria-hidden="true" />
+              </m.a>
+              {extension ? (
+                <ExtensionStatus
+                  extension={extension}
+                  size="compact"
+                  placement="header"
+                />
+              ) : (
+                <DownloadButton size="compact" placement="header" />
+              )}
+              <button
+                type="button"
+                onClick={() => setMenuOpen(true)}
+                aria-label={t("header.openMenu")}
+                aria-expanded={menuOpen}
+                aria-controls={MOBILE_NAV_ID}
+                className="md:hidden text-gray-300 hover:text-cyan-400 transition-colors duration-200"
+              >
+                <FiMenu className="w-6 h-6" aria-hidden="true" />
+              </button>
+            </div>
           </div>
         </div>
-      </div>
-    </motion.header>
+      </m.header>
+      <MobileNav
+        id={MOBILE_NAV_ID}
+        open={menuOpen}
+        onClose={closeMenu}
+        links={links}
+        linkClassName={navLinkClassName}
+      />
+    </>
   );
 };
 
@@ -0,0 +1,318 @@
+import { useCallback, useMemo, useState } from "react";
+import { m } from "framer-motion";
+import { FiEye, FiEyeOff, FiMail, FiCreditCard, FiUsers } from "react-icons/fi";
+import useKeyboardShortcut from "../hooks/useKeyboardShortcut";
+import { segmentText } from "../utils/detection";
+import useI18n from "../i18n/useI18n";
+import { trackSection } from "../utils/analytics";
+
+const MASKING_STYLES = ["blur", "pixelate", "blackout"];
+
+const SHORTCUT = "Ctrl+Shift+M";
+
+const PixelateFilter = ({ intensity }) => {
+  const size = intensity + 1;
+
+  return (
+    <svg width="0" height="0" className="absolute" aria-hidden="true">
+      <filter id="safeweb-demo-pixelate" x="0" y="0">
+        <feFlood x="1" y="1" height="1" width="1" />
+        <feComposite width={size * 2} height={size * 2} />
+        <feTile result="tiles" />
+        <feComposite in="SourceGraphic" in2="tiles" operator="in" />
+        <feMorphology operator="dilate" radius={size} />
+      </filter>
+    </svg>
+  );
+};
+
+const maskStyle = (style, intensity) => {
+  switch (style) {
+    case "pixelate":
+      return { filter: "url(#safeweb-demo-pixelate)" };
+    case "blackout":
+      return {
+        backgroundColor: `rgba(3, 7, 18, ${0.1 + intensity * 0.09})`,
+        color: intensity >= 5 ? "transparent" : undefined,
+      };
+    default:
+      return { filter: `blur(${intensity * 0.6}px)` };
+  }
+};
+
+// Runs the same detection engine the extension uses over a piece of copy and
+// masks whatever it finds.
+const MaskedText = ({ text, settings }) => {
+  const segments = useMemo(() => segmentText(text), [text]);
+
+  return segments.map((segment, index) => {
+    if (!segment.match) return segment.text;
+    if (!settings.enabled) {
+      return (
+        <span key={index} className="text-cyan-300">
+          {segment.text}
+        </span>
+      );
+    }
+    return (
+      <span
+        key={index}
+        className="rounded px-0.5 transition-all duration-200 select-none"
+        style={maskStyle(settings.style, settings.intensity)}
+        title={segment.match.type}
+      >
+        {segment.text}
+      </span>
+    );
+  });
+};
+
+const Inbox = ({ settings }) => {
+  const { t } = useI18n();
+
+  return (
+    <div className="p-4 border-b border-gray-700">
+      <div className="flex items-center space-x-2 mb-3 text-sm font-semibold text-gray-300">
+        <FiMail className="w-4 h-4 text-cyan-400" aria-hidden="true" />
+        <span>{t("demo.inbox")}</span>
+      </div>
+      <ul className="space-y-2 text-sm">
+        <li className="flex flex-col sm:flex-row sm:justify-between gap-1">
+          <span className="text-white">
+            <MaskedText settings={settings} text="jane.doe@example.com" />
+          </span>
+          <span className="text-gray-400">
+            <MaskedText
+              settings={settings}
+              text={t("demo.callBack", { phone: "(415) 555-0132" })}
+            />
+          </span>
+        </li>
+        <li className="flex flex-col sm:flex-row sm:justify-between gap-1">
+          <span className="text-white">
+            <MaskedText settings={settings} text="m.rossi@example.org" />
+          </span>
+          <span className="text-gray-400">
+            <MaskedText
+              settings={settings}
+              text={t("demo.invoice", { order: "#4821" })}
+            />
+          </span>
+        </li>
+      </ul>
+    </div>
+  );
+};
+
+const Checkout = ({ settings }) => {
+  const { t } = useI18n();
+
+  return (
+    <div className="p-4 border-b border-gray-700">
+      <div className="flex items-center space-x-2 mb-3 text-sm font-semibold text-gray-300">
+        <FiCreditCard className="w-4 h-4 text-cyan-400" aria-hidden="true" />
+        <span>{t("demo.checkout")}</span>
+      </div>
+      <dl className="grid grid-cols-1 sm:grid-cols-3 gap-3 text-sm">
+        <div>
+          <dt className="text-gray-500">{t("demo.cardNumber")}</dt>
+          <dd className="text-white font-mono">
+            <MaskedText settings={settings} text="4111 1111 1111 1111" />
+          </dd>
+        </div>
+        <div>
+          <dt className="text-gray-500">{t("demo.billingEmail")}</dt>
+          <dd className="text-white">
+            <MaskedText settings={settings} text="billing@acme.example" />
+          </dd>
+        </div>
+        <div>
+          <dt className="text-gray-500">{t("demo.phone")}</dt>
+          <dd className="text-white">
+            <MaskedText settings={settings} text="+1 212-555-0198" />
+          </dd>
+        </div>
+      </dl>
+    </div>
+  );
+};
+
+const CrmRow = ({ settings }) => {
+  const { t } = useI18n();
+
+  return (
+    <div className="p-4">
+      <div className="flex items-center space-x-2 mb-3 text-sm font-semibold text-gray-300">
+        <FiUsers className="w-4 h-4 text-cyan-400" aria-hidden="true" />
+        <span>{t("demo.crm")}</span>
+      </div>
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm text-start">
+          <thead className="text-gray-500">
+            <tr>
+              <th className="font-normal pe-4 pb-1">{t("demo.customer")}</th>
+              <th className="font-normal pe-4 pb-1">{t("demo.ssn")}</th>
+              <th className="font-normal pe-4 pb-1">{t("demo.email")}</th>
+              <th className="font-normal pb-1">{t("demo.phone")}</th>
+            </tr>
+          </thead>
+          <tbody className="text-white">
+            <tr>
+              <td className="pe-4">Alex Morgan</td>
+              <td className="pe-4 font-mono">
+                <MaskedText settings={settings} text="078-05-1120" />
+              </td>
+              <td className="pe-4">
+                <MaskedText
+                  settings={settings}
+                  text="alex.morgan@example.net"
+                />
+              </td>
+              <td>
+                <MaskedText settings={settings} text="555-867-5309" />
+              </td>
+            </tr>
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+const MaskingDemo = () => {
+  const { t, rich } = useI18n();
+  const [settings, setSettings] = useState({
+    enabled: true,
+    style: "blur",
+    intensity: 5,
+  });
+
+  const toggleMasking = useCallback(() => {
+    setSettings((current) => ({ ...current, enabled: !current.enabled }));
+  }, []);
+
+  useKeyboardShortcut(SHORTCUT, toggleMasking);
+
+  return (
+    <m.div
+      id="demo"
+      initial={{ y: 50, opacity: 0 }}
+      whileInView={{ y: 0, opacity: 1 }}
+      onViewportEnter={() => trackSection("demo")}
+      transition={{ duration: 0.8 }}
+      viewport={{ once: true }}
+      className="max-w-4xl mx-auto mt-16 text-start scroll-mt-24"
+    >
+      <PixelateFilter intensity={settings.intensity} />
+
+      <div className="text-center mb-6">
+        <h2 className="text-2xl md:text-3xl font-bold text-white mb-2">
+          {t("demo.title")}
+        </h2>
+        <p className="text-gray-400">
+          {rich(
+            "demo.description",
+            {
+              kbd: (chunk) => (
+                <kbd
+                  dir="ltr"
+                  className="px-1.5 py-0.5 rounded bg-gray-700 text-gray-200 text-sm"
+                >
+                  {chunk}
+                </kbd>
+              ),
+            },
+            { shortcut: SHORTCUT },
+          )}
+        </p>
+      </div>
+
+      <div className="bg-gray-800/50 backdrop-blur-sm border border-gray-700 rounded-xl overflow-hidden">
+        <div className="flex flex-col md:flex-row md:items-center gap-4 p-4 border-b border-gray-700 bg-gray-900/60">
+          <m.button
+            type="button"
+            onClick={toggleMasking}
+            whileHover={{ scale: 1.05 }}
+            whileTap={{ scale: 0.95 }}
+            aria-pressed={settings.enabled}
+            className={`flex items-center justify-center space-x-2 px-4 py-2 rounded-lg font-semibold transition-all duration-200 ${
+              settings.enabled
+                ? "bg-gradient-to-r from-cyan-500 to-blue-600 text-on-accent"
+                : "border border-gray-600 text-gray-300"
+            }`}
+          >
+            {settings.enabled ? (
+              <FiEyeOff className="w-4 h-4" aria-hidden="true" />
+            ) : (
+              <FiEye className="w-4 h-4" aria-hidden="true" />
+            )}
+            <span>
+              {settings.enabled ? t("demo.maskingOn") : t("demo.maskingOff")}
+            </span>
+          </m.button>
+
+          <div
+            className="flex rounded-lg border border-gray-600 overflow-hidden"
+            role="radiogroup"
+            aria-label={t("demo.style")}
+          >
+            {MASKING_STYLES.map((style) => (
+              <button
+                key={style}
+                type="button"
+                role="radio"
+                aria-checked={settings.style === style}
+                onClick={() =>
+                  setSettings((current) => ({ ...current, style }))
+                }
+                className={`px-3 py-2 text-sm transition-colors duration-200 ${
+                  settings.style === style
+                    ? "bg-cyan-500/20 text-cyan-400"
+                    : "text-gray-300 hover:text-cyan-400"
+                }`}
+              >
+                {t(`demo.styles.${style}`)}
+              </button>
+            ))}
+          </div>
+
+          <label className="flex items-center gap-3 text-sm text-gray-300 md:ms-auto">
+            <span>{t("demo.intensity")}</span>
+            <input
+              type="range"
+              min="1"
+              max="10"
+              value={settings.intensity}
+              onChange={(event) =>
+                setSettings((current) => ({
+                  ...current,
+                  intensity: Number(event.target.value),
+                }))
+              }
+              className="accent-cyan-500"
+            />
+            <span className="w-6 text-end text-white">
+              {settings.intensity}
+            </span>
+          </label>
+        </div>
+
+        <div className="bg-gray-900/40">
+          <div className="flex items-center space-x-2 px-4 py-2 border-b border-gray-700 text-xs text-gray-500">
+            <span className="w-2.5 h-2.5 rounded-full bg-red-500/60"></span>
+            <span className="w-2.5 h-2.5 rounded-full bg-yellow-500/60"></span>
+            <span className="w-2.5 h-2.5 rounded-full bg-green-500/60"></span>
+            <span className="ps-2" dir="ltr">
+              https://example.com/dashboard
+            </span>
+          </div>
+          <Inbox settings={settings} />
+          <Checkout settings={settings} />
+          <CrmRow settings={settings} />
+        </div>
+      </div>
+    </m.div>
+  );
+};
+
+export default MaskingDemo;
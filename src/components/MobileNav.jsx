@@ -0,0 +1,96 @@
+import { useEffect, useRef } from "react";
+import { Link } from "react-router";
+import { FiGithub, FiX } from "react-icons/fi";
+import useI18n from "../i18n/useI18n";
+import useBodyScrollLock from "../hooks/useBodyScrollLock";
+import useFocusTrap from "../hooks/useFocusTrap";
+import { SITE } from "../site";
+
+// Tailwind's md breakpoint, where the header shows the full nav again.
+const DESKTOP_QUERY = "(min-width: 48rem)";
+
+// Slide-in drawer with the header links for small screens. Rendered next to
+// the header rather than inside it: the header's backdrop blur would turn it
+// into the containing block for this fixed overlay.
+const MobileNav = ({ id, open, onClose, links, linkClassName }) => {
+  const { t } = useI18n();
+  const panelRef = useRef(null);
+
+  useFocusTrap(panelRef, open, onClose);
+  useBodyScrollLock(open);
+
+  useEffect(() => {
+    if (!open) return undefined;
+    const query = window.matchMedia(DESKTOP_QUERY);
+    const onChange = (event) => {
+      if (event.matches) onClose();
+    };
+    query.addEventListener("change", onChange);
+    return () => query.removeEventListener("change", onChange);
+  }, [open, onClose]);
+
+  return (
+    <div
+      className={`md:hidden fixed inset-0 z-50 transition-all duration-300 ${
+        open ? "visible" : "invisible"
+      }`}
+    >
+      <div
+        className={`absolute inset-0 bg-gray-900/70 backdrop-blur-sm transition-opacity duration-300 ${
+          open ? "opacity-100" : "opacity-0"
+        }`}
+        onClick={onClose}
+      />
+      <div
+        ref={panelRef}
+        id={id}
+        role="dialog"
+        aria-modal="true"
+        aria-label={t("header.menu")}
+        className={`absolute top-0 end-0 h-full w-72 max-w-[80%] bg-gray-900 border-s border-gray-800 p-6 overflow-y-auto transition-transform duration-300 ${
+          open ? "translate-x-0" : "translate-x-full rtl:-translate-x-full"
+        }`}
+      >
+        <div className="flex justify-end mb-8">
+          <button
+            type="button"
+            onClick={onClose}
+            aria-label={t("header.closeMenu")}
+            className="text-gray-300 hover:text-cyan-400 transition-colors duration-200"
+          >
+            <FiX className="w-6 h-6" aria-hidden="true" />
+          </button>
+        </div>
+
+        <nav aria-label={t("header.mobileNav")}>
+          <ul className="space-y-6 text-lg">
+            {links.map((link) => (
+              <li key={link.to}>
+                <Link
+                  to={link.to}
+                  aria-current={link.current}
+                  onClick={onClose}
+                  className={linkClassName(link.current)}
+                >
+                  {link.label}
+                </Link>
+              </li>
+            ))}
+            <li>
+              <a
+                href={SITE.repository}
+                data-cta="github:menu"
+                className="flex items-center gap-2 text-gray-300 hover:text-cyan-400 transition-colors duration-200"
+              >
+                <FiGithub className="w-5 h-5" aria-hidden="true" />
+                GitHub
+              </a>
+            </li>
+          </ul>
+        </nav>
+      </div>
+    </div>
+  );
+};
+
+export default MobileNav;
@@ -0,0 +1,41 @@
+import { m } from "framer-motion";
+
+// Typography for long-form pages; Tailwind's preflight strips element styles.
+export const proseClassName =
+  "text-gray-300 text-lg leading-relaxed [&_h2]:text-2xl [&_h2]:font-semibold [&_h2]:text-white [&_h2]:mt-12 [&_h2]:mb-4 [&_h3]:text-xl [&_h3]:font-semibold [&_h3]:text-white [&_h3]:mt-8 [&_h3]:mb-3 [&_p]:mb-4 [&_ul]:list-disc [&_ul]:pl-6 [&_ul]:mb-4 [&_ol]:list-decimal [&_ol]:pl-6 [&_ol]:mb-4 [&_li]:mb-2 [&_a]:text-cyan-400 [&_a:hover]:text-cyan-300 [&_code]:text-cyan-300 [&_code]:bg-gray-800 [&_code]:px-1.5 [&_code]:py-0.5 [&_code]:rounded [&_kbd]:bg-gray-700 [&_kbd]:px-1.5 [&_kbd]:py-0.5 [&_kbd]:rounded [&_kbd]:text-sm [&_strong]:text-white";
+
+const PageLayout = ({ title, highlight, intro, wide = false, children }) => {
+  return (
+    <section className="bg-gray-900 py-20">
+      <div
+        className={`${wide ? "max-w-7xl" : "max-w-4xl"} mx-auto px-4 sm:px-6 lg:px-8`}
+      >
+        <m.header
+          initial={{ y: 50, opacity: 0 }}
+          animate={{ y: 0, opacity: 1 }}
+          transition={{ duration: 0.8 }}
+          className="text-center mb-12"
+        >
+          <h1 className="text-4xl md:text-5xl font-bold text-white mb-6">
+            {title}
+            {highlight && (
+              <>
+                {" "}
+                <span className="bg-gradient-to-r from-cyan-400 to-blue-500 bg-clip-text text-transparent">
+                  {highlight}
+                </span>
+              </>
+            )}
+          </h1>
+          {intro && (
+            <p className="text-xl text-gray-300 max-w-3xl mx-auto">{intro}</p>
+          )}
+        </m.header>
+
+        {wide ? children : <div className={proseClassName}>{children}</div>}
+      </div>
+    </section>
+  );
+};
+
+export default PageLayout;
@@ -0,0 +1,350 @@
+import { useMemo, useState } from "react";
+import { m } from "framer-motion";
+import {
+  FiAlertTriangle,
+  FiDownload,
+  FiPlus,
+  FiTrash2,
+  FiXCircle,
+} from "react-icons/fi";
+import {
+  analyzeRule,
+  compileRule,
+  createRule,
+  exportRuleSet,
+  findRuleMatches,
+  WILDCARD_TOKENS,
+} from "../utils/customRules";
+import { downloadFile } from "../utils/download";
+
+const HIGHLIGHTS = [
+  "bg-cyan-500/30 text-cyan-200",
+  "bg-purple-500/30 text-purple-200",
+  "bg-green-500/30 text-green-200",
+  "bg-orange-500/30 text-orange-200",
+  "bg-pink-500/30 text-pink-200",
+];
+
+const SAMPLE_TEXT = `Ticket escalated by EMP-204817 from build-07.corp.internal.
+Please ping emp-009231 before redeploying api.corp.internal tonight.
+Customer reference CR-2024-00871 stays visible.`;
+
+const INITIAL_RULES = [
+  createRule({
+    name: "Employee ID",
+    syntax: "wildcard",
+    pattern: "EMP-######",
+  }),
+  createRule({
+    name: "Internal hostnames",
+    syntax: "regex",
+    pattern: "\\b[a-z0-9-]+\\.corp\\.internal\\b",
+  }),
+];
+
+const inputClassName =
+  "w-full bg-gray-900/60 border border-gray-700 rounded-lg px-3 py-2 text-white placeholder-gray-500 focus:outline-none focus:border-cyan-500";
+
+// Earlier rules win where matches overlap, mirroring the extension.
+const highlightSegments = (text, rules) => {
+  const matches = [];
+  rules.forEach((rule, index) => {
+    const matchesOfRule = findRuleMatches(rule.regex, text);
+    for (const match of matchesOfRule) {
+      const overlaps = matches.some(
+        (other) => match.start < other.end && other.start < match.end,
+      );
+      if (!overlaps) matches.push({ ...match, rule, index });
+    }
+  });
+  matches.sort((a, b) => a.start - b.start);
+
+  const segments = [];
+  let cursor = 0;
+  for (const match of matches) {
+    if (match.start > cursor) {
+      segments.push({ text: text.slice(cursor, match.start) });
+    }
+    segments.push({ text: match.value, match });
+    cursor = match.end;
+  }
+  if (cursor < text.length) segments.push({ text: text.slice(cursor) });
+  return { segments, count: matches.length };
+};
+
+const PatternPlayground = () => {
+  const [rules, setRules] = useState(INITIAL_RULES);
+  const [selectedId, setSelectedId] = useState(INITIAL_RULES[0].id);
+  const [sample, setSample] = useState(SAMPLE_TEXT);
+
+  const selected = rules.find((rule) => rule.id === selectedId) ?? rules[0];
+
+  const analyses = useMemo(
+    () =>
+      rules.map((rule) => ({
+        rule,
+        warnings: analyzeRule(rule, sample),
+      })),
+    [rules, sample],
+  );
+
+  const { segments, count } = useMemo(() => {
+    const runnable = analyses
+      .filter(
+        ({ rule, warnings }) =>
+          rule.enabled && !warnings.some((w) => w.level === "error"),
+      )
+      .map(({ rule }) => ({
+        ...rule,
+        regex: compileRule(rule).regex,
+        color: HIGHLIGHTS[rules.indexOf(rule) % HIGHLIGHTS.length],
+      }));
+    return highlightSegments(sample, runnable);
+  }, [analyses, rules, sample]);
+
+  const selectedWarnings =
+    analyses.find(({ rule }) => rule.id === selected?.id)?.warnings ?? [];
+  const exportable = analyses.every(
+    ({ warnings }) => !warnings.some((w) => w.level === "error"),
+  );
+
+  const updateSelected = (changes) => {
+    setRules((current) =>
+      current.map((rule) =>
+        rule.id === selected.id ? { ...rule, ...changes } : rule,
+      ),
+    );
+  };
+
+  const addRule = () => {
+    const rule = createRule({ name: `Rule ${rules.length + 1}` });
+    setRules((current) => [...current, rule]);
+    setSelectedId(rule.id);
+  };
+
+  const removeRule = (id) => {
+    const remaining = rules.filter((rule) => rule.id !== id);
+    setRules(remaining);
+    if (id === selectedId && remaining.length) setSelectedId(remaining[0].id);
+  };
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-5 gap-8">
+      <div className="lg:col-span-2 bg-gray-800/50 backdrop-blur-sm border border-gray-700 rounded-xl p-6 space-y-6">
+        <div>
+          <div className="flex items-center justify-between mb-3">
+            <h2 className="text-lg font-semibold text-white">Rules</h2>
+            <button
+              type="button"
+              onClick={addRule}
+              className="flex items-center space-x-1 text-sm text-cyan-400 hover:text-cyan-300 transition-colors duration-200"
+            >
+              <FiPlus className="w-4 h-4" aria-hidden="true" />
+              <span>Add rule</span>
+            </button>
+          </div>
+          <ul className="space-y-2">
+            {rules.map((rule, index) => (
+              <li key={rule.id} className="flex items-center gap-2">
+                <input
+                  type="checkbox"
+                  checked={rule.enabled}
+                  onChange={() =>
+                    setRules((current) =>
+                      current.map((item) =>
+                        item.id === rule.id
+                          ? { ...item, enabled: !item.enabled }
+                          : item,
+                      ),
+                    )
+                  }
+                  aria-label={`Enable ${rule.name || "unnamed rule"}`}
+                  className="accent-cyan-500"
+                />
+                <button
+                  type="button"
+                  onClick={() => setSelectedId(rule.id)}
+                  className={`flex-1 flex items-center gap-2 text-left px-3 py-2 rounded-lg border transition-colors duration-200 ${
+                    rule.id === selected?.id
+                      ? "border-cyan-500/50 bg-cyan-500/10 text-white"
+                      : "border-gray-700 text-gray-300 hover:border-gray-600"
+                  }`}
+                >
+                  <span
+                    className={`w-2.5 h-2.5 rounded-full ${
+                      HIGHLIGHTS[index % HIGHLIGHTS.length]
+                    }`}
+                  ></span>
+                  <span className="truncate">
+                    {rule.name || "Unnamed rule"}
+                  </span>
+                </button>
+                <button
+                  type="button"
+                  onClick={() => removeRule(rule.id)}
+                  aria-label={`Delete ${rule.name || "unnamed rule"}`}
+                  className="p-2 text-gray-500 hover:text-red-400 transition-colors duration-200"
+                >
+                  <FiTrash2 className="w-4 h-4" aria-hidden="true" />
+                </button>
+              </li>
+            ))}
+          </ul>
+        </div>
+
+        {selected && (
+          <div className="space-y-4">
+            <label className="block text-sm text-gray-300">
+              <span className="block mb-1">Name</span>
+              <input
+                type="text"
+                value={selected.name}
+                onChange={(event) =>
+                  updateSelected({ name: event.target.value })
+                }
+                className={inputClassName}
+              />
+            </label>
+
+            <div className="grid grid-cols-2 gap-4">
+              <label className="block text-sm text-gray-300">
+                <span className="block mb-1">Syntax</span>
+                <select
+                  value={selected.syntax}
+                  onChange={(event) =>
+                    updateSelected({ syntax: event.target.value })
+                  }
+                  className={inputClassName}
+                >
+                  <option value="wildcard">Wildcard</option>
+                  <option value="regex">Regular expression</option>
+                </select>
+              </label>
+              <label className="flex items-end gap-2 pb-2 text-sm text-gray-300">
+                <input
+                  type="checkbox"
+                  checked={selected.caseSensitive}
+                  onChange={(event) =>
+                    updateSelected({ caseSensitive: event.target.checked })
+                  }
+                  className="accent-cyan-500 mb-1"
+                />
+                <span>Case sensitive</span>
+              </label>
+            </div>
+
+            <label className="block text-sm text-gray-300">
+              <span className="block mb-1">Pattern</span>
+              <input
+                type="text"
+                value={selected.pattern}
+                onChange={(event) =>
+                  updateSelected({ pattern: event.target.value })
+                }
+                spellCheck="false"
+                className={`${inputClassName} font-mono`}
+              />
+            </label>
+
+            {selected.syntax === "wildcard" && (
+              <ul className="text-sm text-gray-400 space-y-1">
+                {WILDCARD_TOKENS.map(({ token, description }) => (
+                  <li key={token}>
+                    <code className="text-cyan-400">{token}</code> {description}
+                  </li>
+                ))}
+              </ul>
+            )}
+
+            {selectedWarnings.length > 0 && (
+              <ul className="space-y-2" aria-live="polite">
+                {selectedWarnings.map((warning) => (
+                  <li
+                    key={warning.message}
+                    className={`flex items-start gap-2 text-sm rounded-lg p-3 border ${
+                      warning.level === "error"
+                        ? "bg-red-500/10 border-red-500/30 text-red-300"
+                        : "bg-orange-500/10 border-orange-500/30 text-orange-300"
+                    }`}
+                  >
+                    {warning.level === "error" ? (
+                      <FiXCircle
+                        className="w-4 h-4 mt-0.5 shrink-0"
+                        aria-hidden="true"
+                      />
+                    ) : (
+                      <FiAlertTriangle
+                        className="w-4 h-4 mt-0.5 shrink-0"
+                        aria-hidden="true"
+                      />
+                    )}
+                    <span>{warning.message}</span>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        )}
+      </div>
+
+      <div className="lg:col-span-3 bg-gray-800/50 backdrop-blur-sm border border-gray-700 rounded-xl p-6 space-y-6">
+        <label className="block text-sm text-gray-300">
+          <span className="block mb-1">Sample text</span>
+          <textarea
+            value={sample}
+            onChange={(event) => setSample(event.target.value)}
+            rows={6}
+            className={`${inputClassName} font-mono text-sm`}
+          />
+        </label>
+
+        <div>
+          <div className="flex items-center justify-between mb-2 text-sm">
+            <span className="text-gray-300">Preview</span>
+            <span className="text-gray-400">
+              {count === 1 ? "1 match" : `${count} matches`}
+            </span>
+          </div>
+          <pre className="whitespace-pre-wrap break-words font-mono text-sm text-gray-300 bg-gray-900/60 border border-gray-700 rounded-lg p-4 min-h-[8rem]">
+            {segments.map((segment, index) =>
+              segment.match ? (
+                <mark
+                  key={index}
+                  title={segment.match.rule.name}
+                  className={`rounded px-0.5 ${segment.match.rule.color}`}
+                >
+                  {segment.text}
+                </mark>
+              ) : (
+                segment.text
+              ),
+            )}
+          </pre>
+        </div>
+
+        <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+          <p className="text-sm text-gray-400">
+            {exportable
+              ? "Rules with warnings still export, but review them first."
+              : "Fix the rules marked in red before exporting."}
+          </p>
+          <m.button
+            type="button"
+            disabled={!exportable || rules.length === 0}
+            onClick={() =>
+              downloadFile("safe-web-rules.json", exportRuleSet(rules))
+            }
+            whileHover={{ scale: 1.05 }}
+            whileTap={{ scale: 0.95 }}
+            className="bg-gradient-to-r from-cyan-500 to-blue-600 text-on-accent px-4 py-2 rounded-lg flex items-center justify-center space-x-2 hover:from-cyan-600 hover:to-blue-700 transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            <FiDownload className="w-4 h-4" aria-hidden="true" />
+            <span>Download rule set</span>
+          </m.button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PatternPlayground;
@@ -0,0 +1,86 @@
+import { useEffect, useState } from "react";
+import { FiDownloadCloud, FiRefreshCw, FiX } from "react-icons/fi";
+import useI18n from "../i18n/useI18n";
+import usePwa from "../hooks/usePwa";
+import { applyUpdate, promptInstall } from "../utils/pwa";
+
+const INSTALL_DISMISSED_KEY = "safe-web:install-dismissed";
+
+const toastClassName =
+  "pointer-events-auto flex items-center gap-3 bg-gray-800 border border-gray-700 rounded-xl shadow-lg px-4 py-3 text-sm text-gray-300";
+
+const actionClassName =
+  "bg-gradient-to-r from-cyan-500 to-blue-600 text-on-accent px-3 py-1.5 rounded-lg font-semibold flex items-center gap-2 hover:from-cyan-600 hover:to-blue-700 transition-all duration-200";
+
+const readInstallDismissed = () => {
+  try {
+    return localStorage.getItem(INSTALL_DISMISSED_KEY) === "1";
+  } catch {
+    return false;
+  }
+};
+
+// "Update available" when a new deploy's service worker is waiting, and an
+// install offer when the browser allows installing the site.
+const PwaToasts = () => {
+  const { t } = useI18n();
+  const { updateReady, canInstall } = usePwa();
+  const [installDismissed, setInstallDismissed] = useState(true);
+
+  useEffect(() => {
+    setInstallDismissed(readInstallDismissed());
+  }, []);
+
+  const dismissInstall = () => {
+    try {
+      localStorage.setItem(INSTALL_DISMISSED_KEY, "1");
+    } catch {
+      // Without storage the offer returns on the next visit.
+    }
+    setInstallDismissed(true);
+  };
+
+  const showInstall = canInstall && !installDismissed;
+  if (!updateReady && !showInstall) return null;
+
+  return (
+    <div className="fixed bottom-4 end-4 z-40 flex flex-col items-end gap-3 pointer-events-none">
+      {updateReady && (
+        <div className={toastClassName} role="status">
+          <span>{t("pwa.updateReady")}</span>
+          <button
+            type="button"
+            onClick={applyUpdate}
+            className={actionClassName}
+          >
+            <FiRefreshCw className="w-4 h-4" aria-hidden="true" />
+            {t("pwa.reload")}
+          </button>
+        </div>
+      )}
+      {showInstall && (
+        <div className={toastClassName} role="status">
+          <span>{t("pwa.installOffer")}</span>
+          <button
+            type="button"
+            onClick={promptInstall}
+            className={actionClassName}
+          >
+            <FiDownloadCloud className="w-4 h-4" aria-hidden="true" />
+            {t("pwa.install")}
+          </button>
+          <button
+            type="button"
+            onClick={dismissInstall}
+            aria-label={t("pwa.dismiss")}
+            className="p-1 text-gray-400 hover:text-white transition-colors duration-200"
+          >
+            <FiX className="w-4 h-4" aria-hidden="true" />
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PwaToasts;
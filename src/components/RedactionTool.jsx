@@ -0,0 +1,325 @@
+import { useEffect, useMemo, useState } from "react";
+import {
+  FiCheck,
+  FiCopy,
+  FiDownload,
+  FiLock,
+  FiUpload,
+  FiXCircle,
+} from "react-icons/fi";
+import { SENSITIVE_TYPES } from "../utils/detection";
+import {
+  countByType,
+  createSalt,
+  DEFAULT_TREATMENTS,
+  MAX_INPUT_LENGTH,
+  redactedFilename,
+  redactedMimeType,
+  redactMatches,
+  TREATMENTS,
+} from "../utils/redaction";
+import { downloadFile } from "../utils/download";
+import useDetection from "../hooks/useDetection";
+
+const SAMPLE_TEXT = `Hi support,
+
+Jane Roe (jane.roe@example.com, +1 415-555-0132) was charged twice on card
+4111 1111 1111 1111. Her SSN 123-45-6789 was shown on the billing page.
+Refund to IBAN DE89 3704 0044 0532 0130 00 please. cc: jane.roe@example.com`;
+
+const TYPE_COLORS = {
+  email: "bg-cyan-500/30 text-cyan-200",
+  phone: "bg-purple-500/30 text-purple-200",
+  creditCard: "bg-orange-500/30 text-orange-200",
+  ssn: "bg-red-500/30 text-red-300",
+  iban: "bg-green-500/30 text-green-200",
+};
+
+const inputClassName =
+  "w-full bg-gray-900/60 border border-gray-700 rounded-lg px-3 py-2 text-white placeholder-gray-500 focus:outline-none focus:border-cyan-500";
+
+const cardClassName =
+  "bg-gray-800/50 backdrop-blur-sm border border-gray-700 rounded-xl p-6";
+
+const secondaryButtonClassName =
+  "flex items-center justify-center space-x-2 border border-gray-600 text-gray-300 px-4 py-2 rounded-lg hover:border-cyan-500/50 hover:text-cyan-400 transition-colors duration-200 disabled:opacity-50 disabled:cursor-not-allowed";
+
+const COPIED_RESET_MS = 2000;
+
+const Highlighted = ({ text, matches }) => {
+  const parts = [];
+  let cursor = 0;
+  matches.forEach((match, index) => {
+    if (match.start > cursor) parts.push(text.slice(cursor, match.start));
+    parts.push(
+      <mark
+        key={index}
+        title={SENSITIVE_TYPES.find(({ type }) => type === match.type)?.label}
+        className={`rounded px-0.5 ${TYPE_COLORS[match.type]}`}
+      >
+        {match.value}
+      </mark>,
+    );
+    cursor = match.end;
+  });
+  if (cursor < text.length) parts.push(text.slice(cursor));
+  return parts;
+};
+
+const RedactionTool = () => {
+  const [text, setText] = useState(SAMPLE_TEXT);
+  const [fileName, setFileName] = useState(null);
+  const [inputError, setInputError] = useState(null);
+  const [dragging, setDragging] = useState(false);
+  const [treatments, setTreatments] = useState(DEFAULT_TREATMENTS);
+  // Generated after mount so the prerendered page hydrates unchanged.
+  const [salt, setSalt] = useState("");
+  const [output, setOutput] = useState("");
+  const [copied, setCopied] = useState(false);
+
+  useEffect(() => {
+    setSalt(createSalt());
+  }, []);
+
+  // Offsets in `matches` refer to `detected.text`, which trails `text`
+  // while a scan runs.
+  const detected = useDetection(text);
+  const { matches, pending } = detected;
+  const counts = useMemo(() => countByType(matches), [matches]);
+  const usesHash = Object.values(treatments).includes("hash");
+
+  useEffect(() => {
+    let cancelled = false;
+    redactMatches(detected.text, matches, { treatments, salt }).then(
+      (result) => {
+        if (!cancelled) setOutput(result);
+      },
+    );
+    return () => {
+      cancelled = true;
+    };
+  }, [detected.text, matches, treatments, salt]);
+
+  useEffect(() => {
+    if (!copied) return undefined;
+    const timer = window.setTimeout(() => setCopied(false), COPIED_RESET_MS);
+    return () => window.clearTimeout(timer);
+  }, [copied]);
+
+  const loadFile = async (file) => {
+    if (!file) return;
+    if (file.size > MAX_INPUT_LENGTH) {
+      setInputError(
+        `${file.name} is too large. Files up to ${MAX_INPUT_LENGTH / 1_000_000} MB can be redacted here.`,
+      );
+      return;
+    }
+    setInputError(null);
+    setFileName(file.name);
+    setText(await file.text());
+  };
+
+  const editText = (value) => {
+    if (value.length > MAX_INPUT_LENGTH) {
+      setInputError(
+        `That text is too long. Up to ${MAX_INPUT_LENGTH / 1_000_000} million characters can be redacted here.`,
+      );
+      return;
+    }
+    setInputError(null);
+    setText(value);
+  };
+
+  const copyOutput = async () => {
+    try {
+      await navigator.clipboard.writeText(output);
+      setCopied(true);
+    } catch {
+      // Clipboard access can be denied; the output can still be selected.
+    }
+  };
+
+  return (
+    <div className="space-y-8">
+      <p className="flex items-center justify-center gap-2 text-sm text-green-400">
+        <FiLock className="w-4 h-4" aria-hidden="true" />
+        <span>
+          Everything happens in your browser. Text and files are never uploaded.
+        </span>
+      </p>
+
+      <div className="grid grid-cols-1 lg:grid-cols-5 gap-8">
+        <div className={`lg:col-span-3 ${cardClassName} space-y-6`}>
+          <label
+            onDragOver={(event) => {
+              event.preventDefault();
+              setDragging(true);
+            }}
+            onDragLeave={() => setDragging(false)}
+            onDrop={(event) => {
+              event.preventDefault();
+              setDragging(false);
+              loadFile(event.dataTransfer.files[0]);
+            }}
+            className={`flex items-center justify-center gap-3 text-center border-2 border-dashed rounded-xl p-4 cursor-pointer transition-colors duration-200 ${
+              dragging
+                ? "border-cyan-400 bg-cyan-500/10"
+                : "border-gray-600 hover:border-cyan-500/50"
+            }`}
+          >
+            <FiUpload className="w-5 h-5 text-cyan-400" aria-hidden="true" />
+            <span className="text-sm text-gray-300">
+              Drop a text, CSV or JSON file here, or click to browse
+            </span>
+            <input
+              type="file"
+              accept=".txt,.log,.csv,.json,.md,text/plain,text/csv,application/json"
+              className="sr-only"
+              onChange={(event) => loadFile(event.target.files[0])}
+            />
+          </label>
+          {inputError && (
+            <p className="flex items-start gap-2 text-sm rounded-lg p-3 border bg-red-500/10 border-red-500/30 text-red-300">
+              <FiXCircle
+                className="w-4 h-4 mt-0.5 shrink-0"
+                aria-hidden="true"
+              />
+              <span>{inputError}</span>
+            </p>
+          )}
+
+          <label className="block text-sm text-gray-300">
+            <span className="block mb-1">
+              {fileName ? `Text from ${fileName}` : "Text to redact"}
+            </span>
+            <textarea
+              value={text}
+              onChange={(event) => editText(event.target.value)}
+              rows={8}
+              spellCheck="false"
+              className={`${inputClassName} font-mono text-sm`}
+            />
+          </label>
+
+          <div>
+            <div className="flex items-center justify-between mb-2 text-sm">
+              <span className="text-gray-300">Detected</span>
+              <span className="text-gray-400">
+                {pending
+                  ? "Scanning…"
+                  : matches.length === 1
+                    ? "1 item"
+                    : `${matches.length} items`}
+              </span>
+            </div>
+            <pre
+              aria-busy={pending}
+              className="whitespace-pre-wrap break-words font-mono text-sm text-gray-300 bg-gray-900/60 border border-gray-700 rounded-lg p-4 min-h-[8rem] max-h-96 overflow-auto"
+            >
+              <Highlighted text={detected.text} matches={matches} />
+            </pre>
+          </div>
+        </div>
+
+        <div className="lg:col-span-2 space-y-8">
+          <div className={`${cardClassName} space-y-4`}>
+            <h2 className="text-lg font-semibold text-white">Treatment</h2>
+            {SENSITIVE_TYPES.map(({ type, label }) => (
+              <label
+                key={type}
+                className="grid grid-cols-[1fr_auto] items-center gap-3 text-sm text-gray-300"
+              >
+                <span className="flex items-center gap-2">
+                  <span
+                    className={`w-2.5 h-2.5 rounded-full ${TYPE_COLORS[type]}`}
+                  ></span>
+                  <span>
+                    {label}{" "}
+                    <span className="text-gray-500">({counts[type] ?? 0})</span>
+                  </span>
+                </span>
+                <select
+                  value={treatments[type]}
+                  onChange={(event) =>
+                    setTreatments((current) => ({
+                      ...current,
+                      [type]: event.target.value,
+                    }))
+                  }
+                  className={`${inputClassName} w-auto`}
+                >
+                  {TREATMENTS.map(({ value, label: name, example }) => (
+                    <option key={value} value={value}>
+                      {name} ({example})
+                    </option>
+                  ))}
+                </select>
+              </label>
+            ))}
+            {usesHash && (
+              <label className="block text-sm text-gray-300 pt-2">
+                <span className="block mb-1">Hash salt</span>
+                <input
+                  type="text"
+                  value={salt}
+                  spellCheck="false"
+                  onChange={(event) => setSalt(event.target.value)}
+                  className={`${inputClassName} font-mono`}
+                />
+                <span className="block mt-1 text-gray-400">
+                  Reuse the same salt to get matching hashes across files. Keep
+                  it private: anyone with it can check guesses against a hash.
+                </span>
+              </label>
+            )}
+          </div>
+
+          <div className={`${cardClassName} space-y-4`}>
+            <h2 className="text-lg font-semibold text-white">
+              Redacted output
+            </h2>
+            <textarea
+              value={output}
+              readOnly
+              rows={8}
+              aria-label="Redacted output"
+              className={`${inputClassName} font-mono text-sm`}
+            />
+            <div className="flex flex-col sm:flex-row gap-3">
+              <button
+                type="button"
+                onClick={copyOutput}
+                disabled={!output || pending}
+                className={`flex-1 ${secondaryButtonClassName}`}
+              >
+                {copied ? (
+                  <FiCheck className="w-4 h-4" aria-hidden="true" />
+                ) : (
+                  <FiCopy className="w-4 h-4" aria-hidden="true" />
+                )}
+                <span aria-live="polite">{copied ? "Copied" : "Copy"}</span>
+              </button>
+              <button
+                type="button"
+                disabled={!output || pending}
+                onClick={() =>
+                  downloadFile(
+                    redactedFilename(fileName),
+                    output,
+                    redactedMimeType(fileName),
+                  )
+                }
+                className="flex-1 bg-gradient-to-r from-cyan-500 to-blue-600 text-on-accent px-4 py-2 rounded-lg flex items-center justify-center space-x-2 hover:from-cyan-600 hover:to-blue-700 transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                <FiDownload className="w-4 h-4" aria-hidden="true" />
+                <span>Download</span>
+              </button>
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default RedactionTool;
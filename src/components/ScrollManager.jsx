@@ -0,0 +1,46 @@
+import { useEffect } from "react";
+import { ScrollRestoration } from "react-router";
+
+// ScrollRestoration handles hashes on client-side navigations but leaves the
+// first page load to the browser, which gives up before the SPA has rendered
+// the target. Retry for a few frames until it exists.
+const MAX_FRAMES = 60;
+
+// A malformed escape such as "#%E0" makes decodeURIComponent throw; such an
+// id can still match literally.
+const hashId = (hash) => {
+  try {
+    return decodeURIComponent(hash);
+  } catch {
+    return hash;
+  }
+};
+
+const useInitialHashScroll = () => {
+  useEffect(() => {
+    const id = hashId(window.location.hash.slice(1));
+    if (!id) return undefined;
+
+    let frame;
+    let attempts = 0;
+    const scrollToTarget = () => {
+      const target = document.getElementById(id);
+      if (target) {
+        target.scrollIntoView();
+      } else if (attempts < MAX_FRAMES) {
+        attempts += 1;
+        frame = requestAnimationFrame(scrollToTarget);
+      }
+    };
+    scrollToTarget();
+
+    return () => cancelAnimationFrame(frame);
+  }, []);
+};
+
+const ScrollManager = () => {
+  useInitialHashScroll();
+  return <ScrollRestoration />;
+};
+
+export default ScrollManager;
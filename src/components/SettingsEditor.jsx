@@ -0,0 +1,509 @@
+import { useMemo, useState } from "react";
+import { Link } from "react-router";
+import { m } from "framer-motion";
+import {
+  FiAlertTriangle,
+  FiCheckCircle,
+  FiDownload,
+  FiPlus,
+  FiRefreshCw,
+  FiTrash2,
+  FiUpload,
+} from "react-icons/fi";
+import { SENSITIVE_TYPES } from "../utils/detection";
+import {
+  createDefaultSettings,
+  exportSettings,
+  importSettings,
+  MASKING_STYLES,
+  MAX_INTENSITY,
+  MIN_INTENSITY,
+  validateSettings,
+} from "../utils/settings";
+import { downloadFile } from "../utils/download";
+
+const inputClassName =
+  "w-full bg-gray-900/60 border border-gray-700 rounded-lg px-3 py-2 text-white placeholder-gray-500 focus:outline-none focus:border-cyan-500";
+
+const cardClassName =
+  "bg-gray-800/50 backdrop-blur-sm border border-gray-700 rounded-xl p-6";
+
+const styleLabel = (style) => style.charAt(0).toUpperCase() + style.slice(1);
+
+// Tri-state select value for optional booleans in site overrides.
+const toChoice = (value) => (value === undefined ? "inherit" : String(value));
+const fromChoice = (choice) =>
+  choice === "inherit" ? undefined : choice === "true";
+
+// Optional fields are removed rather than set to undefined so "inherit"
+// round-trips as an absent key.
+const withoutUndefined = (object) =>
+  Object.fromEntries(
+    Object.entries(object).filter(([, value]) => value !== undefined),
+  );
+
+const IssueList = ({ issues }) => (
+  <ul className="space-y-2" aria-live="polite">
+    {issues.map((issue, index) => (
+      <li
+        key={`${issue.path}-${index}`}
+        className="flex items-start gap-2 text-sm rounded-lg p-3 border bg-orange-500/10 border-orange-500/30 text-orange-300"
+      >
+        <FiAlertTriangle
+          className="w-4 h-4 mt-0.5 shrink-0"
+          aria-hidden="true"
+        />
+        <span>
+          {issue.path && (
+            <code className="text-orange-200 mr-2">{issue.path}</code>
+          )}
+          {issue.message}
+        </span>
+      </li>
+    ))}
+  </ul>
+);
+
+const SettingsEditor = () => {
+  const [settings, setSettings] = useState(createDefaultSettings);
+  const [source, setSource] = useState(null);
+  const [dragging, setDragging] = useState(false);
+
+  const liveIssues = useMemo(
+    () => validateSettings(settings).issues,
+    [settings],
+  );
+
+  const loadFile = async (file) => {
+    if (!file) return;
+    const result = importSettings(await file.text());
+    setSource({ name: file.name, ...result });
+    if (result.settings) setSettings(result.settings);
+  };
+
+  const update = (changes) =>
+    setSettings((current) => ({ ...current, ...changes }));
+
+  const updateListItem = (key, index, changes) =>
+    setSettings((current) => ({
+      ...current,
+      [key]: current[key].map((item, i) =>
+        i === index ? withoutUndefined({ ...item, ...changes }) : item,
+      ),
+    }));
+
+  const removeListItem = (key, index) =>
+    setSettings((current) => ({
+      ...current,
+      [key]: current[key].filter((_, i) => i !== index),
+    }));
+
+  const updateOverrideMasking = (index, field, value) => {
+    const masking = withoutUndefined({
+      ...settings.siteOverrides[index].masking,
+      [field]: value,
+    });
+    updateListItem("siteOverrides", index, {
+      masking: Object.keys(masking).length ? masking : undefined,
+    });
+  };
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
+      <div className="space-y-6">
+        <label
+          onDragOver={(event) => {
+            event.preventDefault();
+            setDragging(true);
+          }}
+          onDragLeave={() => setDragging(false)}
+          onDrop={(event) => {
+            event.preventDefault();
+            setDragging(false);
+            loadFile(event.dataTransfer.files[0]);
+          }}
+          className={`flex flex-col items-center justify-center text-center border-2 border-dashed rounded-xl p-8 cursor-pointer transition-colors duration-200 ${
+            dragging
+              ? "border-cyan-400 bg-cyan-500/10"
+              : "border-gray-600 hover:border-cyan-500/50"
+          }`}
+        >
+          <FiUpload className="w-8 h-8 text-cyan-400 mb-3" aria-hidden="true" />
+          <span className="text-white font-semibold">
+            Drop a settings file here
+          </span>
+          <span className="text-sm text-gray-400">or click to browse</span>
+          <input
+            type="file"
+            accept=".json,application/json"
+            className="sr-only"
+            onChange={(event) => loadFile(event.target.files[0])}
+          />
+        </label>
+
+        <button
+          type="button"
+          onClick={() => {
+            setSettings(createDefaultSettings());
+            setSource(null);
+          }}
+          className="w-full flex items-center justify-center space-x-2 border border-gray-600 text-gray-300 px-4 py-2 rounded-lg hover:border-cyan-500/50 hover:text-cyan-400 transition-colors duration-200"
+        >
+          <FiRefreshCw className="w-4 h-4" aria-hidden="true" />
+          <span>Start from defaults</span>
+        </button>
+
+        {source && (
+          <div className={`${cardClassName} space-y-4`}>
+            <h2 className="text-lg font-semibold text-white break-all">
+              {source.name}
+            </h2>
+            {source.migratedFrom && (
+              <p className="text-sm text-cyan-300">
+                Upgraded from settings version {source.migratedFrom}.
+              </p>
+            )}
+            {source.issues.length ? (
+              <>
+                <p className="text-sm text-gray-300">
+                  {source.settings
+                    ? "These problems were corrected on import:"
+                    : "The file could not be imported:"}
+                </p>
+                <IssueList issues={source.issues} />
+              </>
+            ) : (
+              <p className="flex items-center gap-2 text-sm text-green-400">
+                <FiCheckCircle className="w-4 h-4" aria-hidden="true" />
+                <span>The file is valid.</span>
+              </p>
+            )}
+          </div>
+        )}
+      </div>
+
+      <div className="lg:col-span-2 space-y-6">
+        <div className={`${cardClassName} space-y-5`}>
+          <h2 className="text-lg font-semibold text-white">General</h2>
+          <label className="flex items-center gap-3 text-gray-300">
+            <input
+              type="checkbox"
+              checked={settings.enabled}
+              onChange={(event) => update({ enabled: event.target.checked })}
+              className="accent-cyan-500"
+            />
+            <span>Masking enabled</span>
+          </label>
+
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+            <label className="block text-sm text-gray-300">
+              <span className="block mb-1">Masking style</span>
+              <select
+                value={settings.masking.style}
+                onChange={(event) =>
+                  update({
+                    masking: {
+                      ...settings.masking,
+                      style: event.target.value,
+                    },
+                  })
+                }
+                className={inputClassName}
+              >
+                {MASKING_STYLES.map((style) => (
+                  <option key={style} value={style}>
+                    {styleLabel(style)}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label className="block text-sm text-gray-300">
+              <span className="block mb-1">
+                Intensity: {settings.masking.intensity}
+              </span>
+              <input
+                type="range"
+                min={MIN_INTENSITY}
+                max={MAX_INTENSITY}
+                value={settings.masking.intensity}
+                onChange={(event) =>
+                  update({
+                    masking: {
+                      ...settings.masking,
+                      intensity: Number(event.target.value),
+                    },
+                  })
+                }
+                className="w-full accent-cyan-500 mt-2"
+              />
+            </label>
+          </div>
+
+          <fieldset>
+            <legend className="text-sm text-gray-300 mb-2">
+              Detected patterns
+            </legend>
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+              {SENSITIVE_TYPES.map(({ type, label }) => (
+                <label
+                  key={type}
+                  className="flex items-center gap-3 text-gray-300"
+                >
+                  <input
+                    type="checkbox"
+                    checked={settings.patterns[type] ?? true}
+                    onChange={(event) =>
+                      update({
+                        patterns: {
+                          ...settings.patterns,
+                          [type]: event.target.checked,
+                        },
+                      })
+                    }
+                    className="accent-cyan-500"
+                  />
+                  <span>{label}</span>
+                </label>
+              ))}
+            </div>
+          </fieldset>
+        </div>
+
+        <div className={`${cardClassName} space-y-4`}>
+          <div className="flex items-center justify-between">
+            <h2 className="text-lg font-semibold text-white">
+              Per-site overrides
+            </h2>
+            <button
+              type="button"
+              onClick={() =>
+                update({
+                  siteOverrides: [...settings.siteOverrides, { match: "" }],
+                })
+              }
+              className="flex items-center space-x-1 text-sm text-cyan-400 hover:text-cyan-300 transition-colors duration-200"
+            >
+              <FiPlus className="w-4 h-4" aria-hidden="true" />
+              <span>Add site</span>
+            </button>
+          </div>
+          {settings.siteOverrides.length === 0 && (
+            <p className="text-sm text-gray-400">
+              Every site uses the general settings. Build and test a list in the{" "}
+              <Link to="/sites" className="text-cyan-400 hover:text-cyan-300">
+                site rules manager
+              </Link>
+              .
+            </p>
+          )}
+          {settings.siteOverrides.map((override, index) => (
+            <div
+              key={index}
+              className="grid grid-cols-1 sm:grid-cols-[2fr_1fr_1fr_auto] gap-3 items-end"
+            >
+              <label className="block text-sm text-gray-300">
+                <span className="block mb-1">Site</span>
+                <input
+                  type="text"
+                  value={override.match}
+                  placeholder="*.example.com"
+                  onChange={(event) =>
+                    updateListItem("siteOverrides", index, {
+                      match: event.target.value,
+                    })
+                  }
+                  className={inputClassName}
+                />
+              </label>
+              <label className="block text-sm text-gray-300">
+                <span className="block mb-1">Masking</span>
+                <select
+                  value={toChoice(override.enabled)}
+                  onChange={(event) =>
+                    updateListItem("siteOverrides", index, {
+                      enabled: fromChoice(event.target.value),
+                    })
+                  }
+                  className={inputClassName}
+                >
+                  <option value="inherit">Inherit</option>
+                  <option value="true">On</option>
+                  <option value="false">Off</option>
+                </select>
+              </label>
+              <label className="block text-sm text-gray-300">
+                <span className="block mb-1">Style</span>
+                <select
+                  value={override.masking?.style ?? "inherit"}
+                  onChange={(event) =>
+                    updateOverrideMasking(
+                      index,
+                      "style",
+                      event.target.value === "inherit"
+                        ? undefined
+                        : event.target.value,
+                    )
+                  }
+                  className={inputClassName}
+                >
+                  <option value="inherit">Inherit</option>
+                  {MASKING_STYLES.map((style) => (
+                    <option key={style} value={style}>
+                      {styleLabel(style)}
+                    </option>
+                  ))}
+                </select>
+              </label>
+              <button
+                type="button"
+                onClick={() => removeListItem("siteOverrides", index)}
+                aria-label={`Remove override for ${override.match || "unnamed site"}`}
+                className="p-2 mb-1 text-gray-500 hover:text-red-400 transition-colors duration-200"
+              >
+                <FiTrash2 className="w-4 h-4" aria-hidden="true" />
+              </button>
+            </div>
+          ))}
+        </div>
+
+        <div className={`${cardClassName} space-y-4`}>
+          <div className="flex items-center justify-between">
+            <h2 className="text-lg font-semibold text-white">
+              Custom patterns
+            </h2>
+            <button
+              type="button"
+              onClick={() =>
+                update({
+                  customPatterns: [
+                    ...settings.customPatterns,
+                    {
+                      name: "",
+                      syntax: "wildcard",
+                      pattern: "",
+                      caseSensitive: false,
+                      enabled: true,
+                    },
+                  ],
+                })
+              }
+              className="flex items-center space-x-1 text-sm text-cyan-400 hover:text-cyan-300 transition-colors duration-200"
+            >
+              <FiPlus className="w-4 h-4" aria-hidden="true" />
+              <span>Add pattern</span>
+            </button>
+          </div>
+          {settings.customPatterns.length === 0 && (
+            <p className="text-sm text-gray-400">
+              No custom patterns. Build some in the{" "}
+              <Link
+                to="/playground"
+                className="text-cyan-400 hover:text-cyan-300"
+              >
+                rule playground
+              </Link>
+              .
+            </p>
+          )}
+          {settings.customPatterns.map((pattern, index) => (
+            <div
+              key={index}
+              className="grid grid-cols-1 sm:grid-cols-[1fr_1fr_2fr_auto_auto] gap-3 items-end"
+            >
+              <label className="block text-sm text-gray-300">
+                <span className="block mb-1">Name</span>
+                <input
+                  type="text"
+                  value={pattern.name}
+                  onChange={(event) =>
+                    updateListItem("customPatterns", index, {
+                      name: event.target.value,
+                    })
+                  }
+                  className={inputClassName}
+                />
+              </label>
+              <label className="block text-sm text-gray-300">
+                <span className="block mb-1">Syntax</span>
+                <select
+                  value={pattern.syntax}
+                  onChange={(event) =>
+                    updateListItem("customPatterns", index, {
+                      syntax: event.target.value,
+                    })
+                  }
+                  className={inputClassName}
+                >
+                  <option value="wildcard">Wildcard</option>
+                  <option value="regex">Regex</option>
+                </select>
+              </label>
+              <label className="block text-sm text-gray-300">
+                <span className="block mb-1">Pattern</span>
+                <input
+                  type="text"
+                  value={pattern.pattern}
+                  spellCheck="false"
+                  onChange={(event) =>
+                    updateListItem("customPatterns", index, {
+                      pattern: event.target.value,
+                    })
+                  }
+                  className={`${inputClassName} font-mono`}
+                />
+              </label>
+              <label className="flex items-center gap-2 pb-2 text-sm text-gray-300">
+                <input
+                  type="checkbox"
+                  checked={pattern.enabled}
+                  onChange={(event) =>
+                    updateListItem("customPatterns", index, {
+                      enabled: event.target.checked,
+                    })
+                  }
+                  className="accent-cyan-500"
+                />
+                <span>On</span>
+              </label>
+              <button
+                type="button"
+                onClick={() => removeListItem("customPatterns", index)}
+                aria-label={`Remove ${pattern.name || "unnamed pattern"}`}
+                className="p-2 mb-1 text-gray-500 hover:text-red-400 transition-colors duration-200"
+              >
+                <FiTrash2 className="w-4 h-4" aria-hidden="true" />
+              </button>
+            </div>
+          ))}
+        </div>
+
+        <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+          <div className="flex-1">
+            {liveIssues.length ? (
+              <IssueList issues={liveIssues} />
+            ) : (
+              <p className="flex items-center gap-2 text-sm text-green-400">
+                <FiCheckCircle className="w-4 h-4" aria-hidden="true" />
+                <span>Ready to export.</span>
+              </p>
+            )}
+          </div>
+          <m.button
+            type="button"
+            onClick={() =>
+              downloadFile("safe-web-settings.json", exportSettings(settings))
+            }
+            whileHover={{ scale: 1.05 }}
+            whileTap={{ scale: 0.95 }}
+            className="bg-gradient-to-r from-cyan-500 to-blue-600 text-on-accent px-4 py-2 rounded-lg flex items-center justify-center space-x-2 hover:from-cyan-600 hover:to-blue-700 transition-all duration-200"
+          >
+            <FiDownload className="w-4 h-4" aria-hidden="true" />
+            <span>Download settings</span>
+          </m.button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SettingsEditor;
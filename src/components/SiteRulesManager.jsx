@@ -0,0 +1,338 @@
+import { useMemo, useState } from "react";
+import {
+  FiAlertTriangle,
+  FiDownload,
+  FiPlus,
+  FiTrash2,
+  FiUpload,
+  FiXCircle,
+} from "react-icons/fi";
+import {
+  analyzeSiteRules,
+  createSiteRule,
+  describePattern,
+  evaluateSiteRules,
+  explainPrecedence,
+  parseTestUrl,
+  PATTERN_EXAMPLES,
+  SITE_ACTIONS,
+  siteRuleFromOverride,
+  siteRuleToOverride,
+} from "../utils/siteRules";
+import {
+  createDefaultSettings,
+  exportSettings,
+  importSettings,
+} from "../utils/settings";
+import { downloadFile } from "../utils/download";
+
+const INITIAL_RULES = [
+  createSiteRule({ match: "*.example.com", action: "allow" }),
+  createSiteRule({ match: "example.com/account", action: "block" }),
+  createSiteRule({ match: "*://*.bank.example/*", action: "block" }),
+];
+
+const SAMPLE_URL = "https://example.com/account/billing";
+
+const inputClassName =
+  "w-full bg-gray-900/60 border border-gray-700 rounded-lg px-3 py-2 text-white placeholder-gray-500 focus:outline-none focus:border-cyan-500";
+
+const cardClassName =
+  "bg-gray-800/50 backdrop-blur-sm border border-gray-700 rounded-xl p-6";
+
+const ACTION_STYLES = {
+  allow: "bg-green-500/10 border-green-400/30 text-green-400",
+  block: "bg-cyan-500/10 border-cyan-400/30 text-cyan-400",
+  settings: "bg-gray-700/40 border-gray-600 text-gray-300",
+};
+
+const actionLabel = (action) => {
+  const known = SITE_ACTIONS.find(({ value }) => value === action);
+  return known
+    ? `${known.label} (${known.description})`
+    : "Masking options only";
+};
+
+const IssueList = ({ issues }) => (
+  <ul className="space-y-2 mt-2" aria-live="polite">
+    {issues.map((issue) => (
+      <li
+        key={issue.message}
+        className={`flex items-start gap-2 text-sm rounded-lg p-3 border ${
+          issue.level === "error"
+            ? "bg-red-500/10 border-red-500/30 text-red-300"
+            : "bg-orange-500/10 border-orange-500/30 text-orange-300"
+        }`}
+      >
+        {issue.level === "error" ? (
+          <FiXCircle className="w-4 h-4 mt-0.5 shrink-0" aria-hidden="true" />
+        ) : (
+          <FiAlertTriangle
+            className="w-4 h-4 mt-0.5 shrink-0"
+            aria-hidden="true"
+          />
+        )}
+        <span>{issue.message}</span>
+      </li>
+    ))}
+  </ul>
+);
+
+const TestResult = ({ rules, input }) => {
+  const url = parseTestUrl(input);
+  if (!url) {
+    return <p className="text-sm text-gray-400">Enter a URL to test it.</p>;
+  }
+  if (!["http:", "https:"].includes(url.protocol)) {
+    return (
+      <p className="text-sm text-gray-400">
+        Safe-Web only runs on http and https pages.
+      </p>
+    );
+  }
+
+  const { winner, matches } = evaluateSiteRules(rules, url);
+  if (!winner) {
+    return (
+      <p className="text-sm text-gray-300 rounded-lg p-4 border border-gray-700 bg-gray-900/60">
+        No rule matches <code>{url.href}</code>, so the general settings apply.
+      </p>
+    );
+  }
+
+  return (
+    <div className="space-y-4" aria-live="polite">
+      <div
+        className={`rounded-lg p-4 border ${ACTION_STYLES[winner.rule.action]}`}
+      >
+        <p className="font-semibold">{actionLabel(winner.rule.action)}</p>
+        <p className="text-sm text-gray-300 mt-1">
+          Rule {winner.index + 1}, <code>{winner.rule.match}</code>, covers{" "}
+          {describePattern(winner.pattern)}
+          {matches.length > 1 &&
+            ` and wins because ${explainPrecedence(winner, matches[1])}`}
+          .
+        </p>
+      </div>
+      {matches.length > 1 && (
+        <div>
+          <h3 className="text-sm text-gray-300 mb-2">
+            All matching rules, highest precedence first
+          </h3>
+          <ol className="space-y-2 text-sm">
+            {matches.map((match) => (
+              <li
+                key={match.rule.id}
+                className="flex flex-wrap items-center gap-x-3 gap-y-1 text-gray-400"
+              >
+                <code className="text-cyan-300">{match.rule.match}</code>
+                <span>{actionLabel(match.rule.action)}</span>
+                <span className="text-gray-500">rule {match.index + 1}</span>
+              </li>
+            ))}
+          </ol>
+        </div>
+      )}
+    </div>
+  );
+};
+
+const SiteRulesManager = () => {
+  const [rules, setRules] = useState(INITIAL_RULES);
+  const [testUrl, setTestUrl] = useState(SAMPLE_URL);
+  // Settings from an opened file, so exporting keeps everything else in it.
+  const [base, setBase] = useState(null);
+  const [loadError, setLoadError] = useState(null);
+
+  const issues = useMemo(() => analyzeSiteRules(rules), [rules]);
+  const hasErrors = [...issues.values()].some((list) =>
+    list.some((issue) => issue.level === "error"),
+  );
+
+  const updateRule = (id, changes) =>
+    setRules((current) =>
+      current.map((rule) => (rule.id === id ? { ...rule, ...changes } : rule)),
+    );
+
+  const openFile = async (file) => {
+    if (!file) return;
+    const { settings, issues: fileIssues } = importSettings(await file.text());
+    if (!settings) {
+      setLoadError(fileIssues[0]?.message ?? "The file could not be read.");
+      return;
+    }
+    setLoadError(null);
+    setBase({ name: file.name, settings });
+    setRules(settings.siteOverrides.map(siteRuleFromOverride));
+  };
+
+  const download = () => {
+    const settings = base?.settings ?? createDefaultSettings();
+    downloadFile(
+      "safe-web-settings.json",
+      exportSettings({
+        ...settings,
+        siteOverrides: rules.map(siteRuleToOverride),
+      }),
+    );
+  };
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-5 gap-8">
+      <div className={`lg:col-span-3 ${cardClassName} space-y-6`}>
+        <div className="flex flex-wrap items-center justify-between gap-3">
+          <h2 className="text-lg font-semibold text-white">Site rules</h2>
+          <div className="flex items-center gap-4">
+            <label className="flex items-center space-x-1 text-sm text-cyan-400 hover:text-cyan-300 transition-colors duration-200 cursor-pointer">
+              <FiUpload className="w-4 h-4" aria-hidden="true" />
+              <span>Open settings file</span>
+              <input
+                type="file"
+                accept="application/json,.json"
+                className="sr-only"
+                onChange={(event) => openFile(event.target.files?.[0])}
+              />
+            </label>
+            <button
+              type="button"
+              onClick={() =>
+                setRules((current) => [...current, createSiteRule()])
+              }
+              className="flex items-center space-x-1 text-sm text-cyan-400 hover:text-cyan-300 transition-colors duration-200"
+            >
+              <FiPlus className="w-4 h-4" aria-hidden="true" />
+              <span>Add rule</span>
+            </button>
+          </div>
+        </div>
+
+        {loadError && (
+          <IssueList issues={[{ level: "error", message: loadError }]} />
+        )}
+        {base && (
+          <p className="text-sm text-gray-400">
+            Editing the site rules of <code>{base.name}</code>. Its other
+            settings are kept when you download it.
+          </p>
+        )}
+
+        {rules.length === 0 && (
+          <p className="text-sm text-gray-400">
+            No rules yet, so every site uses the general settings.
+          </p>
+        )}
+        <ol className="space-y-4">
+          {rules.map((rule, index) => (
+            <li key={rule.id}>
+              <div className="grid grid-cols-1 sm:grid-cols-[auto_2fr_1fr_auto] gap-3 items-end">
+                <span className="hidden sm:block pb-2 text-sm text-gray-500">
+                  {index + 1}.
+                </span>
+                <label className="block text-sm text-gray-300">
+                  <span className="block mb-1">Pattern</span>
+                  <input
+                    type="text"
+                    value={rule.match}
+                    placeholder="*.example.com"
+                    spellCheck="false"
+                    onChange={(event) =>
+                      updateRule(rule.id, { match: event.target.value })
+                    }
+                    className={`${inputClassName} font-mono`}
+                  />
+                </label>
+                <label className="block text-sm text-gray-300">
+                  <span className="block mb-1">Action</span>
+                  <select
+                    value={rule.action}
+                    onChange={(event) =>
+                      updateRule(rule.id, { action: event.target.value })
+                    }
+                    className={inputClassName}
+                  >
+                    {SITE_ACTIONS.map(({ value, label, description }) => (
+                      <option key={value} value={value}>
+                        {label} ({description})
+                      </option>
+                    ))}
+                    {rule.action === "settings" && (
+                      <option value="settings">Masking options only</option>
+                    )}
+                  </select>
+                </label>
+                <button
+                  type="button"
+                  onClick={() =>
+                    setRules((current) =>
+                      current.filter((item) => item.id !== rule.id),
+                    )
+                  }
+                  aria-label={`Remove rule ${index + 1}`}
+                  className="p-2 mb-1 text-gray-500 hover:text-red-400 transition-colors duration-200"
+                >
+                  <FiTrash2 className="w-4 h-4" aria-hidden="true" />
+                </button>
+              </div>
+              {issues.get(rule.id).length > 0 && (
+                <IssueList issues={issues.get(rule.id)} />
+              )}
+            </li>
+          ))}
+        </ol>
+
+        <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+          <p className="text-sm text-gray-400">
+            {hasErrors
+              ? "Fix the rules marked in red before downloading."
+              : "Download a settings file the extension and the settings editor can import."}
+          </p>
+          <button
+            type="button"
+            disabled={hasErrors}
+            onClick={download}
+            className="bg-gradient-to-r from-cyan-500 to-blue-600 text-on-accent px-4 py-2 rounded-lg flex items-center justify-center space-x-2 hover:from-cyan-600 hover:to-blue-700 transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            <FiDownload className="w-4 h-4" aria-hidden="true" />
+            <span>Download settings</span>
+          </button>
+        </div>
+      </div>
+
+      <div className="lg:col-span-2 space-y-8">
+        <div className={`${cardClassName} space-y-4`}>
+          <h2 className="text-lg font-semibold text-white">Test a URL</h2>
+          <label className="block text-sm text-gray-300">
+            <span className="block mb-1">URL</span>
+            <input
+              type="text"
+              value={testUrl}
+              placeholder="https://mail.example.com/inbox"
+              spellCheck="false"
+              onChange={(event) => setTestUrl(event.target.value)}
+              className={`${inputClassName} font-mono`}
+            />
+          </label>
+          <TestResult rules={rules} input={testUrl} />
+        </div>
+
+        <div className={`${cardClassName} space-y-3`}>
+          <h2 className="text-lg font-semibold text-white">Pattern syntax</h2>
+          <ul className="text-sm text-gray-400 space-y-1">
+            {PATTERN_EXAMPLES.map(({ pattern, description }) => (
+              <li key={pattern}>
+                <code className="text-cyan-400">{pattern}</code> {description}
+              </li>
+            ))}
+          </ul>
+          <p className="text-sm text-gray-400">
+            When rules overlap the most specific wins: an exact host over a
+            wildcard, then the longer path, then an explicit scheme. Equally
+            specific rules resolve in favour of masking.
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SiteRulesManager;
@@ -0,0 +1,17 @@
+import useI18n from "../i18n/useI18n";
+
+// First tab stop on every page; hidden until focused.
+const SkipLink = ({ target }) => {
+  const { t } = useI18n();
+
+  return (
+    <a
+      href={`#${target}`}
+      className="sr-only focus:not-sr-only focus:fixed focus:top-3 focus:start-3 focus:z-[60] focus:px-4 focus:py-2 focus:rounded-lg focus:bg-gradient-to-r focus:from-cyan-500 focus:to-blue-600 focus:text-on-accent focus:font-semibold"
+    >
+      {t("skipLink")}
+    </a>
+  );
+};
+
+export default SkipLink;
@@ -0,0 +1,23 @@
+import useI18n from "../i18n/useI18n";
+
+const BADGES = {
+  available: "bg-green-500/20 text-green-400 border-green-500/30",
+  beta: "bg-purple-500/20 text-purple-400 border-purple-500/30",
+  "in-development": "bg-cyan-500/20 text-cyan-400 border-cyan-500/30",
+  planned: "bg-orange-500/20 text-orange-400 border-orange-500/30",
+};
+
+const StatusBadge = ({ status }) => {
+  const { t } = useI18n();
+  const key = status in BADGES ? status : "planned";
+
+  return (
+    <span
+      className={`${BADGES[key]} px-3 py-1 rounded-full text-sm font-semibold border`}
+    >
+      {t(`status.${key}`)}
+    </span>
+  );
+};
+
+export default StatusBadge;
@@ -0,0 +1,278 @@
+import { useEffect, useState } from "react";
+import { Link, useSearchParams } from "react-router";
+import {
+  FiAlertTriangle,
+  FiCheckCircle,
+  FiCloudOff,
+  FiSend,
+} from "react-icons/fi";
+import browsers from "../content/browsers.json";
+import features from "../content/features.json";
+import useI18n from "../i18n/useI18n";
+import { SITE } from "../site";
+import { detectBrowser } from "../utils/browserDetection";
+import { submitSignup, validateSignup } from "../utils/waitlist";
+
+const LISTS = {
+  browserIds: browsers.map((browser) => browser.id),
+  featureIds: features.map((feature) => feature.id),
+};
+
+const inputClassName =
+  "w-full bg-gray-900/60 border border-gray-700 rounded-lg px-3 py-2 text-white placeholder-gray-500 focus:outline-none focus:border-cyan-500";
+
+const cardClassName =
+  "bg-gray-800/50 backdrop-blur-sm border border-gray-700 rounded-xl p-6";
+
+const toggle = (list, id) =>
+  list.includes(id) ? list.filter((item) => item !== id) : [...list, id];
+
+const FieldError = ({ id, message }) =>
+  message ? (
+    <p id={id} className="mt-2 text-sm text-red-400">
+      {message}
+    </p>
+  ) : null;
+
+const CheckboxGroup = ({
+  legend,
+  name,
+  options,
+  selected,
+  onChange,
+  error,
+}) => (
+  <fieldset aria-describedby={error ? `${name}-error` : undefined}>
+    <legend className="text-sm text-gray-300 mb-2">{legend}</legend>
+    <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+      {options.map(({ id, label }) => (
+        <label
+          key={id}
+          className={`flex items-center gap-2 px-3 py-2 rounded-lg border text-sm cursor-pointer transition-colors duration-200 ${
+            selected.includes(id)
+              ? "border-cyan-500/50 bg-cyan-500/10 text-white"
+              : "border-gray-700 text-gray-300 hover:border-gray-600"
+          }`}
+        >
+          <input
+            type="checkbox"
+            name={name}
+            value={id}
+            checked={selected.includes(id)}
+            onChange={() => onChange(toggle(selected, id))}
+            className="accent-cyan-500"
+          />
+          <span>{label}</span>
+        </label>
+      ))}
+    </div>
+    <FieldError id={`${name}-error`} message={error} />
+  </fieldset>
+);
+
+const WaitlistForm = () => {
+  const { locale } = useI18n();
+  const [searchParams] = useSearchParams();
+  const [form, setForm] = useState({
+    email: "",
+    browsers: [],
+    features: [],
+    consent: false,
+  });
+  const [errors, setErrors] = useState({});
+  const [attempted, setAttempted] = useState(false);
+  const [status, setStatus] = useState("idle");
+  const [failure, setFailure] = useState(null);
+
+  // Preselect the browser the visitor came from ("Notify me" links pass
+  // ?browser=) or the one they are using. Runs after hydration because the
+  // prerendered form has nothing selected.
+  useEffect(() => {
+    const requested = searchParams.get("browser");
+    const initial = LISTS.browserIds.includes(requested)
+      ? requested
+      : detectBrowser()?.id;
+    if (LISTS.browserIds.includes(initial)) {
+      setForm((current) =>
+        current.browsers.length ? current : { ...current, browsers: [initial] },
+      );
+    }
+  }, [searchParams]);
+
+  const update = (changes) => {
+    const next = { ...form, ...changes };
+    setForm(next);
+    if (attempted) setErrors(validateSignup(next, LISTS));
+  };
+
+  const onSubmit = async (event) => {
+    event.preventDefault();
+    setAttempted(true);
+    const found = validateSignup(form, LISTS);
+    setErrors(found);
+    if (Object.keys(found).length) return;
+
+    setStatus("submitting");
+    setFailure(null);
+    try {
+      setStatus(await submitSignup({ ...form, locale }));
+    } catch (error) {
+      setFailure(error);
+      setStatus("idle");
+    }
+  };
+
+  if (status === "pending") {
+    return (
+      <div className={`${cardClassName} text-center space-y-3`} role="status">
+        <FiCheckCircle
+          className="w-10 h-10 text-green-400 mx-auto"
+          aria-hidden="true"
+        />
+        <h2 className="text-xl font-semibold text-white">Check your inbox</h2>
+        <p className="text-gray-300">
+          We sent a confirmation link to{" "}
+          <strong className="text-white">{form.email.trim()}</strong>. You are
+          on the list once you click it.
+        </p>
+      </div>
+    );
+  }
+
+  if (status === "queued") {
+    return (
+      <div className={`${cardClassName} text-center space-y-3`} role="status">
+        <FiCloudOff
+          className="w-10 h-10 text-cyan-400 mx-auto"
+          aria-hidden="true"
+        />
+        <h2 className="text-xl font-semibold text-white">Saved for later</h2>
+        <p className="text-gray-300">
+          We could not reach our server, so your signup is saved in this browser
+          and will be sent automatically when you are back online. Watch for the
+          confirmation email after that.
+        </p>
+      </div>
+    );
+  }
+
+  return (
+    <form
+      onSubmit={onSubmit}
+      noValidate
+      className={`${cardClassName} space-y-6`}
+    >
+      <label className="block text-sm text-gray-300">
+        <span className="block mb-1">Email address</span>
+        <input
+          type="email"
+          name="email"
+          autoComplete="email"
+          value={form.email}
+          onChange={(event) => update({ email: event.target.value })}
+          aria-invalid={Boolean(errors.email)}
+          aria-describedby={errors.email ? "email-error" : undefined}
+          placeholder="you@example.com"
+          className={inputClassName}
+        />
+        <FieldError id="email-error" message={errors.email} />
+      </label>
+
+      <CheckboxGroup
+        legend="Which browsers should we tell you about?"
+        name="browsers"
+        options={browsers.map(({ id, name }) => ({ id, label: name }))}
+        selected={form.browsers}
+        onChange={(list) => update({ browsers: list })}
+        error={errors.browsers}
+      />
+
+      <CheckboxGroup
+        legend="Features you are interested in (optional)"
+        name="features"
+        options={features.map(({ id, title }) => ({ id, label: title }))}
+        selected={form.features}
+        onChange={(list) => update({ features: list })}
+        error={errors.features}
+      />
+
+      <div className="text-sm text-gray-400 bg-gray-900/60 border border-gray-700 rounded-lg p-4 space-y-2">
+        <p className="text-gray-300 font-semibold">What we store</p>
+        <p>
+          Your email address, the browsers and features you picked, your
+          language, and when you signed up and confirmed. We use it only to
+          email you when Safe-Web launches for those browsers and features. We
+          never share or sell it, and every email has an unsubscribe link that
+          deletes it. If you sign up while offline, your email address stays in
+          this browser's local storage until the signup is sent. Details are in
+          the{" "}
+          <Link
+            to="/privacy#waitlist"
+            className="text-cyan-400 hover:text-cyan-300"
+          >
+            privacy policy
+          </Link>
+          .
+        </p>
+      </div>
+
+      <label className="flex items-start gap-3 text-sm text-gray-300">
+        <input
+          type="checkbox"
+          name="consent"
+          checked={form.consent}
+          onChange={(event) => update({ consent: event.target.checked })}
+          aria-invalid={Boolean(errors.consent)}
+          aria-describedby={errors.consent ? "consent-error" : undefined}
+          className="accent-cyan-500 mt-1"
+        />
+        <span>
+          Store my details as described above and email me to confirm.
+          <FieldError id="consent-error" message={errors.consent} />
+        </span>
+      </label>
+
+      {failure && (
+        <p
+          className="flex items-start gap-2 text-sm rounded-lg p-3 border bg-red-500/10 border-red-500/30 text-red-300"
+          role="alert"
+        >
+          <FiAlertTriangle
+            className="w-4 h-4 mt-0.5 shrink-0"
+            aria-hidden="true"
+          />
+          <span>
+            {failure.message}
+            {failure.code === "unavailable" && (
+              <>
+                {" "}
+                You can still{" "}
+                <a
+                  href={`mailto:${SITE.email}?subject=${encodeURIComponent("Safe-Web waitlist")}`}
+                  className="underline"
+                >
+                  email us
+                </a>{" "}
+                and we will let you know when Safe-Web launches.
+              </>
+            )}
+          </span>
+        </p>
+      )}
+
+      <button
+        type="submit"
+        data-cta="waitlist-submit"
+        disabled={status === "submitting"}
+        className="bg-gradient-to-r from-cyan-500 to-blue-600 text-on-accent px-6 py-3 rounded-lg font-semibold flex items-center justify-center space-x-2 hover:from-cyan-600 hover:to-blue-700 transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+      >
+        <FiSend className="w-4 h-4" aria-hidden="true" />
+        <span>
+          {status === "submitting" ? "Joining…" : "Join the waitlist"}
+        </span>
+      </button>
+    </form>
+  );
+};
+
+export default WaitlistForm;
@@ -0,0 +1,67 @@
+import { useEffect, useState } from "react";
+import { Link } from "react-router";
+import { FiArrowRight, FiX } from "react-icons/fi";
+import useI18n from "../i18n/useI18n";
+import changelog from "../content/changelog.json";
+import {
+  CHANGELOG_PATH,
+  latestReleaseNote,
+  releaseAnchor,
+} from "../utils/changelog";
+
+const LATEST = latestReleaseNote(changelog);
+const STORAGE_KEY = "safe-web:dismissed-release";
+
+const readDismissed = () => {
+  try {
+    return localStorage.getItem(STORAGE_KEY);
+  } catch {
+    return null;
+  }
+};
+
+// Points at the newest release note until the visitor dismisses that
+// version; the next release brings it back.
+const WhatsNewBanner = () => {
+  const { t } = useI18n();
+  const [dismissed, setDismissed] = useState(false);
+
+  useEffect(() => {
+    setDismissed(readDismissed() === LATEST?.id);
+  }, []);
+
+  if (!LATEST || dismissed) return null;
+
+  const dismiss = () => {
+    try {
+      localStorage.setItem(STORAGE_KEY, LATEST.id);
+    } catch {
+      // Without storage the banner simply returns on the next visit.
+    }
+    setDismissed(true);
+  };
+
+  return (
+    <div className="bg-cyan-500/10 border-b border-cyan-500/20 text-sm">
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-2 flex items-center justify-center gap-3">
+        <Link
+          to={`${CHANGELOG_PATH}#${releaseAnchor(LATEST)}`}
+          className="inline-flex items-center gap-2 text-cyan-300 hover:text-cyan-200 transition-colors duration-200"
+        >
+          <span>{t("whatsNew.label", { version: LATEST.id })}</span>
+          <FiArrowRight className="w-4 h-4 rtl:rotate-180" aria-hidden="true" />
+        </Link>
+        <button
+          type="button"
+          onClick={dismiss}
+          aria-label={t("whatsNew.dismiss")}
+          className="p-1 text-gray-400 hover:text-white transition-colors duration-200"
+        >
+          <FiX className="w-4 h-4" aria-hidden="true" />
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default WhatsNewBanner;
@@ -0,0 +1,439 @@
+/**
+ * Schema for the JSON content collections in this folder. The content
+ * plugin in plugins/content.js runs these validators on every import, so a
+ * bad entry fails `npm run build` and shows an overlay in `npm run dev`.
+ */
+
+export const STATUSES = ["available", "beta", "in-development", "planned"];
+export const ACCENTS = [
+  "blue",
+  "cyan",
+  "green",
+  "indigo",
+  "orange",
+  "purple",
+  "red",
+  "yellow",
+];
+export const FEATURE_ICONS = [
+  "eye-off",
+  "lock",
+  "settings",
+  "shield",
+  "user-x",
+  "zap",
+];
+export const BROWSER_ICONS = ["chrome", "firefox", "globe"];
+// Browsers the site can detect (see src/utils/browserDetection.js). Entries
+// in browsers.json and releases.json must use these ids.
+export const BROWSER_IDS = ["chrome", "edge", "firefox", "opera", "safari"];
+export const CHANGE_TYPES = ["added", "improved", "fixed", "security"];
+// Parts of the extension a change can touch; the changelog filters on these.
+export const CHANGE_AREAS = [
+  "masking",
+  "detection",
+  "custom-rules",
+  "settings",
+  "interface",
+  "performance",
+];
+
+const SLUG = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const SEMVER = /^\d+\.\d+\.\d+(?:-[0-9A-Za-z.-]+)?$/;
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+const isValidDate = (value) =>
+  ISO_DATE.test(value) &&
+  !Number.isNaN(Date.parse(value)) &&
+  new Date(value).toISOString().startsWith(value);
+
+const isHttpsUrl = (value) => {
+  try {
+    return new URL(value).protocol === "https:";
+  } catch {
+    return false;
+  }
+};
+
+const isHttpUrl = (value) => {
+  try {
+    return ["http:", "https:"].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+};
+
+const oneOf = (values) => `one of ${values.map((v) => `"${v}"`).join(", ")}`;
+
+const field = {
+  string: (entry, key, errors, { optional = false } = {}) => {
+    const value = entry[key];
+    if (value === undefined && optional) return;
+    if (typeof value !== "string" || !value.trim()) {
+      errors.push(`"${key}" must be a non-empty string`);
+    }
+  },
+  enum: (entry, key, values, errors, { optional = false } = {}) => {
+    const value = entry[key];
+    if (value === undefined && optional) return;
+    if (!values.includes(value)) {
+      errors.push(
+        `"${key}" must be ${oneOf(values)}, got ${JSON.stringify(value)}`,
+      );
+    }
+  },
+  pattern: (entry, key, check, description, errors) => {
+    const value = entry[key];
+    if (value === undefined) return;
+    if (typeof value !== "string" || !check(value)) {
+      errors.push(
+        `"${key}" must be ${description}, got ${JSON.stringify(value)}`,
+      );
+    }
+  },
+};
+
+const checkUnknownKeys = (entry, allowed, errors) => {
+  for (const key of Object.keys(entry)) {
+    if (!allowed.includes(key)) errors.push(`unknown field "${key}"`);
+  }
+};
+
+const checkRelease = (entry, errors) => {
+  field.enum(entry, "status", STATUSES, errors);
+  field.pattern(
+    entry,
+    "targetVersion",
+    (v) => SEMVER.test(v),
+    "a semantic version like 1.2.0",
+    errors,
+  );
+  field.pattern(entry, "releaseDate", isValidDate, "a YYYY-MM-DD date", errors);
+
+  if (entry.status === "available" && !entry.releaseDate) {
+    errors.push(`"releaseDate" is required when status is "available"`);
+  }
+  if (entry.status === "available" && !entry.targetVersion) {
+    errors.push(`"targetVersion" is required when status is "available"`);
+  }
+  if (entry.status === "planned" && entry.releaseDate) {
+    errors.push(`"releaseDate" must be removed while status is "planned"`);
+  }
+};
+
+const SLUG_ID = {
+  test: (id) => SLUG.test(id),
+  description: 'a lowercase slug like "my-entry"',
+};
+
+const validateCollection = (entries, validateEntry, label, id = SLUG_ID) => {
+  if (!Array.isArray(entries)) return [`${label} must be a list of entries`];
+
+  const errors = [];
+  const ids = new Set();
+  entries.forEach((entry, index) => {
+    const name = `${label}[${index}]${entry?.id ? ` ("${entry.id}")` : ""}`;
+    if (entry === null || typeof entry !== "object" || Array.isArray(entry)) {
+      errors.push(`${name}: must be an object`);
+      return;
+    }
+
+    const entryErrors = [];
+    if (typeof entry.id !== "string" || !id.test(entry.id)) {
+      entryErrors.push(`"id" must be ${id.description}`);
+    } else if (ids.has(entry.id)) {
+      entryErrors.push(`"id" "${entry.id}" is used more than once`);
+    }
+    ids.add(entry.id);
+
+    validateEntry(entry, entryErrors);
+    errors.push(...entryErrors.map((message) => `${name}: ${message}`));
+  });
+  return errors;
+};
+
+/**
+ * @param {unknown} entries Parsed features.json.
+ * @returns {string[]} Human-readable errors; empty when valid.
+ */
+export const validateFeatures = (entries) =>
+  validateCollection(
+    entries,
+    (entry, errors) => {
+      checkUnknownKeys(
+        entry,
+        [
+          "id",
+          "title",
+          "description",
+          "icon",
+          "accent",
+          "status",
+          "targetVersion",
+          "releaseDate",
+          "link",
+        ],
+        errors,
+      );
+      field.string(entry, "title", errors);
+      field.string(entry, "description", errors);
+      field.enum(entry, "icon", FEATURE_ICONS, errors);
+      field.enum(entry, "accent", ACCENTS, errors);
+      checkRelease(entry, errors);
+
+      if (entry.link !== undefined) {
+        field.string(entry.link ?? {}, "href", errors);
+        field.string(entry.link ?? {}, "label", errors);
+      }
+    },
+    "features",
+  );
+
+/**
+ * @param {unknown} entries Parsed browsers.json.
+ * @returns {string[]} Human-readable errors; empty when valid.
+ */
+export const validateBrowsers = (entries) =>
+  validateCollection(
+    entries,
+    (entry, errors) => {
+      checkUnknownKeys(entry, ["id", "name", "icon", "accent"], errors);
+      field.enum(entry, "id", BROWSER_IDS, errors);
+      field.string(entry, "name", errors);
+      field.enum(entry, "icon", BROWSER_ICONS, errors);
+      field.enum(entry, "accent", ACCENTS, errors);
+    },
+    "browsers",
+  );
+
+/**
+ * @param {unknown} entries Parsed releases.json.
+ * @returns {string[]} Human-readable errors; empty when valid.
+ */
+export const validateReleases = (entries) =>
+  validateCollection(
+    entries,
+    (entry, errors) => {
+      checkUnknownKeys(
+        entry,
+        [
+          "id",
+          "status",
+          "targetVersion",
+          "releaseDate",
+          "minBrowserVersion",
+          "storeUrl",
+        ],
+        errors,
+      );
+      field.enum(entry, "id", BROWSER_IDS, errors);
+      checkRelease(entry, errors);
+      field.pattern(entry, "storeUrl", isHttpsUrl, "an https:// URL", errors);
+
+      if (
+        entry.minBrowserVersion !== undefined &&
+        !(
+          Number.isInteger(entry.minBrowserVersion) &&
+          entry.minBrowserVersion > 0
+        )
+      ) {
+        errors.push(
+          `"minBrowserVersion" must be a browser major version like 120, got ${JSON.stringify(entry.minBrowserVersion)}`,
+        );
+      }
+      if (["available", "beta"].includes(entry.status) && !entry.storeUrl) {
+        errors.push(`"storeUrl" is required when status is "${entry.status}"`);
+      }
+    },
+    "releases",
+  );
+
+const checkList = (entry, key, values, errors) => {
+  const list = entry[key];
+  if (!Array.isArray(list) || list.length === 0) {
+    errors.push(`"${key}" must be a non-empty list`);
+    return;
+  }
+  for (const value of list) {
+    if (!values.includes(value)) {
+      errors.push(
+        `"${key}" entries must be ${oneOf(values)}, got ${JSON.stringify(value)}`,
+      );
+    }
+  }
+};
+
+/**
+ * @param {unknown} entries Parsed changelog.json.
+ * @returns {string[]} Human-readable errors; empty when valid.
+ */
+export const validateChangelog = (entries) =>
+  validateCollection(
+    entries,
+    (entry, errors) => {
+      checkUnknownKeys(
+        entry,
+        ["id", "date", "title", "summary", "browsers", "changes"],
+        errors,
+      );
+      field.string(entry, "title", errors);
+      field.string(entry, "summary", errors, { optional: true });
+      if (entry.date === undefined) errors.push(`"date" is required`);
+      field.pattern(entry, "date", isValidDate, "a YYYY-MM-DD date", errors);
+      checkList(entry, "browsers", BROWSER_IDS, errors);
+
+      if (!Array.isArray(entry.changes) || entry.changes.length === 0) {
+        errors.push(`"changes" must be a non-empty list`);
+        return;
+      }
+      entry.changes.forEach((change, index) => {
+        const changeErrors = [];
+        if (change === null || typeof change !== "object") {
+          changeErrors.push("must be an object");
+        } else {
+          checkUnknownKeys(change, ["type", "area", "text"], changeErrors);
+          field.enum(change, "type", CHANGE_TYPES, changeErrors);
+          field.enum(change, "area", CHANGE_AREAS, changeErrors);
+          field.string(change, "text", changeErrors);
+        }
+        errors.push(
+          ...changeErrors.map((message) => `changes[${index}]: ${message}`),
+        );
+      });
+    },
+    "changelog",
+    {
+      test: (id) => SEMVER.test(id),
+      description: 'the release version, like "1.2.0"',
+    },
+  );
+
+/**
+ * Front matter of the markdown pages in docs/, with the file name (minus
+ * `.md`) as the id. Checked by plugins/docs.js.
+ *
+ * @param {unknown} entries
+ * @returns {string[]} Human-readable errors; empty when valid.
+ */
+export const validateDocs = (entries) =>
+  validateCollection(
+    entries,
+    (entry, errors) => {
+      checkUnknownKeys(
+        entry,
+        ["id", "title", "description", "section", "order"],
+        errors,
+      );
+      field.string(entry, "title", errors);
+      field.string(entry, "description", errors);
+      field.string(entry, "section", errors);
+      if (!Number.isFinite(entry.order)) {
+        errors.push(
+          `"order" must be a number, got ${JSON.stringify(entry.order)}`,
+        );
+      }
+    },
+    "docs",
+  );
+
+const isObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+const isText = (value) => typeof value === "string" && value.trim() !== "";
+const isCount = (value) => Number.isInteger(value) && value >= 0;
+const isTimestamp = (value) =>
+  typeof value === "string" && !Number.isNaN(Date.parse(value));
+// Left null when the API has no value, and in a snapshot that has never
+// been refreshed.
+const nullable = (check) => (value) => value === null || check(value);
+
+// [check, description] per field; every field is required.
+const SNAPSHOT_FIELDS = {
+  fetchedAt: [nullable(isTimestamp), "an ISO timestamp or null"],
+  source: [nullable(isHttpUrl), "an http(s) URL or null"],
+  repository: [isObject, "an object"],
+  latestRelease: [nullable(isObject), "an object or null"],
+  contributors: [Array.isArray, "a list"],
+};
+const REPOSITORY_FIELDS = {
+  fullName: [isText, 'an "owner/name" string'],
+  url: [isHttpsUrl, "an https:// URL"],
+  description: [nullable(isText), "a non-empty string or null"],
+  stars: [nullable(isCount), "a count or null"],
+  forks: [nullable(isCount), "a count or null"],
+  license: [nullable(isObject), "an object or null"],
+};
+const LICENSE_FIELDS = {
+  id: [isText, 'an SPDX id like "MIT"'],
+  name: [isText, "a non-empty string"],
+  url: [isHttpsUrl, "an https:// URL"],
+};
+const RELEASE_FIELDS = {
+  version: [isText, "a non-empty string"],
+  name: [nullable(isText), "a non-empty string or null"],
+  date: [isValidDate, "a YYYY-MM-DD date"],
+  url: [isHttpsUrl, "an https:// URL"],
+};
+const CONTRIBUTOR_FIELDS = {
+  login: [isText, "a non-empty string"],
+  url: [isHttpsUrl, "an https:// URL"],
+  contributions: [isCount, "a count"],
+};
+
+const checkObject = (object, fields, label, errors) => {
+  if (!isObject(object)) {
+    errors.push(`${label}: must be an object`);
+    return;
+  }
+  const objectErrors = [];
+  checkUnknownKeys(object, Object.keys(fields), objectErrors);
+  for (const [key, [check, description]] of Object.entries(fields)) {
+    if (!check(object[key])) {
+      objectErrors.push(
+        `"${key}" must be ${description}, got ${JSON.stringify(object[key])}`,
+      );
+    }
+  }
+  errors.push(...objectErrors.map((message) => `${label}: ${message}`));
+};
+
+/**
+ * @param {unknown} snapshot Parsed repository.json, written by
+ *   scripts/repo-snapshot.js.
+ * @returns {string[]} Human-readable errors; empty when valid.
+ */
+export const validateRepository = (snapshot) => {
+  const errors = [];
+  checkObject(snapshot, SNAPSHOT_FIELDS, "repository.json", errors);
+  if (errors.length) return errors;
+
+  const { repository, latestRelease, contributors } = snapshot;
+  checkObject(repository, REPOSITORY_FIELDS, "repository", errors);
+  if (isObject(repository.license)) {
+    checkObject(
+      repository.license,
+      LICENSE_FIELDS,
+      "repository.license",
+      errors,
+    );
+  }
+  if (latestRelease) {
+    checkObject(latestRelease, RELEASE_FIELDS, "latestRelease", errors);
+  }
+  contributors.forEach((contributor, index) =>
+    checkObject(
+      contributor,
+      CONTRIBUTOR_FIELDS,
+      `contributors[${index}]`,
+      errors,
+    ),
+  );
+  return errors;
+};
+
+export const COLLECTIONS = {
+  "features.json": validateFeatures,
+  "browsers.json": validateBrowsers,
+  "releases.json": validateReleases,
+  "changelog.json": validateChangelog,
+  "repository.json": validateRepository,
+};
@@ -0,0 +1,65 @@
+import { StrictMode } from "react";
+import { prerenderToNodeStream } from "react-dom/static";
+import {
+  createStaticHandler,
+  createStaticRouter,
+  StaticRouterProvider,
+} from "react-router";
+import routes from "./routes";
+import I18nProvider from "./i18n/I18nProvider";
+import ThemeProvider from "./theme/ThemeProvider";
+import en from "./i18n/messages/en.json";
+import {
+  metaFromMatches,
+  resolveHead,
+  SITE_URL,
+  staticPaths,
+} from "./utils/pageMeta";
+
+const handler = createStaticHandler(routes);
+
+// Build-time entry for scripts/prerender.js; never shipped to browsers.
+export const paths = staticPaths(routes);
+
+/**
+ * Renders one path to HTML along with the head tags it should ship with.
+ * @param {string} pathname
+ */
+export const render = async (pathname) => {
+  const context = await handler.query(new Request(new URL(pathname, SITE_URL)));
+  if (context instanceof Response) {
+    throw new Error(`${pathname} responded with a ${context.status} redirect.`);
+  }
+
+  const router = createStaticRouter(handler.dataRoutes, context);
+  // Unlike renderToString, waits for lazily loaded sections so their markup
+  // is part of the page.
+  const { prelude } = await prerenderToNodeStream(
+    <StrictMode>
+      <I18nProvider>
+        <ThemeProvider>
+          <StaticRouterProvider
+            router={router}
+            context={context}
+            hydrate={false}
+          />
+        </ThemeProvider>
+      </I18nProvider>
+    </StrictMode>,
+  );
+  const decoder = new TextDecoder();
+  let html = "";
+  for await (const chunk of prelude) {
+    html += decoder.decode(chunk, { stream: true });
+  }
+  html += decoder.decode();
+  const head = resolveHead(
+    metaFromMatches(context.matches.map((match) => match.route)),
+    {
+      pathname,
+      defaults: en.meta,
+    },
+  );
+
+  return { html, head };
+};
@@ -0,0 +1,16 @@
+import { useEffect } from "react";
+
+// Stops the page behind an overlay from scrolling while `active`.
+const useBodyScrollLock = (active) => {
+  useEffect(() => {
+    if (!active) return undefined;
+
+    const { overflow } = document.body.style;
+    document.body.style.overflow = "hidden";
+    return () => {
+      document.body.style.overflow = overflow;
+    };
+  }, [active]);
+};
+
+export default useBodyScrollLock;
@@ -0,0 +1,76 @@
+import { useEffect, useRef, useState } from "react";
+import { detectSensitiveData } from "../utils/detection";
+
+const detect = (text) => ({ text, matches: detectSensitiveData(text) });
+
+/**
+ * Finds sensitive data in a Web Worker, so typing never waits for a scan.
+ * While a scan runs only the newest text is kept for the next one; edits in
+ * between are skipped. The first text is scanned in place so the
+ * prerendered page already shows its matches, and so is every text where
+ * workers are unavailable.
+ *
+ * @param {string} text
+ * @returns {{
+ *   text: string,
+ *   matches: import("../utils/detection").DetectionMatch[],
+ *   pending: boolean,
+ * }} The matches and the text they were found in, which trails `text`
+ *   while `pending`.
+ */
+const useDetection = (text) => {
+  const [result, setResult] = useState(() => detect(text));
+  const latest = useRef(text);
+  const scan = useRef(null);
+
+  useEffect(() => {
+    if (typeof Worker === "undefined") return undefined;
+
+    const worker = new Worker(
+      new URL("../utils/detection/worker.js", import.meta.url),
+      {
+        type: "module",
+      },
+    );
+    let busy = false;
+    let queued = null;
+    const post = (value) => {
+      busy = true;
+      worker.postMessage(value);
+    };
+
+    worker.onmessage = ({ data }) => {
+      busy = false;
+      if (queued !== null) {
+        post(queued);
+        queued = null;
+      }
+      setResult(data);
+    };
+    worker.onerror = () => {
+      worker.terminate();
+      scan.current = null;
+      setResult(detect(latest.current));
+    };
+    scan.current = (value) => {
+      if (busy) queued = value;
+      else post(value);
+    };
+
+    return () => {
+      scan.current = null;
+      worker.terminate();
+    };
+  }, []);
+
+  useEffect(() => {
+    if (text === latest.current) return;
+    latest.current = text;
+    if (scan.current) scan.current(text);
+    else setResult(detect(text));
+  }, [text]);
+
+  return { ...result, pending: result.text !== text };
+};
+
+export default useDetection;
@@ -0,0 +1,28 @@
+import { useEffect, useState } from "react";
+import browsers from "../content/browsers.json";
+import releases from "../content/releases.json";
+import { detectBrowser } from "../utils/browserDetection";
+import { mergeReleases, resolveDownload } from "../utils/releases";
+
+const BROWSER_RELEASES = mergeReleases(browsers, releases);
+
+/**
+ * The visitor's browser and what the download buttons should offer them.
+ * Detection waits for mount so prerendered markup hydrates unchanged; until
+ * then `detected` is null and the offer is the generic "notify me".
+ */
+const useDownloadOffer = () => {
+  const [detected, setDetected] = useState(null);
+
+  useEffect(() => {
+    setDetected(detectBrowser());
+  }, []);
+
+  return {
+    browsers: BROWSER_RELEASES,
+    detected,
+    offer: resolveDownload(BROWSER_RELEASES, detected),
+  };
+};
+
+export default useDownloadOffer;
@@ -0,0 +1,17 @@
+import { useSyncExternalStore } from "react";
+import {
+  getExtensionState,
+  getServerExtensionState,
+  subscribeExtension,
+} from "../utils/extension";
+
+// { state: "checking" | "absent" | "installed", extension } from the
+// extension handshake.
+const useExtension = () =>
+  useSyncExternalStore(
+    subscribeExtension,
+    getExtensionState,
+    getServerExtensionState,
+  );
+
+export default useExtension;
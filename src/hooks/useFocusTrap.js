@@ -0,0 +1,59 @@
+import { useEffect, useRef } from "react";
+
+const FOCUSABLE =
+  'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+/**
+ * Keeps keyboard focus inside `containerRef` while `active`: focuses the
+ * first control on open, wraps Tab and Shift+Tab, closes on Escape and
+ * hands focus back to whatever had it before.
+ *
+ * @param {import("react").RefObject<HTMLElement>} containerRef
+ * @param {boolean} active
+ * @param {() => void} onEscape
+ */
+const useFocusTrap = (containerRef, active, onEscape) => {
+  const onEscapeRef = useRef(onEscape);
+
+  useEffect(() => {
+    onEscapeRef.current = onEscape;
+  }, [onEscape]);
+
+  useEffect(() => {
+    const container = containerRef.current;
+    if (!active || !container) return undefined;
+
+    const previous = document.activeElement;
+    const focusable = () => [...container.querySelectorAll(FOCUSABLE)];
+    focusable()[0]?.focus();
+
+    const onKeyDown = (event) => {
+      if (event.key === "Escape") {
+        event.preventDefault();
+        onEscapeRef.current();
+        return;
+      }
+      if (event.key !== "Tab") return;
+
+      const items = focusable();
+      if (items.length === 0) return;
+      const first = items[0];
+      const lastItem = items[items.length - 1];
+      if (event.shiftKey && document.activeElement === first) {
+        event.preventDefault();
+        lastItem.focus();
+      } else if (!event.shiftKey && document.activeElement === lastItem) {
+        event.preventDefault();
+        first.focus();
+      }
+    };
+
+    document.addEventListener("keydown", onKeyDown);
+    return () => {
+      document.removeEventListener("keydown", onKeyDown);
+      previous?.focus?.();
+    };
+  }, [containerRef, active]);
+};
+
+export default useFocusTrap;
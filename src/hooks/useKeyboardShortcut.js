@@ -0,0 +1,43 @@
+import { useEffect, useRef } from "react";
+
+// Parses shortcuts written the way the README documents them, e.g. "Ctrl+Shift+M".
+const parseShortcut = (shortcut) => {
+  const parts = shortcut.toLowerCase().split("+");
+  return {
+    key: parts[parts.length - 1],
+    ctrl: parts.includes("ctrl"),
+    shift: parts.includes("shift"),
+    alt: parts.includes("alt"),
+  };
+};
+
+const useKeyboardShortcut = (shortcut, handler, { enabled = true } = {}) => {
+  const handlerRef = useRef(handler);
+
+  useEffect(() => {
+    handlerRef.current = handler;
+  }, [handler]);
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+
+    const { key, ctrl, shift, alt } = parseShortcut(shortcut);
+
+    const onKeyDown = (event) => {
+      if (
+        event.key?.toLowerCase() === key &&
+        event.ctrlKey === ctrl &&
+        event.shiftKey === shift &&
+        event.altKey === alt
+      ) {
+        event.preventDefault();
+        handlerRef.current(event);
+      }
+    };
+
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  }, [shortcut, enabled]);
+};
+
+export default useKeyboardShortcut;
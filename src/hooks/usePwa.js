@@ -0,0 +1,8 @@
+import { useSyncExternalStore } from "react";
+import { getPwaState, getServerPwaState, subscribePwa } from "../utils/pwa";
+
+// { updateReady, canInstall } from the service worker and install prompt.
+const usePwa = () =>
+  useSyncExternalStore(subscribePwa, getPwaState, getServerPwaState);
+
+export default usePwa;
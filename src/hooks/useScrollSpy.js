@@ -0,0 +1,75 @@
+import { useEffect, useState } from "react";
+
+// Height of the sticky header; matches scroll-padding-top in index.css.
+const HEADER_OFFSET = 64;
+
+const currentSection = (ids) => {
+  let current = null;
+  for (const id of ids) {
+    const element = document.getElementById(id);
+    if (element && element.getBoundingClientRect().top <= HEADER_OFFSET + 1) {
+      current = id;
+    }
+  }
+  return current;
+};
+
+// Writes the hash without a navigation, keeping React Router's history
+// state so back/forward and scroll restoration still work.
+const replaceHash = (id) => {
+  const { pathname, search } = window.location;
+  window.history.replaceState(
+    window.history.state,
+    "",
+    `${pathname}${search}${id ? `#${id}` : ""}`,
+  );
+};
+
+/**
+ * Tracks which of the given sections is under the sticky header, in page
+ * order, and mirrors it in the URL hash as the visitor scrolls. Only scrolls
+ * update the hash, so a hash the page was opened with is left alone until
+ * the visitor moves.
+ *
+ * @param {string[]} ids Section element ids, top to bottom.
+ * @param {{ enabled?: boolean }} [options]
+ * @returns {string | null} The active id, or null above the first section.
+ */
+const useScrollSpy = (ids, { enabled = true } = {}) => {
+  const [active, setActive] = useState(null);
+  const key = ids.join(" ");
+
+  useEffect(() => {
+    if (!enabled) {
+      setActive(null);
+      return undefined;
+    }
+
+    const sections = key.split(" ");
+    let last = currentSection(sections);
+    setActive(last);
+
+    let frame = null;
+    const onScroll = () => {
+      if (frame !== null) return;
+      frame = requestAnimationFrame(() => {
+        frame = null;
+        const next = currentSection(sections);
+        if (next === last) return;
+        last = next;
+        setActive(next);
+        replaceHash(next);
+      });
+    };
+
+    window.addEventListener("scroll", onScroll, { passive: true });
+    return () => {
+      window.removeEventListener("scroll", onScroll);
+      if (frame !== null) cancelAnimationFrame(frame);
+    };
+  }, [key, enabled]);
+
+  return active;
+};
+
+export default useScrollSpy;
@@ -0,0 +1,5 @@
+import { createContext } from "react";
+
+const I18nContext = createContext(null);
+
+export default I18nContext;
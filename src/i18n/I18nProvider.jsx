@@ -0,0 +1,87 @@
+import { useCallback, useEffect, useMemo, useState } from "react";
+import I18nContext from "./I18nContext";
+import { renderRich, resolveMessage } from "./format";
+import {
+  DEFAULT_LOCALE,
+  detectLocale,
+  getLocale,
+  storeLocale,
+} from "./locales";
+import en from "./messages/en.json";
+import es from "./messages/es.json";
+import bn from "./messages/bn.json";
+import ar from "./messages/ar.json";
+
+const CATALOGS = { en, es, bn, ar };
+
+const setMeta = (selector, content) => {
+  const element = document.head.querySelector(selector);
+  if (element) element.setAttribute("content", content);
+};
+
+// Page titles and descriptions are handled by DocumentHead; these are the
+// tags that depend on the language alone.
+const applyDocumentLocale = (locale) => {
+  const root = document.documentElement;
+  root.lang = locale.code;
+  root.dir = locale.dir;
+
+  setMeta('meta[name="language"]', locale.englishName);
+  setMeta('meta[property="og:locale"]', locale.ogLocale);
+};
+
+const I18nProvider = ({ children }) => {
+  // Pages are prerendered in the default locale, so the first client render
+  // has to match it before switching to the visitor's language.
+  const [code, setCode] = useState(DEFAULT_LOCALE);
+  const locale = getLocale(code);
+
+  useEffect(() => {
+    setCode(detectLocale());
+  }, []);
+
+  const setLocale = useCallback((next) => {
+    storeLocale(next);
+    setCode(next);
+  }, []);
+
+  const value = useMemo(() => {
+    const messages = CATALOGS[locale.code];
+
+    // Missing translations fall back to English, then to the key itself so
+    // gaps are easy to spot on the page.
+    const t = (key, values) =>
+      resolveMessage(messages, key, values, locale.code) ??
+      resolveMessage(CATALOGS[DEFAULT_LOCALE], key, values, DEFAULT_LOCALE) ??
+      key;
+
+    const has = (key) => resolveMessage(messages, key, {}, locale.code) != null;
+
+    const rich = (key, tags, values) => renderRich(t(key, values), tags);
+
+    const formatDate = (date, options) =>
+      new Intl.DateTimeFormat(locale.code, options).format(date);
+
+    const formatNumber = (number, options) =>
+      new Intl.NumberFormat(locale.code, options).format(number);
+
+    return {
+      locale: locale.code,
+      dir: locale.dir,
+      setLocale,
+      t,
+      has,
+      rich,
+      formatDate,
+      formatNumber,
+    };
+  }, [locale, setLocale]);
+
+  useEffect(() => {
+    applyDocumentLocale(locale);
+  }, [locale]);
+
+  return <I18nContext.Provider value={value}>{children}</I18nContext.Provider>;
+};
+
+export default I18nProvider;
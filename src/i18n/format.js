@@ -0,0 +1,88 @@
+import { createElement, Fragment } from "react";
+
+const PLURAL_CATEGORIES = ["zero", "one", "two", "few", "many", "other"];
+
+/**
+ * Resolves a dotted key like "hero.cards.privacy.title" in a catalog.
+ * @param {object} messages
+ * @param {string} key
+ */
+export const lookup = (messages, key) =>
+  key
+    .split(".")
+    .reduce(
+      (node, part) =>
+        node && typeof node === "object" ? node[part] : undefined,
+      messages,
+    );
+
+const isPluralMessage = (message) =>
+  message !== null &&
+  typeof message === "object" &&
+  "other" in message &&
+  Object.keys(message).every((key) => PLURAL_CATEGORIES.includes(key));
+
+/**
+ * Picks the plural form for `count` using the locale's CLDR rules. Catalogs
+ * list only the categories their language uses; "other" is always present.
+ *
+ * @param {Record<string, string>} message
+ * @param {number} count
+ * @param {string} locale
+ */
+export const selectPlural = (message, count, locale) =>
+  message[new Intl.PluralRules(locale).select(count)] ?? message.other;
+
+/**
+ * Replaces `{name}` placeholders. Unknown placeholders are left as they are
+ * so a missing value is visible instead of silently blank.
+ */
+export const interpolate = (message, values = {}) =>
+  message.replace(/\{(\w+)\}/g, (placeholder, name) =>
+    name in values ? String(values[name]) : placeholder,
+  );
+
+/**
+ * Resolves a message to a plain string, handling plural objects when a
+ * numeric `count` is supplied.
+ *
+ * @returns {string | undefined}
+ */
+export const resolveMessage = (messages, key, values, locale) => {
+  const message = lookup(messages, key);
+  if (typeof message === "string") return interpolate(message, values);
+  if (isPluralMessage(message) && typeof values?.count === "number") {
+    return interpolate(selectPlural(message, values.count, locale), values);
+  }
+  return undefined;
+};
+
+const TAG = /<(\w+)>(.*?)<\/\1>/gs;
+
+/**
+ * Turns `<tag>text</tag>` markup in a translated string into React nodes.
+ * Each tag name maps to a function that wraps its text, so translators can
+ * move emphasis and links without touching components. Tags do not nest.
+ *
+ * @param {string} message
+ * @param {Record<string, (chunk: string) => import("react").ReactNode>} tags
+ */
+export const renderRich = (message, tags = {}) => {
+  const nodes = [];
+  let cursor = 0;
+  for (const match of message.matchAll(TAG)) {
+    const [whole, name, chunk] = match;
+    if (match.index > cursor) nodes.push(message.slice(cursor, match.index));
+    const render = tags[name];
+    nodes.push(
+      createElement(
+        Fragment,
+        { key: match.index },
+        render ? render(chunk) : chunk,
+      ),
+    );
+    cursor = match.index + whole.length;
+  }
+  if (cursor < message.length) nodes.push(message.slice(cursor));
+  return nodes;
+};
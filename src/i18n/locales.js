@@ -0,0 +1,100 @@
+/**
+ * Languages the site is translated into. `ogLocale` feeds the og:locale tag
+ * and `dir` flips the layout for right-to-left scripts.
+ *
+ * @typedef {object} Locale
+ * @property {string} code BCP 47 language tag, also the catalog file name.
+ * @property {string} name Native name shown in the language switcher.
+ * @property {string} englishName Value for the legacy `language` meta tag.
+ * @property {string} ogLocale
+ * @property {"ltr" | "rtl"} dir
+ */
+
+/** @type {Locale[]} */
+export const LOCALES = [
+  {
+    code: "en",
+    name: "English",
+    englishName: "English",
+    ogLocale: "en_US",
+    dir: "ltr",
+  },
+  {
+    code: "es",
+    name: "Español",
+    englishName: "Spanish",
+    ogLocale: "es_ES",
+    dir: "ltr",
+  },
+  {
+    code: "bn",
+    name: "বাংলা",
+    englishName: "Bengali",
+    ogLocale: "bn_BD",
+    dir: "ltr",
+  },
+  {
+    code: "ar",
+    name: "العربية",
+    englishName: "Arabic",
+    ogLocale: "ar_AR",
+    dir: "rtl",
+  },
+];
+
+export const DEFAULT_LOCALE = "en";
+
+// Only written when the visitor picks a language themselves, so everyone else
+// keeps following their browser settings.
+export const LOCALE_STORAGE_KEY = "safe-web:locale";
+
+export const getLocale = (code) =>
+  LOCALES.find((locale) => locale.code === code) ??
+  LOCALES.find((locale) => locale.code === DEFAULT_LOCALE);
+
+/**
+ * Picks the first supported locale from a list of language tags, matching
+ * region variants like "es-MX" to their base language.
+ *
+ * @param {readonly string[]} tags
+ * @returns {string | null}
+ */
+export const matchLocale = (tags) => {
+  for (const tag of tags) {
+    if (!tag) continue;
+    const base = tag.toLowerCase().split("-")[0];
+    const match = LOCALES.find((locale) => locale.code === base);
+    if (match) return match.code;
+  }
+  return null;
+};
+
+const readStoredLocale = () => {
+  try {
+    return localStorage.getItem(LOCALE_STORAGE_KEY);
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * The visitor's saved choice wins, then their browser languages.
+ * @returns {string}
+ */
+export const detectLocale = () => {
+  if (typeof window === "undefined") return DEFAULT_LOCALE;
+
+  return (
+    matchLocale([readStoredLocale()]) ??
+    matchLocale(navigator.languages ?? [navigator.language]) ??
+    DEFAULT_LOCALE
+  );
+};
+
+export const storeLocale = (code) => {
+  try {
+    localStorage.setItem(LOCALE_STORAGE_KEY, code);
+  } catch {
+    // Private browsing can refuse storage; the choice then lasts the visit.
+  }
+};
@@ -1,10 +1,62 @@
 import { StrictMode } from 'react'
-import { createRoot } from 'react-dom/client'
+import { createRoot, hydrateRoot } from 'react-dom/client'
+import { createBrowserRouter } from 'react-router'
+import { RouterProvider } from 'react-router/dom'
 import './index.css'
-import App from './App.jsx'
+import I18nProvider from './i18n/I18nProvider.jsx'
+import ThemeProvider from './theme/ThemeProvider.jsx'
+import routes from './routes.jsx'
+import { getWaitlistAdapter, startQueueSync } from './utils/waitlist/index.js'
+import { startAnalytics } from './utils/analytics/index.js'
+import { startPwa } from './utils/pwa.js'
+import { startExtensionBridge } from './utils/extension/index.js'
 
-createRoot(document.getElementById('root')).render(
+const router = createBrowserRouter(routes)
+const container = document.getElementById('root')
+
+const app = (
   <StrictMode>
-    <App />
-  </StrictMode>,
+    <I18nProvider>
+      <ThemeProvider>
+        <RouterProvider router={router} />
+      </ThemeProvider>
+    </I18nProvider>
+  </StrictMode>
 )
+
+// Production pages are prerendered (scripts/prerender.js); the dev server
+// serves an empty root.
+if (container.hasChildNodes()) {
+  hydrateRoot(container, app)
+} else {
+  createRoot(container).render(app)
+}
+
+// Send waitlist signups that were saved while offline.
+startQueueSync(getWaitlistAdapter())
+
+// Cookieless page, section and CTA counts; off under Do Not Track or GPC.
+startAnalytics(router)
+
+// Offline support and the update/install prompts (production only).
+startPwa()
+
+// Swaps the download buttons for the extension's status when it is
+// installed (see src/utils/extension/protocol.js).
+startExtensionBridge()
+
+// Development only: audit each page with axe-core and log problems to the
+// console (see src/utils/axe.js). Dropped from production builds.
+if (import.meta.env.DEV) {
+  import('./utils/axe.js').then(({ startAxeDevCheck }) =>
+    startAxeDevCheck(router),
+  )
+}
+
+// Development only: `?mock-extension` fakes an installed extension (see
+// src/utils/extension/mock.js).
+if (import.meta.env.DEV) {
+  import('./utils/extension/mock.js').then(({ startMockExtension }) =>
+    startMockExtension(),
+  )
+}
@@ -0,0 +1,35 @@
+import { Link } from "react-router";
+import PageLayout from "../components/PageLayout";
+import { SITE } from "../site";
+
+const AboutPage = () => {
+  return (
+    <PageLayout
+      title="About"
+      highlight="Safe-Web"
+      intro={`A privacy-first browser extension, built in the open by ${SITE.author.name}.`}
+    >
+      <p>
+        Screens get shared, recorded and glanced at. Safe-Web masks emails,
+        phone numbers, card numbers and other personal data on the pages you
+        visit, so a demo, a stream or a crowded café never shows more than you
+        meant to.
+      </p>
+      <p>
+        Everything happens on your device. Safe-Web has no servers that see your
+        pages, and the code that does the work is{" "}
+        <a href={SITE.repository} target="_blank" rel="noopener noreferrer">
+          open source
+        </a>{" "}
+        so anyone can check that.
+      </p>
+      <p>
+        See what is available and what is coming on the{" "}
+        <Link to="/#features">features</Link> list, or{" "}
+        <Link to="/contact">get in touch</Link>.
+      </p>
+    </PageLayout>
+  );
+};
+
+export default AboutPage;
@@ -0,0 +1,146 @@
+import { useCallback, useEffect, useState } from "react";
+import { FiRefreshCw } from "react-icons/fi";
+import PageLayout from "../components/PageLayout";
+import { getSummaryUrl } from "../utils/analytics";
+
+const cardClassName =
+  "bg-gray-800/50 backdrop-blur-sm border border-gray-700 rounded-xl p-6";
+
+const formatRate = (rate) =>
+  rate === null ? "–" : `${Math.round(rate * 1000) / 10}%`;
+
+const Table = ({ caption, columns, rows }) => (
+  <div className={cardClassName}>
+    <table className="w-full text-sm text-start">
+      <caption className="text-lg font-semibold text-white text-start mb-4">
+        {caption}
+      </caption>
+      <thead>
+        <tr className="text-gray-400 border-b border-gray-700">
+          {columns.map((column) => (
+            <th key={column.label} scope="col" className="py-2 text-start">
+              {column.label}
+            </th>
+          ))}
+        </tr>
+      </thead>
+      <tbody className="text-gray-300">
+        {rows.length === 0 && (
+          <tr>
+            <td colSpan={columns.length} className="py-3 text-gray-500">
+              Nothing recorded yet.
+            </td>
+          </tr>
+        )}
+        {rows.map((row) => (
+          <tr
+            key={columns.map((column) => column.value(row)).join(" ")}
+            className="border-b border-gray-800 last:border-0"
+          >
+            {columns.map((column) => (
+              <td key={column.label} className="py-2">
+                {column.value(row)}
+              </td>
+            ))}
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  </div>
+);
+
+const PATH = { label: "Page", value: (row) => row.path };
+const COUNT = { label: "Count", value: (row) => row.count };
+const RATE = { label: "Per view", value: (row) => formatRate(row.rate) };
+
+// Development dashboard over the local collector's totals. Only registered
+// as a route in development, see routes.jsx.
+const AnalyticsPage = () => {
+  const [state, setState] = useState({ status: "loading" });
+  const summaryUrl = getSummaryUrl();
+
+  const load = useCallback(async () => {
+    setState((current) => ({ ...current, status: "loading" }));
+    try {
+      const response = await fetch(summaryUrl);
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      setState({ status: "ready", summary: await response.json() });
+    } catch (error) {
+      setState({ status: "error", message: error.message });
+    }
+  }, [summaryUrl]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const { summary } = state;
+
+  return (
+    <PageLayout
+      title="Analytics"
+      highlight="Dashboard"
+      intro="Totals from the local collector. Events carry a page, a section or button name and a day, nothing else."
+      wide
+    >
+      <div className="flex flex-wrap items-center gap-4 mb-8 text-gray-300">
+        <button
+          type="button"
+          onClick={load}
+          disabled={state.status === "loading"}
+          className="bg-gradient-to-r from-cyan-500 to-blue-600 text-on-accent px-4 py-2 rounded-lg flex items-center space-x-2 hover:from-cyan-600 hover:to-blue-700 transition-all duration-200 disabled:opacity-50"
+        >
+          <FiRefreshCw className="w-4 h-4" aria-hidden="true" />
+          <span>Refresh</span>
+        </button>
+        {summary && <span>{summary.total} events recorded</span>}
+      </div>
+
+      {state.status === "error" && (
+        <p className="text-orange-300 mb-8" role="alert">
+          Could not load {summaryUrl} ({state.message}). Start the collector
+          with <code>npm run analytics:collector</code>, and check that Do Not
+          Track and Global Privacy Control are off in this browser if nothing
+          gets recorded.
+        </p>
+      )}
+
+      {summary && (
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+          <Table
+            caption="Page views"
+            columns={[PATH, COUNT]}
+            rows={summary.pageViews}
+          />
+          <Table
+            caption="Page views per day"
+            columns={[{ label: "Day", value: (row) => row.day }, COUNT]}
+            rows={summary.days}
+          />
+          <Table
+            caption="Sections seen"
+            columns={[
+              PATH,
+              { label: "Section", value: (row) => row.name },
+              COUNT,
+              RATE,
+            ]}
+            rows={summary.sections}
+          />
+          <Table
+            caption="Calls to action clicked"
+            columns={[
+              PATH,
+              { label: "Button", value: (row) => row.name },
+              COUNT,
+              RATE,
+            ]}
+            rows={summary.ctas}
+          />
+        </div>
+      )}
+    </PageLayout>
+  );
+};
+
+export default AnalyticsPage;
@@ -0,0 +1,150 @@
+import { useEffect, useState } from "react";
+import { useSearchParams } from "react-router";
+import { FiRss } from "react-icons/fi";
+import PageLayout from "../components/PageLayout";
+import browsers from "../content/browsers.json";
+import changelog from "../content/changelog.json";
+import {
+  FEED_PATH,
+  filterReleaseNotes,
+  releaseAnchor,
+  sortReleaseNotes,
+} from "../utils/changelog";
+
+const AREA_LABELS = {
+  masking: "Masking",
+  detection: "Detection",
+  "custom-rules": "Custom rules",
+  settings: "Settings",
+  interface: "Interface",
+  performance: "Performance",
+};
+
+const TYPES = {
+  added: { label: "New", className: "bg-green-500/20 text-green-400" },
+  improved: { label: "Improved", className: "bg-cyan-500/20 text-cyan-400" },
+  fixed: { label: "Fixed", className: "bg-orange-500/20 text-orange-400" },
+  security: { label: "Security", className: "bg-red-500/20 text-red-400" },
+};
+
+const NOTES = sortReleaseNotes(changelog);
+
+const selectClassName =
+  "bg-gray-800 border border-gray-700 rounded-lg px-3 py-2 text-base text-white focus:outline-none focus:border-cyan-500";
+
+const formatReleaseDate = (date) =>
+  new Intl.DateTimeFormat("en", { dateStyle: "long", timeZone: "UTC" }).format(
+    new Date(date),
+  );
+
+const ChangelogPage = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  // The page is prerendered unfiltered; apply filters from the URL only once
+  // hydration has matched that markup.
+  const [hydrated, setHydrated] = useState(false);
+  useEffect(() => setHydrated(true), []);
+  const browser = hydrated ? searchParams.get("browser") : null;
+  const area = hydrated ? searchParams.get("area") : null;
+  const notes = filterReleaseNotes(NOTES, { browser, area });
+
+  const setFilter = (name, value) => {
+    setSearchParams(
+      (current) => {
+        const next = new URLSearchParams(current);
+        if (value) next.set(name, value);
+        else next.delete(name);
+        return next;
+      },
+      { replace: true, preventScrollReset: true },
+    );
+  };
+
+  return (
+    <PageLayout
+      title="Release"
+      highlight="Notes"
+      intro="Every Safe-Web release and what changed in it."
+    >
+      <div className="flex flex-col sm:flex-row sm:items-end gap-4 mb-10">
+        <label className="flex flex-col gap-1 text-sm">
+          <span>Browser</span>
+          <select
+            value={browser ?? ""}
+            onChange={(event) => setFilter("browser", event.target.value)}
+            className={selectClassName}
+          >
+            <option value="">All browsers</option>
+            {browsers.map(({ id, name }) => (
+              <option key={id} value={id}>
+                {name}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="flex flex-col gap-1 text-sm">
+          <span>Area</span>
+          <select
+            value={area ?? ""}
+            onChange={(event) => setFilter("area", event.target.value)}
+            className={selectClassName}
+          >
+            <option value="">All areas</option>
+            {Object.entries(AREA_LABELS).map(([id, label]) => (
+              <option key={id} value={id}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <a
+          href={FEED_PATH}
+          className="sm:ms-auto inline-flex items-center gap-2 text-base"
+        >
+          <FiRss className="w-4 h-4" aria-hidden="true" />
+          Subscribe to the feed
+        </a>
+      </div>
+
+      {notes.length === 0 && <p>No releases match these filters yet.</p>}
+
+      {notes.map((note) => (
+        <article
+          key={note.id}
+          id={releaseAnchor(note)}
+          className="border-t border-gray-800 pt-8 mt-8 first-of-type:border-0 first-of-type:pt-0 first-of-type:mt-0 scroll-mt-24"
+        >
+          <h2 className="!mt-0">
+            {note.id}: {note.title}
+          </h2>
+          <p className="text-base text-gray-400">
+            <time dateTime={note.date}>{formatReleaseDate(note.date)}</time>
+            {" · "}
+            {note.browsers
+              .map((id) => browsers.find((item) => item.id === id)?.name ?? id)
+              .join(", ")}
+          </p>
+          {note.summary && <p>{note.summary}</p>}
+          <ul className="!list-none !pl-0">
+            {note.changes.map((change) => (
+              <li key={change.text} className="flex items-start gap-3">
+                <span
+                  className={`shrink-0 mt-1 px-2 py-0.5 rounded text-xs font-semibold ${TYPES[change.type].className}`}
+                >
+                  {TYPES[change.type].label}
+                </span>
+                <span>
+                  {change.text}{" "}
+                  <span className="text-sm text-gray-500">
+                    {AREA_LABELS[change.area]}
+                  </span>
+                </span>
+              </li>
+            ))}
+          </ul>
+        </article>
+      ))}
+    </PageLayout>
+  );
+};
+
+export default ChangelogPage;
@@ -0,0 +1,69 @@
+import ContactForm from "../components/ContactForm";
+import PageLayout, { proseClassName } from "../components/PageLayout";
+import { SITE } from "../site";
+
+const ContactPage = () => {
+  return (
+    <PageLayout
+      title="Contact"
+      highlight="Us"
+      intro="We read everything that comes in and usually reply within a few working days."
+      wide
+    >
+      <div className="max-w-2xl mx-auto">
+        <ContactForm />
+      </div>
+
+      <div className={`max-w-2xl mx-auto ${proseClassName}`}>
+        <h2>Email</h2>
+        <p>
+          Prefer email? Write to{" "}
+          <a href={`mailto:${SITE.email}`}>{SITE.email}</a>.
+        </p>
+
+        <h2>Bugs and feature requests</h2>
+        <p>
+          Safe-Web is developed in the open. Report bugs and suggest features on{" "}
+          <a
+            href={`${SITE.repository}/issues`}
+            target="_blank"
+            rel="noopener noreferrer"
+          >
+            GitHub Issues
+          </a>
+          , where you can also follow progress.
+        </p>
+
+        <h2>Security issues</h2>
+        <p>
+          Please report vulnerabilities privately by email rather than in a
+          public issue, so we can fix them before they are disclosed.
+        </p>
+
+        <h2>Elsewhere</h2>
+        <ul>
+          <li>
+            <a
+              href={SITE.social.linkedin}
+              target="_blank"
+              rel="noopener noreferrer"
+            >
+              {SITE.author.name} on LinkedIn
+            </a>
+          </li>
+          <li>
+            <a
+              href={SITE.social.github}
+              target="_blank"
+              rel="noopener noreferrer"
+            >
+              {SITE.author.name} on GitHub
+            </a>
+          </li>
+        </ul>
+      </div>
+    </PageLayout>
+  );
+};
+
+export default ContactPage;
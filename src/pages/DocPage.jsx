@@ -0,0 +1,137 @@
+import { Link, useNavigate } from "react-router";
+import { FiArrowLeft, FiArrowRight } from "react-icons/fi";
+import docs from "virtual:docs";
+import CodeBlock from "../components/CodeBlock";
+import { proseClassName } from "../components/PageLayout";
+import useScrollSpy from "../hooks/useScrollSpy";
+import { adjacentDocs } from "../utils/docs";
+
+// Markdown tables and nested code blocks come through as plain HTML.
+const docProseClassName = `${proseClassName} [&_table]:w-full [&_table]:mb-6 [&_table]:text-base [&_th]:text-left [&_th]:text-white [&_th]:font-semibold [&_th]:border-b [&_th]:border-gray-700 [&_th]:py-2 [&_th]:pr-4 [&_td]:border-b [&_td]:border-gray-800 [&_td]:py-2 [&_td]:pr-4 [&_td]:align-top [&_pre]:overflow-x-auto [&_pre]:mb-4 [&_pre]:p-4 [&_pre]:rounded-lg [&_pre]:bg-gray-800/60 [&_pre]:text-sm`;
+
+const DocPage = ({ doc }) => {
+  const navigate = useNavigate();
+  const activeHeading = useScrollSpy(doc.headings.map(({ id }) => id));
+  const { previous, next } = adjacentDocs(docs, doc.slug);
+
+  // Links inside the rendered markdown are plain anchors; send the site's
+  // own through the router instead of reloading the page.
+  const onClick = (event) => {
+    const link = event.target.closest("a");
+    if (
+      !link ||
+      event.defaultPrevented ||
+      event.button !== 0 ||
+      event.metaKey ||
+      event.ctrlKey ||
+      event.shiftKey ||
+      event.altKey ||
+      link.target ||
+      !link.getAttribute("href").startsWith("/")
+    ) {
+      return;
+    }
+    event.preventDefault();
+    navigate(link.getAttribute("href"));
+  };
+
+  return (
+    <div className="grid grid-cols-1 xl:grid-cols-[minmax(0,1fr)_13rem] gap-10">
+      <article>
+        <header className="mb-10">
+          <p className="text-sm text-cyan-400 mb-2">
+            <Link to="/docs" className="hover:text-cyan-300">
+              Documentation
+            </Link>{" "}
+            <span className="text-gray-500">/ {doc.section}</span>
+          </p>
+          <h1 className="text-4xl md:text-5xl font-bold text-white mb-4">
+            {doc.title}
+          </h1>
+          <p className="text-xl text-gray-300">{doc.description}</p>
+        </header>
+
+        <div className={docProseClassName} onClick={onClick}>
+          {doc.blocks.map((block, index) =>
+            block.type === "code" ? (
+              <CodeBlock key={index} code={block.code} lang={block.lang} />
+            ) : (
+              <div
+                key={index}
+                dangerouslySetInnerHTML={{ __html: block.html }}
+              />
+            ),
+          )}
+        </div>
+
+        <nav
+          aria-label="Previous and next page"
+          className="grid grid-cols-1 sm:grid-cols-2 gap-4 mt-16 pt-8 border-t border-gray-800"
+        >
+          {previous ? (
+            <Link
+              to={`/docs/${previous.slug}`}
+              className="group rounded-xl border border-gray-700 p-4 hover:border-cyan-500/50 transition-colors duration-200"
+            >
+              <span className="flex items-center gap-1 text-sm text-gray-400">
+                <FiArrowLeft className="w-4 h-4" aria-hidden="true" />
+                Previous
+              </span>
+              <span className="block mt-1 font-semibold text-white group-hover:text-cyan-400">
+                {previous.title}
+              </span>
+            </Link>
+          ) : (
+            <span />
+          )}
+          {next && (
+            <Link
+              to={`/docs/${next.slug}`}
+              className="group rounded-xl border border-gray-700 p-4 text-right hover:border-cyan-500/50 transition-colors duration-200"
+            >
+              <span className="flex items-center justify-end gap-1 text-sm text-gray-400">
+                Next
+                <FiArrowRight className="w-4 h-4" aria-hidden="true" />
+              </span>
+              <span className="block mt-1 font-semibold text-white group-hover:text-cyan-400">
+                {next.title}
+              </span>
+            </Link>
+          )}
+        </nav>
+      </article>
+
+      {doc.headings.length > 0 && (
+        <nav
+          aria-label="On this page"
+          className="hidden xl:block xl:sticky xl:top-24 xl:self-start"
+        >
+          <h2 className="mb-3 text-xs font-semibold uppercase tracking-wider text-gray-400">
+            On this page
+          </h2>
+          <ul className="space-y-2 text-sm">
+            {doc.headings.map((heading) => (
+              <li key={heading.id} className={heading.depth > 2 ? "pl-3" : ""}>
+                <a
+                  href={`#${heading.id}`}
+                  aria-current={
+                    heading.id === activeHeading ? "location" : undefined
+                  }
+                  className={`transition-colors duration-200 ${
+                    heading.id === activeHeading
+                      ? "text-cyan-400"
+                      : "text-gray-400 hover:text-cyan-400"
+                  }`}
+                >
+                  {heading.text}
+                </a>
+              </li>
+            ))}
+          </ul>
+        </nav>
+      )}
+    </div>
+  );
+};
+
+export default DocPage;
@@ -0,0 +1,50 @@
+import { Link } from "react-router";
+import docs from "virtual:docs";
+import { groupDocs } from "../utils/docs";
+
+const SECTIONS = groupDocs(docs);
+
+const DocsIndexPage = () => {
+  return (
+    <div>
+      <header className="mb-12">
+        <h1 className="text-4xl md:text-5xl font-bold text-white mb-6">
+          Documentation
+        </h1>
+        <p className="text-xl text-gray-300">
+          How Safe-Web finds and masks sensitive information, and how to tune
+          it.
+        </p>
+      </header>
+
+      <div className="space-y-10">
+        {SECTIONS.map((section) => (
+          <section key={section.name}>
+            <h2 className="text-2xl font-semibold text-white mb-4">
+              {section.name}
+            </h2>
+            <ul className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              {section.docs.map((doc) => (
+                <li key={doc.slug}>
+                  <Link
+                    to={`/docs/${doc.slug}`}
+                    className="block h-full bg-gray-800/50 backdrop-blur-sm border border-gray-700 rounded-xl p-6 hover:border-cyan-500/50 transition-colors duration-200"
+                  >
+                    <span className="block text-lg font-semibold text-white mb-2">
+                      {doc.title}
+                    </span>
+                    <span className="block text-gray-400">
+                      {doc.description}
+                    </span>
+                  </Link>
+                </li>
+              ))}
+            </ul>
+          </section>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default DocsIndexPage;
@@ -0,0 +1,62 @@
+import { NavLink, Outlet } from "react-router";
+import docs from "virtual:docs";
+import DocsSearch from "../components/DocsSearch";
+import { groupDocs } from "../utils/docs";
+
+const SECTIONS = groupDocs(docs);
+
+// Shell for /docs and every page under it: search and the sidebar, built
+// from the markdown files in src/content/docs (see plugins/docs.js).
+const DocsPage = () => {
+  return (
+    <section className="bg-gray-900 py-20">
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 grid grid-cols-1 lg:grid-cols-[15rem_minmax(0,1fr)] gap-10">
+        <aside className="space-y-8 lg:sticky lg:top-24 lg:self-start lg:max-h-[calc(100vh-7rem)] lg:overflow-y-auto">
+          <DocsSearch />
+          <nav aria-label="Documentation" className="hidden lg:block">
+            <NavLink
+              to="/docs"
+              end
+              className={({ isActive }) =>
+                `block mb-6 text-sm font-semibold transition-colors duration-200 ${
+                  isActive ? "text-cyan-400" : "text-white hover:text-cyan-400"
+                }`
+              }
+            >
+              Overview
+            </NavLink>
+            {SECTIONS.map((section) => (
+              <div key={section.name} className="mb-6">
+                <h2 className="mb-2 text-xs font-semibold uppercase tracking-wider text-gray-400">
+                  {section.name}
+                </h2>
+                <ul className="space-y-1 border-l border-gray-700">
+                  {section.docs.map((doc) => (
+                    <li key={doc.slug}>
+                      <NavLink
+                        to={`/docs/${doc.slug}`}
+                        className={({ isActive }) =>
+                          `block -ml-px pl-4 py-1 text-sm border-l transition-colors duration-200 ${
+                            isActive
+                              ? "border-cyan-400 text-cyan-400"
+                              : "border-transparent text-gray-300 hover:text-cyan-400"
+                          }`
+                        }
+                      >
+                        {doc.title}
+                      </NavLink>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            ))}
+          </nav>
+        </aside>
+
+        <Outlet />
+      </div>
+    </section>
+  );
+};
+
+export default DocsPage;
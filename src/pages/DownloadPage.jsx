@@ -0,0 +1,77 @@
+import { Link } from "react-router";
+import PageLayout from "../components/PageLayout";
+import StatusBadge from "../components/StatusBadge";
+import useDownloadOffer from "../hooks/useDownloadOffer";
+import { SITE } from "../site";
+
+const DownloadPage = () => {
+  const { browsers, detected, offer } = useDownloadOffer();
+
+  return (
+    <PageLayout
+      title="Download"
+      highlight="Safe-Web"
+      intro="Safe-Web is not in any browser store yet. Here is where each browser stands and how to try the extension today."
+    >
+      <ul className="!list-none !pl-0 grid grid-cols-1 sm:grid-cols-2 gap-4">
+        {browsers.map((browser) => (
+          <li
+            key={browser.id}
+            className="flex items-center justify-between bg-gray-800/50 border border-gray-700 rounded-xl px-5 py-4"
+          >
+            {browser.storeUrl ? (
+              <a
+                href={browser.storeUrl}
+                target="_blank"
+                rel="noopener noreferrer"
+              >
+                {browser.name}
+              </a>
+            ) : (
+              <span className="text-white font-semibold">{browser.name}</span>
+            )}
+            <StatusBadge status={browser.status} />
+          </li>
+        ))}
+      </ul>
+
+      {offer.kind === "outdated" && (
+        <p>
+          Safe-Web needs {offer.browser.name} {offer.minVersion} or later; you
+          are on version {detected.version}. Update your browser, then come back
+          to install the extension.
+        </p>
+      )}
+
+      <h2>Build it yourself</h2>
+      <p>
+        The source is on{" "}
+        <a href={SITE.repository} target="_blank" rel="noopener noreferrer">
+          GitHub
+        </a>
+        . To load a development build:
+      </p>
+      <ol>
+        <li>
+          Clone the repository and run <code>npm run build:extension</code>.
+        </li>
+        <li>
+          In Chrome or Edge, open <code>chrome://extensions/</code> or{" "}
+          <code>edge://extensions/</code>, enable Developer mode, choose
+          &ldquo;Load unpacked&rdquo; and select the <code>dist</code> folder.
+        </li>
+        <li>
+          In Firefox, open <code>about:debugging</code>, choose &ldquo;This
+          Firefox&rdquo;, then &ldquo;Load Temporary Add-on&rdquo; and select
+          any file in <code>dist</code>.
+        </li>
+      </ol>
+      <p>
+        Stuck? The <Link to="/help">Help Center</Link> covers the common
+        problems.
+      </p>
+    </PageLayout>
+  );
+};
+
+export default DownloadPage;
@@ -0,0 +1,72 @@
+import { Link } from "react-router";
+import PageLayout from "../components/PageLayout";
+import { SITE } from "../site";
+
+const HelpPage = () => {
+  return (
+    <PageLayout
+      title="Help"
+      highlight="Center"
+      intro="Answers to the questions we hear most often."
+    >
+      <h2>Some information on a page is not masked</h2>
+      <p>
+        Safe-Web only masks the pattern types switched on in the popup. Check
+        that the type is enabled and that the site has no override turning
+        masking off; the <Link to="/sites">site rules manager</Link> shows which
+        rule applies to a URL. For formats the built-in detectors do not know,
+        create a custom rule in the <Link to="/playground">playground</Link>.
+      </p>
+
+      <h2>Something is masked that should not be</h2>
+      <p>
+        Order numbers and IDs can look like phone numbers. Lower the number of
+        enabled pattern types for that site, or{" "}
+        <a
+          href={`${SITE.repository}/issues`}
+          target="_blank"
+          rel="noopener noreferrer"
+        >
+          open an issue
+        </a>{" "}
+        with an example so we can improve detection.
+      </p>
+
+      <h2>The keyboard shortcut does nothing</h2>
+      <p>
+        Another extension or the browser may already use <kbd>Ctrl</kbd>+
+        <kbd>Shift</kbd>+<kbd>M</kbd>. In Chrome and Edge you can reassign it at{" "}
+        <code>chrome://extensions/shortcuts</code>.
+      </p>
+
+      <h2>How do I share a log or email without personal data?</h2>
+      <p>
+        Paste it into the <Link to="/redact">redaction tool</Link>. It finds the
+        same information the extension masks and replaces it with blackouts,
+        partial values, consistent placeholders or salted hashes, without the
+        text leaving your browser.
+      </p>
+
+      <h2>Does Safe-Web send my data anywhere?</h2>
+      <p>
+        No. Detection and masking happen inside your browser and your settings
+        are kept in browser storage. See the{" "}
+        <Link to="/privacy">Privacy Policy</Link> for details.
+      </p>
+
+      <h2>How do I move my settings to another browser?</h2>
+      <p>
+        Export them from the popup and import the file in the other browser. The{" "}
+        <Link to="/settings">settings editor</Link> can check or upgrade the
+        file first.
+      </p>
+
+      <h2>Still stuck?</h2>
+      <p>
+        <Link to="/contact">Contact us</Link> and we will help.
+      </p>
+    </PageLayout>
+  );
+};
+
+export default HelpPage;
@@ -0,0 +1,25 @@
+import { lazy, Suspense } from "react";
+import WhatsNewBanner from "../components/WhatsNewBanner";
+import HeroSection from "../components/HeroSection";
+
+// Below the fold: fetched after the hero renders. Prerendered pages still
+// ship their markup, which hydrates once the chunks arrive.
+const FeaturesSection = lazy(() => import("../components/FeaturesSection"));
+const BrowserSection = lazy(() => import("../components/BrowserSection"));
+const AboutSection = lazy(() => import("../components/AboutSection"));
+
+const HomePage = () => {
+  return (
+    <>
+      <WhatsNewBanner />
+      <HeroSection />
+      <Suspense fallback={null}>
+        <FeaturesSection />
+        <BrowserSection />
+        <AboutSection />
+      </Suspense>
+    </>
+  );
+};
+
+export default HomePage;
@@ -0,0 +1,18 @@
+import { Link } from "react-router";
+import PageLayout from "../components/PageLayout";
+
+const NotFoundPage = () => {
+  return (
+    <PageLayout
+      title="Page not"
+      highlight="found"
+      intro="The page you were looking for does not exist or has moved."
+    >
+      <p className="text-center">
+        <Link to="/">Back to the home page</Link>
+      </p>
+    </PageLayout>
+  );
+};
+
+export default NotFoundPage;
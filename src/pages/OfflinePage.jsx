@@ -0,0 +1,23 @@
+import { Link } from "react-router";
+import PageLayout from "../components/PageLayout";
+
+// Served by the service worker when a page is requested offline and is not
+// in its cache.
+const OfflinePage = () => {
+  return (
+    <PageLayout
+      title="You are"
+      highlight="offline"
+      intro="This page is not saved on your device, and the network is unreachable."
+    >
+      <p className="text-center">
+        Pages you have opened before still work offline. Try the{" "}
+        <Link to="/">home page</Link> or the{" "}
+        <Link to="/docs">documentation</Link>, or reload once you are back
+        online.
+      </p>
+    </PageLayout>
+  );
+};
+
+export default OfflinePage;
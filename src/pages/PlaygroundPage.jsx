@@ -0,0 +1,17 @@
+import PageLayout from "../components/PageLayout";
+import PatternPlayground from "../components/PatternPlayground";
+
+const PlaygroundPage = () => {
+  return (
+    <PageLayout
+      title="Custom Rule"
+      highlight="Playground"
+      intro="Write your own privacy rules, test them against sample text and download them as a rule set the extension can import."
+      wide
+    >
+      <PatternPlayground />
+    </PageLayout>
+  );
+};
+
+export default PlaygroundPage;
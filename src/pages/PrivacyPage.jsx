@@ -0,0 +1,103 @@
+import PageLayout from "../components/PageLayout";
+import { SITE } from "../site";
+
+const LAST_UPDATED = "October 18, 2026";
+const SITE_HOST = new URL(SITE.url).host;
+
+const PrivacyPage = () => {
+  return (
+    <PageLayout
+      title="Privacy"
+      highlight="Policy"
+      intro={`Last updated ${LAST_UPDATED}`}
+    >
+      <p>
+        Safe-Web exists to keep your information private, and this policy holds
+        the extension and this website to the same standard. It covers the
+        Safe-Web browser extension and {SITE_HOST}, both operated by{" "}
+        {SITE.author.name}.
+      </p>
+
+      <h2>The extension</h2>
+      <p>
+        The extension reads the pages you visit so it can find and mask
+        sensitive information. That processing happens entirely on your device.
+        Page content, detected values and browsing history are never sent to
+        {SITE.author.name} or anyone else.
+      </p>
+      <p>
+        Your settings, such as the masking style, enabled pattern types,
+        per-site overrides and custom rules, are saved with the browser's
+        extension storage. If you use your browser's sync feature, the browser
+        vendor may sync that storage between your devices under its own privacy
+        policy.
+      </p>
+
+      <h2>This website</h2>
+      <p>
+        The website sets no cookies and loads no third-party trackers,
+        advertising or analytics scripts. Tools on the site, such as the rule
+        playground, the redaction tool and the settings editor, run in your
+        browser; files you open in them are not uploaded.
+      </p>
+
+      <h3 id="analytics">Visit statistics</h3>
+      <p>
+        To learn which parts of the site are useful, the website counts visits
+        with its own small script and sends the counts to our own server. Each
+        count records only which page was viewed, which sections of the home
+        page came into view, which buttons such as &ldquo;Download&rdquo; were
+        clicked, and the date. It does not record who you are: no cookies, no
+        visitor or session identifiers, nothing stored in your browser, and our
+        collector does not keep IP addresses or browser details with the counts.
+      </p>
+      <p>
+        If your browser sends a Do Not Track or Global Privacy Control signal,
+        the website records nothing at all.
+      </p>
+      <p>
+        Like any web server, our hosting provider receives standard request
+        information such as your IP address and browser user agent in order to
+        deliver the pages.
+      </p>
+
+      <h2 id="contact">Email and the contact form</h2>
+      <p>
+        If you email us or use the contact form, we use your address, name and
+        message only to reply and delete the conversation when it is no longer
+        needed. To limit abuse, the contact service briefly keeps the network
+        address a message was sent from.
+      </p>
+
+      <h2 id="waitlist">Waitlist</h2>
+      <p>
+        If you join the waitlist, we store your email address, the browsers and
+        features you selected, the site language you used, and when you signed
+        up and confirmed. We email you once to confirm the address; until you
+        do, we send nothing else. After that we use these details only to tell
+        you when Safe-Web is available for the browsers you chose.
+      </p>
+      <p>
+        If you sign up while offline, the signup is kept in your browser's local
+        storage until it can be sent, then removed. We never share or sell
+        waitlist data. Every waitlist email has an unsubscribe link that deletes
+        your entry, or you can ask us to delete it by email.
+      </p>
+
+      <h2>Your choices</h2>
+      <p>
+        You can clear the extension's stored settings at any time by removing
+        the extension. Questions or requests about your data can be sent to{" "}
+        <a href={`mailto:${SITE.email}`}>{SITE.email}</a>.
+      </p>
+
+      <h2>Changes</h2>
+      <p>
+        We will update the date at the top of this page whenever this policy
+        changes. The history of this page is public in our source repository.
+      </p>
+    </PageLayout>
+  );
+};
+
+export default PrivacyPage;
@@ -0,0 +1,17 @@
+import PageLayout from "../components/PageLayout";
+import RedactionTool from "../components/RedactionTool";
+
+const RedactPage = () => {
+  return (
+    <PageLayout
+      title="Redact"
+      highlight="Text"
+      intro="Paste a log or support email, or open a text, CSV or JSON file, choose how each kind of personal data is replaced and copy or download the redacted result."
+      wide
+    >
+      <RedactionTool />
+    </PageLayout>
+  );
+};
+
+export default RedactPage;
@@ -0,0 +1,17 @@
+import PageLayout from "../components/PageLayout";
+import SettingsEditor from "../components/SettingsEditor";
+
+const SettingsPage = () => {
+  return (
+    <PageLayout
+      title="Settings"
+      highlight="Editor"
+      intro="Open a settings file exported from Safe-Web to check it, upgrade it to the latest format and fix any problems. Everything happens in your browser; the file is never uploaded."
+      wide
+    >
+      <SettingsEditor />
+    </PageLayout>
+  );
+};
+
+export default SettingsPage;
@@ -0,0 +1,17 @@
+import PageLayout from "../components/PageLayout";
+import SiteRulesManager from "../components/SiteRulesManager";
+
+const SitesPage = () => {
+  return (
+    <PageLayout
+      title="Site"
+      highlight="Rules"
+      intro="Choose the sites where Safe-Web stays out of the way and the ones it always masks, check which rule applies to any URL, and download the list as a settings file."
+      wide
+    >
+      <SiteRulesManager />
+    </PageLayout>
+  );
+};
+
+export default SitesPage;
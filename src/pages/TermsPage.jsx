@@ -0,0 +1,70 @@
+import PageLayout from "../components/PageLayout";
+import { SITE } from "../site";
+
+const LAST_UPDATED = "October 18, 2026";
+const SITE_HOST = new URL(SITE.url).host;
+
+const TermsPage = () => {
+  return (
+    <PageLayout
+      title="Terms of"
+      highlight="Service"
+      intro={`Last updated ${LAST_UPDATED}`}
+    >
+      <p>
+        These terms apply to your use of the Safe-Web browser extension and
+        {SITE_HOST}. By using either, you agree to them.
+      </p>
+
+      <h2>Open source license</h2>
+      <p>
+        Safe-Web is free software released under the{" "}
+        <a
+          href={`${SITE.repository}/blob/main/LICENSE`}
+          target="_blank"
+          rel="noopener noreferrer"
+        >
+          MIT License
+        </a>
+        . You may use, copy, modify and distribute it under that license.
+      </p>
+
+      <h2>No guarantee of complete masking</h2>
+      <p>
+        Safe-Web reduces the chance of sensitive information being seen on
+        screen, but automatic detection cannot recognise every format on every
+        page. Do not rely on it as your only safeguard when sharing your screen
+        or recording, and check what is visible before you do.
+      </p>
+
+      <h2>Acceptable use</h2>
+      <p>
+        Do not use the extension or this website to break the law, to interfere
+        with other people's use of them, or to attack the services that host
+        them.
+      </p>
+
+      <h2>Disclaimer</h2>
+      <p>
+        The software and website are provided &ldquo;as is&rdquo;, without
+        warranty of any kind. To the extent permitted by law, {SITE.author.name}{" "}
+        is not liable for any damages arising from their use.
+      </p>
+
+      <h2>Changes</h2>
+      <p>
+        We may update these terms and will change the date above when we do.
+        Continuing to use Safe-Web after a change means you accept the updated
+        terms.
+      </p>
+
+      <h2>Contact</h2>
+      <p>
+        Questions about these terms can be sent to{" "}
+        <a href={`mailto:${SITE.email}`}>{SITE.email}</a>.
+      </p>
+    </PageLayout>
+  );
+};
+
+export default TermsPage;
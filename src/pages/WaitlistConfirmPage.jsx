@@ -0,0 +1,68 @@
+import { useEffect, useState } from "react";
+import { Link, useSearchParams } from "react-router";
+import PageLayout from "../components/PageLayout";
+import { getWaitlistAdapter } from "../utils/waitlist";
+
+// One request per token, however often the effect below runs: StrictMode
+// runs it twice in development.
+const confirmations = new Map();
+const confirmOnce = (token) => {
+  if (!confirmations.has(token)) {
+    confirmations.set(token, getWaitlistAdapter().confirm(token));
+  }
+  return confirmations.get(token);
+};
+
+const WaitlistConfirmPage = () => {
+  const [searchParams] = useSearchParams();
+  const [state, setState] = useState({ status: "checking" });
+
+  // The token only exists in the visitor's URL, so confirmation starts after
+  // hydration; the prerendered page shows the "checking" state.
+  useEffect(() => {
+    const token = searchParams.get("token");
+    if (!token) {
+      setState({
+        status: "failed",
+        message: "This confirmation link is missing its token.",
+      });
+      return undefined;
+    }
+
+    let cancelled = false;
+    confirmOnce(token)
+      .then(() => !cancelled && setState({ status: "confirmed" }))
+      .catch(
+        (error) =>
+          !cancelled && setState({ status: "failed", message: error.message }),
+      );
+    return () => {
+      cancelled = true;
+    };
+  }, [searchParams]);
+
+  return (
+    <PageLayout
+      title="Confirm your"
+      highlight="signup"
+      intro={
+        state.status === "checking" ? "Checking your confirmation link…" : null
+      }
+    >
+      {state.status === "confirmed" && (
+        <p className="text-center" role="status">
+          You are on the waitlist. We will email you when Safe-Web is ready for
+          your browser, and every email has a link to remove your address.
+        </p>
+      )}
+      {state.status === "failed" && (
+        <p className="text-center" role="alert">
+          {state.message} <Link to="/waitlist">Sign up again</Link> to get a new
+          link.
+        </p>
+      )}
+    </PageLayout>
+  );
+};
+
+export default WaitlistConfirmPage;
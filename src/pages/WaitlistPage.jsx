@@ -0,0 +1,19 @@
+import PageLayout from "../components/PageLayout";
+import WaitlistForm from "../components/WaitlistForm";
+
+const WaitlistPage = () => {
+  return (
+    <PageLayout
+      title="Join the"
+      highlight="Waitlist"
+      intro="Get one email when Safe-Web is ready for your browser. We will ask you to confirm your address first."
+      wide
+    >
+      <div className="max-w-2xl mx-auto">
+        <WaitlistForm />
+      </div>
+    </PageLayout>
+  );
+};
+
+export default WaitlistPage;
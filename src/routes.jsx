@@ -0,0 +1,266 @@
+import { lazy } from "react";
+import App from "./App";
+import HomePage from "./pages/HomePage";
+import DownloadPage from "./pages/DownloadPage";
+import docs from "virtual:docs";
+import HelpPage from "./pages/HelpPage";
+import PrivacyPage from "./pages/PrivacyPage";
+import TermsPage from "./pages/TermsPage";
+import ContactPage from "./pages/ContactPage";
+import AboutPage from "./pages/AboutPage";
+import WaitlistPage from "./pages/WaitlistPage";
+import WaitlistConfirmPage from "./pages/WaitlistConfirmPage";
+import AnalyticsPage from "./pages/AnalyticsPage";
+import OfflinePage from "./pages/OfflinePage";
+import NotFoundPage from "./pages/NotFoundPage";
+import { SITE } from "./site";
+
+// The tools, the release notes and the docs are each a chunk of their own,
+// so the entry chunk only carries the pages most visitors land on.
+const DocsPage = lazy(() => import("./pages/DocsPage"));
+const DocsIndexPage = lazy(() => import("./pages/DocsIndexPage"));
+const PlaygroundPage = lazy(() => import("./pages/PlaygroundPage"));
+const SitesPage = lazy(() => import("./pages/SitesPage"));
+const RedactPage = lazy(() => import("./pages/RedactPage"));
+const SettingsPage = lazy(() => import("./pages/SettingsPage"));
+const ChangelogPage = lazy(() => import("./pages/ChangelogPage"));
+
+// A doc page loads with its own content (headings and HTML), which
+// plugins/docs.js puts in a chunk per page.
+const lazyDocPage = (doc) =>
+  lazy(async () => {
+    const [{ default: DocPage }, { default: content }] = await Promise.all([
+      import("./pages/DocPage"),
+      doc.load(),
+    ]);
+    const page = { ...doc, ...content };
+    return { default: () => <DocPage doc={page} /> };
+  });
+
+// Every static path is prerendered and listed in the sitemap at build time
+// (scripts/prerender.js). `handle.meta` is the page's <head>, see
+// utils/pageMeta.js; the home page uses the translated site defaults.
+const routes = [
+  {
+    path: "/",
+    element: <App />,
+    children: [
+      { index: true, element: <HomePage /> },
+      {
+        path: "download",
+        element: <DownloadPage />,
+        handle: {
+          meta: {
+            title: "Download",
+            description:
+              "Where Safe-Web stands in each browser store and how to try the extension today.",
+          },
+        },
+      },
+      {
+        path: "docs",
+        element: <DocsPage />,
+        children: [
+          {
+            index: true,
+            element: <DocsIndexPage />,
+            handle: {
+              meta: {
+                title: "Documentation",
+                description:
+                  "How Safe-Web finds and masks emails, phone numbers, card numbers and other sensitive data, and how to tune it.",
+              },
+            },
+          },
+          // One page per markdown file in content/docs (plugins/docs.js).
+          ...docs.map((doc) => {
+            const DocPage = lazyDocPage(doc);
+            return {
+              path: doc.slug,
+              element: <DocPage />,
+              handle: {
+                meta: {
+                  title: `${doc.title} - Documentation`,
+                  description: doc.description,
+                },
+              },
+            };
+          }),
+        ],
+      },
+      {
+        path: "help",
+        element: <HelpPage />,
+        handle: {
+          meta: {
+            title: "Help Center",
+            description:
+              "Answers to common questions about installing, using and troubleshooting the Safe-Web browser extension.",
+          },
+        },
+      },
+      {
+        path: "privacy",
+        element: <PrivacyPage />,
+        handle: {
+          meta: {
+            title: "Privacy Policy",
+            description:
+              "What the Safe-Web extension and website collect, and what they do not.",
+          },
+        },
+      },
+      {
+        path: "terms",
+        element: <TermsPage />,
+        handle: {
+          meta: {
+            title: "Terms of Service",
+            description:
+              "The terms that apply to using the Safe-Web browser extension and website.",
+          },
+        },
+      },
+      {
+        path: "contact",
+        element: <ContactPage />,
+        handle: {
+          meta: {
+            title: "Contact Us",
+            description:
+              "Get in touch with the Safe-Web team about support, privacy questions, partnerships or bug reports.",
+          },
+        },
+      },
+      {
+        path: "about",
+        element: <AboutPage />,
+        handle: {
+          meta: {
+            title: "About",
+            description: `Safe-Web is a privacy-first, open-source browser extension from ${SITE.author.name} that masks personal data on the pages you visit.`,
+          },
+        },
+      },
+      {
+        path: "playground",
+        element: <PlaygroundPage />,
+        handle: {
+          meta: {
+            title: "Custom Rule Playground",
+            description:
+              "Write custom privacy rules, test them against sample text and download a rule set Safe-Web can import.",
+          },
+        },
+      },
+      {
+        path: "sites",
+        element: <SitesPage />,
+        handle: {
+          meta: {
+            title: "Site Rules",
+            description:
+              "Build a list of sites Safe-Web allows or always masks, test any URL against it and download it as a settings file.",
+          },
+        },
+      },
+      {
+        path: "redact",
+        element: <RedactPage />,
+        handle: {
+          meta: {
+            title: "Redact Text",
+            description:
+              "Paste text or open a log, CSV or JSON file and redact emails, phone numbers, card numbers and SSNs in your browser before sharing it.",
+          },
+        },
+      },
+      {
+        path: "settings",
+        element: <SettingsPage />,
+        handle: {
+          meta: {
+            title: "Settings Editor",
+            description:
+              "Check, upgrade and repair Safe-Web settings files in your browser. Nothing is uploaded.",
+          },
+        },
+      },
+      {
+        path: "changelog",
+        element: <ChangelogPage />,
+        handle: {
+          meta: {
+            title: "Release Notes",
+            description:
+              "Every Safe-Web release and what changed in it, filterable by browser and feature area.",
+          },
+        },
+      },
+      {
+        path: "waitlist",
+        element: <WaitlistPage />,
+        handle: {
+          meta: {
+            title: "Join the Waitlist",
+            description:
+              "Get an email when Safe-Web is available for your browser. Double opt-in, no tracking, unsubscribe any time.",
+          },
+        },
+      },
+      {
+        path: "waitlist/confirm",
+        element: <WaitlistConfirmPage />,
+        handle: {
+          meta: {
+            title: "Confirm Your Signup",
+            description: "Confirm your Safe-Web waitlist signup.",
+            noindex: true,
+          },
+        },
+      },
+      {
+        path: "offline",
+        element: <OfflinePage />,
+        handle: {
+          meta: {
+            title: "Offline",
+            description: "This page is not available offline.",
+            noindex: true,
+          },
+        },
+      },
+      // Development only: reads the local analytics collector. Left out of
+      // production builds, so it is never prerendered or listed.
+      ...(import.meta.env.DEV
+        ? [
+            {
+              path: "analytics",
+              element: <AnalyticsPage />,
+              handle: {
+                meta: {
+                  title: "Analytics",
+                  description: "Totals from the local analytics collector.",
+                  noindex: true,
+                },
+              },
+            },
+          ]
+        : []),
+      {
+        path: "*",
+        element: <NotFoundPage />,
+        handle: {
+          meta: {
+            title: "Page Not Found",
+            description:
+              "The page you were looking for does not exist or has moved.",
+            noindex: true,
+          },
+        },
+      },
+    ],
+  },
+];
+
+export default routes;
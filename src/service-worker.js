@@ -0,0 +1,107 @@
+/**
+ * Service worker template. scripts/service-worker.js prepends
+ * `self.__SW_MANIFEST` with the build's version, the files to precache and
+ * the offline page, and writes the result to dist/sw.js.
+ *
+ * Each deploy gets its own cache. A new worker installs alongside the old
+ * one and waits until the page asks it to take over (the "update available"
+ * toast, see src/utils/pwa.js), then deletes the older caches.
+ */
+
+const { version, precache, offlinePage } = self.__SW_MANIFEST;
+const CACHE_PREFIX = "safe-web-";
+const CACHE_NAME = `${CACHE_PREFIX}${version}`;
+const PRECACHED = new Set(precache);
+
+// Hosts that redirect /about to /about/ hand back redirected responses,
+// which browsers refuse to use for a navigation; store a plain copy instead.
+const precacheUrl = async (cache, url) => {
+  const response = await fetch(url, { cache: "reload" });
+  if (!response.ok) throw new Error(`Could not precache ${url}`);
+  const stored = response.redirected
+    ? new Response(await response.blob(), {
+        status: response.status,
+        statusText: response.statusText,
+        headers: response.headers,
+      })
+    : response;
+  await cache.put(url, stored);
+};
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches
+      .open(CACHE_NAME)
+      .then((cache) =>
+        Promise.all(precache.map((url) => precacheUrl(cache, url))),
+      ),
+  );
+});
+
+self.addEventListener("message", (event) => {
+  if (event.data?.type === "SKIP_WAITING") self.skipWaiting();
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((names) =>
+        Promise.all(
+          names
+            .filter(
+              (name) => name.startsWith(CACHE_PREFIX) && name !== CACHE_NAME,
+            )
+            .map((name) => caches.delete(name)),
+        ),
+      )
+      .then(() => self.clients.claim()),
+  );
+});
+
+// Pages are precached as "/about", not "/about/" or "/about/index.html".
+const pageKey = (pathname) => {
+  const path = pathname.replace(/\/index\.html$/, "/");
+  return path.length > 1 ? path.replace(/\/$/, "") : path;
+};
+
+// Network first so visitors see the latest deploy, then the cached page,
+// then the offline page.
+const handleNavigation = async (request) => {
+  const cache = await caches.open(CACHE_NAME);
+  try {
+    return await fetch(request);
+  } catch {
+    const { pathname } = new URL(request.url);
+    return (
+      (await cache.match(pageKey(pathname))) ?? (await cache.match(offlinePage))
+    );
+  }
+};
+
+// Built assets have hashed names, so a cached copy is always current.
+const handleAsset = async (request) => {
+  const cache = await caches.open(CACHE_NAME);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+  try {
+    return await fetch(request);
+  } catch {
+    return (
+      (await cache.match(request, { ignoreSearch: true })) ?? Response.error()
+    );
+  }
+};
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  // Waitlist, analytics and other endpoints always go to the network.
+  if (request.method !== "GET" || url.origin !== self.location.origin) return;
+
+  if (request.mode === "navigate") {
+    event.respondWith(handleNavigation(request));
+  } else if (PRECACHED.has(url.pathname)) {
+    event.respondWith(handleAsset(request));
+  }
+});
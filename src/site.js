@@ -0,0 +1,65 @@
+/**
+ * Site and product facts in one place. plugins/site.js builds the head of
+ * index.html (meta, Open Graph and Twitter tags, JSON-LD) and
+ * manifest.json from this, and components read their links from it.
+ * Anything that has its own content file comes from there instead: the
+ * version and release dates from src/content/changelog.json, the browser
+ * list from src/content/browsers.json, and page titles and descriptions
+ * from the message catalogs in src/i18n/messages.
+ *
+ * validateSite() in plugins/site.js checks it on every build.
+ *
+ * @typedef {object} SiteConfig
+ * @property {string} name Product name, e.g. in "| Safe-Web" title suffixes.
+ * @property {string} title Full name for the install prompt and manifest.
+ * @property {string} description One-sentence product summary for the
+ *   manifest and structured data.
+ * @property {string} url Production origin, `https://`, no trailing slash.
+ * @property {string[]} keywords
+ * @property {string} image Default link preview image, a PNG under public/.
+ *   Its width and height are read from the file at build time.
+ * @property {string} icon Favicon and app icon, a path under public/.
+ * @property {string} accentColor Hex colour for tiles and browser chrome
+ *   that does not follow the theme. Theme colours are in src/theme/themes.js.
+ * @property {string[]} categories Web app manifest categories.
+ * @property {string} applicationCategory schema.org applicationCategory.
+ * @property {{ name: string, url: string }} author
+ * @property {string} email Support address.
+ * @property {string} repository Extension source code.
+ * @property {{ github: string, linkedin: string, twitter: string }} social
+ *   Profile URLs; `twitter` is the handle, e.g. "@IntellWe".
+ */
+
+/** @type {SiteConfig} */
+export const SITE = {
+  name: "Safe-Web",
+  title: "Safe-Web - Privacy-First Browser Extension",
+  description:
+    "A privacy-first browser extension that protects sensitive information by masking emails, phone numbers, and personal data while browsing the web.",
+  url: "https://safeweb.intellwe.com",
+  keywords: [
+    "browser extension",
+    "privacy protection",
+    "data masking",
+    "secure browsing",
+    "privacy tools",
+    "information security",
+    "sensitive data protection",
+    "chrome extension",
+    "firefox addon",
+    "browser privacy",
+  ],
+  image: "/og-image.png",
+  icon: "/logo.png",
+  accentColor: "#0891b2",
+  categories: ["productivity", "security", "utilities"],
+  applicationCategory: "BrowserApplication",
+  author: { name: "IntellWe", url: "https://intellwe.com" },
+  email: "support@intellwe.com",
+  repository: "https://github.com/intellwe/safe-web",
+  social: {
+    github: "https://github.com/intellwe",
+    linkedin: "https://linkedin.com/company/intellwe",
+    twitter: "@IntellWe",
+  },
+};
@@ -0,0 +1,5 @@
+import { createContext } from "react";
+
+const ThemeContext = createContext(null);
+
+export default ThemeContext;
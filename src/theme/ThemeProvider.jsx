@@ -0,0 +1,48 @@
+import { useCallback, useEffect, useMemo, useState } from "react";
+import ThemeContext from "./ThemeContext";
+import {
+  applyTheme,
+  DEFAULT_THEME_MODE,
+  LIGHT_QUERY,
+  readThemeMode,
+  resolveTheme,
+  storeThemeMode,
+} from "./themes";
+
+const ThemeProvider = ({ children }) => {
+  // The document already carries the right theme from the inline boot
+  // script; React state starts at the prerendered default and catches up
+  // after mount so hydration matches. Nothing is applied until then, or a
+  // stored "dark" would briefly lose to a light system preference.
+  const [mode, setModeState] = useState(DEFAULT_THEME_MODE);
+  const [ready, setReady] = useState(false);
+
+  useEffect(() => {
+    setModeState(readThemeMode());
+    setReady(true);
+  }, []);
+
+  useEffect(() => {
+    if (!ready) return undefined;
+    applyTheme(resolveTheme(mode));
+    if (mode !== "system") return undefined;
+
+    const query = window.matchMedia(LIGHT_QUERY);
+    const onChange = () => applyTheme(resolveTheme("system"));
+    query.addEventListener("change", onChange);
+    return () => query.removeEventListener("change", onChange);
+  }, [mode, ready]);
+
+  const setMode = useCallback((next) => {
+    storeThemeMode(next);
+    setModeState(next);
+  }, []);
+
+  const value = useMemo(() => ({ mode, setMode }), [mode, setMode]);
+
+  return (
+    <ThemeContext.Provider value={value}>{children}</ThemeContext.Provider>
+  );
+};
+
+export default ThemeProvider;
@@ -0,0 +1,87 @@
+/**
+ * Colour modes. "system" follows prefers-color-scheme; the other two pin a
+ * palette. The resolved theme is set as <html data-theme> before first paint
+ * by the inline script from plugins/theme.js, and src/index.css remaps the
+ * palette for light.
+ *
+ * @typedef {"system" | "light" | "dark"} ThemeMode
+ * @typedef {"light" | "dark"} Theme
+ */
+
+/** @type {ThemeMode[]} */
+export const THEME_MODES = ["system", "light", "dark"];
+
+export const DEFAULT_THEME_MODE = "system";
+
+// Only written when the visitor picks a mode, like the locale.
+export const THEME_STORAGE_KEY = "safe-web:theme";
+
+// Browser UI colour per theme: the page background (gray-900 in each palette).
+export const THEME_COLORS = { dark: "#111827", light: "#f9fafb" };
+
+export const LIGHT_QUERY = "(prefers-color-scheme: light)";
+
+export const isThemeMode = (value) => THEME_MODES.includes(value);
+
+export const readThemeMode = () => {
+  try {
+    const stored = localStorage.getItem(THEME_STORAGE_KEY);
+    return isThemeMode(stored) ? stored : DEFAULT_THEME_MODE;
+  } catch {
+    return DEFAULT_THEME_MODE;
+  }
+};
+
+export const storeThemeMode = (mode) => {
+  try {
+    if (mode === DEFAULT_THEME_MODE) {
+      localStorage.removeItem(THEME_STORAGE_KEY);
+    } else {
+      localStorage.setItem(THEME_STORAGE_KEY, mode);
+    }
+  } catch {
+    // Storage can be unavailable (private mode); the choice lasts the visit.
+  }
+};
+
+/**
+ * @param {ThemeMode} mode
+ * @returns {Theme}
+ */
+export const resolveTheme = (mode) => {
+  if (mode !== "system") return mode;
+  return window.matchMedia(LIGHT_QUERY).matches ? "light" : "dark";
+};
+
+/** @param {Theme} theme */
+export const applyTheme = (theme) => {
+  const root = document.documentElement;
+  root.dataset.theme = theme;
+  root.style.colorScheme = theme;
+  for (const meta of document.head.querySelectorAll(
+    'meta[name="theme-color"]',
+  )) {
+    meta.setAttribute("content", THEME_COLORS[theme]);
+  }
+};
+
+/**
+ * Source of the blocking inline script that applies the stored theme before
+ * the stylesheet paints anything. Kept to plain ES5-level syntax and free of
+ * imports since it runs as-is in <head>.
+ *
+ * @returns {string}
+ */
+export const themeBootScript = () =>
+  `(function () {
+  var mode = null;
+  try { mode = localStorage.getItem(${JSON.stringify(THEME_STORAGE_KEY)}); } catch (e) {}
+  var theme = mode === "light" || mode === "dark" ? mode
+    : window.matchMedia(${JSON.stringify(LIGHT_QUERY)}).matches ? "light" : "dark";
+  var colors = ${JSON.stringify(THEME_COLORS)};
+  var root = document.documentElement;
+  root.dataset.theme = theme;
+  root.style.colorScheme = theme;
+  var metas = document.querySelectorAll('meta[name="theme-color"]');
+  for (var i = 0; i < metas.length; i++) metas[i].setAttribute("content", colors[theme]);
+})();`;
@@ -0,0 +1,94 @@
+/**
+ * The analytics event format, shared by the browser client, the local
+ * collector (scripts/analytics-collector.js) and the dashboard. Events carry
+ * no identifiers: no cookie, no visitor or session id, no IP, no user agent,
+ * and only the day they happened, so they cannot be joined into a profile.
+ *
+ * @typedef {object} AnalyticsEvent
+ * @property {"pageview" | "section" | "cta"} type
+ * @property {string} path Route path, without query string or hash.
+ * @property {string} [name] Section id or CTA name; absent for page views.
+ * @property {string} day YYYY-MM-DD, UTC.
+ */
+
+export const EVENT_TYPES = ["pageview", "section", "cta"];
+
+const NAME_PATTERN = /^[a-z0-9][a-z0-9:-]{0,63}$/;
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_PATH_LENGTH = 200;
+
+export const MAX_BATCH_SIZE = 50;
+
+/**
+ * @param {unknown} event
+ * @returns {event is AnalyticsEvent}
+ */
+export const isValidEvent = (event) => {
+  if (!event || typeof event !== "object") return false;
+  const { type, path, name, day } = event;
+  if (!EVENT_TYPES.includes(type)) return false;
+  if (
+    typeof path !== "string" ||
+    !path.startsWith("/") ||
+    path.length > MAX_PATH_LENGTH ||
+    /[?#]/.test(path)
+  ) {
+    return false;
+  }
+  if (type === "pageview" ? name !== undefined : !NAME_PATTERN.test(name)) {
+    return false;
+  }
+  return typeof day === "string" && DAY_PATTERN.test(day);
+};
+
+const increment = (map, key) => map.set(key, (map.get(key) ?? 0) + 1);
+
+const sortedEntries = (map) =>
+  [...map.entries()].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+
+/**
+ * Totals for the dashboard. Section reach and CTA rates are relative to
+ * page views of the page they happened on.
+ *
+ * @param {AnalyticsEvent[]} events
+ */
+export const summarizeEvents = (events) => {
+  const views = new Map();
+  const sections = new Map();
+  const ctas = new Map();
+  const days = new Map();
+
+  for (const event of events) {
+    const key = `${event.path} ${event.name}`;
+    if (event.type === "pageview") {
+      increment(views, event.path);
+      increment(days, event.day);
+    } else if (event.type === "section") {
+      increment(sections, key);
+    } else {
+      increment(ctas, key);
+    }
+  }
+
+  const withRate = (map) =>
+    sortedEntries(map).map(([key, count]) => {
+      const [path, name] = key.split(" ");
+      const pageViews = views.get(path) ?? 0;
+      return {
+        path,
+        name,
+        count,
+        rate: pageViews ? count / pageViews : null,
+      };
+    });
+
+  return {
+    total: events.length,
+    pageViews: sortedEntries(views).map(([path, count]) => ({ path, count })),
+    sections: withRate(sections),
+    ctas: withRate(ctas),
+    days: [...days.entries()]
+      .sort((a, b) => a[0].localeCompare(b[0]))
+      .map(([day, count]) => ({ day, count })),
+  };
+};
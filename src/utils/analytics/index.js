@@ -0,0 +1,147 @@
+/**
+ * First-party, cookieless analytics: page views, which home page sections
+ * were seen and which calls to action were clicked. Nothing is stored in the
+ * browser and nothing identifies the visitor; see ./events.js for the event
+ * format. Visitors with Do Not Track or Global Privacy Control enabled send
+ * nothing at all.
+ */
+import { isValidEvent, MAX_BATCH_SIZE } from "./events.js";
+
+export { summarizeEvents } from "./events.js";
+
+// The collector's default address; see scripts/analytics-collector.js.
+export const LOCAL_COLLECTOR = "http://localhost:8788";
+
+const FLUSH_INTERVAL_MS = 15 * 1000;
+
+/**
+ * VITE_ANALYTICS_ENDPOINT is the URL batches are POSTed to. Development
+ * falls back to the local collector; production without it sends nothing.
+ *
+ * @returns {string | null}
+ */
+export const getAnalyticsEndpoint = () =>
+  import.meta.env.VITE_ANALYTICS_ENDPOINT ||
+  (import.meta.env.DEV ? `${LOCAL_COLLECTOR}/events` : null);
+
+/**
+ * Where the dashboard reads totals: the collector's /summary next to its
+ * /events endpoint.
+ *
+ * @returns {string | null}
+ */
+export const getSummaryUrl = () =>
+  getAnalyticsEndpoint()?.replace(/\/events\/?$/, "/summary") ?? null;
+
+/**
+ * False when the visitor has asked not to be tracked, through Do Not Track
+ * or Global Privacy Control.
+ */
+export const isTrackingAllowed = () => {
+  if (typeof navigator === "undefined") return false;
+  if (navigator.globalPrivacyControl === true) return false;
+  const dnt = navigator.doNotTrack ?? window.doNotTrack;
+  return dnt !== "1" && dnt !== "yes";
+};
+
+let endpoint = null;
+let queue = [];
+let seenSections = new Set();
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+const currentPath = () => window.location.pathname;
+
+// text/plain keeps the beacon a "simple" cross-origin request, so it needs no
+// CORS preflight (which sendBeacon cannot do).
+const flush = () => {
+  if (!endpoint || queue.length === 0) return;
+  const batch = queue.splice(0, MAX_BATCH_SIZE);
+  const body = new Blob([JSON.stringify(batch)], { type: "text/plain" });
+  if (!navigator.sendBeacon?.(endpoint, body)) {
+    fetch(endpoint, { method: "POST", body, keepalive: true }).catch(() => {
+      // Analytics are best effort; a lost batch is not worth retrying.
+    });
+  }
+  if (queue.length > 0) flush();
+};
+
+const record = (type, name, path = currentPath()) => {
+  if (!endpoint) return;
+  const event = { type, path, day: today() };
+  if (name !== undefined) event.name = name;
+  if (!isValidEvent(event)) return;
+  queue.push(event);
+  if (queue.length >= MAX_BATCH_SIZE) flush();
+};
+
+/** @param {string} [path] Defaults to the current location. */
+export const trackPageView = (path) => {
+  seenSections = new Set();
+  record("pageview", undefined, path);
+};
+
+/**
+ * Counts a section once per page view.
+ *
+ * @param {string} id The section's element id, e.g. "features".
+ */
+export const trackSection = (id) => {
+  if (seenSections.has(id)) return;
+  seenSections.add(id);
+  record("section", id);
+};
+
+/** @param {string} name */
+export const trackCta = (name) => record("cta", name);
+
+// Any element with data-cta="name" is counted when clicked, so components
+// only need the attribute.
+const onClick = (event) => {
+  const target = event.target.closest?.("[data-cta]");
+  if (target) trackCta(target.dataset.cta);
+};
+
+const onVisibilityChange = () => {
+  if (document.visibilityState === "hidden") flush();
+};
+
+/**
+ * Starts recording when allowed and an endpoint is configured: a page view
+ * now and after every navigation, plus CTA clicks. Batches are sent every
+ * few seconds and when the page is hidden.
+ *
+ * @param {{ state: { location: { pathname: string } }, subscribe: (listener: (state: object) => void) => () => void }} router
+ * @returns {() => void} Stops recording.
+ */
+export const startAnalytics = (router) => {
+  endpoint = getAnalyticsEndpoint();
+  if (!endpoint || !isTrackingAllowed()) {
+    endpoint = null;
+    return () => {};
+  }
+
+  let lastPath = router.state.location.pathname;
+  trackPageView(lastPath);
+  const unsubscribe = router.subscribe((state) => {
+    if (state.location.pathname === lastPath) return;
+    lastPath = state.location.pathname;
+    trackPageView(lastPath);
+  });
+
+  document.addEventListener("click", onClick, true);
+  document.addEventListener("visibilitychange", onVisibilityChange);
+  window.addEventListener("pagehide", flush);
+  const timer = setInterval(flush, FLUSH_INTERVAL_MS);
+
+  return () => {
+    flush();
+    unsubscribe();
+    document.removeEventListener("click", onClick, true);
+    document.removeEventListener("visibilitychange", onVisibilityChange);
+    window.removeEventListener("pagehide", flush);
+    clearInterval(timer);
+    endpoint = null;
+    queue = [];
+  };
+};
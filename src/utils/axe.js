@@ -0,0 +1,74 @@
+/**
+ * Shared setup for the axe-core accessibility checks: the dev-server check
+ * below, which audits the live page on every navigation, and the build-time
+ * scripts/a11y-check.js, which audits every prerendered page.
+ */
+
+/** Rule sets we hold the site to. */
+export const AXE_TAGS = [
+  "wcag2a",
+  "wcag2aa",
+  "wcag21a",
+  "wcag21aa",
+  "best-practice",
+];
+
+/**
+ * @param {{ disableRules?: string[] }} [options] Rules to skip where the
+ *   environment cannot evaluate them, e.g. color-contrast without layout.
+ */
+export const axeRunOptions = ({ disableRules = [] } = {}) => ({
+  runOnly: { type: "tag", values: AXE_TAGS },
+  rules: Object.fromEntries(
+    disableRules.map((rule) => [rule, { enabled: false }]),
+  ),
+  resultTypes: ["violations"],
+});
+
+/**
+ * One line per failing element, e.g.
+ * "serious  button-name  Buttons must have discernible text  header > button".
+ *
+ * @param {import("axe-core").Result[]} violations
+ * @returns {string[]}
+ */
+export const formatViolations = (violations) =>
+  violations.flatMap((violation) =>
+    violation.nodes.map(
+      (node) =>
+        `${(violation.impact ?? "").padEnd(9)}${violation.id}  ${violation.help}  ${node.target.join(" ")}`,
+    ),
+  );
+
+const DEV_CHECK_DELAY_MS = 1000;
+
+/**
+ * Development only: re-audits the page a moment after each navigation (once
+ * entrance animations have settled) and logs any violations to the console.
+ *
+ * @param {{ subscribe: (listener: () => void) => () => void }} router
+ * @returns {() => void} Stops checking.
+ */
+export const startAxeDevCheck = (router) => {
+  let timer;
+  const check = () => {
+    clearTimeout(timer);
+    timer = setTimeout(async () => {
+      const { default: axe } = await import("axe-core");
+      const { violations } = await axe.run(document, axeRunOptions());
+      if (violations.length === 0) return;
+      console.groupCollapsed(
+        `[axe] ${violations.length} accessibility issue(s) on ${window.location.pathname}`,
+      );
+      for (const line of formatViolations(violations)) console.warn(line);
+      console.groupEnd();
+    }, DEV_CHECK_DELAY_MS);
+  };
+
+  check();
+  const unsubscribe = router.subscribe(check);
+  return () => {
+    clearTimeout(timer);
+    unsubscribe();
+  };
+};
@@ -0,0 +1,83 @@
+/**
+ * Works out which browser the visitor is using so the site can offer the
+ * right store link. Only browsers Safe-Web ships for are recognised; anything
+ * else, including in-app webviews, comes back as null.
+ */
+
+/**
+ * @typedef {"chrome" | "edge" | "firefox" | "opera" | "safari"} BrowserId
+ *
+ * @typedef {object} DetectedBrowser
+ * @property {BrowserId} id
+ * @property {number | null} version Major version, when the browser reports it.
+ * @property {boolean} mobile Mobile browsers cannot install desktop extensions.
+ */
+
+// Order matters: Edge and Opera also claim to be Chrome, and every Chromium
+// browser claims to be Safari.
+const USER_AGENT_RULES = [
+  { id: "edge", pattern: /\bEdg(?:A|iOS)?\/(\d+)/ },
+  { id: "opera", pattern: /\bOPR\/(\d+)/ },
+  { id: "firefox", pattern: /\b(?:Firefox|FxiOS)\/(\d+)/ },
+  { id: "chrome", pattern: /\b(?:Chrome|CriOS)\/(\d+)/ },
+  { id: "safari", pattern: /\bVersion\/(\d+)(?:\.\d+)*.*\bSafari\// },
+];
+
+// Chromium forks that would otherwise be mistaken for Chrome but use their
+// own extension stores or none at all.
+const UNSUPPORTED = /\b(?:SamsungBrowser|YaBrowser|UCBrowser|Vivaldi|Brave)\b/;
+
+const MOBILE = /\b(?:Mobile|Android|iPhone|iPad)\b/;
+
+/**
+ * @param {string} userAgent
+ * @returns {DetectedBrowser | null}
+ */
+export const parseUserAgent = (userAgent) => {
+  if (!userAgent || UNSUPPORTED.test(userAgent)) return null;
+
+  for (const { id, pattern } of USER_AGENT_RULES) {
+    const match = userAgent.match(pattern);
+    if (match) {
+      return {
+        id,
+        version: Number(match[1]),
+        mobile: MOBILE.test(userAgent),
+      };
+    }
+  }
+  return null;
+};
+
+// Client hints report brands directly and are not frozen like the UA string.
+const BRANDS = {
+  "Google Chrome": "chrome",
+  "Microsoft Edge": "edge",
+  Opera: "opera",
+};
+
+const fromClientHints = (userAgentData) => {
+  for (const { brand, version } of userAgentData.brands ?? []) {
+    const id = BRANDS[brand];
+    if (id) {
+      return { id, version: Number(version), mobile: userAgentData.mobile };
+    }
+  }
+  // Brave and other forks report only "Chromium"; do not guess.
+  return null;
+};
+
+/**
+ * Detects the current browser. Returns null outside the browser, so it is
+ * safe to call during prerendering.
+ *
+ * @returns {DetectedBrowser | null}
+ */
+export const detectBrowser = () => {
+  if (typeof navigator === "undefined") return null;
+
+  if (navigator.userAgentData?.brands?.length) {
+    return fromClientHints(navigator.userAgentData);
+  }
+  return parseUserAgent(navigator.userAgent);
+};
@@ -0,0 +1,118 @@
+/**
+ * Helpers over the release notes in src/content/changelog.json, shared by
+ * the changelog page, the "what's new" banner and the build-time feed.
+ */
+import { SITE } from "../site.js";
+import { absoluteUrl, SITE_NAME } from "./pageMeta.js";
+
+/**
+ * @typedef {object} Change
+ * @property {"added" | "improved" | "fixed" | "security"} type
+ * @property {string} area
+ * @property {string} text
+ *
+ * @typedef {object} ReleaseNote
+ * @property {string} id Release version, e.g. "1.2.0".
+ * @property {string} date YYYY-MM-DD.
+ * @property {string} title
+ * @property {string} [summary]
+ * @property {string[]} browsers Browser ids the release shipped to.
+ * @property {Change[]} changes
+ */
+
+export const CHANGELOG_PATH = "/changelog";
+export const FEED_PATH = "/changelog.xml";
+
+export const compareVersions = (a, b) => {
+  const pa = a.split(/[.-]/).map(Number);
+  const pb = b.split(/[.-]/).map(Number);
+  for (let i = 0; i < 3; i += 1) {
+    if (pa[i] !== pb[i]) return pa[i] - pb[i];
+  }
+  return 0;
+};
+
+/**
+ * Newest first, by date and then by version for same-day releases.
+ * @param {ReleaseNote[]} notes
+ */
+export const sortReleaseNotes = (notes) =>
+  [...notes].sort(
+    (a, b) => b.date.localeCompare(a.date) || compareVersions(b.id, a.id),
+  );
+
+/** @param {ReleaseNote[]} notes */
+export const latestReleaseNote = (notes) => sortReleaseNotes(notes)[0] ?? null;
+
+export const releaseAnchor = (note) => `v${note.id}`;
+
+/**
+ * Keeps releases for `browser` and, within them, only the changes in `area`.
+ * Releases left with no changes are dropped.
+ *
+ * @param {ReleaseNote[]} notes
+ * @param {{ browser?: string | null, area?: string | null }} filters
+ */
+export const filterReleaseNotes = (notes, { browser, area }) =>
+  notes
+    .filter((note) => !browser || note.browsers.includes(browser))
+    .map((note) => ({
+      ...note,
+      changes: area
+        ? note.changes.filter((change) => change.area === area)
+        : note.changes,
+    }))
+    .filter((note) => note.changes.length > 0);
+
+const escapeXml = (value) =>
+  value
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+const entryHtml = (note) =>
+  [
+    note.summary ? `<p>${escapeXml(note.summary)}</p>` : "",
+    "<ul>",
+    ...note.changes.map(
+      (change) =>
+        `<li><strong>${change.type}</strong>: ${escapeXml(change.text)}</li>`,
+    ),
+    "</ul>",
+  ].join("");
+
+/**
+ * Renders the release notes as an Atom 1.0 feed.
+ *
+ * @param {ReleaseNote[]} notes
+ * @returns {string}
+ */
+export const buildAtomFeed = (notes) => {
+  const sorted = sortReleaseNotes(notes);
+  const pageUrl = absoluteUrl(CHANGELOG_PATH);
+  const updated = sorted[0]?.date ?? "1970-01-01";
+
+  const entries = sorted.map(
+    (note) => `  <entry>
+    <id>${pageUrl}#${releaseAnchor(note)}</id>
+    <title>${escapeXml(`${SITE_NAME} ${note.id}: ${note.title}`)}</title>
+    <link href="${pageUrl}#${releaseAnchor(note)}"/>
+    <updated>${note.date}T00:00:00Z</updated>
+${note.browsers.map((browser) => `    <category term="${browser}"/>`).join("\n")}
+    <content type="html">${escapeXml(entryHtml(note))}</content>
+  </entry>`,
+  );
+
+  return `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <id>${pageUrl}</id>
+  <title>${SITE_NAME} release notes</title>
+  <link href="${pageUrl}"/>
+  <link rel="self" href="${absoluteUrl(FEED_PATH)}"/>
+  <updated>${updated}T00:00:00Z</updated>
+  <author><name>${escapeXml(SITE.author.name)}</name></author>
+${entries.join("\n")}
+</feed>
+`;
+};
@@ -0,0 +1,89 @@
+/**
+ * Where contact messages go. Every adapter has the same call so the form
+ * does not care whether it talks to the real service, the local stand-in
+ * (scripts/contact-server.js) or nothing at all.
+ *
+ * @typedef {import("./validate.js").ContactMessage} ContactMessage
+ *
+ * @typedef {object} ContactAdapter
+ * @property {() => Promise<{ token: string }>} start Issues a form token
+ *   when the form appears. The service reads from it how long the visitor
+ *   took to write, so the client cannot fake the time.
+ * @property {(message: ContactMessage & { token: string }) => Promise<{ status: "sent" }>} send
+ *   Delivers the message to the support inbox.
+ */
+import { postJson, serviceEndpoint } from "../service.js";
+
+export class ContactError extends Error {
+  /**
+   * @param {string} message
+   * @param {{ code: string, fields?: Record<string, string> }} details
+   *   `fields` holds the server's message per rejected field.
+   */
+  constructor(message, { code, fields = {} }) {
+    super(message);
+    this.name = "ContactError";
+    this.code = code;
+    this.fields = fields;
+  }
+}
+
+const MESSAGES = {
+  network: "Could not reach our server.",
+  "invalid-message": "Some of the details were rejected. Check the form.",
+  "rate-limited": "Too many messages in a short time. Try again later.",
+};
+
+/**
+ * JSON over HTTP: POST {endpoint}/tokens and POST {endpoint}/messages.
+ *
+ * @param {string} endpoint Base URL without a trailing slash.
+ * @returns {ContactAdapter}
+ */
+export const createHttpAdapter = (endpoint) => {
+  const post = async (path, body) => {
+    const { ok, code, data } = await postJson(`${endpoint}${path}`, body);
+    if (ok) return data;
+    throw new ContactError(
+      MESSAGES[code] ?? "Our server had a problem sending your message.",
+      { code, fields: data.fields },
+    );
+  };
+
+  return {
+    start: () => post("/tokens", {}),
+    send: (message) => post("/messages", message),
+  };
+};
+
+/**
+ * Used when no endpoint is configured, so a build without a backend sends
+ * people to email instead of pretending to deliver their message.
+ *
+ * @returns {ContactAdapter}
+ */
+export const createUnavailableAdapter = () => {
+  const fail = async () => {
+    throw new ContactError("The contact form is not available right now.", {
+      code: "unavailable",
+    });
+  };
+  return { start: fail, send: fail };
+};
+
+// The stand-in server's default address; see scripts/contact-server.js.
+export const LOCAL_ENDPOINT = "http://localhost:8790";
+
+/**
+ * VITE_CONTACT_ENDPOINT picks the backend. Development falls back to the
+ * local stand-in so the form works without any setup.
+ *
+ * @returns {ContactAdapter}
+ */
+export const getContactAdapter = () => {
+  const endpoint = serviceEndpoint(
+    import.meta.env.VITE_CONTACT_ENDPOINT,
+    LOCAL_ENDPOINT,
+  );
+  return endpoint ? createHttpAdapter(endpoint) : createUnavailableAdapter();
+};
@@ -0,0 +1,88 @@
+import { SITE } from "../../site.js";
+import { getContactAdapter } from "./adapters.js";
+import { MIN_ELAPSED_MS, normalizeMessage } from "./validate.js";
+
+export {
+  ContactError,
+  createHttpAdapter,
+  createUnavailableAdapter,
+  getContactAdapter,
+  LOCAL_ENDPOINT,
+} from "./adapters.js";
+export {
+  detectSpam,
+  MAX_MESSAGE_LENGTH,
+  MIN_ELAPSED_MS,
+  normalizeMessage,
+  TOPICS,
+  validateMessage,
+} from "./validate.js";
+
+export const SUPPORT_ADDRESS = SITE.email;
+
+const TOPIC_SUBJECTS = {
+  bug: "Bug report",
+  feature: "Feature request",
+  privacy: "Privacy question",
+};
+
+/**
+ * @typedef {object} ContactSession
+ * @property {string} token Form token from the contact service.
+ * @property {number} startedAt When it arrived, in epoch milliseconds.
+ */
+
+/**
+ * Gets a form token for a form that has just appeared.
+ *
+ * @param {import("./adapters.js").ContactAdapter} [adapter]
+ * @returns {Promise<ContactSession | null>} null when the service cannot be
+ *   reached; sendMessage then asks again.
+ */
+export const startMessage = async (adapter = getContactAdapter()) => {
+  try {
+    const { token } = await adapter.start();
+    return { token, startedAt: Date.now() };
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Sends a validated message with its form token. The service drops messages
+ * whose token is younger than MIN_ELAPSED_MS as spam, so one sent sooner
+ * than that, or with a token fetched just now, is held back until then.
+ *
+ * @param {import("./validate.js").ContactMessage} contact
+ * @param {ContactSession | null} session From startMessage.
+ * @param {import("./adapters.js").ContactAdapter} [adapter]
+ */
+export const sendMessage = async (
+  contact,
+  session,
+  adapter = getContactAdapter(),
+) => {
+  const { token, startedAt } = session ?? {
+    ...(await adapter.start()),
+    startedAt: Date.now(),
+  };
+  const wait = startedAt + MIN_ELAPSED_MS - Date.now();
+  if (wait > 0) await new Promise((resolve) => setTimeout(resolve, wait));
+  await adapter.send({ ...normalizeMessage(contact), token });
+};
+
+/**
+ * A mailto: link carrying what the visitor wrote, for when the form cannot
+ * deliver it.
+ *
+ * @param {Partial<import("./validate.js").ContactMessage>} contact
+ */
+export const mailtoUrl = ({ topic, name, message } = {}) => {
+  const subject = `Safe-Web: ${TOPIC_SUBJECTS[topic] ?? "Contact"}`;
+  const body = [message?.trim(), name?.trim() && `- ${name.trim()}`]
+    .filter(Boolean)
+    .join("\n\n");
+  const query = [`subject=${encodeURIComponent(subject)}`];
+  if (body) query.push(`body=${encodeURIComponent(body)}`);
+  return `mailto:${SUPPORT_ADDRESS}?${query.join("&")}`;
+};
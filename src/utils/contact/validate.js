@@ -0,0 +1,90 @@
+import { isEmailAddress } from "../detection/validators.js";
+
+/**
+ * A message from the contact form as the form collects it and the backend
+ * receives it.
+ *
+ * @typedef {object} ContactMessage
+ * @property {string} topic One of TOPICS.
+ * @property {string} name Optional; how to address the reply.
+ * @property {string} email Where to reply.
+ * @property {string} message
+ * @property {string} website Honeypot: hidden from people, so anything in it
+ *   was filled in by a bot.
+ */
+
+export const TOPICS = ["bug", "feature", "privacy"];
+
+export const MAX_EMAIL_LENGTH = 254;
+export const MAX_NAME_LENGTH = 100;
+export const MIN_MESSAGE_LENGTH = 10;
+export const MAX_MESSAGE_LENGTH = 5000;
+
+// Nobody reads the form and writes a message in under three seconds. The
+// server measures this from the form token it issued, not from anything the
+// client reports.
+export const MIN_ELAPSED_MS = 3000;
+
+const text = (value) => (typeof value === "string" ? value.trim() : "");
+
+/**
+ * Checks what a person typed. The local stand-in server runs the same
+ * checks, as a real backend should.
+ *
+ * @param {ContactMessage} contact
+ * @returns {Partial<Record<keyof ContactMessage, string>>} Message per
+ *   invalid field.
+ */
+export const validateMessage = (contact) => {
+  const errors = {};
+
+  if (!TOPICS.includes(contact.topic)) {
+    errors.topic = "Pick what your message is about.";
+  }
+
+  if (text(contact.name).length > MAX_NAME_LENGTH) {
+    errors.name = `Keep your name under ${MAX_NAME_LENGTH} characters.`;
+  }
+
+  const email = text(contact.email);
+  if (!email) {
+    errors.email = "Enter your email address so we can reply.";
+  } else if (email.length > MAX_EMAIL_LENGTH || !isEmailAddress(email)) {
+    errors.email = "That does not look like an email address.";
+  }
+
+  const message = text(contact.message);
+  if (message.length < MIN_MESSAGE_LENGTH) {
+    errors.message = "Tell us a little more.";
+  } else if (message.length > MAX_MESSAGE_LENGTH) {
+    errors.message = `Keep your message under ${MAX_MESSAGE_LENGTH} characters.`;
+  }
+
+  return errors;
+};
+
+/**
+ * Server-side spam checks. A hit should be answered exactly like a delivered
+ * message, so bots learn nothing from the response.
+ *
+ * @param {ContactMessage} contact
+ * @param {number | null} elapsedMs Time from the server issuing the form
+ *   token to the message arriving, or null when the token is missing,
+ *   forged, expired or already used.
+ * @returns {"honeypot" | "invalid-token" | "too-fast" | null}
+ */
+export const detectSpam = (contact, elapsedMs) => {
+  if (text(contact.website)) return "honeypot";
+  if (elapsedMs === null) return "invalid-token";
+  if (elapsedMs < MIN_ELAPSED_MS) return "too-fast";
+  return null;
+};
+
+/** Trims before sending. */
+export const normalizeMessage = (contact) => ({
+  topic: contact.topic,
+  name: text(contact.name),
+  email: text(contact.email).toLowerCase(),
+  message: text(contact.message),
+  website: contact.website ?? "",
+});
@@ -0,0 +1,238 @@
+/**
+ * Custom privacy rules: user-authored patterns the extension masks in
+ * addition to its built-in detectors. Rules are written either as a regular
+ * expression or in a small wildcard syntax and always compile to a RegExp.
+ */
+
+/**
+ * @typedef {"regex" | "wildcard"} RuleSyntax
+ *
+ * @typedef {object} CustomRule
+ * @property {string} id
+ * @property {string} name
+ * @property {RuleSyntax} syntax
+ * @property {string} pattern Source as the user typed it.
+ * @property {boolean} caseSensitive
+ * @property {boolean} enabled
+ *
+ * @typedef {object} RuleWarning
+ * @property {"error" | "warning"} level Errors block live matching.
+ * @property {string} message
+ */
+
+export const RULE_SET_FORMAT = "safe-web-rules";
+export const RULE_SET_VERSION = 1;
+
+// Caps live matching so a broad rule cannot lock up the page.
+export const MAX_MATCHES = 500;
+
+export const WILDCARD_TOKENS = [
+  { token: "*", description: "any run of non-space characters" },
+  { token: "?", description: "exactly one character" },
+  { token: "#", description: "exactly one digit" },
+  { token: "\\", description: "escapes the next character" },
+];
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Converts wildcard syntax to an equivalent regular expression source.
+ * @param {string} pattern
+ * @returns {string}
+ */
+export const wildcardToRegex = (pattern) => {
+  let source = "";
+  for (let i = 0; i < pattern.length; i += 1) {
+    const char = pattern[i];
+    if (char === "\\" && i + 1 < pattern.length) {
+      i += 1;
+      source += escapeRegex(pattern[i]);
+    } else if (char === "*") {
+      source += "\\S*";
+    } else if (char === "?") {
+      source += ".";
+    } else if (char === "#") {
+      source += "\\d";
+    } else {
+      source += escapeRegex(char);
+    }
+  }
+  return source;
+};
+
+/**
+ * @param {CustomRule} rule
+ * @returns {{ regex: RegExp | null, source: string, error: string | null }}
+ */
+export const compileRule = (rule) => {
+  const source =
+    rule.syntax === "wildcard" ? wildcardToRegex(rule.pattern) : rule.pattern;
+  const flags = rule.caseSensitive ? "g" : "gi";
+
+  try {
+    return { regex: new RegExp(source, flags), source, error: null };
+  } catch (error) {
+    return { regex: null, source, error: error.message };
+  }
+};
+
+// A quantified group whose body is itself quantified, e.g. (a+)+ or (\w*)*.
+const NESTED_QUANTIFIER =
+  /\((?:\?:)?[^()]*(?:[*+]|,\})[^()]*\)(?:[*+]|\{\d+,\})/;
+// A quantified alternation, e.g. (a|ab)*, which backtracks on shared prefixes.
+const QUANTIFIED_ALTERNATION = /\((?:\?:)?[^()]*\|[^()]*\)(?:[*+]|\{\d+,\})/;
+// Two unbounded wildcards next to each other, e.g. .*.* or \S+\S*.
+const ADJACENT_WILDCARDS = /(?:\.|\\[SsWwDd])[*+](?:\.|\\[SsWwDd])[*+]/;
+
+/**
+ * Static checks for rules that are slow or match far more than intended.
+ *
+ * @param {CustomRule} rule
+ * @param {string} [sample] Text used to estimate how broad an enabled rule
+ *   is.
+ * @returns {RuleWarning[]}
+ */
+export const analyzeRule = (rule, sample = "") => {
+  const warnings = [];
+
+  if (!rule.name.trim()) {
+    warnings.push({ level: "error", message: "Give the rule a name." });
+  }
+  if (!rule.pattern) {
+    warnings.push({ level: "error", message: "The pattern is empty." });
+    return warnings;
+  }
+
+  const { regex, source, error } = compileRule(rule);
+  if (error) {
+    warnings.push({ level: "error", message: `Invalid pattern: ${error}` });
+    return warnings;
+  }
+
+  if (NESTED_QUANTIFIER.test(source)) {
+    warnings.push({
+      level: "error",
+      message:
+        "Nested repetition like (a+)+ can backtrack catastrophically on long pages. Remove the outer quantifier or make the inner one fixed-length.",
+    });
+  } else if (QUANTIFIED_ALTERNATION.test(source)) {
+    warnings.push({
+      level: "warning",
+      message:
+        "Repeating an alternation like (a|ab)+ backtracks when the options share a prefix. Make sure they cannot match the same text.",
+    });
+  } else if (ADJACENT_WILDCARDS.test(source)) {
+    warnings.push({
+      level: "warning",
+      message:
+        "Adjacent unbounded wildcards make matching slow. One wildcard is enough.",
+    });
+  }
+
+  if (regex.test("")) {
+    warnings.push({
+      level: "error",
+      message: "The pattern matches empty text, so it would match everywhere.",
+    });
+    return warnings;
+  }
+
+  const literalLength = source.replace(/\\.|[.*+?^${}()|[\]]/g, "").length;
+  if (/^\.[*+]/.test(source) || /\.[*+]$/.test(source)) {
+    warnings.push({
+      level: "warning",
+      message:
+        "The pattern starts or ends with .* and will swallow the rest of the line.",
+    });
+  } else if (literalLength < 3 && source.length < 6) {
+    warnings.push({
+      level: "warning",
+      message: "Very short patterns tend to match unrelated text.",
+    });
+  }
+
+  // Running the rule is the only costly step: skip it for rules that are
+  // off, and for ones already rejected, which may backtrack catastrophically.
+  const blocked = warnings.some((warning) => warning.level === "error");
+  if (rule.enabled && !blocked && sample.trim()) {
+    const covered = findRuleMatches(regex, sample).reduce(
+      (total, match) => total + match.end - match.start,
+      0,
+    );
+    if (covered / sample.length > 0.5) {
+      warnings.push({
+        level: "warning",
+        message: `The rule matches ${Math.round(
+          (covered / sample.length) * 100,
+        )}% of the sample text, which is probably broader than intended.`,
+      });
+    }
+  }
+
+  return warnings;
+};
+
+/**
+ * @param {RegExp} regex A global regular expression.
+ * @param {string} text
+ * @returns {Array<{ start: number, end: number, value: string }>}
+ */
+export const findRuleMatches = (regex, text) => {
+  const matches = [];
+  for (const found of text.matchAll(regex)) {
+    if (!found[0]) continue;
+    matches.push({
+      start: found.index,
+      end: found.index + found[0].length,
+      value: found[0],
+    });
+    if (matches.length >= MAX_MATCHES) break;
+  }
+  return matches;
+};
+
+let nextRuleId = 0;
+
+/** @returns {CustomRule} */
+export const createRule = (overrides = {}) => {
+  nextRuleId += 1;
+  return {
+    id: `rule-${Date.now().toString(36)}-${nextRuleId}`,
+    name: "",
+    syntax: "wildcard",
+    pattern: "",
+    caseSensitive: false,
+    enabled: true,
+    ...overrides,
+  };
+};
+
+/**
+ * Serialises rules in the format the extension's import dialog reads. Each
+ * rule carries its compiled regex so the extension never needs to know the
+ * wildcard syntax.
+ *
+ * @param {CustomRule[]} rules
+ * @returns {string}
+ */
+export const exportRuleSet = (rules) =>
+  JSON.stringify(
+    {
+      format: RULE_SET_FORMAT,
+      version: RULE_SET_VERSION,
+      exportedAt: new Date().toISOString(),
+      rules: rules.map((rule) => {
+        const { source } = compileRule(rule);
+        return {
+          name: rule.name.trim(),
+          syntax: rule.syntax,
+          pattern: rule.pattern,
+          regex: source,
+          flags: rule.caseSensitive ? "g" : "gi",
+          enabled: rule.enabled,
+        };
+      }),
+    },
+    null,
+    2,
+  );
@@ -0,0 +1,116 @@
+/**
+ * Labelled samples for measuring the detection engine. Positives list every
+ * sensitive value expected in the text; negatives must produce no matches.
+ * Run `npm run detection:report` after changing matchers or this corpus.
+ */
+
+export const POSITIVE_SAMPLES = [
+  {
+    text: "Reach me at jane.doe@example.com today",
+    expected: [["email", "jane.doe@example.com"]],
+  },
+  {
+    text: "cc: first.last+news@mail.example.co.uk",
+    expected: [["email", "first.last+news@mail.example.co.uk"]],
+  },
+  {
+    text: "Contact: SUPPORT@IntellWe.com",
+    expected: [["email", "SUPPORT@IntellWe.com"]],
+  },
+  {
+    text: "Card: 4111 1111 1111 1111",
+    expected: [["creditCard", "4111 1111 1111 1111"]],
+  },
+  {
+    text: "Paid with 5555-5555-5555-4444 yesterday",
+    expected: [["creditCard", "5555-5555-5555-4444"]],
+  },
+  {
+    text: "amex 378282246310005",
+    expected: [["creditCard", "378282246310005"]],
+  },
+  {
+    text: "Discover 6011 1111 1111 1117 on file",
+    expected: [["creditCard", "6011 1111 1111 1117"]],
+  },
+  { text: "SSN 078-05-1120", expected: [["ssn", "078-05-1120"]] },
+  {
+    text: "Social security number: 219 09 9999",
+    expected: [["ssn", "219 09 9999"]],
+  },
+  {
+    text: "Call me back at (415) 555-0132",
+    expected: [["phone", "(415) 555-0132"]],
+  },
+  { text: "Phone: +1 212-555-0198", expected: [["phone", "+1 212-555-0198"]] },
+  { text: "Mobile 555.867.5309", expected: [["phone", "555.867.5309"]] },
+  {
+    text: "UK office +44 20 7946 0958",
+    expected: [["phone", "+44 20 7946 0958"]],
+  },
+  {
+    text: "Ring 020 7946 0958 after 5pm",
+    expected: [["phone", "020 7946 0958"]],
+  },
+  { text: "Berlin: +49 30 901820", expected: [["phone", "+49 30 901820"]] },
+  { text: "Paris 01 23 45 67 89", expected: [["phone", "01 23 45 67 89"]] },
+  { text: "India +91 98765 43210", expected: [["phone", "+91 98765 43210"]] },
+  {
+    text: "Dhaka office +880 1712-345678",
+    expected: [["phone", "+880 1712-345678"]],
+  },
+  { text: "Sydney +61 2 9374 4000", expected: [["phone", "+61 2 9374 4000"]] },
+  { text: "Tel 0049 89 12345678", expected: [["phone", "0049 89 12345678"]] },
+  {
+    text: "IBAN DE89 3704 0044 0532 0130 00",
+    expected: [["iban", "DE89 3704 0044 0532 0130 00"]],
+  },
+  {
+    text: "Transfer to GB82WEST12345698765432 please",
+    expected: [["iban", "GB82WEST12345698765432"]],
+  },
+  {
+    text: "Account FR14 2004 1010 0505 0001 3M02 606",
+    expected: [["iban", "FR14 2004 1010 0505 0001 3M02 606"]],
+  },
+  {
+    text: "Alex Morgan, 078-05-1120, alex.morgan@example.net, 555-867-5309",
+    expected: [
+      ["ssn", "078-05-1120"],
+      ["email", "alex.morgan@example.net"],
+      ["phone", "555-867-5309"],
+    ],
+  },
+  {
+    text: "SSN 219-09-9999 555-867-5309",
+    expected: [
+      ["ssn", "219-09-9999"],
+      ["phone", "555-867-5309"],
+    ],
+  },
+];
+
+export const NEGATIVE_SAMPLES = [
+  "Released on 2024-01-01 at 10:30",
+  "Version 1.0.0 of Safe-Web",
+  "Invoice for order #4821",
+  "Server 192.168.100.254 is down",
+  "ISBN 978-3-16-148410-0",
+  "Total: $1,234,567.89",
+  "Card 4111 1111 1111 1112 was declined",
+  "Repeated digits 0000 0000 0000 0000",
+  "SSN-like 000-12-3456",
+  "SSN-like 666-12-3456",
+  "SSN-like 912-34-5678",
+  "SSN-like 123-00-4567",
+  "IBAN DE89 3704 0044 0532 0130 01",
+  "Ref GB82WEST1234569876543",
+  "user@localhost is not routable",
+  "Write to name@@example.com",
+  "Tracking 1Z999AA10123456784",
+  "Timestamp 1717171717",
+  "Coordinates 40.7128, -74.0060",
+  "Call 123-456-7890 for nothing",
+  "Build 20240101.1532",
+  "Room 12, floor 3",
+];
@@ -0,0 +1,175 @@
+import { MATCHERS } from "./matchers.js";
+
+export { MATCHERS, SENSITIVE_TYPES } from "./matchers.js";
+export { parsePhoneNumber, PHONE_FORMATS } from "./phone.js";
+export {
+  detectCardBrand,
+  ibanChecksum,
+  isEmailAddress,
+  isValidEmail,
+  isValidSsn,
+  luhnCheck,
+  validateIban,
+} from "./validators.js";
+
+/**
+ * @typedef {import("./matchers").SensitiveType} SensitiveType
+ * @typedef {import("./matchers").SensitiveCategory} SensitiveCategory
+ *
+ * @typedef {object} DetectionMatch
+ * @property {SensitiveType} type
+ * @property {SensitiveCategory} category
+ * @property {string} value
+ * @property {number} start Offset of the first character in the input.
+ * @property {number} end Offset just past the last character.
+ * @property {number} confidence Score in [0, 1].
+ * @property {Record<string, unknown>} [details] Matcher-specific data, e.g. card brand.
+ *
+ * @typedef {object} DetectionOptions
+ * @property {SensitiveType[]} [types] Restrict detection to these types.
+ * @property {number} [minConfidence] Drop matches scoring below this.
+ * @property {{ countries?: string[], defaultCountry?: string }} [phone]
+ */
+
+const CONTEXT_WINDOW = 32;
+const CONTEXT_BOOST = 0.1;
+const MAX_CONFIDENCE = 0.99;
+
+export const DEFAULT_MIN_CONFIDENCE = 0.5;
+
+const scoreContext = (text, start, keywords) => {
+  const before = text
+    .slice(Math.max(0, start - CONTEXT_WINDOW), start)
+    .toLowerCase();
+  return keywords.some((keyword) => before.includes(keyword))
+    ? CONTEXT_BOOST
+    : 0;
+};
+
+const evaluate = (matcher, candidate, text, options) => {
+  const verdict = matcher.validate(candidate.value, options);
+  if (!verdict) return null;
+
+  const confidence = Math.min(
+    MAX_CONFIDENCE,
+    verdict.confidence + scoreContext(text, candidate.start, matcher.keywords),
+  );
+  return {
+    type: matcher.type,
+    category: matcher.category,
+    value: candidate.value,
+    start: candidate.start,
+    end: candidate.end,
+    confidence: Math.round(confidence * 100) / 100,
+    ...(verdict.details && { details: verdict.details }),
+  };
+};
+
+// Stands in for characters already claimed by an earlier matcher. It is
+// neither a word character nor a separator, so no pattern can span it.
+const CLAIMED = "\u0000";
+
+// Blanks out every span in one pass over the text; spans may overlap.
+const claim = (text, spans) => {
+  if (!spans.length) return text;
+
+  const parts = [];
+  let cursor = 0;
+  for (const { start, end } of [...spans].sort((a, b) => a.start - b.start)) {
+    if (end <= cursor) continue;
+    const from = Math.max(start, cursor);
+    parts.push(text.slice(cursor, from), CLAIMED.repeat(end - from));
+    cursor = end;
+  }
+  parts.push(text.slice(cursor));
+  return parts.join("");
+};
+
+const collect = (matcher, working, text, options) => {
+  const matches = [];
+  const rejected = [];
+
+  for (const found of working.matchAll(matcher.pattern)) {
+    const candidate = {
+      value: found[0],
+      start: found.index,
+      end: found.index + found[0].length,
+    };
+
+    const match = evaluate(matcher, candidate, text, options);
+    if (match) {
+      matches.push(match);
+      continue;
+    }
+    rejected.push(candidate);
+    if (matcher.split) {
+      // Parts lie inside the candidate, so they can only overlap each other.
+      const first = matches.length;
+      for (const part of matcher.split(candidate, options)) {
+        const partMatch = evaluate(matcher, part, text, options);
+        const overlaps = matches
+          .slice(first)
+          .some((other) => part.start < other.end && other.start < part.end);
+        if (partMatch && !overlaps) matches.push(partMatch);
+      }
+    }
+  }
+  return { matches, rejected };
+};
+
+/**
+ * Finds sensitive data in `text`. Matchers run in priority order and each
+ * accepted span is claimed, so later matchers never see it again.
+ *
+ * @param {string} text
+ * @param {DetectionOptions} [options]
+ * @returns {DetectionMatch[]} Non-overlapping matches ordered by offset.
+ */
+export const detectSensitiveData = (text, options = {}) => {
+  const { types, minConfidence = DEFAULT_MIN_CONFIDENCE } = options;
+  if (!text) return [];
+
+  let working = text;
+  const accepted = [];
+
+  for (const matcher of MATCHERS) {
+    if (types && !types.includes(matcher.type)) continue;
+
+    const { matches, rejected } = collect(matcher, working, text, options);
+    const claimed = matches.filter(
+      (match) => match.confidence >= minConfidence,
+    );
+    accepted.push(...claimed);
+    working = claim(
+      working,
+      matcher.claimsRejected ? [...claimed, ...rejected] : claimed,
+    );
+  }
+
+  return accepted.sort((a, b) => a.start - b.start);
+};
+
+/**
+ * Splits `text` into plain and sensitive segments, which is the shape the
+ * masking and redaction UIs render from.
+ *
+ * @param {string} text
+ * @param {DetectionOptions} [options]
+ * @returns {Array<{ text: string, match: DetectionMatch | null }>}
+ */
+export const segmentText = (text, options) => {
+  const segments = [];
+  let cursor = 0;
+
+  for (const match of detectSensitiveData(text, options)) {
+    if (match.start > cursor) {
+      segments.push({ text: text.slice(cursor, match.start), match: null });
+    }
+    segments.push({ text: match.value, match });
+    cursor = match.end;
+  }
+  if (cursor < text.length) {
+    segments.push({ text: text.slice(cursor), match: null });
+  }
+  return segments;
+};
@@ -0,0 +1,153 @@
+import {
+  detectCardBrand,
+  digitsOnly,
+  isValidEmail,
+  isValidSsn,
+  luhnCheck,
+  validateIban,
+} from "./validators.js";
+import { parsePhoneNumber } from "./phone.js";
+
+/**
+ * @typedef {"email" | "phone" | "creditCard" | "ssn" | "iban"} SensitiveType
+ * @typedef {"contact" | "financial" | "government-id"} SensitiveCategory
+ *
+ * @typedef {object} Candidate
+ * @property {string} value
+ * @property {number} start
+ * @property {number} end
+ *
+ * @typedef {object} Verdict
+ * @property {number} confidence Base confidence in [0, 1] before context scoring.
+ * @property {Record<string, unknown>} [details]
+ *
+ * @typedef {object} Matcher
+ * @property {SensitiveType} type
+ * @property {SensitiveCategory} category
+ * @property {string} label
+ * @property {RegExp} pattern Global regex producing candidate spans.
+ * @property {string[]} keywords Nearby words that raise confidence.
+ * @property {(value: string, options: object) => Verdict | null} validate
+ * @property {(candidate: Candidate, options: object) => Candidate[]} [split]
+ *   Sub-spans to retry when a whole candidate fails validation.
+ * @property {boolean} [claimsRejected] Keep failed candidates away from later
+ *   matchers, for shapes too distinctive to be anything else.
+ */
+
+/** @type {Matcher} */
+const email = {
+  type: "email",
+  category: "contact",
+  label: "Email address",
+  pattern:
+    /(?<![\w.%+-])[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,24}(?![\w-])/g,
+  keywords: ["email", "e-mail", "mail", "contact"],
+  validate: (value) => (isValidEmail(value) ? { confidence: 0.95 } : null),
+};
+
+/** @type {Matcher} */
+const creditCard = {
+  type: "creditCard",
+  category: "financial",
+  label: "Credit card number",
+  pattern: /(?<![\d-])\d(?:[ -]?\d){12,18}(?![\d-])/g,
+  keywords: ["card", "credit", "visa", "mastercard", "amex", "cc"],
+  validate: (value) => {
+    const digits = digitsOnly(value);
+    if (digits.length < 13 || digits.length > 19) return null;
+    if (/^(\d)\1+$/.test(digits) || !luhnCheck(digits)) return null;
+
+    const brand = detectCardBrand(digits);
+    return { confidence: brand ? 0.95 : 0.6, details: { brand } };
+  },
+};
+
+/** @type {Matcher} */
+const ssn = {
+  type: "ssn",
+  category: "government-id",
+  label: "Social Security Number",
+  pattern: /(?<![\d-])\d{3}([- ]?)\d{2}\1\d{4}(?![\d-])/g,
+  keywords: ["ssn", "social security", "social sec", "tax id"],
+  validate: (value) => {
+    if (!isValidSsn(value)) return null;
+    // A bare nine-digit run is just as likely to be an ID or a zip+4.
+    return { confidence: /\D/.test(value) ? 0.85 : 0.4 };
+  },
+};
+
+const PHONE_CANDIDATE = /(?<![\w+])(?:\+|\b00)?\(?\d[\d ().-]{5,24}\d(?![\w])/g;
+
+/** @type {Matcher} */
+const phone = {
+  type: "phone",
+  category: "contact",
+  label: "Phone number",
+  pattern: PHONE_CANDIDATE,
+  keywords: ["phone", "tel", "call", "mobile", "cell", "fax", "whatsapp"],
+  validate: (value, options) => {
+    const opening = value.split("(").length - 1;
+    const closing = value.split(")").length - 1;
+    if (opening !== closing || opening > 1 || /[ .-]{2,}/.test(value)) {
+      return null;
+    }
+    const parsed = parsePhoneNumber(value, options.phone);
+    if (!parsed) return null;
+
+    let confidence = parsed.country ? 0.8 : 0.6;
+    // Plain digit runs without any grouping are often order or account ids.
+    if (!parsed.international && /^\d+$/.test(value)) confidence = 0.45;
+    return { confidence, details: parsed };
+  },
+  // Phone candidates are greedy, so adjacent numbers separated by spaces
+  // come through as one run; retry on each space-delimited sub-run.
+  split: ({ value, start }) => {
+    const groups = [];
+    const groupPattern = /\S+/g;
+    let group;
+    while ((group = groupPattern.exec(value))) {
+      groups.push({ start: group.index, end: group.index + group[0].length });
+    }
+
+    const spans = [];
+    for (let i = 0; i < groups.length; i += 1) {
+      for (let j = groups.length - 1; j >= i; j -= 1) {
+        if (i === 0 && j === groups.length - 1) continue;
+        spans.push({
+          value: value.slice(groups[i].start, groups[j].end),
+          start: start + groups[i].start,
+          end: start + groups[j].end,
+        });
+      }
+    }
+    return spans;
+  },
+};
+
+/** @type {Matcher} */
+const iban = {
+  type: "iban",
+  category: "financial",
+  label: "IBAN",
+  pattern: /(?<![A-Za-z0-9])[A-Z]{2}\d{2}(?: ?[A-Z0-9]){11,30}(?![A-Za-z0-9])/g,
+  keywords: ["iban", "bank", "account", "transfer"],
+  // A mistyped IBAN is still an IBAN, not a run of phone numbers.
+  claimsRejected: true,
+  validate: (value) => {
+    const result = validateIban(value);
+    if (!result.valid) return null;
+    return {
+      confidence: result.knownLength ? 0.95 : 0.7,
+      details: { country: result.country },
+    };
+  },
+};
+
+/** Matchers in priority order; earlier ones claim their spans first. */
+export const MATCHERS = [email, iban, creditCard, ssn, phone];
+
+export const SENSITIVE_TYPES = MATCHERS.map(({ type, category, label }) => ({
+  type,
+  category,
+  label,
+}));
@@ -0,0 +1,92 @@
+import { digitsOnly } from "./validators.js";
+
+/**
+ * National numbering plans, keyed by ISO 3166 country code. `national`
+ * matches the significant number, i.e. without calling code or trunk prefix.
+ */
+export const PHONE_FORMATS = {
+  US: {
+    callingCode: "1",
+    trunkPrefix: "1",
+    national: /^[2-9]\d{2}[2-9]\d{6}$/,
+  },
+  CA: {
+    callingCode: "1",
+    trunkPrefix: "1",
+    national: /^[2-9]\d{2}[2-9]\d{6}$/,
+  },
+  GB: { callingCode: "44", trunkPrefix: "0", national: /^[1-37-9]\d{8,9}$/ },
+  DE: { callingCode: "49", trunkPrefix: "0", national: /^[1-9]\d{6,12}$/ },
+  FR: { callingCode: "33", trunkPrefix: "0", national: /^[1-9]\d{8}$/ },
+  IN: { callingCode: "91", trunkPrefix: "0", national: /^[6-9]\d{9}$/ },
+  AU: { callingCode: "61", trunkPrefix: "0", national: /^[2-478]\d{8}$/ },
+  BD: { callingCode: "880", trunkPrefix: "0", national: /^1[3-9]\d{8}$/ },
+};
+
+export const DEFAULT_PHONE_COUNTRIES = Object.keys(PHONE_FORMATS);
+
+const E164_MAX_DIGITS = 15;
+const E164_MIN_DIGITS = 8;
+
+/**
+ * Parses a phone-like string against E.164 and the given national formats.
+ *
+ * @param {string} value
+ * @param {{ countries?: string[], defaultCountry?: string }} [options]
+ * @returns {{ e164: string, country: string | null, international: boolean } | null}
+ */
+export const parsePhoneNumber = (
+  value,
+  { countries = DEFAULT_PHONE_COUNTRIES, defaultCountry = "US" } = {},
+) => {
+  const trimmed = value.trim();
+  const international = trimmed.startsWith("+") || trimmed.startsWith("00");
+  let digits = digitsOnly(trimmed);
+
+  if (international) {
+    if (trimmed.startsWith("00")) digits = digits.slice(2);
+    if (digits.length < E164_MIN_DIGITS || digits.length > E164_MAX_DIGITS) {
+      return null;
+    }
+    if (digits.startsWith("0")) return null;
+
+    const country = countries.find((code) => {
+      const format = PHONE_FORMATS[code];
+      return (
+        format &&
+        digits.startsWith(format.callingCode) &&
+        format.national.test(digits.slice(format.callingCode.length))
+      );
+    });
+    return { e164: `+${digits}`, country: country ?? null, international };
+  }
+
+  const candidates = [
+    defaultCountry,
+    ...countries.filter((code) => code !== defaultCountry),
+  ];
+  for (const code of candidates) {
+    const format = PHONE_FORMATS[code];
+    if (!format) continue;
+
+    let national = digits;
+    if (format.trunkPrefix === "0") {
+      if (!national.startsWith("0")) continue;
+      national = national.slice(1);
+    } else if (
+      national.length === 11 &&
+      national.startsWith(format.trunkPrefix)
+    ) {
+      national = national.slice(1);
+    }
+
+    if (format.national.test(national)) {
+      return {
+        e164: `+${format.callingCode}${national}`,
+        country: code,
+        international,
+      };
+    }
+  }
+  return null;
+};
@@ -0,0 +1,164 @@
+/**
+ * Checksum and structural validators shared by the detection matchers.
+ * Each validator works on the raw matched string and ignores separators.
+ */
+
+export const digitsOnly = (value) => value.replace(/\D/g, "");
+
+/**
+ * Luhn (mod 10) checksum used by every major card network.
+ * @param {string} value
+ * @returns {boolean}
+ */
+export const luhnCheck = (value) => {
+  const digits = digitsOnly(value);
+  if (digits.length < 2) return false;
+
+  let sum = 0;
+  let double = false;
+  for (let i = digits.length - 1; i >= 0; i -= 1) {
+    let digit = Number(digits[i]);
+    if (double) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+    double = !double;
+  }
+  return sum % 10 === 0;
+};
+
+const CARD_BRANDS = [
+  { brand: "amex", pattern: /^3[47]\d{13}$/ },
+  { brand: "visa", pattern: /^4\d{12}(?:\d{3}){0,2}$/ },
+  {
+    brand: "mastercard",
+    pattern:
+      /^(?:5[1-5]\d{2}|222[1-9]|22[3-9]\d|2[3-6]\d{2}|27[01]\d|2720)\d{12}$/,
+  },
+  { brand: "discover", pattern: /^(?:6011|65\d{2}|64[4-9]\d)\d{12,15}$/ },
+  { brand: "diners", pattern: /^3(?:0[0-5]|[68]\d)\d{11,16}$/ },
+  { brand: "jcb", pattern: /^35(?:2[89]|[3-8]\d)\d{12,15}$/ },
+];
+
+/**
+ * @param {string} value
+ * @returns {string | null} Card network name, or null when the prefix is unknown.
+ */
+export const detectCardBrand = (value) => {
+  const digits = digitsOnly(value);
+  const match = CARD_BRANDS.find(({ pattern }) => pattern.test(digits));
+  return match ? match.brand : null;
+};
+
+/**
+ * US Social Security Number rules: area 000, 666 and 900-999 were never
+ * issued, and neither group 00 nor serial 0000 is valid.
+ * @param {string} value
+ * @returns {boolean}
+ */
+export const isValidSsn = (value) => {
+  const digits = digitsOnly(value);
+  if (digits.length !== 9) return false;
+
+  const area = Number(digits.slice(0, 3));
+  const group = Number(digits.slice(3, 5));
+  const serial = Number(digits.slice(5));
+
+  if (area === 0 || area === 666 || area >= 900) return false;
+  if (group === 0 || serial === 0) return false;
+  return true;
+};
+
+// ISO 13616 lengths for the countries the extension targets first.
+export const IBAN_LENGTHS = {
+  AT: 20,
+  BE: 16,
+  CH: 21,
+  DE: 22,
+  DK: 18,
+  ES: 24,
+  FI: 18,
+  FR: 27,
+  GB: 22,
+  IE: 22,
+  IT: 27,
+  LU: 20,
+  NL: 18,
+  NO: 15,
+  PL: 28,
+  PT: 25,
+  SE: 24,
+};
+
+/**
+ * ISO 7064 mod 97-10 checksum. The remainder is computed in chunks so the
+ * 30+ digit number never has to fit in a float.
+ * @param {string} value
+ * @returns {boolean}
+ */
+export const ibanChecksum = (value) => {
+  const compact = value.replace(/\s/g, "").toUpperCase();
+  if (!/^[A-Z]{2}\d{2}[A-Z0-9]{11,30}$/.test(compact)) return false;
+
+  const rearranged = compact.slice(4) + compact.slice(0, 4);
+  const numeric = rearranged.replace(/[A-Z]/g, (letter) =>
+    String(letter.charCodeAt(0) - 55),
+  );
+
+  let remainder = 0;
+  for (let i = 0; i < numeric.length; i += 7) {
+    remainder = Number(String(remainder) + numeric.slice(i, i + 7)) % 97;
+  }
+  return remainder === 1;
+};
+
+/**
+ * @param {string} value
+ * @returns {{ valid: boolean, country: string, knownLength: boolean }}
+ */
+export const validateIban = (value) => {
+  const compact = value.replace(/\s/g, "").toUpperCase();
+  const country = compact.slice(0, 2);
+  const expectedLength = IBAN_LENGTHS[country];
+
+  if (expectedLength && compact.length !== expectedLength) {
+    return { valid: false, country, knownLength: true };
+  }
+  return {
+    valid: ibanChecksum(compact),
+    country,
+    knownLength: Boolean(expectedLength),
+  };
+};
+
+/**
+ * Structural email checks beyond what the matcher regex enforces.
+ * @param {string} value
+ * @returns {boolean}
+ */
+export const isValidEmail = (value) => {
+  const [local, domain] = value.split("@");
+  if (!local || !domain || local.length > 64 || value.length > 254) {
+    return false;
+  }
+  if (local.startsWith(".") || local.endsWith(".") || local.includes("..")) {
+    return false;
+  }
+  return domain
+    .split(".")
+    .every((label) => label && !label.startsWith("-") && !label.endsWith("-"));
+};
+
+// The email matcher's address pattern (matchers.js), anchored.
+const EMAIL_ADDRESS =
+  /^[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,24}$/;
+
+/**
+ * Whether the whole string is one email address, for checking form input.
+ * isValidEmail alone trusts that the matcher already found the address.
+ * @param {string} value
+ * @returns {boolean}
+ */
+export const isEmailAddress = (value) =>
+  EMAIL_ADDRESS.test(value) && isValidEmail(value);
@@ -0,0 +1,8 @@
+// Runs detection off the main thread for src/hooks/useDetection.js. Each
+// message is the text to scan; the reply carries that text back with its
+// matches, so the two never get out of step.
+import { detectSensitiveData } from "./index.js";
+
+self.onmessage = ({ data: text }) => {
+  self.postMessage({ text, matches: detectSensitiveData(text) });
+};
@@ -0,0 +1,37 @@
+/**
+ * Navigation helpers for the docs built from src/content/docs by
+ * plugins/docs.js.
+ */
+
+/**
+ * @typedef {import("../../plugins/docs.js").Doc} Doc
+ */
+
+/**
+ * Groups docs by their `section`, keeping their order; a section sits where
+ * its first doc does.
+ * @param {Doc[]} docs In `order`.
+ * @returns {Array<{ name: string, docs: Doc[] }>}
+ */
+export const groupDocs = (docs) => {
+  const groups = new Map();
+  for (const doc of docs) {
+    if (!groups.has(doc.section)) groups.set(doc.section, []);
+    groups.get(doc.section).push(doc);
+  }
+  return [...groups].map(([name, list]) => ({ name, docs: list }));
+};
+
+/**
+ * The docs before and after `slug` in reading order.
+ * @param {Doc[]} docs
+ * @param {string} slug
+ * @returns {{ previous: Doc | null, next: Doc | null }}
+ */
+export const adjacentDocs = (docs, slug) => {
+  const index = docs.findIndex((doc) => doc.slug === slug);
+  return {
+    previous: index > 0 ? docs[index - 1] : null,
+    next: index >= 0 && index < docs.length - 1 ? docs[index + 1] : null,
+  };
+};
@@ -0,0 +1,160 @@
+/**
+ * Full-text search over the docs in src/content/docs. plugins/docs.js builds
+ * the index at build time and publishes it as /docs-search.json; the docs
+ * layout fetches it on first use and searches it in the browser, so search
+ * needs no service and keeps working offline.
+ */
+
+export const SEARCH_INDEX_PATH = "/docs-search.json";
+
+/**
+ * @typedef {object} SearchSection One heading's worth of a doc; the part
+ *   before the first heading has an empty `heading` and `anchor`.
+ * @property {string} slug
+ * @property {string} title Doc title.
+ * @property {string} anchor Heading id, without "#".
+ * @property {string} heading
+ * @property {string} text Plain text of the section.
+ *
+ * @typedef {object} SearchIndex
+ * @property {SearchSection[]} sections
+ * @property {Record<string, Array<[number, number]>>} terms Each term's
+ *   [section index, weight] postings.
+ *
+ * @typedef {object} SearchResult
+ * @property {string} path Link to the section, e.g. "/docs/site-rules#patterns".
+ * @property {string} title
+ * @property {string} heading
+ * @property {string} snippet Text around the first match, or the start of
+ *   the section.
+ */
+
+// A term in a doc title counts for more than one in a heading, which counts
+// for more than one in body text.
+const WEIGHTS = { title: 10, heading: 5, text: 1 };
+const MIN_TERM_LENGTH = 2;
+const MAX_RESULTS = 8;
+const SNIPPET_LENGTH = 140;
+
+/**
+ * Lowercases and splits on anything that is not a letter or digit, with
+ * accents removed so "resume" finds "résumé".
+ * @param {string} text
+ * @returns {string[]}
+ */
+export const tokenize = (text) =>
+  text
+    .normalize("NFKD")
+    .replace(/\p{M}/gu, "")
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter((term) => term.length >= MIN_TERM_LENGTH);
+
+/**
+ * @param {SearchSection[]} sections
+ * @returns {SearchIndex}
+ */
+export const buildSearchIndex = (sections) => {
+  // No prototype, so words like "constructor" are ordinary keys.
+  const terms = Object.create(null);
+  sections.forEach((section, index) => {
+    const weights = new Map();
+    const add = (text, weight) => {
+      for (const term of tokenize(text)) {
+        weights.set(term, (weights.get(term) ?? 0) + weight);
+      }
+    };
+    add(section.title, WEIGHTS.title);
+    add(section.heading, WEIGHTS.heading);
+    add(section.text, WEIGHTS.text);
+
+    for (const [term, weight] of weights) {
+      (terms[term] ??= []).push([index, weight]);
+    }
+  });
+  return { sections, terms };
+};
+
+const snippet = (text, queryTerms) => {
+  const lower = text.toLowerCase();
+  const at = Math.min(
+    ...queryTerms.map((term) => lower.indexOf(term)).filter((i) => i >= 0),
+  );
+  if (!Number.isFinite(at) || at < SNIPPET_LENGTH / 2) {
+    return text.length > SNIPPET_LENGTH
+      ? `${text.slice(0, SNIPPET_LENGTH).trimEnd()}…`
+      : text;
+  }
+  const start = text.lastIndexOf(" ", at - SNIPPET_LENGTH / 4) + 1;
+  const end = start + SNIPPET_LENGTH;
+  return `…${text.slice(start, end).trim()}${end < text.length ? "…" : ""}`;
+};
+
+let indexRequest = null;
+
+/**
+ * Fetches the index once per visit. A failed request is retried on the next
+ * call.
+ * @returns {Promise<SearchIndex>}
+ */
+export const loadSearchIndex = () => {
+  indexRequest ??= fetch(SEARCH_INDEX_PATH)
+    .then((response) => {
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      return response.json();
+    })
+    .catch((error) => {
+      indexRequest = null;
+      throw error;
+    });
+  return indexRequest;
+};
+
+/**
+ * Sections containing every query word, where the last word may be
+ * unfinished ("mask" finds "masking"), best first.
+ *
+ * @param {SearchIndex} index
+ * @param {string} query
+ * @returns {SearchResult[]}
+ */
+export const searchDocs = (index, query) => {
+  const queryTerms = tokenize(query);
+  if (queryTerms.length === 0) return [];
+
+  let scores = null;
+  queryTerms.forEach((queryTerm, position) => {
+    const prefix = position === queryTerms.length - 1;
+    const found = new Map();
+    for (const [term, postings] of Object.entries(index.terms)) {
+      if (term !== queryTerm && !(prefix && term.startsWith(queryTerm))) {
+        continue;
+      }
+      for (const [section, weight] of postings) {
+        found.set(section, (found.get(section) ?? 0) + weight);
+      }
+    }
+
+    if (scores === null) {
+      scores = found;
+      return;
+    }
+    for (const [section, score] of scores) {
+      if (found.has(section)) scores.set(section, score + found.get(section));
+      else scores.delete(section);
+    }
+  });
+
+  return [...scores]
+    .sort(([a, scoreA], [b, scoreB]) => scoreB - scoreA || a - b)
+    .slice(0, MAX_RESULTS)
+    .map(([sectionIndex]) => {
+      const section = index.sections[sectionIndex];
+      return {
+        path: `/docs/${section.slug}${section.anchor ? `#${section.anchor}` : ""}`,
+        title: section.title,
+        heading: section.heading,
+        snippet: snippet(section.text, queryTerms),
+      };
+    });
+};
@@ -0,0 +1,16 @@
+/**
+ * Saves `content` as a file without any network round trip.
+ * @param {string} filename
+ * @param {string} content
+ * @param {string} [type]
+ */
+export const downloadFile = (filename, content, type = "application/json") => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
@@ -0,0 +1,116 @@
+/**
+ * Detects an installed Safe-Web extension through the handshake in
+ * ./protocol.js and keeps its status in a small store, so the header and
+ * hero can subscribe with useExtension() and swap the download button for
+ * an "installed" panel.
+ */
+import { compareVersions } from "../changelog.js";
+import {
+  MARKER_ATTRIBUTE,
+  PROTOCOL_VERSION,
+  isStatusMessage,
+  pingMessage,
+  toStatus,
+} from "./protocol.js";
+
+/**
+ * @typedef {import("./protocol.js").ExtensionStatus} ExtensionStatus
+ *
+ * @typedef {{ state: "checking" | "absent", extension: null }
+ *   | { state: "installed", extension: ExtensionStatus }} ExtensionState
+ *
+ * @typedef {"current" | "outdated" | "protocol"} Compatibility
+ */
+
+// How long to wait for an answer before deciding nothing is installed.
+export const HANDSHAKE_TIMEOUT = 1500;
+
+// Prerendered pages and the first client render always show the download
+// button.
+const SERVER_STATE = { state: "checking", extension: null };
+
+let state = SERVER_STATE;
+const listeners = new Set();
+
+const setState = (next) => {
+  state = next;
+  for (const listener of listeners) listener();
+};
+
+export const getExtensionState = () => state;
+
+export const getServerExtensionState = () => SERVER_STATE;
+
+export const subscribeExtension = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+/**
+ * How an installed extension compares with the site: `protocol` when it
+ * cannot report its status to this version of the site, `outdated` when a
+ * newer release is out.
+ *
+ * @param {ExtensionStatus} extension
+ * @param {string | null} latestVersion
+ * @returns {Compatibility}
+ */
+export const checkCompatibility = (extension, latestVersion) => {
+  if (extension.protocol < PROTOCOL_VERSION) return "protocol";
+  if (latestVersion && compareVersions(extension.version, latestVersion) < 0) {
+    return "outdated";
+  }
+  return "current";
+};
+
+const readMarker = () =>
+  document.documentElement.getAttribute(MARKER_ATTRIBUTE);
+
+/**
+ * Pings the extension and listens for its status. Content scripts can load
+ * after the site's scripts, so the ping is repeated when the <html> marker
+ * appears. An extension that sets the marker but never answers predates the
+ * handshake: it is reported as installed with protocol 0 and an unknown
+ * masking state.
+ */
+export const startExtensionBridge = () => {
+  const ping = () => window.postMessage(pingMessage(), window.location.origin);
+
+  window.addEventListener("message", (event) => {
+    if (event.source !== window || event.origin !== window.location.origin) {
+      return;
+    }
+    if (isStatusMessage(event.data)) {
+      setState({ state: "installed", extension: toStatus(event.data) });
+    }
+  });
+
+  const observer = new MutationObserver(() => {
+    if (readMarker()) {
+      observer.disconnect();
+      ping();
+    }
+  });
+  if (!readMarker()) {
+    observer.observe(document.documentElement, {
+      attributes: true,
+      attributeFilter: [MARKER_ATTRIBUTE],
+    });
+  }
+
+  ping();
+
+  window.setTimeout(() => {
+    observer.disconnect();
+    if (state.state !== "checking") return;
+    const version = readMarker();
+    setState(
+      version
+        ? {
+            state: "installed",
+            extension: { version, protocol: 0, maskingEnabled: null },
+          }
+        : { state: "absent", extension: null },
+    );
+  }, HANDSHAKE_TIMEOUT);
+};
@@ -0,0 +1,104 @@
+/**
+ * A stand-in for the extension's content script, for trying the installed
+ * states of the site without building the extension. Development only:
+ * main.jsx loads it when the URL has `?mock-extension` or a previous visit
+ * turned it on.
+ *
+ *   ?mock-extension              installed, current version, masking on
+ *   ?mock-extension=0.9.0        an older version (shows the update warning)
+ *   ?mock-extension=legacy       sets the marker but never answers
+ *   ?mock-extension=off          turns the mock off again
+ *
+ * While it runs, `window.safeWebMock.toggleMasking()` flips masking and
+ * sends a status-changed message, like the real popup does.
+ */
+import {
+  EXTENSION_SOURCE,
+  MARKER_ATTRIBUTE,
+  MESSAGE_TYPES,
+  PROTOCOL_VERSION,
+  isPingMessage,
+} from "./protocol.js";
+
+const MOCK_STORAGE_KEY = "safe-web:mock-extension";
+const MOCK_PARAM = "mock-extension";
+export const MOCK_DEFAULT_VERSION = "1.0.0";
+
+/**
+ * The mock's setting from the URL, remembered for later page loads.
+ * @returns {string | null} A version, "legacy", or null when off.
+ */
+export const readMockSetting = () => {
+  const param = new URLSearchParams(window.location.search).get(MOCK_PARAM);
+  try {
+    if (param === "off") {
+      localStorage.removeItem(MOCK_STORAGE_KEY);
+      return null;
+    }
+    if (param !== null) {
+      const setting = param || MOCK_DEFAULT_VERSION;
+      localStorage.setItem(MOCK_STORAGE_KEY, setting);
+      return setting;
+    }
+    return localStorage.getItem(MOCK_STORAGE_KEY);
+  } catch {
+    // Storage can be blocked; the URL still works for a single page load.
+    return param && param !== "off" ? param : null;
+  }
+};
+
+/**
+ * @param {{ version?: string, legacy?: boolean, maskingEnabled?: boolean }} [options]
+ */
+export const installMockExtension = ({
+  version = MOCK_DEFAULT_VERSION,
+  legacy = false,
+  maskingEnabled = true,
+} = {}) => {
+  let masking = maskingEnabled;
+  const send = (type) =>
+    window.postMessage(
+      {
+        source: EXTENSION_SOURCE,
+        type,
+        version,
+        protocol: PROTOCOL_VERSION,
+        maskingEnabled: masking,
+      },
+      window.location.origin,
+    );
+
+  // Real content scripts run a little after the page's own scripts.
+  window.setTimeout(() => {
+    document.documentElement.setAttribute(MARKER_ATTRIBUTE, version);
+  }, 200);
+
+  if (!legacy) {
+    window.addEventListener("message", (event) => {
+      if (event.source === window && isPingMessage(event.data)) {
+        send(MESSAGE_TYPES.status);
+      }
+    });
+    window.safeWebMock = {
+      toggleMasking: () => {
+        masking = !masking;
+        send(MESSAGE_TYPES.changed);
+        return masking;
+      },
+    };
+  }
+  console.info(
+    `[safe-web] mock extension ${legacy ? "(legacy) " : ""}v${version} installed`,
+  );
+};
+
+/** Installs the mock when the URL or a previous visit asks for it. */
+export const startMockExtension = () => {
+  const setting = readMockSetting();
+  if (!setting) return;
+  if (setting === "legacy") {
+    installMockExtension({ legacy: true });
+  } else {
+    installMockExtension({ version: setting });
+  }
+};
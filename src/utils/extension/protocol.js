@@ -0,0 +1,82 @@
+/**
+ * The handshake between the website and an installed Safe-Web extension,
+ * shared by the site's bridge (./index.js) and the mock extension used in
+ * development (./mock.js). Documented for extension authors in
+ * docs/extension-bridge.md.
+ *
+ * The extension's content script marks <html> with its version as soon as
+ * it loads, then answers `window.postMessage` pings from the page. Both
+ * sides only accept messages from the same window and origin and tag them
+ * with their `source`, so other scripts' messages are ignored.
+ */
+
+/** Bumped on breaking changes to the message shapes below. */
+export const PROTOCOL_VERSION = 1;
+
+export const PAGE_SOURCE = "safe-web:page";
+export const EXTENSION_SOURCE = "safe-web:extension";
+
+/** Set on <html> by the content script, e.g. data-safe-web-extension="1.0.0". */
+export const MARKER_ATTRIBUTE = "data-safe-web-extension";
+
+export const MESSAGE_TYPES = {
+  // page -> extension: ask for the current status.
+  ping: "ping",
+  // extension -> page: reply to a ping.
+  status: "status",
+  // extension -> page: sent unprompted when masking is toggled.
+  changed: "status-changed",
+};
+
+/**
+ * @typedef {object} ExtensionStatus
+ * @property {string} version Extension version, e.g. "1.0.0".
+ * @property {number} protocol Highest protocol version the extension speaks.
+ * @property {boolean | null} maskingEnabled Whether masking is on for this
+ *   site; null when only the <html> marker was seen (see ./index.js).
+ *
+ * @typedef {{ source: typeof PAGE_SOURCE, type: "ping", protocol: number }} PingMessage
+ *
+ * @typedef {{ source: typeof EXTENSION_SOURCE, type: "status" | "status-changed" }
+ *   & ExtensionStatus} StatusMessage
+ */
+
+/** @returns {PingMessage} */
+export const pingMessage = () => ({
+  source: PAGE_SOURCE,
+  type: MESSAGE_TYPES.ping,
+  protocol: PROTOCOL_VERSION,
+});
+
+const VERSION_PATTERN = /^\d+\.\d+\.\d+(?:-[\w.]+)?$/;
+
+/**
+ * @param {unknown} data
+ * @returns {data is StatusMessage}
+ */
+export const isStatusMessage = (data) =>
+  typeof data === "object" &&
+  data !== null &&
+  data.source === EXTENSION_SOURCE &&
+  (data.type === MESSAGE_TYPES.status || data.type === MESSAGE_TYPES.changed) &&
+  typeof data.version === "string" &&
+  VERSION_PATTERN.test(data.version) &&
+  Number.isInteger(data.protocol) &&
+  typeof data.maskingEnabled === "boolean";
+
+/**
+ * @param {unknown} data
+ * @returns {data is PingMessage}
+ */
+export const isPingMessage = (data) =>
+  typeof data === "object" &&
+  data !== null &&
+  data.source === PAGE_SOURCE &&
+  data.type === MESSAGE_TYPES.ping;
+
+/** @param {StatusMessage} message @returns {ExtensionStatus} */
+export const toStatus = ({ version, protocol, maskingEnabled }) => ({
+  version,
+  protocol,
+  maskingEnabled,
+});
@@ -0,0 +1,4 @@
+// The animation features <LazyMotion> in App.jsx loads after first render,
+// kept in their own chunk so the page does not wait for them. Entrances,
+// hover/tap gestures and whileInView are all covered by domAnimation.
+export { domAnimation as default } from "framer-motion";
@@ -0,0 +1,112 @@
+/**
+ * Per-page document metadata, declared as `handle.meta` on each route in
+ * routes.jsx. The same values are written into the prerendered HTML at build
+ * time and kept in sync on client navigation.
+ */
+
+import { SITE } from "../site.js";
+
+/**
+ * @typedef {object} PageMeta
+ * @property {string} [title] Page name; " | Safe-Web" is appended.
+ * @property {string} [description]
+ * @property {string} [image] Open Graph image, a path under public/ or an
+ *   absolute URL. 1200×630 works everywhere.
+ * @property {string} [canonical] Path to point search engines at instead of
+ *   the page's own.
+ * @property {boolean} [noindex] Keeps the page out of search results and the
+ *   sitemap.
+ *
+ * @typedef {object} SiteDefaults Localised copy used where a page sets none.
+ * @property {string} title
+ * @property {string} description
+ * @property {string} ogTitle
+ * @property {string} ogDescription
+ *
+ * @typedef {object} Head
+ * @property {string} title
+ * @property {string} description
+ * @property {string} ogTitle
+ * @property {string} ogDescription
+ * @property {string} canonical Absolute URL.
+ * @property {string} image Absolute URL.
+ * @property {string} robots
+ */
+
+export const SITE_URL = SITE.url;
+export const SITE_NAME = SITE.name;
+export const DEFAULT_IMAGE = SITE.image;
+
+export const absoluteUrl = (path) => new URL(path, SITE_URL).href;
+
+/**
+ * The deepest matched route with metadata wins, so nested routes can refine
+ * what their layout declares.
+ *
+ * @param {Array<{ handle?: { meta?: PageMeta } }>} matches
+ * @returns {PageMeta}
+ */
+export const metaFromMatches = (matches) =>
+  matches.reduce((meta, match) => match.handle?.meta ?? meta, {});
+
+/**
+ * @param {PageMeta} meta
+ * @param {{ pathname: string, defaults: SiteDefaults }} options
+ * @returns {Head}
+ */
+export const resolveHead = (meta, { pathname, defaults }) => {
+  const title = meta.title ? `${meta.title} | ${SITE_NAME}` : defaults.title;
+
+  return {
+    title,
+    description: meta.description ?? defaults.description,
+    ogTitle: meta.title ? title : defaults.ogTitle,
+    ogDescription: meta.description ?? defaults.ogDescription,
+    canonical: absoluteUrl(meta.canonical ?? pathname),
+    image: absoluteUrl(meta.image ?? DEFAULT_IMAGE),
+    robots: meta.noindex ? "noindex, follow" : "index, follow",
+  };
+};
+
+/**
+ * The `<meta>` tags in index.html a page's head controls, as
+ * [attribute, key, value] triples.
+ *
+ * @param {Head} head
+ * @returns {Array<["name" | "property", string, string]>}
+ */
+export const headMetaTags = (head) => [
+  ["name", "title", head.title],
+  ["name", "description", head.description],
+  ["name", "robots", head.robots],
+  ["property", "og:url", head.canonical],
+  ["property", "og:title", head.ogTitle],
+  ["property", "og:description", head.ogDescription],
+  ["property", "og:image", head.image],
+  ["property", "twitter:url", head.canonical],
+  ["property", "twitter:title", head.ogTitle],
+  ["property", "twitter:description", head.ogDescription],
+  ["property", "twitter:image", head.image],
+];
+
+const joinPaths = (parent, path) =>
+  `${parent.replace(/\/$/, "")}/${path.replace(/^\//, "")}`;
+
+/**
+ * Lists every concrete URL path in a route tree, skipping dynamic segments
+ * and splats, which have no single page to prerender.
+ *
+ * @param {Array<{ path?: string, index?: boolean, children?: unknown[], handle?: { meta?: PageMeta } }>} routes
+ * @returns {Array<{ path: string, meta: PageMeta }>}
+ */
+export const staticPaths = (routes, parent = "/", parentMeta = {}) =>
+  routes.flatMap((route) => {
+    if (route.path && /[:*]/.test(route.path)) return [];
+
+    const path = route.path ? joinPaths(parent, route.path) : parent;
+    const meta = route.handle?.meta ?? parentMeta;
+    const own =
+      route.index || (route.path && !route.children) ? [{ path, meta }] : [];
+
+    return [...own, ...staticPaths(route.children ?? [], path, meta)];
+  });
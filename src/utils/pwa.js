@@ -0,0 +1,106 @@
+/**
+ * Service worker registration and the two things it surfaces in the UI: a
+ * new version waiting to take over, and the browser's install prompt. State
+ * lives in a tiny store so components can subscribe with usePwa().
+ *
+ * The worker itself is generated at build time by scripts/service-worker.js
+ * from src/service-worker.js.
+ */
+
+export const SERVICE_WORKER_URL = "/sw.js";
+
+// Prerendered pages never show either prompt.
+const SERVER_STATE = { updateReady: false, canInstall: false };
+
+let state = SERVER_STATE;
+let waitingWorker = null;
+let installEvent = null;
+const listeners = new Set();
+
+const setState = (changes) => {
+  state = { ...state, ...changes };
+  for (const listener of listeners) listener();
+};
+
+export const getPwaState = () => state;
+
+export const getServerPwaState = () => SERVER_STATE;
+
+export const subscribePwa = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+const onWaiting = (worker) => {
+  waitingWorker = worker;
+  setState({ updateReady: true });
+};
+
+const watchRegistration = (registration) => {
+  if (registration.waiting && navigator.serviceWorker.controller) {
+    onWaiting(registration.waiting);
+  }
+  registration.addEventListener("updatefound", () => {
+    const worker = registration.installing;
+    worker?.addEventListener("statechange", () => {
+      // With no controller this is the first install, not an update.
+      if (worker.state === "installed" && navigator.serviceWorker.controller) {
+        onWaiting(worker);
+      }
+    });
+  });
+};
+
+/**
+ * Registers the worker in production builds and starts listening for the
+ * install prompt. Development never registers one, so the dev server is not
+ * served from a stale cache.
+ */
+export const startPwa = () => {
+  window.addEventListener("beforeinstallprompt", (event) => {
+    event.preventDefault();
+    installEvent = event;
+    setState({ canInstall: true });
+  });
+  window.addEventListener("appinstalled", () => {
+    installEvent = null;
+    setState({ canInstall: false });
+  });
+
+  if (import.meta.env.DEV || !("serviceWorker" in navigator)) return;
+
+  window.addEventListener("load", () => {
+    navigator.serviceWorker
+      .register(SERVICE_WORKER_URL)
+      .then(watchRegistration)
+      .catch(() => {
+        // The site works the same without offline support.
+      });
+  });
+};
+
+/** Lets the waiting worker take over, then reloads onto the new version. */
+export const applyUpdate = () => {
+  if (!waitingWorker) return;
+  navigator.serviceWorker.addEventListener(
+    "controllerchange",
+    () => window.location.reload(),
+    { once: true },
+  );
+  waitingWorker.postMessage({ type: "SKIP_WAITING" });
+};
+
+/**
+ * Shows the browser's install dialog.
+ *
+ * @returns {Promise<boolean>} Whether the visitor accepted.
+ */
+export const promptInstall = async () => {
+  if (!installEvent) return false;
+  const event = installEvent;
+  installEvent = null;
+  setState({ canInstall: false });
+  await event.prompt();
+  const { outcome } = await event.userChoice;
+  return outcome === "accepted";
+};
@@ -0,0 +1,75 @@
+/**
+ * Joins the browser list with the release manifest (src/content/releases.json)
+ * and decides what the download buttons should offer a given visitor.
+ */
+
+/**
+ * @typedef {import("./browserDetection.js").DetectedBrowser} DetectedBrowser
+ *
+ * @typedef {object} Release
+ * @property {string} id Browser id.
+ * @property {"available" | "beta" | "in-development" | "planned"} status
+ * @property {string} [targetVersion] Extension version, e.g. "1.0.0".
+ * @property {string} [releaseDate]
+ * @property {number} [minBrowserVersion] Oldest supported browser major.
+ * @property {string} [storeUrl]
+ *
+ * @typedef {object} BrowserRelease Presentation fields from browsers.json
+ *   merged with the browser's release entry.
+ * @property {string} id
+ * @property {string} name
+ * @property {string} icon
+ * @property {string} accent
+ * @property {Release["status"]} status
+ * @property {string} [targetVersion]
+ * @property {number} [minBrowserVersion]
+ * @property {string} [storeUrl]
+ *
+ * @typedef {{ kind: "store", browser: BrowserRelease, url: string }
+ *   | { kind: "outdated", browser: BrowserRelease, minVersion: number }
+ *   | { kind: "notify", browser: BrowserRelease | null }} DownloadOffer
+ */
+
+/**
+ * Browsers without a release entry are listed as planned.
+ *
+ * @param {Array<{ id: string }>} browsers
+ * @param {Release[]} releases
+ * @returns {BrowserRelease[]}
+ */
+export const mergeReleases = (browsers, releases) =>
+  browsers.map((browser) => ({
+    status: "planned",
+    ...releases.find((release) => release.id === browser.id),
+    ...browser,
+  }));
+
+export const isInStore = (release) =>
+  ["available", "beta"].includes(release.status) && Boolean(release.storeUrl);
+
+/**
+ * @param {BrowserRelease[]} browsers
+ * @param {DetectedBrowser | null} detected
+ * @returns {DownloadOffer}
+ */
+export const resolveDownload = (browsers, detected) => {
+  const browser =
+    detected && !detected.mobile
+      ? (browsers.find((item) => item.id === detected.id) ?? null)
+      : null;
+
+  if (!browser || !isInStore(browser)) return { kind: "notify", browser };
+
+  if (
+    browser.minBrowserVersion &&
+    detected.version !== null &&
+    detected.version < browser.minBrowserVersion
+  ) {
+    return {
+      kind: "outdated",
+      browser,
+      minVersion: browser.minBrowserVersion,
+    };
+  }
+  return { kind: "store", browser, url: browser.storeUrl };
+};
@@ -0,0 +1,51 @@
+/**
+ * What the HTTP adapters for the waitlist and contact services share:
+ * finding the service, and POSTing JSON with every failure reduced to an
+ * error code the adapter can turn into a message.
+ */
+
+/**
+ * The configured endpoint without a trailing slash or, in development, the
+ * local stand-in. Empty when there is neither.
+ *
+ * @param {string | undefined} configured A VITE_*_ENDPOINT value.
+ * @param {string} local The stand-in's address.
+ * @returns {string}
+ */
+export const serviceEndpoint = (configured, local) =>
+  (configured || (import.meta.env.DEV ? local : "")).replace(/\/$/, "");
+
+/**
+ * @typedef {object} ServiceReply
+ * @property {boolean} ok
+ * @property {number} status HTTP status; 0 when the service was unreachable.
+ * @property {string | null} code null when `ok`. Otherwise "network", the
+ *   reply's `error` field, or "http-<status>".
+ * @property {object} data The reply body, or {} when it is not JSON.
+ */
+
+/**
+ * @param {string} url
+ * @param {unknown} body Sent as JSON.
+ * @returns {Promise<ServiceReply>} Never rejects.
+ */
+export const postJson = async (url, body) => {
+  let response;
+  try {
+    response = await fetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+    });
+  } catch {
+    return { ok: false, status: 0, code: "network", data: {} };
+  }
+
+  const data = await response.json().catch(() => ({}));
+  return {
+    ok: response.ok,
+    status: response.status,
+    code: response.ok ? null : (data.error ?? `http-${response.status}`),
+    data,
+  };
+};
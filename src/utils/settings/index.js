@@ -0,0 +1,63 @@
+import { migrateSettings, SettingsMigrationError } from "./migrations.js";
+import { SETTINGS_VERSION } from "./schema.js";
+import { validateSettings } from "./validate.js";
+
+export * from "./schema.js";
+export {
+  detectSettingsVersion,
+  migrateSettings,
+  SettingsMigrationError,
+} from "./migrations.js";
+export { validateSettings } from "./validate.js";
+
+/**
+ * Reads a settings file of any supported version. Never throws: problems
+ * come back as issues alongside the best settings that could be recovered.
+ *
+ * @param {string} text Raw file contents.
+ * @returns {{
+ *   settings: import("./schema.js").Settings | null,
+ *   issues: import("./validate.js").SettingsIssue[],
+ *   migratedFrom: number | null,
+ * }}
+ */
+export const importSettings = (text) => {
+  let raw;
+  try {
+    raw = JSON.parse(text);
+  } catch (error) {
+    return {
+      settings: null,
+      issues: [
+        { path: "", message: `The file is not valid JSON: ${error.message}` },
+      ],
+      migratedFrom: null,
+    };
+  }
+
+  let migrated;
+  try {
+    migrated = migrateSettings(raw);
+  } catch (error) {
+    if (!(error instanceof SettingsMigrationError)) throw error;
+    return {
+      settings: null,
+      issues: [{ path: "", message: error.message }],
+      migratedFrom: null,
+    };
+  }
+
+  const { issues, settings } = validateSettings(migrated.settings);
+  return {
+    settings,
+    issues,
+    migratedFrom: migrated.from === SETTINGS_VERSION ? null : migrated.from,
+  };
+};
+
+/**
+ * @param {import("./schema.js").Settings} settings
+ * @returns {string}
+ */
+export const exportSettings = (settings) =>
+  `${JSON.stringify(validateSettings(settings).settings, null, 2)}\n`;
@@ -0,0 +1,114 @@
+import {
+  SETTINGS_FORMAT,
+  SETTINGS_SCHEMA_URL,
+  SETTINGS_VERSION,
+} from "./schema.js";
+
+export class SettingsMigrationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "SettingsMigrationError";
+  }
+}
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+/**
+ * Version 1 is what extension 1.0.0 kept in storage and exported verbatim:
+ * a flat object with no `format` or `version` field.
+ *
+ *   { enabled, maskStyle, intensity, patterns: { email, phone, creditCard,
+ *     ssn, custom: [{ name, regex }] }, whitelist: ["example.com"] }
+ */
+const fromV1 = (v1) => {
+  const patterns = v1.patterns ?? {};
+  const { custom = [], ...builtIn } = isPlainObject(patterns) ? patterns : {};
+  const whitelist = v1.whitelist ?? [];
+
+  // Malformed values are passed through unconverted so that validation
+  // reports them instead of this step throwing.
+  return {
+    format: SETTINGS_FORMAT,
+    version: 2,
+    enabled: v1.enabled,
+    masking: { style: v1.maskStyle, intensity: v1.intensity },
+    patterns: isPlainObject(patterns) ? builtIn : patterns,
+    siteOverrides: Array.isArray(whitelist)
+      ? whitelist.map((host) =>
+          typeof host === "string" ? { match: host, enabled: false } : host,
+        )
+      : whitelist,
+    customPatterns: Array.isArray(custom)
+      ? custom.map((rule) =>
+          isPlainObject(rule)
+            ? {
+                name: rule.name,
+                syntax: "regex",
+                pattern: rule.regex,
+                caseSensitive: false,
+                enabled: true,
+              }
+            : rule,
+        )
+      : custom,
+  };
+};
+
+/** Each entry upgrades a settings object from its key version to the next. */
+const MIGRATIONS = {
+  1: fromV1,
+};
+
+/**
+ * @param {unknown} raw Parsed settings JSON of any known version.
+ * @returns {number}
+ */
+export const detectSettingsVersion = (raw) => {
+  if (!isPlainObject(raw)) {
+    throw new SettingsMigrationError(
+      "This is not a Safe-Web settings file: it must contain a JSON object.",
+    );
+  }
+  if (raw.format === SETTINGS_FORMAT && Number.isInteger(raw.version)) {
+    return raw.version;
+  }
+  if (raw.format === undefined && raw.version === undefined) {
+    if ("maskStyle" in raw || "whitelist" in raw) return 1;
+  }
+  throw new SettingsMigrationError(
+    'This is not a Safe-Web settings file: it has no "format": "safe-web-settings" field.',
+  );
+};
+
+/**
+ * Upgrades settings step by step to the current version.
+ *
+ * @param {unknown} raw
+ * @returns {{ settings: object, from: number, to: number }}
+ */
+export const migrateSettings = (raw) => {
+  const from = detectSettingsVersion(raw);
+  if (from > SETTINGS_VERSION) {
+    throw new SettingsMigrationError(
+      `This file uses settings version ${from}, which is newer than this site understands (version ${SETTINGS_VERSION}). Update the extension and export again.`,
+    );
+  }
+
+  let settings = raw;
+  for (let version = from; version < SETTINGS_VERSION; version += 1) {
+    const migrate = MIGRATIONS[version];
+    if (!migrate) {
+      throw new SettingsMigrationError(
+        `No migration from settings version ${version}.`,
+      );
+    }
+    settings = migrate(settings);
+  }
+
+  return {
+    settings: { $schema: SETTINGS_SCHEMA_URL, ...settings },
+    from,
+    to: SETTINGS_VERSION,
+  };
+};
@@ -0,0 +1,59 @@
+import { SITE } from "../../site.js";
+import { SENSITIVE_TYPES } from "../detection/index.js";
+
+/**
+ * Safe-Web settings file format. Bump SETTINGS_VERSION whenever the shape
+ * changes and add a step to migrations.js; docs/settings-format.md and
+ * public/schemas/ describe every version.
+ */
+
+export const SETTINGS_FORMAT = "safe-web-settings";
+export const SETTINGS_VERSION = 2;
+export const SETTINGS_SCHEMA_URL = `${SITE.url}/schemas/settings.v${SETTINGS_VERSION}.json`;
+
+export const MASKING_STYLES = ["blur", "pixelate", "blackout"];
+export const MIN_INTENSITY = 1;
+export const MAX_INTENSITY = 10;
+export const PATTERN_TYPES = SENSITIVE_TYPES.map(({ type }) => type);
+export const RULE_SYNTAXES = ["regex", "wildcard"];
+
+/**
+ * @typedef {object} MaskingSettings
+ * @property {"blur" | "pixelate" | "blackout"} style
+ * @property {number} intensity Integer from 1 to 10.
+ *
+ * @typedef {object} SiteOverride
+ * @property {string} match Host or URL pattern the override applies to.
+ * @property {boolean} [enabled]
+ * @property {Partial<MaskingSettings>} [masking]
+ * @property {Partial<Record<string, boolean>>} [patterns]
+ *
+ * @typedef {object} CustomPatternSetting
+ * @property {string} name
+ * @property {"regex" | "wildcard"} syntax
+ * @property {string} pattern
+ * @property {boolean} caseSensitive
+ * @property {boolean} enabled
+ *
+ * @typedef {object} Settings
+ * @property {string} [$schema]
+ * @property {"safe-web-settings"} format
+ * @property {number} version
+ * @property {boolean} enabled Global on/off toggle.
+ * @property {MaskingSettings} masking
+ * @property {Record<string, boolean>} patterns Built-in detectors by type.
+ * @property {SiteOverride[]} siteOverrides
+ * @property {CustomPatternSetting[]} customPatterns
+ */
+
+/** @returns {Settings} */
+export const createDefaultSettings = () => ({
+  $schema: SETTINGS_SCHEMA_URL,
+  format: SETTINGS_FORMAT,
+  version: SETTINGS_VERSION,
+  enabled: true,
+  masking: { style: "blur", intensity: 5 },
+  patterns: Object.fromEntries(PATTERN_TYPES.map((type) => [type, true])),
+  siteOverrides: [],
+  customPatterns: [],
+});
@@ -0,0 +1,324 @@
+import { compileRule } from "../customRules.js";
+import { parseSitePattern } from "../siteRules.js";
+import {
+  createDefaultSettings,
+  MASKING_STYLES,
+  MAX_INTENSITY,
+  MIN_INTENSITY,
+  PATTERN_TYPES,
+  RULE_SYNTAXES,
+  SETTINGS_FORMAT,
+  SETTINGS_SCHEMA_URL,
+  SETTINGS_VERSION,
+} from "./schema.js";
+
+/**
+ * @typedef {object} SettingsIssue
+ * @property {string} path Dotted path to the offending field, e.g. "masking.style".
+ * @property {string} message Sentence suitable for showing to users.
+ */
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+const describe = (value) => {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "a list";
+  if (typeof value === "string") return `"${value}"`;
+  return typeof value === "object" ? "an object" : String(value);
+};
+
+const list = (values) => values.map((value) => `"${value}"`).join(", ");
+
+const checkBoolean = (value, path, fallback, issues) => {
+  if (typeof value === "boolean") return value;
+  issues.push({
+    path,
+    message: `Expected true or false, got ${describe(value)}.`,
+  });
+  return fallback;
+};
+
+const checkStyle = (value, path, fallback, issues) => {
+  if (MASKING_STYLES.includes(value)) return value;
+  issues.push({
+    path,
+    message: `Unknown masking style ${describe(value)}. Use one of ${list(MASKING_STYLES)}.`,
+  });
+  return fallback;
+};
+
+const checkIntensity = (value, path, fallback, issues) => {
+  if (
+    Number.isInteger(value) &&
+    value >= MIN_INTENSITY &&
+    value <= MAX_INTENSITY
+  ) {
+    return value;
+  }
+  issues.push({
+    path,
+    message: `Intensity must be a whole number from ${MIN_INTENSITY} to ${MAX_INTENSITY}, got ${describe(value)}.`,
+  });
+  if (typeof value === "number" && Number.isFinite(value)) {
+    return Math.min(MAX_INTENSITY, Math.max(MIN_INTENSITY, Math.round(value)));
+  }
+  return fallback;
+};
+
+const checkPatterns = (
+  value,
+  path,
+  fallback,
+  issues,
+  { partial = false } = {},
+) => {
+  if (!isPlainObject(value)) {
+    issues.push({
+      path,
+      message: `Expected an object of pattern toggles, got ${describe(value)}.`,
+    });
+    return partial ? {} : fallback;
+  }
+
+  const patterns = partial ? {} : { ...fallback };
+  for (const [type, enabled] of Object.entries(value)) {
+    if (!PATTERN_TYPES.includes(type)) {
+      issues.push({
+        path: `${path}.${type}`,
+        message: `Unknown pattern type "${type}". Known types are ${list(PATTERN_TYPES)}.`,
+      });
+      continue;
+    }
+    patterns[type] = checkBoolean(
+      enabled,
+      `${path}.${type}`,
+      fallback[type],
+      issues,
+    );
+  }
+  return patterns;
+};
+
+const checkMasking = (
+  value,
+  path,
+  fallback,
+  issues,
+  { partial = false } = {},
+) => {
+  if (!isPlainObject(value)) {
+    issues.push({
+      path,
+      message: `Expected an object with "style" and "intensity", got ${describe(value)}.`,
+    });
+    return partial ? {} : fallback;
+  }
+
+  const masking = {};
+  if (!partial || "style" in value) {
+    masking.style = checkStyle(
+      value.style,
+      `${path}.style`,
+      fallback.style,
+      issues,
+    );
+  }
+  if (!partial || "intensity" in value) {
+    masking.intensity = checkIntensity(
+      value.intensity,
+      `${path}.intensity`,
+      fallback.intensity,
+      issues,
+    );
+  }
+  return masking;
+};
+
+const checkSiteOverride = (value, path, defaults, issues) => {
+  if (!isPlainObject(value)) {
+    issues.push({
+      path,
+      message: `Expected a site override object, got ${describe(value)}.`,
+    });
+    return null;
+  }
+  if (typeof value.match !== "string" || !value.match.trim()) {
+    issues.push({
+      path: `${path}.match`,
+      message:
+        'Every site override needs a non-empty "match" host or URL pattern.',
+    });
+    return null;
+  }
+  const { error } = parseSitePattern(value.match);
+  if (error) {
+    issues.push({ path: `${path}.match`, message: error });
+    return null;
+  }
+
+  const override = { match: value.match.trim() };
+  if ("enabled" in value) {
+    override.enabled = checkBoolean(
+      value.enabled,
+      `${path}.enabled`,
+      true,
+      issues,
+    );
+  }
+  if ("masking" in value) {
+    override.masking = checkMasking(
+      value.masking,
+      `${path}.masking`,
+      defaults.masking,
+      issues,
+      { partial: true },
+    );
+  }
+  if ("patterns" in value) {
+    override.patterns = checkPatterns(
+      value.patterns,
+      `${path}.patterns`,
+      defaults.patterns,
+      issues,
+      { partial: true },
+    );
+  }
+  return override;
+};
+
+const checkCustomPattern = (value, path, issues) => {
+  if (!isPlainObject(value)) {
+    issues.push({
+      path,
+      message: `Expected a custom pattern object, got ${describe(value)}.`,
+    });
+    return null;
+  }
+
+  const pattern = {
+    name: typeof value.name === "string" ? value.name.trim() : "",
+    syntax: RULE_SYNTAXES.includes(value.syntax) ? value.syntax : "regex",
+    pattern: typeof value.pattern === "string" ? value.pattern : "",
+    caseSensitive: value.caseSensitive === true,
+    enabled: value.enabled !== false,
+  };
+
+  if (!pattern.name) {
+    issues.push({
+      path: `${path}.name`,
+      message: "Custom patterns need a name.",
+    });
+    pattern.name = `Custom pattern ${path.match(/\d+/)?.[0] ?? ""}`.trim();
+  }
+  if (value.syntax !== undefined && !RULE_SYNTAXES.includes(value.syntax)) {
+    issues.push({
+      path: `${path}.syntax`,
+      message: `Unknown syntax ${describe(value.syntax)}. Use ${list(RULE_SYNTAXES)}.`,
+    });
+  }
+  if (!pattern.pattern) {
+    issues.push({ path: `${path}.pattern`, message: "The pattern is empty." });
+    return null;
+  }
+
+  const { error } = compileRule(pattern);
+  if (error) {
+    issues.push({
+      path: `${path}.pattern`,
+      message: `The pattern does not compile: ${error}`,
+    });
+    return null;
+  }
+  return pattern;
+};
+
+const checkList = (value, path, checkItem, issues) => {
+  if (value === undefined) return [];
+  if (!Array.isArray(value)) {
+    issues.push({ path, message: `Expected a list, got ${describe(value)}.` });
+    return [];
+  }
+  return value
+    .map((item, index) => checkItem(item, `${path}.${index}`, issues))
+    .filter(Boolean);
+};
+
+/**
+ * Validates settings that are already at the current version and builds the
+ * closest valid equivalent: broken fields fall back to defaults and invalid
+ * list entries are dropped. Every change is reported as an issue.
+ *
+ * @param {object} settings
+ * @returns {{ valid: boolean, issues: SettingsIssue[], settings: import("./schema.js").Settings }}
+ */
+export const validateSettings = (settings) => {
+  const defaults = createDefaultSettings();
+  const issues = [];
+
+  if (!isPlainObject(settings)) {
+    return {
+      valid: false,
+      issues: [{ path: "", message: "Settings must be a JSON object." }],
+      settings: defaults,
+    };
+  }
+
+  if (settings.format !== SETTINGS_FORMAT) {
+    issues.push({ path: "format", message: `Expected "${SETTINGS_FORMAT}".` });
+  }
+  if (settings.version !== SETTINGS_VERSION) {
+    issues.push({
+      path: "version",
+      message: `Expected version ${SETTINGS_VERSION}, got ${describe(settings.version)}.`,
+    });
+  }
+
+  const known = new Set([...Object.keys(defaults)]);
+  for (const key of Object.keys(settings)) {
+    if (!known.has(key)) {
+      issues.push({
+        path: key,
+        message: `Unknown setting "${key}" will be dropped.`,
+      });
+    }
+  }
+
+  const result = {
+    $schema: SETTINGS_SCHEMA_URL,
+    format: SETTINGS_FORMAT,
+    version: SETTINGS_VERSION,
+    enabled: checkBoolean(
+      settings.enabled,
+      "enabled",
+      defaults.enabled,
+      issues,
+    ),
+    masking: checkMasking(
+      settings.masking,
+      "masking",
+      defaults.masking,
+      issues,
+    ),
+    patterns: checkPatterns(
+      settings.patterns,
+      "patterns",
+      defaults.patterns,
+      issues,
+    ),
+    siteOverrides: checkList(
+      settings.siteOverrides,
+      "siteOverrides",
+      (item, path) => checkSiteOverride(item, path, defaults, issues),
+      issues,
+    ),
+    customPatterns: checkList(
+      settings.customPatterns,
+      "customPatterns",
+      checkCustomPattern,
+      issues,
+    ),
+  };
+
+  return { valid: issues.length === 0, issues, settings: result };
+};
@@ -0,0 +1,401 @@
+/**
+ * Per-site rules: which sites Safe-Web leaves alone ("allow", the README's
+ * whitelist) and which it always masks ("block", the blacklist). Rules are
+ * stored as the `siteOverrides` of a settings file (see
+ * docs/settings-format.md), where `match` is one of:
+ *
+ *   example.com              that host only
+ *   *.example.com            example.com and every subdomain
+ *   example.com/admin        a path and everything below it, on that host
+ *   *://*.example.com/*      a browser-extension match pattern
+ *   <all_urls>               every web page
+ *
+ * When several rules match a URL the most specific one wins: an exact host
+ * beats a wildcard, a deeper wildcard beats a shallower one, then the
+ * longer path wins, then an explicit scheme beats `*`. Remaining ties go to
+ * the rule that masks, and after that to the earlier rule.
+ */
+
+/**
+ * @typedef {"allow" | "block" | "settings"} SiteAction `settings` rules
+ *   neither allow nor block; they only change masking options.
+ *
+ * @typedef {object} SiteRule
+ * @property {string} id
+ * @property {string} match
+ * @property {SiteAction} action
+ * @property {object} [masking] Carried through from the settings file.
+ * @property {object} [patterns] Carried through from the settings file.
+ *
+ * @typedef {object} SitePattern
+ * @property {"all" | "host" | "subdomains" | "path" | "match-pattern"} kind
+ * @property {string} scheme "http", "https" or "*" (both).
+ * @property {string | null} host Hostname, null for any host.
+ * @property {string | null} port
+ * @property {boolean} subdomains Whether subdomains of `host` match too.
+ * @property {{ type: "prefix" | "glob", value: string }} path
+ *
+ * @typedef {object} RuleIssue
+ * @property {"error" | "warning"} level Errors stop a rule from matching.
+ * @property {string} message
+ */
+
+export const SITE_ACTIONS = [
+  { value: "allow", label: "Allow", description: "masking off" },
+  { value: "block", label: "Block", description: "always mask" },
+];
+
+export const PATTERN_EXAMPLES = [
+  { pattern: "example.com", description: "that host only" },
+  { pattern: "*.example.com", description: "the domain and all subdomains" },
+  {
+    pattern: "example.com/admin",
+    description: "a path and everything below it",
+  },
+  { pattern: "*://*.example.com/*", description: "an extension match pattern" },
+  { pattern: "<all_urls>", description: "every web page" },
+];
+
+const ALL_URLS = "<all_urls>";
+const MATCH_PATTERN = /^([^:/]+):\/\/([^/]*)(\/.*)?$/;
+const WEB_SCHEMES = ["http", "https"];
+
+// Ties between equally specific rules go to the one that masks.
+const ACTION_RANK = { block: 2, settings: 1, allow: 0 };
+
+const invalid = (message) => ({ pattern: null, error: message });
+
+/**
+ * Lower-cases and punycode-encodes a host, keeping any port.
+ * @returns {{ host: string, port: string | null } | null}
+ */
+const normalizeHost = (value) => {
+  if (!value || /[\s/?#@*]/.test(value)) return null;
+  try {
+    const url = new URL(`http://${value}`);
+    return { host: url.hostname.replace(/\.$/, ""), port: url.port || null };
+  } catch {
+    return null;
+  }
+};
+
+const parseHost = (value) => {
+  if (value === "*") {
+    return { host: null, port: null, subdomains: true };
+  }
+  const subdomains = value.startsWith("*.");
+  const normalized = normalizeHost(subdomains ? value.slice(2) : value);
+  if (!normalized) return null;
+  return { ...normalized, subdomains };
+};
+
+/**
+ * @param {string} match
+ * @returns {{ pattern: SitePattern | null, error: string | null }}
+ */
+export const parseSitePattern = (match) => {
+  const value = match.trim();
+  if (!value) return invalid("The pattern is empty.");
+
+  if (value === ALL_URLS) {
+    return {
+      pattern: {
+        kind: "all",
+        scheme: "*",
+        host: null,
+        port: null,
+        subdomains: true,
+        path: { type: "prefix", value: "/" },
+      },
+      error: null,
+    };
+  }
+
+  const matchPattern = value.match(MATCH_PATTERN);
+  if (matchPattern) {
+    const [, scheme, hostPart, path] = matchPattern;
+    if (scheme !== "*" && !WEB_SCHEMES.includes(scheme.toLowerCase())) {
+      return invalid(
+        `Scheme "${scheme}" is not supported. Use http, https or * for both.`,
+      );
+    }
+    if (!path) {
+      return invalid(
+        `Match patterns need a path; add "/*" to match every page: ${value}/*`,
+      );
+    }
+    const host = parseHost(hostPart);
+    if (!host) {
+      return invalid(
+        `"${hostPart}" is not a valid host. Use a domain, *.domain or * for any host.`,
+      );
+    }
+    return {
+      pattern: {
+        kind: "match-pattern",
+        scheme: scheme.toLowerCase(),
+        ...host,
+        path: { type: "glob", value: path },
+      },
+      error: null,
+    };
+  }
+
+  if (value.includes("://")) {
+    return invalid(`"${value}" is not a valid match pattern.`);
+  }
+
+  const slash = value.indexOf("/");
+  const hostPart = slash === -1 ? value : value.slice(0, slash);
+  let path = slash === -1 ? "/" : value.slice(slash);
+  // "example.com/docs/*" and "example.com/docs/" mean the same prefix as
+  // "example.com/docs".
+  path = path.replace(/\/\*$/, "/");
+  if (path.length > 1) path = path.replace(/\/+$/, "");
+  if (path.includes("*")) {
+    return invalid(
+      `Wildcards inside a path need the match-pattern form, e.g. *://${hostPart}${path}`,
+    );
+  }
+  if (hostPart === "*") {
+    return invalid(`Use ${ALL_URLS} to match every site.`);
+  }
+  const host = parseHost(hostPart);
+  if (!host) {
+    return invalid(
+      `"${hostPart}" is not a valid host. Wildcards are only allowed as a leading "*." before the domain.`,
+    );
+  }
+
+  let kind = host.subdomains ? "subdomains" : "host";
+  if (path !== "/") kind = "path";
+  return {
+    pattern: {
+      kind,
+      scheme: "*",
+      ...host,
+      path: { type: "prefix", value: path },
+    },
+    error: null,
+  };
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const globToRegex = (glob) =>
+  new RegExp(`^${glob.split("*").map(escapeRegex).join(".*")}$`);
+
+const matchesHost = (pattern, url) => {
+  if (pattern.host === null) return true;
+  if (pattern.port !== null && url.port !== pattern.port) return false;
+  if (url.hostname === pattern.host) return true;
+  return pattern.subdomains && url.hostname.endsWith(`.${pattern.host}`);
+};
+
+const matchesPath = ({ type, value }, url) => {
+  if (type === "glob") {
+    return globToRegex(value).test(url.pathname + url.search);
+  }
+  if (value === "/") return true;
+  return url.pathname === value || url.pathname.startsWith(`${value}/`);
+};
+
+/**
+ * @param {SitePattern} pattern
+ * @param {URL} url
+ */
+export const matchesUrl = (pattern, url) => {
+  const scheme = url.protocol.slice(0, -1);
+  if (!WEB_SCHEMES.includes(scheme)) return false;
+  if (pattern.scheme !== "*" && pattern.scheme !== scheme) return false;
+  return matchesHost(pattern, url) && matchesPath(pattern.path, url);
+};
+
+/**
+ * [host, path, scheme], compared in that order; higher is more specific.
+ * @param {SitePattern} pattern
+ * @returns {number[]}
+ */
+export const specificity = (pattern) => {
+  let host = 0;
+  if (pattern.host !== null) {
+    const labels = pattern.host.split(".").length;
+    // An exact host outranks any wildcard that also matches it.
+    host = pattern.subdomains ? labels : 1000 + labels;
+    if (pattern.port !== null) host += 0.5;
+  }
+  const path = pattern.path.value.replace(/\*/g, "").length;
+  return [host, path, pattern.scheme === "*" ? 0 : 1];
+};
+
+const compareMatches = (a, b) => {
+  for (let i = 0; i < a.specificity.length; i += 1) {
+    if (a.specificity[i] !== b.specificity[i]) {
+      return b.specificity[i] - a.specificity[i];
+    }
+  }
+  return (
+    ACTION_RANK[b.rule.action] - ACTION_RANK[a.rule.action] || a.index - b.index
+  );
+};
+
+/**
+ * A bare host ("example.com/docs") is read as an https URL.
+ * @param {string} input
+ * @returns {URL | null}
+ */
+export const parseTestUrl = (input) => {
+  const value = input.trim();
+  if (!value) return null;
+  try {
+    return new URL(
+      /^[a-z][a-z\d+.-]*:\/\//i.test(value) ? value : `https://${value}`,
+    );
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Every rule that matches `url`, winner first.
+ *
+ * @param {SiteRule[]} rules
+ * @param {URL} url
+ * @returns {{ winner: object | null, matches: Array<{ rule: SiteRule, index: number, pattern: SitePattern, specificity: number[] }> }}
+ */
+export const evaluateSiteRules = (rules, url) => {
+  const matches = [];
+  rules.forEach((rule, index) => {
+    const { pattern } = parseSitePattern(rule.match);
+    if (pattern && matchesUrl(pattern, url)) {
+      matches.push({ rule, index, pattern, specificity: specificity(pattern) });
+    }
+  });
+  matches.sort(compareMatches);
+  return { winner: matches[0] ?? null, matches };
+};
+
+/**
+ * Short description of what a pattern covers, for the tester.
+ * @param {SitePattern} pattern
+ */
+export const describePattern = (pattern) => {
+  const scheme = pattern.scheme === "*" ? "" : `${pattern.scheme} `;
+  if (pattern.host === null) return `every ${scheme}page`;
+  const host = pattern.port ? `${pattern.host}:${pattern.port}` : pattern.host;
+  const where = pattern.subdomains ? `${host} and its subdomains` : host;
+  const path = pattern.path.value;
+  if (pattern.path.type === "glob") {
+    return path === "/*"
+      ? `${scheme}${where}`
+      : `${scheme}${where}, paths ${path}`;
+  }
+  return path === "/"
+    ? `${scheme}${where}`
+    : `${scheme}${where}, under ${path}`;
+};
+
+/** Identity of a pattern, so "Example.com" and "example.com" count as one. */
+const patternKey = (pattern) =>
+  [
+    pattern.scheme,
+    pattern.subdomains ? "*." : "",
+    pattern.host ?? "*",
+    pattern.port ?? "",
+    pattern.path.type,
+    pattern.path.value,
+  ].join("|");
+
+/**
+ * Parse errors, plus warnings for rules that can never win because an
+ * earlier rule has the same pattern.
+ *
+ * @param {SiteRule[]} rules
+ * @returns {Map<string, RuleIssue[]>} Issues by rule id.
+ */
+export const analyzeSiteRules = (rules) => {
+  const issues = new Map(rules.map((rule) => [rule.id, []]));
+  const seen = new Map();
+
+  rules.forEach((rule, index) => {
+    const { pattern, error } = parseSitePattern(rule.match);
+    if (error) {
+      issues.get(rule.id).push({ level: "error", message: error });
+      return;
+    }
+    const key = patternKey(pattern);
+    const earlier = seen.get(key);
+    if (!earlier) {
+      seen.set(key, { rule, index });
+      return;
+    }
+    const message =
+      earlier.rule.action === rule.action
+        ? `Same pattern as rule ${earlier.index + 1}, so this rule has no effect.`
+        : `Conflicts with rule ${earlier.index + 1}, which has the same pattern. ${
+            ACTION_RANK[rule.action] > ACTION_RANK[earlier.rule.action]
+              ? "This rule wins because it masks."
+              : `Rule ${earlier.index + 1} wins${
+                  earlier.rule.action === "block" ? " because it masks" : ""
+                }.`
+          }`;
+    issues.get(rule.id).push({ level: "warning", message });
+  });
+  return issues;
+};
+
+let nextSiteRuleId = 0;
+
+/** @returns {SiteRule} */
+export const createSiteRule = (overrides = {}) => {
+  nextSiteRuleId += 1;
+  return {
+    id: `site-${Date.now().toString(36)}-${nextSiteRuleId}`,
+    match: "",
+    action: "allow",
+    ...overrides,
+  };
+};
+
+/**
+ * @param {import("./settings/schema.js").SiteOverride} override
+ * @returns {SiteRule}
+ */
+export const siteRuleFromOverride = ({ match, enabled, ...rest }) => {
+  let action = "settings";
+  if (enabled === false) action = "allow";
+  if (enabled === true) action = "block";
+  return createSiteRule({ match, action, ...rest });
+};
+
+/**
+ * @param {SiteRule} rule
+ * @returns {import("./settings/schema.js").SiteOverride}
+ */
+export const siteRuleToOverride = ({ match, action, masking, patterns }) => {
+  const override = { match: match.trim() };
+  if (action !== "settings") override.enabled = action === "block";
+  if (masking) override.masking = masking;
+  if (patterns) override.patterns = patterns;
+  return override;
+};
+
+/**
+ * Why `winner` takes precedence over `runnerUp`, as a sentence fragment.
+ * @returns {string}
+ */
+export const explainPrecedence = (winner, runnerUp) => {
+  const [host, path, scheme] = winner.specificity;
+  const [otherHost, otherPath, otherScheme] = runnerUp.specificity;
+  if (host !== otherHost) {
+    return host >= 1000 && otherHost < 1000
+      ? "an exact host beats a wildcard"
+      : "it names a more specific host";
+  }
+  if (path !== otherPath) return "its path is more specific";
+  if (scheme !== otherScheme) return "it names the scheme";
+  if (winner.rule.action !== runnerUp.rule.action) {
+    return "equally specific rules resolve in favour of masking";
+  }
+  return "it comes first in the list";
+};
@@ -0,0 +1,93 @@
+/**
+ * Where signups go. Every adapter has the same two calls so the form does
+ * not care whether it talks to the real service, the local stand-in
+ * (scripts/waitlist-server.js) or nothing at all.
+ *
+ * @typedef {import("./validate.js").Signup} Signup
+ *
+ * @typedef {object} WaitlistAdapter
+ * @property {(signup: Signup) => Promise<{ status: "pending" }>} submit
+ *   Stores the signup unconfirmed and sends the confirmation email.
+ * @property {(token: string) => Promise<{ status: "confirmed" }>} confirm
+ *   Completes double opt-in with the token from that email.
+ */
+import { postJson, serviceEndpoint } from "../service.js";
+
+export class WaitlistError extends Error {
+  /**
+   * @param {string} message
+   * @param {{ code: string, retryable?: boolean }} details `retryable` marks
+   *   failures worth queueing, such as being offline or a 5xx.
+   */
+  constructor(message, { code, retryable = false }) {
+    super(message);
+    this.name = "WaitlistError";
+    this.code = code;
+    this.retryable = retryable;
+  }
+}
+
+const MESSAGES = {
+  network: "Could not reach the waitlist service.",
+  "invalid-signup": "Some of the details were rejected. Check the form.",
+  "invalid-token": "This confirmation link is not valid.",
+  "expired-token": "This confirmation link has expired. Sign up again.",
+  "rate-limited": "Too many attempts. Try again in a few minutes.",
+};
+
+/**
+ * JSON over HTTP: POST {endpoint}/signups and POST {endpoint}/confirm.
+ *
+ * @param {string} endpoint Base URL without a trailing slash.
+ * @returns {WaitlistAdapter}
+ */
+export const createHttpAdapter = (endpoint) => {
+  const post = async (path, body) => {
+    const { ok, status, code, data } = await postJson(
+      `${endpoint}${path}`,
+      body,
+    );
+    if (ok) return data;
+    throw new WaitlistError(
+      MESSAGES[code] ?? "The waitlist service had a problem.",
+      { code, retryable: status === 0 || status >= 500 || status === 429 },
+    );
+  };
+
+  return {
+    submit: (signup) => post("/signups", signup),
+    confirm: (token) => post("/confirm", { token }),
+  };
+};
+
+/**
+ * Used when no endpoint is configured, so a build without a backend fails
+ * clearly instead of pretending to sign people up.
+ *
+ * @returns {WaitlistAdapter}
+ */
+export const createUnavailableAdapter = () => {
+  const fail = async () => {
+    throw new WaitlistError("The waitlist is not open yet.", {
+      code: "unavailable",
+    });
+  };
+  return { submit: fail, confirm: fail };
+};
+
+// The stand-in server's default address; see scripts/waitlist-server.js.
+export const LOCAL_ENDPOINT = "http://localhost:8787";
+
+/**
+ * VITE_WAITLIST_ENDPOINT picks the backend. Development falls back to the
+ * local stand-in so the whole flow works without any setup.
+ *
+ * @returns {WaitlistAdapter}
+ */
+export const getWaitlistAdapter = () => {
+  const endpoint = serviceEndpoint(
+    import.meta.env.VITE_WAITLIST_ENDPOINT,
+    LOCAL_ENDPOINT,
+  );
+  return endpoint ? createHttpAdapter(endpoint) : createUnavailableAdapter();
+};
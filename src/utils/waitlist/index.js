@@ -0,0 +1,47 @@
+import { getWaitlistAdapter, WaitlistError } from "./adapters.js";
+import { enqueueSignup } from "./queue.js";
+import { normalizeSignup } from "./validate.js";
+
+export {
+  createHttpAdapter,
+  createUnavailableAdapter,
+  getWaitlistAdapter,
+  LOCAL_ENDPOINT,
+  WaitlistError,
+} from "./adapters.js";
+export {
+  enqueueSignup,
+  flushQueue,
+  readQueue,
+  startQueueSync,
+} from "./queue.js";
+export { normalizeSignup, validateSignup } from "./validate.js";
+
+/**
+ * Submits a validated signup, queueing it for later when the visitor is
+ * offline or the service is temporarily down.
+ *
+ * @param {import("./validate.js").Signup} signup
+ * @param {import("./adapters.js").WaitlistAdapter} [adapter]
+ * @returns {Promise<"pending" | "queued">} "pending" means the confirmation
+ *   email is on its way.
+ */
+export const submitSignup = async (signup, adapter = getWaitlistAdapter()) => {
+  const normalized = normalizeSignup(signup);
+
+  if (typeof navigator !== "undefined" && !navigator.onLine) {
+    enqueueSignup(normalized);
+    return "queued";
+  }
+
+  try {
+    await adapter.submit(normalized);
+    return "pending";
+  } catch (error) {
+    if (error instanceof WaitlistError && error.retryable) {
+      enqueueSignup(normalized);
+      return "queued";
+    }
+    throw error;
+  }
+};
@@ -0,0 +1,133 @@
+/**
+ * Keeps signups that could not be sent, because the visitor was offline or
+ * the service was down, and retries them with backoff. The queue lives in
+ * localStorage so a signup made on a train still goes out on the next visit.
+ *
+ * @typedef {import("./validate.js").Signup} Signup
+ * @typedef {import("./adapters.js").WaitlistAdapter} WaitlistAdapter
+ *
+ * @typedef {object} QueuedSignup
+ * @property {Signup} signup
+ * @property {number} attempts
+ * @property {number} nextAttemptAt Epoch milliseconds.
+ */
+
+const STORAGE_KEY = "safe-web:waitlist-queue";
+const BASE_DELAY_MS = 30 * 1000;
+const MAX_DELAY_MS = 60 * 60 * 1000;
+// After this many failures the signup is dropped rather than kept forever.
+const MAX_ATTEMPTS = 10;
+
+/** @returns {QueuedSignup[]} */
+export const readQueue = () => {
+  try {
+    const queue = JSON.parse(localStorage.getItem(STORAGE_KEY) ?? "[]");
+    return Array.isArray(queue) ? queue : [];
+  } catch {
+    return [];
+  }
+};
+
+const writeQueue = (queue) => {
+  try {
+    if (queue.length) localStorage.setItem(STORAGE_KEY, JSON.stringify(queue));
+    else localStorage.removeItem(STORAGE_KEY);
+  } catch {
+    // Storage is full or blocked; the signup is lost with the page.
+  }
+};
+
+const backoff = (attempts) =>
+  Math.min(BASE_DELAY_MS * 2 ** (attempts - 1), MAX_DELAY_MS);
+
+/**
+ * Queues a signup, replacing any earlier one for the same email.
+ * @param {Signup} signup
+ */
+export const enqueueSignup = (signup) => {
+  const queue = readQueue().filter(
+    (item) => item.signup.email !== signup.email,
+  );
+  queue.push({ signup, attempts: 0, nextAttemptAt: Date.now() });
+  writeQueue(queue);
+};
+
+/**
+ * Sends every due signup once. Retryable failures are rescheduled; anything
+ * else is dropped, since retrying a rejected signup cannot succeed.
+ *
+ * @param {WaitlistAdapter} adapter
+ * @returns {Promise<number | null>} Milliseconds until the next retry is due,
+ *   or null when the queue is empty.
+ */
+export const flushQueue = async (adapter) => {
+  const now = Date.now();
+  const snapshot = readQueue();
+  const remaining = [];
+
+  for (const item of snapshot) {
+    if (item.nextAttemptAt > now) {
+      remaining.push(item);
+      continue;
+    }
+    try {
+      await adapter.submit(item.signup);
+    } catch (error) {
+      const attempts = item.attempts + 1;
+      if (error.retryable && attempts < MAX_ATTEMPTS) {
+        remaining.push({
+          ...item,
+          attempts,
+          nextAttemptAt: now + backoff(attempts),
+        });
+      }
+    }
+  }
+
+  // Signups queued while this flush was awaiting the adapter are in storage
+  // but not in the snapshot. Keep them, and let them replace an older entry
+  // for the same email, as enqueueSignup would have.
+  const sent = new Set(snapshot.map((item) => JSON.stringify(item)));
+  const added = readQueue().filter((item) => !sent.has(JSON.stringify(item)));
+  const replaced = new Set(added.map((item) => item.signup.email));
+  const queue = [
+    ...remaining.filter((item) => !replaced.has(item.signup.email)),
+    ...added,
+  ];
+
+  writeQueue(queue);
+  return queue.length
+    ? Math.max(0, Math.min(...queue.map((item) => item.nextAttemptAt)) - now)
+    : null;
+};
+
+/**
+ * Flushes now, whenever the browser comes back online, and when the next
+ * retry falls due. Returns a function that stops it.
+ *
+ * @param {WaitlistAdapter} adapter
+ */
+export const startQueueSync = (adapter) => {
+  let timer;
+  let flushing = false;
+
+  const flush = async () => {
+    if (flushing || !navigator.onLine) return;
+    flushing = true;
+    clearTimeout(timer);
+    try {
+      const delay = await flushQueue(adapter);
+      if (delay !== null) timer = setTimeout(flush, delay);
+    } finally {
+      flushing = false;
+    }
+  };
+
+  window.addEventListener("online", flush);
+  flush();
+
+  return () => {
+    clearTimeout(timer);
+    window.removeEventListener("online", flush);
+  };
+};
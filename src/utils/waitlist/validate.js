@@ -0,0 +1,61 @@
+import { isEmailAddress } from "../detection/validators.js";
+
+/**
+ * A waitlist signup as the form collects it and the backend receives it.
+ *
+ * @typedef {object} Signup
+ * @property {string} email
+ * @property {string[]} browsers Browser ids from src/content/browsers.json.
+ * @property {string[]} features Feature ids from src/content/features.json.
+ * @property {string} locale Language the confirmation email is sent in.
+ * @property {boolean} consent Agreed to the privacy notice.
+ */
+
+export const MAX_EMAIL_LENGTH = 254;
+
+/**
+ * Checks a signup against the lists the site offers. The local stand-in
+ * server runs the same checks, as a real backend should.
+ *
+ * @param {Signup} signup
+ * @param {{ browserIds: string[], featureIds: string[] }} options
+ * @returns {Partial<Record<keyof Signup, string>>} Message per invalid field.
+ */
+export const validateSignup = (signup, { browserIds, featureIds }) => {
+  const errors = {};
+  const email = typeof signup.email === "string" ? signup.email.trim() : "";
+
+  if (!email) {
+    errors.email = "Enter your email address.";
+  } else if (email.length > MAX_EMAIL_LENGTH || !isEmailAddress(email)) {
+    errors.email = "That does not look like an email address.";
+  }
+
+  if (!Array.isArray(signup.browsers) || signup.browsers.length === 0) {
+    errors.browsers = "Pick at least one browser.";
+  } else if (signup.browsers.some((id) => !browserIds.includes(id))) {
+    errors.browsers = "Pick browsers from the list.";
+  }
+
+  if (
+    !Array.isArray(signup.features) ||
+    signup.features.some((id) => !featureIds.includes(id))
+  ) {
+    errors.features = "Pick features from the list.";
+  }
+
+  if (signup.consent !== true) {
+    errors.consent = "Please agree so we can store your email.";
+  }
+
+  return errors;
+};
+
+/** Trims and de-duplicates before sending. */
+export const normalizeSignup = (signup) => ({
+  email: signup.email.trim().toLowerCase(),
+  browsers: [...new Set(signup.browsers)],
+  features: [...new Set(signup.features)],
+  locale: signup.locale,
+  consent: true,
+});
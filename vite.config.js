@@ -1,8 +1,37 @@
+import path from "node:path";
 import { defineConfig } from "vite";
 import react from "@vitejs/plugin-react";
 import tailwindcss from "@tailwindcss/vite";
+import contentCollections from "./plugins/content.js";
+import changelog from "./plugins/changelog.js";
+import site from "./plugins/site.js";
+import theme from "./plugins/theme.js";
+import docs from "./plugins/docs.js";
 
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react(), tailwindcss()],
+  plugins: [
+    contentCollections(),
+    changelog(),
+    site(),
+    theme(),
+    docs(),
+    react(),
+    tailwindcss(),
+  ],
+  build: {
+    rollupOptions: {
+      output: {
+        // A lazy chunk built from an index.js takes its folder's name
+        // ("settings-[hash].js"), so only the entry chunk is called index,
+        // which scripts/bundle-budget.js relies on.
+        chunkFileNames: ({ name, moduleIds }) =>
+          `assets/${
+            name === "index"
+              ? path.basename(path.dirname(moduleIds.at(-1)))
+              : "[name]"
+          }-[hash].js`,
+      },
+    },
+  },
 });